@@ -0,0 +1,37 @@
+-- Migration: Persist live games and moves
+-- Games are played by accounts and guests, so players are stored by identity key
+-- ("a:<uuid>" or "g:<guestId>"); the UUID columns are only filled for accounts.
+
+-- Step 1: Allow guest players in games
+DO $$
+BEGIN
+    ALTER TABLE games ALTER COLUMN black_player_id DROP NOT NULL;
+    ALTER TABLE games ALTER COLUMN white_player_id DROP NOT NULL;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'games' AND column_name = 'black_player_key'
+    ) THEN
+        ALTER TABLE games ADD COLUMN black_player_key TEXT;
+        ALTER TABLE games ADD COLUMN white_player_key TEXT;
+
+        -- Backfill existing rows (all of them were account games)
+        UPDATE games SET black_player_key = 'a:' || black_player_id WHERE black_player_id IS NOT NULL;
+        UPDATE games SET white_player_key = 'a:' || white_player_id WHERE white_player_id IS NOT NULL;
+    END IF;
+END $$;
+
+-- Step 2: Accept every end reason the server produces
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_end_reason_check;
+ALTER TABLE games ADD CONSTRAINT games_end_reason_check
+    CHECK (end_reason IN ('resignation', 'score', 'time_out', 'two_passes', 'abandonment'));
+
+-- Step 3: Drop the legacy stats trigger
+-- StatsService records results per board size; the trigger still targets the
+-- old player_stats primary key and would fail (or double count) on game end.
+DROP TRIGGER IF EXISTS trigger_update_player_stats ON games;
+DROP FUNCTION IF EXISTS update_player_stats();
+
+-- Step 4: Indexes for looking up a player's games
+CREATE INDEX IF NOT EXISTS idx_games_black_player_key ON games(black_player_key);
+CREATE INDEX IF NOT EXISTS idx_games_white_player_key ON games(white_player_key);
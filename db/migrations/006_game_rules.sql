@@ -0,0 +1,9 @@
+-- Migration: Store the scoring rules of each game
+-- Games are scored with Chinese (area) or Japanese (territory) rules; active
+-- games must be restored and scored with the rules they were started with.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rules VARCHAR(20) NOT NULL DEFAULT 'chinese';
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_rules_check;
+ALTER TABLE games ADD CONSTRAINT games_rules_check
+    CHECK (rules IN ('chinese', 'japanese'));
@@ -0,0 +1,7 @@
+-- Migration: Allow all rule set presets
+-- Besides Chinese and Japanese rules, games can be played with AGA,
+-- New Zealand and Tromp-Taylor rules (see server/src/engine/ruleSets.js).
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_rules_check;
+ALTER TABLE games ADD CONSTRAINT games_rules_check
+    CHECK (rules IN ('chinese', 'japanese', 'aga', 'nz', 'tromp-taylor'));
@@ -0,0 +1,14 @@
+-- Migration: Store the handicap of each game
+-- Fixed handicap stones are not persisted as moves, so active games need the
+-- handicap to be restored; free handicap stones are Black's first moves.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS handicap SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS handicap_placement VARCHAR(10) NOT NULL DEFAULT 'fixed';
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_handicap_check;
+ALTER TABLE games ADD CONSTRAINT games_handicap_check
+    CHECK (handicap = 0 OR handicap BETWEEN 2 AND 9);
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_handicap_placement_check;
+ALTER TABLE games ADD CONSTRAINT games_handicap_placement_check
+    CHECK (handicap_placement IN ('fixed', 'free'));
@@ -0,0 +1,35 @@
+-- Migration: Allow board sizes from 5x5 to 25x25 and custom komi
+-- Games can be played on any square board from 5x5 to 25x25 (see
+-- server/src/engine/boardSize.js); ratings and stats stay per board size.
+-- The komi of each game is stored so custom komi survives a restart.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS komi DECIMAL(4, 1);
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_board_size_check;
+ALTER TABLE games ADD CONSTRAINT games_board_size_check
+    CHECK (board_size BETWEEN 5 AND 25);
+
+ALTER TABLE moves DROP CONSTRAINT IF EXISTS moves_x_check;
+ALTER TABLE moves ADD CONSTRAINT moves_x_check
+    CHECK (x IS NULL OR (x >= 0 AND x < 25));
+
+ALTER TABLE moves DROP CONSTRAINT IF EXISTS moves_y_check;
+ALTER TABLE moves ADD CONSTRAINT moves_y_check
+    CHECK (y IS NULL OR (y >= 0 AND y < 25));
+
+-- Rating and stats tables differ between installations, only touch existing ones
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    FOREACH tbl IN ARRAY ARRAY[
+        'ratings', 'player_stats', 'rating_history',
+        'guest_ratings', 'guest_stats', 'guest_progress'
+    ]
+    LOOP
+        IF to_regclass(tbl) IS NOT NULL THEN
+            EXECUTE format('ALTER TABLE %I DROP CONSTRAINT IF EXISTS %I', tbl, tbl || '_board_size_check');
+            EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I CHECK (board_size BETWEEN 5 AND 25)', tbl, tbl || '_board_size_check');
+        END IF;
+    END LOOP;
+END $$;
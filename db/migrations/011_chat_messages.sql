@@ -0,0 +1,18 @@
+-- Migration: Persist in-game chat
+-- Players chat in the 'players' channel, spectators in the 'spectators'
+-- channel (kibitz). Messages are stored with the game's moves so the history
+-- can be replayed after a reconnect or a server restart.
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID PRIMARY KEY,
+    game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('players', 'spectators')),
+    sender_key TEXT NOT NULL, -- "a:<uuid>" or "g:<guestId>"
+    sender_name TEXT,
+    color VARCHAR(10) CHECK (color IN ('black', 'white')), -- NULL for spectators
+    move_number INTEGER NOT NULL DEFAULT 0, -- moves played when the message was sent
+    message TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_game ON chat_messages(game_id, created_at);
@@ -0,0 +1,11 @@
+-- Migration: Glicko-2 ratings
+-- Every rating gets a deviation (uncertainty) and a volatility. The deviation
+-- grows with the time since the last game, so last_played_at is stored too.
+
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS rating_deviation REAL NOT NULL DEFAULT 350;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS volatility REAL NOT NULL DEFAULT 0.06;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS last_played_at TIMESTAMP;
+
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS rating_deviation REAL NOT NULL DEFAULT 350;
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS volatility REAL NOT NULL DEFAULT 0.06;
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS last_played_at TIMESTAMP;
@@ -0,0 +1,14 @@
+-- Migration: Record rating changes of accounts and guests
+-- Every rating update after a game writes one row per player. Players are
+-- stored by identity key ("a:<uuid>" or "g:<guestId>"); user_id is only
+-- filled for accounts.
+
+ALTER TABLE rating_history ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE rating_history ADD COLUMN IF NOT EXISTS player_key TEXT;
+ALTER TABLE rating_history ADD COLUMN IF NOT EXISTS rating_deviation REAL;
+
+-- Backfill existing rows (all of them were account rows)
+UPDATE rating_history SET player_key = 'a:' || user_id WHERE player_key IS NULL AND user_id IS NOT NULL;
+ALTER TABLE rating_history ALTER COLUMN player_key SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player ON rating_history(player_key, board_size, created_at);
@@ -0,0 +1,16 @@
+-- Migration: Rated and unrated games
+-- Players choose whether a game counts for ratings. Unrated (casual) games
+-- leave ratings and the rated stats alone and are counted in casual_stats.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rated BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS casual_stats (
+    player_key TEXT NOT NULL, -- "a:<uuid>" or "g:<guestId>"
+    board_size INTEGER NOT NULL CHECK (board_size BETWEEN 5 AND 25),
+    games INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    draws INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (player_key, board_size)
+);
@@ -0,0 +1,42 @@
+-- Migration: Rating pools per board size and time control category
+-- Blitz and correspondence strength differ, so ratings are kept per board
+-- size and time control category (blitz, rapid, classical, correspondence,
+-- untimed; see server/src/engine/gameClock.js). Existing ratings become the
+-- 'untimed' pool; the other pools start with a new (provisional) rating.
+-- Games, wins, losses and draws are counted per pool too, next to the rating.
+
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS time_category VARCHAR(20) NOT NULL DEFAULT 'untimed';
+ALTER TABLE ratings DROP CONSTRAINT IF EXISTS ratings_pkey;
+ALTER TABLE ratings ADD PRIMARY KEY (user_id, board_size, time_category);
+CREATE INDEX IF NOT EXISTS idx_ratings_pool ON ratings(board_size, time_category, rating DESC);
+
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS time_category VARCHAR(20) NOT NULL DEFAULT 'untimed';
+ALTER TABLE guest_ratings DROP CONSTRAINT IF EXISTS guest_ratings_pkey;
+ALTER TABLE guest_ratings ADD PRIMARY KEY (guest_key, board_size, time_category);
+CREATE INDEX IF NOT EXISTS idx_guest_ratings_pool ON guest_ratings(board_size, time_category, rating DESC);
+
+-- Results per pool (player_stats / guest_stats keep the totals per board size)
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS wins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS losses INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS draws INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS games_played INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS wins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS losses INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE guest_ratings ADD COLUMN IF NOT EXISTS draws INTEGER NOT NULL DEFAULT 0;
+
+-- All games before the pools were rated in the untimed pool
+UPDATE ratings r
+SET games_played = ps.games_played, wins = ps.wins, losses = ps.losses, draws = ps.draws
+FROM player_stats ps
+WHERE ps.user_id = r.user_id AND ps.board_size = r.board_size
+  AND r.time_category = 'untimed' AND r.wins = 0 AND r.losses = 0 AND r.draws = 0;
+
+UPDATE guest_ratings gr
+SET games_played = gs.games, wins = gs.wins, losses = gs.losses, draws = gs.draws
+FROM guest_stats gs
+WHERE gs.guest_key = gr.guest_key AND gs.board_size = gr.board_size
+  AND gr.time_category = 'untimed' AND gr.games_played = 0;
+
+-- Rating changes remember their pool (NULL for changes before this migration = untimed)
+ALTER TABLE rating_history ADD COLUMN IF NOT EXISTS time_category VARCHAR(20);
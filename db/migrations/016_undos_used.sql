@@ -0,0 +1,6 @@
+-- Migration: Store the undos used per player
+-- Rated games allow a limited number of undos (UNDO_LIMIT_RATED); active
+-- games need the count to be restored after a server restart.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS undos_used_black INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS undos_used_white INTEGER NOT NULL DEFAULT 0;
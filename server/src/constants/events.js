@@ -29,6 +29,57 @@ export const EventTypes = {
   GAME_ENDED: 'game_ended',
   RESIGN: 'resign',
   RESIGNATION_ACCEPTED: 'resignation_accepted',
+  OPPONENT_DISCONNECTED: 'opponent_disconnected',
+  OPPONENT_RECONNECTED: 'opponent_reconnected',
+
+  // Scoring phase (after two consecutive passes)
+  SCORING_STARTED: 'scoring_started',
+  SCORING_UPDATE: 'scoring_update',
+  TOGGLE_DEAD_STONES: 'toggle_dead_stones',
+  ACCEPT_SCORE: 'accept_score',
+  RESUME_PLAY: 'resume_play',
+  PLAY_RESUMED: 'play_resumed',
+
+  // Undo (takeback) requests between the players
+  UNDO_REQUEST: 'undo_request',
+  UNDO_RESPONSE: 'undo_response',
+  UNDO_REQUESTED: 'undo_requested',
+  UNDO_ACCEPTED: 'undo_accepted',
+  UNDO_DECLINED: 'undo_declined',
+
+  // Spectators (move_accepted, game_state and game_ended are sent to them too)
+  WATCH_GAME: 'watch_game',
+  UNWATCH_GAME: 'unwatch_game',
+  SPECTATOR_COUNT: 'spectator_count',
+
+  // In-game chat (players channel and spectator kibitz)
+  CHAT_MESSAGE: 'chat_message',
+  CHAT_REJECTED: 'chat_rejected',
+
+  // Rematch after game_ended (colours swapped, same settings)
+  REMATCH_OFFER: 'rematch_offer',
+  REMATCH_ACCEPT: 'rematch_accept',
+  REMATCH_DECLINE: 'rematch_decline',
+  REMATCH_OFFERED: 'rematch_offered',
+  REMATCH_DECLINED: 'rematch_declined',
+  REMATCH_STARTED: 'rematch_started',
+
+  // Direct challenges to a chosen player (accepting sends match_found)
+  CHALLENGE_SEND: 'challenge_send',
+  CHALLENGE_ACCEPT: 'challenge_accept',
+  CHALLENGE_DECLINE: 'challenge_decline',
+  REQUEST_CHALLENGES: 'request_challenges',
+  CHALLENGE_SENT: 'challenge_sent',
+  CHALLENGE_RECEIVED: 'challenge_received',
+  CHALLENGE_DECLINED: 'challenge_declined',
+  CHALLENGE_EXPIRED: 'challenge_expired',
+  CHALLENGE_LIST: 'challenge_list',
+
+  // Private invite links (/invite/<token>, accepting sends match_found)
+  INVITE_CREATE: 'invite_create',
+  INVITE_CREATED: 'invite_created',
+  INVITE_ACCEPT: 'invite_accept',
+  INVITE_CANCEL: 'invite_cancel',
 
   // Turn management
   TURN_CHANGED: 'turn_changed',
@@ -55,8 +106,16 @@ export const EventTypes = {
  * {
  *   type: 'join_queue',
  *   data: {
- *     boardSize: 19,  // 9, 13, or 19
- *     timeControl: { minutes: 10, byoYomi: 30 } // optional
+ *     boardSize: 19,  // 5 to 25 (9, 13 and 19 are the standard sizes)
+ *     timeControl: { minutes: 10, byoYomi: 30 } // optional, byo-yomi with 5 periods
+ *     // or { type: 'absolute' | 'byoyomi' | 'canadian' | 'fischer', minutes,
+ *     //      byoYomi?, periods?, stones?, increment? } (seconds)
+ *     // one queue per board size and time control category (blitz, rapid, classical,
+ *     // correspondence, untimed); players in a category can get each other's time control
+ *     rules: 'chinese', // optional rule set: 'chinese', 'japanese', 'aga', 'nz' or 'tromp-taylor'
+ *     handicap: 'even', // optional, 'auto' = handicap from the rating gap (both players must opt in)
+ *     komi: 7.5, // optional custom komi (multiple of 0.5), default depends on rules and board size
+ *     rated: true // optional, false = unrated game (only paired with other unrated players)
  *   }
  * }
  * 
@@ -67,10 +126,35 @@ export const EventTypes = {
  *     gameId: 'game_123',
  *     opponent: { userId: 'user_456', username: 'opponent', rating: 1500 },
  *     boardSize: 19,
+ *     timeControl: { type: 'byoyomi', minutes: 10, byoYomi: 30, periods: 5 }, // agreed time control, null = untimed
+ *     timeCategory: 'rapid',
+ *     rules: 'chinese',
+ *     handicap: { stones: 3, placement: 'fixed' }, // null for even games
+ *     komi: 0.5,
+ *     rated: true, // unrated games leave ratings alone and allow undos
  *     color: 'black' // or 'white'
  *   }
  * }
  * 
+ * GAME_STARTED:
+ * {
+ *   type: 'game_started',
+ *   data: {
+ *     gameId: 'game_123',
+ *     boardSize: 19,
+ *     blackPlayer: 'user_123',
+ *     whitePlayer: 'user_456',
+ *     currentTurn: 'black', // 'white' in fixed handicap games
+ *     rules: 'nz',
+ *     ruleSet: { name: 'nz', koRule: 'situational', suicide: true, scoring: 'area', komi: 7 },
+ *     komi: 7, // komi of this game
+ *     handicap: { stones: 3, placement: 'free' }, // null for even games; free stones are
+ *                                                 // Black's first play_move messages
+ *     timeControl: { ... }, // null for untimed games
+ *     clock: { ... }
+ *   }
+ * }
+ * 
  * PLAY_MOVE:
  * {
  *   type: 'play_move',
@@ -90,7 +174,14 @@ export const EventTypes = {
  *     move: { x: 3, y: 3, color: 'black', moveNumber: 1 },
  *     boardState: [...], // current board state
  *     capturedStones: [...], // stones captured this move
- *     turn: 'white'
+ *     turn: 'white',
+ *     handicap: { stones: 3, placement: 'free', stonesToPlace: 1 }, // null for even games
+ *     clock: { // null for untimed games
+ *       running: 'white',
+ *       serverTime: 1700000000000,
+ *       black: { mainTime: 598000, periodsLeft: 5, periodTime: 30000, stonesLeft: 0, inOvertime: false },
+ *       white: { ... }
+ *     }
  *   }
  * }
  * 
@@ -103,6 +194,122 @@ export const EventTypes = {
  *   }
  * }
  * 
+ * OPPONENT_DISCONNECTED:
+ * {
+ *   type: 'opponent_disconnected',
+ *   data: {
+ *     gameId: 'game_123',
+ *     color: 'white', // color of the disconnected player
+ *     graceMs: 60000, // grace window before the game is abandoned
+ *     remainingMs: 60000 // time left until the game is abandoned
+ *   }
+ * }
+ * 
+ * OPPONENT_RECONNECTED:
+ * {
+ *   type: 'opponent_reconnected',
+ *   data: { gameId: 'game_123', color: 'white' }
+ * }
+ * 
+ * SCORING_STARTED / SCORING_UPDATE:
+ * {
+ *   type: 'scoring_started', // or 'scoring_update' after every change
+ *   data: {
+ *     gameId: 'game_123',
+ *     deadStones: [{ x: 2, y: 3 }, ...],
+ *     score: { black: 45, white: 38.5, winner: 'black', scoreDiff: 6.5, komi: 6.5 }, // preview
+ *     accepted: { black: false, white: false } // reset whenever the marking changes
+ *   }
+ * }
+ * 
+ * TOGGLE_DEAD_STONES:
+ * {
+ *   type: 'toggle_dead_stones',
+ *   data: { gameId: 'game_123', x: 2, y: 3 } // toggles the whole group at x/y
+ * }
+ * 
+ * ACCEPT_SCORE / RESUME_PLAY:
+ * {
+ *   type: 'accept_score', // or 'resume_play'
+ *   data: { gameId: 'game_123' }
+ * }
+ * 
+ * PLAY_RESUMED:
+ * {
+ *   type: 'play_resumed',
+ *   data: { gameId: 'game_123', currentTurn: 'black', clock: { ... } }
+ * }
+ * 
+ * UNDO_REQUEST:
+ * {
+ *   type: 'undo_request',
+ *   data: { gameId: 'game_123' } // takes back the requester's last move (and the reply to it)
+ * }
+ * 
+ * UNDO_REQUESTED (to the opponent):
+ * {
+ *   type: 'undo_requested',
+ *   data: { gameId: 'game_123', color: 'black', moves: 2 } // requester and number of moves taken back
+ * }
+ * 
+ * UNDO_RESPONSE:
+ * {
+ *   type: 'undo_response',
+ *   data: { gameId: 'game_123', accept: true }
+ * }
+ * 
+ * UNDO_ACCEPTED (to both players, followed by game_state) / UNDO_DECLINED (to the requester):
+ * {
+ *   type: 'undo_accepted', // or 'undo_declined'
+ *   data: {
+ *     gameId: 'game_123',
+ *     color: 'black', // requester
+ *     moves: 2,
+ *     undosLeft: 0 // requester's remaining undos, null = unlimited (undo_accepted only)
+ *   }
+ * }
+ * 
+ * WATCH_GAME / UNWATCH_GAME:
+ * {
+ *   type: 'watch_game', // or 'unwatch_game'
+ *   data: { gameId: 'game_123' } // watch_game is answered with game_state (spectator: true)
+ * }
+ * 
+ * SPECTATOR_COUNT (to players and spectators):
+ * {
+ *   type: 'spectator_count',
+ *   data: { gameId: 'game_123', spectators: 3 }
+ * }
+ * 
+ * CHAT_MESSAGE (client -> server):
+ * {
+ *   type: 'chat_message',
+ *   data: { gameId: 'game_123', text: 'Viel Glück!' } // at most 500 characters
+ * }
+ * 
+ * CHAT_MESSAGE (server -> players and/or spectators; game_state carries the history as `chat`):
+ * {
+ *   type: 'chat_message',
+ *   data: {
+ *     gameId: 'game_123',
+ *     message: {
+ *       id: 'uuid',
+ *       channel: 'players', // or 'spectators' (only sent to spectators)
+ *       color: 'black', // null for spectators
+ *       name: 'alice', // 'Gast' for guests
+ *       text: 'Viel Glück!',
+ *       moveNumber: 12, // moves played when the message was sent
+ *       createdAt: '2026-01-01T12:00:00.000Z'
+ *     }
+ *   }
+ * }
+ * 
+ * CHAT_REJECTED:
+ * {
+ *   type: 'chat_rejected',
+ *   data: { gameId: 'game_123', reason: 'empty_message' | 'message_too_long' | 'rate_limited' | 'message_blocked' }
+ * }
+ * 
  * GAME_ENDED:
  * {
  *   type: 'game_ended',
@@ -111,7 +318,98 @@ export const EventTypes = {
  *     winner: 'black' | 'white' | null,
  *     reason: 'resignation' | 'score' | 'time_out' | 'abandonment',
  *     finalScore: { black: 45.5, white: 38.5 },
- *     ratingChange: { black: +15, white: -15 }
+ *     rules: 'japanese',
+ *     scoreBreakdown: { // scored games only; japanese: territory + prisoners, chinese: stones + territory
+ *       black: { territory: 40, prisoners: 5 },
+ *       white: { territory: 30, prisoners: 2, komi: 6.5 }
+ *     },
+ *     deadStones: [{ x: 2, y: 3 }, ...], // agreed dead stones (scored games only)
+ *     rated: true,
+ *     ratingChange: { black: +15, white: -15 }, // null for unrated games
+ *     rematchWindowMs: 60000 // how long a rematch can be offered
+ *   }
+ * }
+ * 
+ * REMATCH_OFFER / REMATCH_ACCEPT / REMATCH_DECLINE:
+ * {
+ *   type: 'rematch_offer', // or 'rematch_accept', 'rematch_decline'
+ *   data: { gameId: 'game_123' } // the finished game; offers from both sides start the rematch too
+ * }
+ * 
+ * REMATCH_OFFERED / REMATCH_DECLINED (to the opponent):
+ * {
+ *   type: 'rematch_offered', // or 'rematch_declined'
+ *   data: { gameId: 'game_123', color: 'black' } // color of the player in the finished game
+ * }
+ * 
+ * REMATCH_STARTED (to both players, after game_started):
+ * {
+ *   type: 'rematch_started',
+ *   data: { previousGameId: 'game_123', gameId: 'game_456' }
+ * }
+ * 
+ * CHALLENGE_SEND (username or playerId from the leaderboard):
+ * {
+ *   type: 'challenge_send',
+ *   data: {
+ *     username: 'alice', // or playerId: '...'
+ *     settings: {
+ *       boardSize: 19,
+ *       color: 'nigiri', // color of the challenger: 'black', 'white' or 'nigiri'
+ *       timeControl: { type: 'fischer', minutes: 10, increment: 5 }, // optional
+ *       rules: 'japanese',
+ *       komi: 6.5, // optional
+ *       handicap: { stones: 2, placement: 'fixed' }, // optional
+ *       rated: true
+ *     }
+ *   }
+ * }
+ * 
+ * CHALLENGE_ACCEPT / CHALLENGE_DECLINE (decline also withdraws an own challenge):
+ * {
+ *   type: 'challenge_accept', // or 'challenge_decline'
+ *   data: { challengeId: 'challenge_123' }
+ * }
+ * 
+ * CHALLENGE_SENT / CHALLENGE_RECEIVED (to challenger / challenged player):
+ * {
+ *   type: 'challenge_received',
+ *   data: {
+ *     id: 'challenge_123',
+ *     from: { name: 'bob' },
+ *     to: { name: 'alice' },
+ *     settings: { boardSize: 19, color: 'nigiri', timeControl: null, rules: 'japanese', komi: null, handicap: null, rated: true },
+ *     expiresAt: 1700000000000
  *   }
  * }
+ * 
+ * CHALLENGE_DECLINED / CHALLENGE_EXPIRED:
+ * {
+ *   type: 'challenge_declined', // or 'challenge_expired'
+ *   data: { challengeId: 'challenge_123' }
+ * }
+ * 
+ * CHALLENGE_LIST (answer to REQUEST_CHALLENGES):
+ * {
+ *   type: 'challenge_list',
+ *   data: { incoming: [...], outgoing: [...] } // challenges as in challenge_received
+ * }
+ * 
+ * INVITE_CREATE:
+ * {
+ *   type: 'invite_create',
+ *   data: { settings: { boardSize: 19, color: 'nigiri', ... } } // same settings as challenge_send
+ * }
+ * 
+ * INVITE_CREATED (to the creator, the link is /invite/<token>):
+ * {
+ *   type: 'invite_created',
+ *   data: { token: 'k3J9...', settings: { ... }, expiresAt: 1700000000000 }
+ * }
+ * 
+ * INVITE_ACCEPT / INVITE_CANCEL (accepting starts the game, both players get match_found):
+ * {
+ *   type: 'invite_accept', // or 'invite_cancel' (creator only)
+ *   data: { token: 'k3J9...' }
+ * }
  */
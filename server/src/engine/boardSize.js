@@ -0,0 +1,21 @@
+/**
+ * Board Sizes
+ *
+ * Besides the standard 9x9, 13x13 and 19x19 boards, any square board from
+ * 5x5 up to 25x25 can be played (e.g. 7x7 and 11x11 beginner boards, 21x21).
+ * Ratings and stats are kept separately per board size.
+ */
+
+export const MIN_BOARD_SIZE = 5;
+export const MAX_BOARD_SIZE = 25;
+
+export const STANDARD_BOARD_SIZES = [9, 13, 19];
+
+/**
+ * Check whether a board size can be played
+ * @param {number} boardSize - Board size
+ * @returns {boolean}
+ */
+export function isValidBoardSize(boardSize) {
+  return Number.isInteger(boardSize) && boardSize >= MIN_BOARD_SIZE && boardSize <= MAX_BOARD_SIZE;
+}
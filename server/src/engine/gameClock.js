@@ -0,0 +1,325 @@
+/**
+ * Game Clock - Server-Authoritative Time Control
+ *
+ * Supports the common Go time systems:
+ * - Absolute: main time only, flag falls when it runs out
+ * - Byo-yomi: main time, then N periods of S seconds; a period is only
+ *   used up if a move takes longer than the period
+ * - Canadian: main time, then S seconds for every block of M stones
+ * - Fischer: main time, plus an increment added after every move
+ *
+ * All times are tracked in milliseconds. Every method takes `now` so the
+ * clock can be driven by move timestamps (replay) and tested without timers.
+ */
+
+export const TIME_CONTROL_TYPES = ['absolute', 'byoyomi', 'canadian', 'fischer'];
+
+// Default byo-yomi periods when the client only sends { minutes, byoYomi }
+const DEFAULT_BYO_YOMI_PERIODS = 5;
+
+/**
+ * Normalize a time control sent by a client
+ * Accepts the legacy shape { minutes, byoYomi } (byo-yomi in seconds).
+ * @param {Object|null} timeControl - Raw time control
+ * @returns {{ ok: boolean, timeControl?: Object|null, reason?: string }}
+ */
+export function normalizeTimeControl(timeControl) {
+  if (timeControl === null || timeControl === undefined) {
+    return { ok: true, timeControl: null };
+  }
+  if (typeof timeControl !== 'object') {
+    return { ok: false, reason: 'invalid_time_control' };
+  }
+
+  const minutes = Number(timeControl.minutes ?? 0);
+  const byoYomi = Number(timeControl.byoYomi ?? 0);
+  const type = timeControl.type || (byoYomi > 0 ? 'byoyomi' : 'absolute');
+
+  if (!TIME_CONTROL_TYPES.includes(type)) {
+    return { ok: false, reason: 'invalid_time_control_type' };
+  }
+  if (!Number.isFinite(minutes) || minutes < 0 || !Number.isFinite(byoYomi) || byoYomi < 0) {
+    return { ok: false, reason: 'invalid_time_control' };
+  }
+
+  const normalized = { type, minutes };
+
+  if (type === 'byoyomi') {
+    const periods = Number(timeControl.periods ?? DEFAULT_BYO_YOMI_PERIODS);
+    if (byoYomi <= 0 || !Number.isInteger(periods) || periods < 1) {
+      return { ok: false, reason: 'invalid_byo_yomi' };
+    }
+    normalized.byoYomi = byoYomi;
+    normalized.periods = periods;
+  } else if (type === 'canadian') {
+    const stones = Number(timeControl.stones);
+    if (byoYomi <= 0 || !Number.isInteger(stones) || stones < 1) {
+      return { ok: false, reason: 'invalid_canadian_overtime' };
+    }
+    normalized.byoYomi = byoYomi;
+    normalized.stones = stones;
+  } else if (type === 'fischer') {
+    const increment = Number(timeControl.increment ?? 0);
+    if (!Number.isFinite(increment) || increment < 0) {
+      return { ok: false, reason: 'invalid_increment' };
+    }
+    normalized.increment = increment;
+  }
+
+  // Without overtime the main time is all there is
+  if ((type === 'absolute' || type === 'fischer') && minutes <= 0) {
+    return { ok: false, reason: 'invalid_time_control' };
+  }
+
+  return { ok: true, timeControl: normalized };
+}
+
+// Time control categories, from fastest to slowest ('untimed' = no clock)
+export const TIME_CONTROL_CATEGORIES = ['blitz', 'rapid', 'classical', 'correspondence', 'untimed'];
+
+// Moves per player a category estimate assumes
+const ESTIMATED_MOVES_PER_PLAYER = 100;
+
+// Upper limits of the estimated seconds per move for each timed category
+const CATEGORY_LIMITS = [
+  { category: 'blitz', maxSecondsPerMove: 15 },
+  { category: 'rapid', maxSecondsPerMove: 60 },
+  { category: 'classical', maxSecondsPerMove: 600 }
+];
+
+/**
+ * Category of a time control
+ * Based on the estimated time per move: main time spread over
+ * ESTIMATED_MOVES_PER_PLAYER moves, plus the overtime (or increment) per move.
+ * @param {Object|null} timeControl - Normalized time control (see normalizeTimeControl)
+ * @returns {string} One of TIME_CONTROL_CATEGORIES
+ */
+export function getTimeControlCategory(timeControl) {
+  if (!timeControl) {
+    return 'untimed';
+  }
+
+  let overtimePerMove = 0;
+  if (timeControl.type === 'byoyomi') {
+    overtimePerMove = timeControl.byoYomi;
+  } else if (timeControl.type === 'canadian') {
+    overtimePerMove = timeControl.byoYomi / timeControl.stones;
+  } else if (timeControl.type === 'fischer') {
+    overtimePerMove = timeControl.increment;
+  }
+
+  const secondsPerMove = (timeControl.minutes * 60) / ESTIMATED_MOVES_PER_PLAYER + overtimePerMove;
+  const limit = CATEGORY_LIMITS.find(entry => secondsPerMove < entry.maxSecondsPerMove);
+  return limit ? limit.category : 'correspondence';
+}
+
+class GameClock {
+  /**
+   * @param {Object} timeControl - Normalized time control (see normalizeTimeControl)
+   */
+  constructor(timeControl) {
+    this.timeControl = timeControl;
+    this.mainTimeMs = Math.round(timeControl.minutes * 60 * 1000);
+    this.periodMs = Math.round((timeControl.byoYomi || 0) * 1000);
+    this.incrementMs = Math.round((timeControl.increment || 0) * 1000);
+
+    this.players = {
+      black: this.createPlayerClock(),
+      white: this.createPlayerClock()
+    };
+    this.running = null; // Color whose clock is running
+    this.turnStartedAt = null; // Timestamp (ms) the running clock was started
+  }
+
+  /**
+   * Create the initial clock state for one player
+   * @returns {Object} Player clock state
+   */
+  createPlayerClock() {
+    return {
+      mainTime: this.mainTimeMs,
+      periodsLeft: this.timeControl.type === 'byoyomi' ? this.timeControl.periods : 0,
+      periodTime: this.periodMs,
+      stonesLeft: this.timeControl.type === 'canadian' ? this.timeControl.stones : 0,
+      inOvertime: this.mainTimeMs === 0 && (this.timeControl.type === 'byoyomi' || this.timeControl.type === 'canadian')
+    };
+  }
+
+  /**
+   * Start (or restart) the clock of a player
+   * @param {string} color - 'black' or 'white'
+   * @param {number} now - Timestamp in ms
+   */
+  start(color, now) {
+    this.running = color;
+    this.turnStartedAt = now;
+  }
+
+  /**
+   * Stop the running clock and charge the elapsed time (e.g. game ended)
+   * @param {number} now - Timestamp in ms
+   */
+  stop(now) {
+    if (this.running) {
+      this.players[this.running] = this.applyElapsed(this.running, now - this.turnStartedAt).player;
+    }
+    this.running = null;
+    this.turnStartedAt = null;
+  }
+
+  /**
+   * Charge elapsed time to a player's clock (pure, does not mutate)
+   * @param {string} color - 'black' or 'white'
+   * @param {number} elapsed - Elapsed ms
+   * @returns {{ player: Object, flagged: boolean }}
+   */
+  applyElapsed(color, elapsed) {
+    const player = { ...this.players[color] };
+    let remaining = Math.max(0, elapsed);
+    const type = this.timeControl.type;
+
+    if (!player.inOvertime) {
+      if (remaining < player.mainTime) {
+        player.mainTime -= remaining;
+        return { player, flagged: false };
+      }
+      remaining -= player.mainTime;
+      player.mainTime = 0;
+
+      if (type === 'absolute' || type === 'fischer') {
+        return { player, flagged: true };
+      }
+
+      player.inOvertime = true;
+      player.periodTime = this.periodMs;
+      if (type === 'canadian') {
+        player.stonesLeft = this.timeControl.stones;
+      }
+    }
+
+    if (type === 'byoyomi') {
+      // Every full period that passes is lost; the last one flags
+      const periodsUsed = Math.floor(remaining / this.periodMs);
+      if (periodsUsed >= player.periodsLeft) {
+        player.periodsLeft = 0;
+        player.periodTime = 0;
+        return { player, flagged: true };
+      }
+      player.periodsLeft -= periodsUsed;
+      player.periodTime = this.periodMs - (remaining % this.periodMs);
+      return { player, flagged: false };
+    }
+
+    if (type === 'canadian') {
+      if (remaining >= player.periodTime) {
+        player.periodTime = 0;
+        return { player, flagged: true };
+      }
+      player.periodTime -= remaining;
+      return { player, flagged: false };
+    }
+
+    return { player, flagged: remaining > 0 };
+  }
+
+  /**
+   * Check whether a player's flag has fallen
+   * @param {string} color - 'black' or 'white'
+   * @param {number} now - Timestamp in ms
+   * @returns {boolean}
+   */
+  hasFlagged(color, now) {
+    if (this.running !== color) {
+      return false;
+    }
+    return this.applyElapsed(color, now - this.turnStartedAt).flagged;
+  }
+
+  /**
+   * Milliseconds until the running player's flag falls
+   * @param {number} now - Timestamp in ms
+   * @returns {number|null} Null if no clock is running
+   */
+  timeUntilFlag(now) {
+    if (!this.running) {
+      return null;
+    }
+
+    const player = this.players[this.running];
+    const type = this.timeControl.type;
+    let capacity = player.inOvertime ? 0 : player.mainTime;
+
+    if (type === 'byoyomi') {
+      capacity += player.periodsLeft * this.periodMs;
+    } else if (type === 'canadian') {
+      capacity += player.inOvertime ? player.periodTime : this.periodMs;
+    }
+
+    return Math.max(0, capacity - (now - this.turnStartedAt));
+  }
+
+  /**
+   * A player completed a move: charge the time, apply overtime rules and
+   * start the opponent's clock.
+   * @param {string} color - Color that moved
+   * @param {number} now - Timestamp in ms
+   * @returns {{ flagged: boolean }}
+   */
+  punch(color, now) {
+    const elapsed = this.running === color ? now - this.turnStartedAt : 0;
+    const { player, flagged } = this.applyElapsed(color, elapsed);
+    this.players[color] = player;
+
+    if (flagged) {
+      this.running = null;
+      this.turnStartedAt = null;
+      return { flagged: true };
+    }
+
+    const type = this.timeControl.type;
+    if (type === 'fischer') {
+      player.mainTime += this.incrementMs;
+    } else if (type === 'byoyomi' && player.inOvertime) {
+      player.periodTime = this.periodMs; // Period resets after every move
+    } else if (type === 'canadian' && player.inOvertime) {
+      player.stonesLeft--;
+      if (player.stonesLeft <= 0) {
+        player.stonesLeft = this.timeControl.stones;
+        player.periodTime = this.periodMs;
+      }
+    }
+
+    this.start(color === 'black' ? 'white' : 'black', now);
+    return { flagged: false };
+  }
+
+  /**
+   * Get clock state for clients (remaining times as of `now`)
+   * @param {number} now - Timestamp in ms
+   * @returns {Object} Clock snapshot
+   */
+  getSnapshot(now) {
+    const snapshot = {
+      timeControl: this.timeControl,
+      running: this.running,
+      serverTime: now
+    };
+
+    for (const color of ['black', 'white']) {
+      const player = this.running === color
+        ? this.applyElapsed(color, now - this.turnStartedAt).player
+        : this.players[color];
+      snapshot[color] = {
+        mainTime: player.mainTime,
+        periodsLeft: player.periodsLeft,
+        periodTime: player.periodTime,
+        stonesLeft: player.stonesLeft,
+        inOvertime: player.inOvertime
+      };
+    }
+
+    return snapshot;
+  }
+}
+
+export default GameClock;
@@ -5,14 +5,21 @@
  * - Legal move validation (liberties, suicide, ko)
  * - Stone capture
  * - Pass handling
- * - Ko detection via Zobrist hashing (positional superko)
+ * - Ko detection via Zobrist hashing (superko)
+ * - Scoring: area (Chinese) or territory (Japanese) counting, seki-aware
+ * - Handicap games with fixed or free placement (see handicap.js)
  * 
- * Ko Variant: Positional Superko
- * - Tracks all previous board positions via hash
- * - Prevents repeating any previous board position
+ * Ko rule, suicide rule, scoring method and komi come from the game's rule
+ * set (see ruleSets.js):
+ * - Positional superko: prevents repeating any previous board position
+ * - Situational superko: prevents repeating a previous board position with
+ *   the same player to move
  */
 
 import ZobristHasher from './zobrist.js';
+import { RULE_SET_NAMES, DEFAULT_RULE_SET, getRuleSet, getDefaultKomi, normalizeKomi } from './ruleSets.js';
+import { normalizeHandicap, getFixedHandicapPoints, getHandicapKomi, supportsFixedHandicap } from './handicap.js';
+import { MIN_BOARD_SIZE, MAX_BOARD_SIZE, isValidBoardSize } from './boardSize.js';
 
 class GoEngine {
   constructor() {
@@ -23,37 +30,72 @@ class GoEngine {
   /**
    * Create a new game state
    * @param {string} gameId - Game ID
-   * @param {number} boardSize - Board size (9, 13, or 19)
-   * @param {number} komi - Komi for white (default 6.5 for 19x19, 0.5 for 9x9)
+   * @param {number} boardSize - Board size (5 to 25, see boardSize.js)
+   * @param {number} komi - Komi for white (default: komi of the rule set, 0.5 up to 9x9)
+   * @param {string} rules - Rule set name (see RULE_SET_NAMES, default 'chinese')
+   * @param {Object|null} handicap - Handicap { stones: 2-9, placement: 'fixed'|'free' } (null = even game)
    */
-  createGameState(gameId, boardSize, komi = null) {
-    if (![9, 13, 19].includes(boardSize)) {
-      throw new Error(`Invalid board size: ${boardSize}. Must be 9, 13, or 19.`);
+  createGameState(gameId, boardSize, komi = null, rules = DEFAULT_RULE_SET, handicap = null) {
+    if (!isValidBoardSize(boardSize)) {
+      throw new Error(`Invalid board size: ${boardSize}. Must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}.`);
     }
+    const ruleSet = getRuleSet(rules);
+    if (!ruleSet) {
+      throw new Error(`Invalid rules: ${rules}. Must be one of ${RULE_SET_NAMES.join(', ')}.`);
+    }
+    const handicapResult = normalizeHandicap(handicap);
+    if (!handicapResult.ok) {
+      throw new Error(`Invalid handicap: ${handicapResult.reason}`);
+    }
+    handicap = handicapResult.handicap;
+    if (handicap && handicap.placement === 'fixed' && !supportsFixedHandicap(boardSize)) {
+      throw new Error(`Invalid handicap: no fixed placement on ${boardSize}x${boardSize}`);
+    }
+    const komiResult = normalizeKomi(komi);
+    if (!komiResult.ok) {
+      throw new Error(`Invalid komi: ${komi}`);
+    }
+    komi = komiResult.komi;
 
-    // Set komi based on board size if not provided
-    // Standard komi: 19x19 = 6.5, 13x13 = 6.5, 9x9 = 0.5
+    // Set komi based on rule set, board size and handicap if not provided
     if (komi === null) {
-      komi = boardSize === 19 ? 6.5 : boardSize === 13 ? 6.5 : 0.5;
+      komi = handicap ? getHandicapKomi(ruleSet, handicap.stones) : getDefaultKomi(ruleSet, boardSize);
     }
 
     const hasher = new ZobristHasher(boardSize);
     const board = this.createEmptyBoard(boardSize);
+
+    // Fixed handicap stones start on the board and White moves first;
+    // with free placement Black places them as the first moves
+    const handicapStones = [];
+    if (handicap && handicap.placement === 'fixed') {
+      for (const pos of getFixedHandicapPoints(boardSize, handicap.stones)) {
+        board[pos.y][pos.x] = 'black';
+        handicapStones.push(pos);
+      }
+    }
+    const currentPlayer = handicapStones.length > 0 ? 'white' : 'black';
     const boardHash = hasher.hashBoard(board);
 
     const gameState = {
       gameId,
       boardSize,
       komi,
+      rules,
+      ruleSet,
       board,
-      currentPlayer: 'black', // Black plays first
+      handicap,
+      handicapStones, // Handicap stones on the board ({x, y})
+      handicapStonesToPlace: handicap && handicap.placement === 'free' ? handicap.stones : 0,
+      currentPlayer, // Black plays first (White in handicap games)
       moveNumber: 0,
       moveHistory: [],
-      previousHashes: new Set([hasher.hashToString(boardHash)]), // Store initial empty board
+      previousHashes: new Set([this.getPositionKey(ruleSet, hasher.hashToString(boardHash), currentPlayer)]), // Store initial board
       hasher,
       consecutivePasses: 0,
       capturedStones: { black: 0, white: 0 },
-      lastKoHash: null // Hash of board before last move (for simple ko detection)
+      lastKoHash: null, // Hash of board before last move (for simple ko detection)
+      undoStack: [] // Snapshots taken before every move (see undoMove)
     };
 
     this.gameStates.set(gameId, gameState);
@@ -69,6 +111,18 @@ class GoEngine {
     return Array(size).fill(null).map(() => Array(size).fill(null));
   }
 
+  /**
+   * Key of a position in the superko history
+   * Situational superko also distinguishes the player to move.
+   * @param {Object} ruleSet - Rule set of the game
+   * @param {string} hashString - Board hash
+   * @param {string} playerToMove - 'black' or 'white'
+   * @returns {string} Position key
+   */
+  getPositionKey(ruleSet, hashString, playerToMove) {
+    return ruleSet.koRule === 'situational' ? `${hashString}:${playerToMove}` : hashString;
+  }
+
   /**
    * Get current player
    * @param {string} gameId - Game ID
@@ -111,6 +165,11 @@ class GoEngine {
       return { ok: false, reason: 'not_your_turn' };
     }
 
+    // Free handicap stones may go on any empty point
+    if (state.handicapStonesToPlace > 0) {
+      return { ok: true };
+    }
+
     // Place stone temporarily to check captures and suicide
     const testBoard = state.board.map(row => [...row]);
     testBoard[y][x] = color;
@@ -132,15 +191,23 @@ class GoEngine {
 
     // If no captures and no liberties, it's suicide
     if (capturedGroups.length === 0 && !hasLiberties) {
-      return { ok: false, reason: 'suicide_move' };
+      // Rule sets with legal suicide remove the own group instead; a single
+      // stone would only recreate the previous position
+      if (!state.ruleSet.suicide || placedGroup.length === 1) {
+        return { ok: false, reason: 'suicide_move' };
+      }
+      for (const pos of placedGroup) {
+        boardAfterCapture[pos.y][pos.x] = null;
+      }
     }
 
-    // Check Ko (positional superko)
+    // Check Ko (superko as defined by the rule set)
     // Calculate what the board would look like after this move
     const boardHash = state.hasher.hashBoard(boardAfterCapture);
     const hashString = state.hasher.hashToString(boardHash);
+    const opponent = color === 'black' ? 'white' : 'black';
 
-    if (state.previousHashes.has(hashString)) {
+    if (state.previousHashes.has(this.getPositionKey(state.ruleSet, hashString, opponent))) {
       return { ok: false, reason: 'ko_violation' };
     }
 
@@ -167,6 +234,12 @@ class GoEngine {
       throw new Error(`Illegal move: ${validation.reason}`);
     }
 
+    this.saveUndoSnapshot(state);
+
+    if (state.handicapStonesToPlace > 0) {
+      return this.placeHandicapStone(state, x, y);
+    }
+
     // Get current hash before move
     const currentHash = state.hasher.hashBoard(state.board);
     const currentHashString = state.hasher.hashToString(currentHash);
@@ -194,12 +267,24 @@ class GoEngine {
       state.capturedStones.white += totalCaptured;
     }
 
+    // Suicide (only legal if the rule set allows it): the own group is
+    // removed and counts as captured by the opponent
+    const opponent = color === 'black' ? 'white' : 'black';
+    const placedGroup = this.getGroup(state.board, x, y, color);
+    if (!this.groupHasLiberties(state.board, placedGroup)) {
+      for (const pos of placedGroup) {
+        state.board[pos.y][pos.x] = null;
+        allCaptures.push({ x: pos.x, y: pos.y });
+      }
+      state.capturedStones[opponent] += placedGroup.length;
+    }
+
     // Calculate new board hash
     const newHash = state.hasher.hashBoard(state.board);
     const newHashString = state.hasher.hashToString(newHash);
 
-    // Store hash in previous hashes (for ko detection)
-    state.previousHashes.add(newHashString);
+    // Store position in previous hashes (for ko detection)
+    state.previousHashes.add(this.getPositionKey(state.ruleSet, newHashString, opponent));
     state.lastKoHash = currentHashString;
 
     // Update game state
@@ -211,7 +296,7 @@ class GoEngine {
       moveNumber: state.moveNumber,
       captures: allCaptures.length
     });
-    state.currentPlayer = color === 'black' ? 'white' : 'black';
+    state.currentPlayer = opponent;
     state.consecutivePasses = 0;
 
     return {
@@ -221,6 +306,138 @@ class GoEngine {
     };
   }
 
+  /**
+   * Place a free handicap stone (called by applyMove)
+   * After the last stone the superko history starts from the handicap
+   * position and White moves.
+   * @param {GameState} state - Game state
+   * @param {number} x - X coordinate (0-indexed)
+   * @param {number} y - Y coordinate (0-indexed)
+   * @returns {{ state: GameState, captures: Array, newHash: string, handicapPlacement: boolean }}
+   */
+  placeHandicapStone(state, x, y) {
+    state.board[y][x] = 'black';
+    state.handicapStones.push({ x, y });
+    state.handicapStonesToPlace--;
+
+    const newHashString = state.hasher.hashToString(state.hasher.hashBoard(state.board));
+    if (state.handicapStonesToPlace === 0) {
+      state.currentPlayer = 'white';
+      state.previousHashes = new Set([this.getPositionKey(state.ruleSet, newHashString, 'white')]);
+    }
+
+    return {
+      state,
+      captures: [],
+      newHash: newHashString,
+      handicapPlacement: true
+    };
+  }
+
+  /**
+   * Put setup stones on the board (SGF AB/AW/AE, imported start positions)
+   * Setup stones are not moves: nothing is captured and the resulting
+   * position starts a new superko history.
+   * @param {string} gameId - Game ID
+   * @param {Object} stones - Points to change ({ black, white, empty }, arrays of {x, y})
+   * @param {string|null} playerToMove - 'black' or 'white' (null = unchanged)
+   * @returns {GameState}
+   */
+  setupPosition(gameId, stones, playerToMove = null) {
+    const state = this.gameStates.get(gameId);
+    if (!state) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+
+    const changes = [
+      ...(stones.black || []).map(pos => ({ ...pos, color: 'black' })),
+      ...(stones.white || []).map(pos => ({ ...pos, color: 'white' })),
+      ...(stones.empty || []).map(pos => ({ ...pos, color: null }))
+    ];
+    for (const { x, y } of changes) {
+      if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= state.boardSize || y < 0 || y >= state.boardSize) {
+        throw new Error(`Invalid setup point: ${x},${y}`);
+      }
+    }
+    for (const { x, y, color } of changes) {
+      state.board[y][x] = color;
+    }
+
+    if (playerToMove) {
+      state.currentPlayer = playerToMove;
+    }
+    const hashString = state.hasher.hashToString(state.hasher.hashBoard(state.board));
+    state.previousHashes = new Set([this.getPositionKey(state.ruleSet, hashString, state.currentPlayer)]);
+    state.consecutivePasses = 0;
+    state.undoStack = [];
+
+    return state;
+  }
+
+  /**
+   * Remember the state before a move so undoMove can restore it
+   * The superko history is not copied: a move only appends to the set (or
+   * replaces it after the last free handicap stone), so its size and the
+   * set itself are enough to roll it back.
+   * @param {GameState} state - Game state
+   */
+  saveUndoSnapshot(state) {
+    state.undoStack.push({
+      board: state.board.map(row => [...row]),
+      capturedStones: { ...state.capturedStones },
+      currentPlayer: state.currentPlayer,
+      consecutivePasses: state.consecutivePasses,
+      moveNumber: state.moveNumber,
+      moveHistoryLength: state.moveHistory.length,
+      lastKoHash: state.lastKoHash,
+      handicapStonesLength: state.handicapStones.length,
+      handicapStonesToPlace: state.handicapStonesToPlace,
+      status: state.status,
+      previousHashes: state.previousHashes,
+      previousHashesSize: state.previousHashes.size
+    });
+  }
+
+  /**
+   * Take back the last move (stone, pass or free handicap stone)
+   * Board, captures, superko history and turn are exactly as before the move.
+   * @param {string} gameId - Game ID
+   * @returns {GameState}
+   */
+  undoMove(gameId) {
+    const state = this.gameStates.get(gameId);
+    if (!state) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+
+    const snapshot = state.undoStack.pop();
+    if (!snapshot) {
+      throw new Error('nothing_to_undo');
+    }
+
+    // Sets keep insertion order: the positions added by the move are the last ones
+    if (state.previousHashes === snapshot.previousHashes) {
+      const added = [...state.previousHashes].slice(snapshot.previousHashesSize);
+      for (const key of added) {
+        state.previousHashes.delete(key);
+      }
+    }
+    state.previousHashes = snapshot.previousHashes;
+
+    state.board = snapshot.board;
+    state.capturedStones = snapshot.capturedStones;
+    state.currentPlayer = snapshot.currentPlayer;
+    state.consecutivePasses = snapshot.consecutivePasses;
+    state.moveNumber = snapshot.moveNumber;
+    state.moveHistory.length = snapshot.moveHistoryLength;
+    state.lastKoHash = snapshot.lastKoHash;
+    state.handicapStones.length = snapshot.handicapStonesLength;
+    state.handicapStonesToPlace = snapshot.handicapStonesToPlace;
+    state.status = snapshot.status;
+
+    return state;
+  }
+
   /**
    * Handle a pass move
    * @param {string} gameId - Game ID
@@ -238,6 +455,13 @@ class GoEngine {
       throw new Error('Not your turn');
     }
 
+    // Black cannot pass while placing free handicap stones
+    if (state.handicapStonesToPlace > 0) {
+      throw new Error('handicap_placement');
+    }
+
+    this.saveUndoSnapshot(state);
+
     state.consecutivePasses++;
     state.moveNumber++;
     state.moveHistory.push({
@@ -247,6 +471,11 @@ class GoEngine {
     });
     state.currentPlayer = color === 'black' ? 'white' : 'black';
 
+    // Under situational superko the same position with the other player to
+    // move is a new position
+    const hashString = state.hasher.hashToString(state.hasher.hashBoard(state.board));
+    state.previousHashes.add(this.getPositionKey(state.ruleSet, hashString, state.currentPlayer));
+
     // Game ends if both players pass consecutively
     const ended = state.consecutivePasses >= 2;
     
@@ -260,47 +489,171 @@ class GoEngine {
     };
   }
 
+  /**
+   * Resume play after both players passed (scoring phase was rejected)
+   * @param {string} gameId - Game ID
+   * @returns {GameState}
+   */
+  resumePlay(gameId) {
+    const state = this.gameStates.get(gameId);
+    if (!state) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+
+    state.consecutivePasses = 0;
+    state.status = 'active';
+    return state;
+  }
+
+  /**
+   * Score the game with the scoring method of its rule set
+   * (area: scoreChinese, territory: scoreJapanese)
+   * @param {string} gameId - Game ID
+   * @param {Array<{x, y}>} deadStones - Stones agreed dead in the scoring phase
+   * @returns {Object} Score result (see scoreChinese / scoreJapanese)
+   */
+  score(gameId, deadStones = []) {
+    const state = this.gameStates.get(gameId);
+    if (!state) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+    return state.ruleSet.scoring === 'territory'
+      ? this.scoreJapanese(gameId, deadStones)
+      : this.scoreChinese(gameId, deadStones);
+  }
+
   /**
    * Calculate Chinese Scoring
    * 
-   * Chinese Scoring (Area Scoring):
+   * Chinese Scoring (Area Scoring, also used by AGA, NZ and Tromp-Taylor rules):
    * - Points = (Stones on board) + (Territory controlled)
    * - Territory = empty intersections surrounded by one color
    * - Komi is added to white's score
+   * - Stones marked dead are removed before counting
    * 
-   * Note: This is an MVP implementation. Complex cases like Seki are not handled.
+   * Seki (see findSeki):
+   * - Stones in seki are alive and count as area
+   * - Eyes of groups in seki count for their owner
+   * - Shared liberties of groups in seki are dame (nobody's area)
    * 
    * @param {string} gameId - Game ID
-   * @returns {{ black: number, white: number, winner: 'black'|'white'|null, scoreDiff: number }}
+   * @param {Array<{x, y}>} deadStones - Stones agreed dead in the scoring phase
+   * @returns {{ black: number, white: number, winner: 'black'|'white'|null, scoreDiff: number, komi: number, territory: Object, breakdown: Object, seki: Object }}
    */
-  scoreChinese(gameId) {
+  scoreChinese(gameId, deadStones = []) {
     const state = this.gameStates.get(gameId);
     if (!state) {
       throw new Error(`Game ${gameId} not found`);
     }
 
-    const board = state.board;
-    const boardSize = state.boardSize;
     const komi = state.komi || 0;
+    const analysis = this.analyzeFinalPosition(state.board, deadStones);
+    const { stones, territory } = analysis;
+
+    return this.buildScoreResult(
+      stones.black + territory.black,
+      stones.white + territory.white + komi,
+      komi,
+      {
+        rules: state.rules,
+        territory,
+        breakdown: {
+          black: { stones: stones.black, territory: territory.black },
+          white: { stones: stones.white, territory: territory.white, komi }
+        },
+        seki: analysis.seki
+      }
+    );
+  }
+
+  /**
+   * Calculate Japanese Scoring
+   * 
+   * Japanese/Korean Scoring (Territory Scoring):
+   * - Points = (Territory) + (Prisoners)
+   * - Prisoners = stones captured during the game + opponent stones marked dead
+   * - Eyes of groups in seki are not territory; seki dame count for nobody
+   * - Komi is added to white's score
+   * 
+   * @param {string} gameId - Game ID
+   * @param {Array<{x, y}>} deadStones - Stones agreed dead in the scoring phase
+   * @returns {{ black: number, white: number, winner: 'black'|'white'|null, scoreDiff: number, komi: number, territory: Object, prisoners: Object, breakdown: Object, seki: Object }}
+   */
+  scoreJapanese(gameId, deadStones = []) {
+    const state = this.gameStates.get(gameId);
+    if (!state) {
+      throw new Error(`Game ${gameId} not found`);
+    }
+
+    const komi = state.komi || 0;
+    const analysis = this.analyzeFinalPosition(state.board, deadStones);
+
+    // No points in seki
+    const territory = {
+      black: analysis.territory.black - analysis.sekiEyes.black,
+      white: analysis.territory.white - analysis.sekiEyes.white
+    };
+
+    // Dead stones are taken off the board as prisoners of the opponent
+    const prisoners = { black: state.capturedStones.black, white: state.capturedStones.white };
+    for (const pos of deadStones) {
+      const color = state.board[pos.y][pos.x];
+      if (color === 'white') {
+        prisoners.black++;
+      } else if (color === 'black') {
+        prisoners.white++;
+      }
+    }
+
+    return this.buildScoreResult(
+      territory.black + prisoners.black,
+      territory.white + prisoners.white + komi,
+      komi,
+      {
+        rules: state.rules,
+        territory,
+        prisoners,
+        breakdown: {
+          black: { territory: territory.black, prisoners: prisoners.black },
+          white: { territory: territory.white, prisoners: prisoners.white, komi }
+        },
+        seki: analysis.seki
+      }
+    );
+  }
+
+  /**
+   * Count stones, territory and seki of a final position
+   * @param {Array<Array<string|null>>} stateBoard - Board state
+   * @param {Array<{x, y}>} deadStones - Stones to remove before counting
+   * @returns {{ stones: Object, territory: Object, sekiEyes: Object, seki: Object }}
+   */
+  analyzeFinalPosition(stateBoard, deadStones) {
+    const board = stateBoard.map(row => [...row]);
+    for (const pos of deadStones) {
+      board[pos.y][pos.x] = null;
+    }
+    const boardSize = board.length;
 
     // Count stones on board
-    let blackStones = 0;
-    let whiteStones = 0;
+    const stones = { black: 0, white: 0 };
 
     for (let y = 0; y < boardSize; y++) {
       for (let x = 0; x < boardSize; x++) {
-        if (board[y][x] === 'black') {
-          blackStones++;
-        } else if (board[y][x] === 'white') {
-          whiteStones++;
+        if (board[y][x] !== null) {
+          stones[board[y][x]]++;
         }
       }
     }
 
+    const seki = this.findSeki(board);
+    const sekiDame = [];
+    const sekiEyes = [];
+    const sekiEyeCount = { black: 0, white: 0 };
+
     // Find territory (empty regions)
     const visited = Array(boardSize).fill(null).map(() => Array(boardSize).fill(false));
-    let blackTerritory = 0;
-    let whiteTerritory = 0;
+    const territory = { black: 0, white: 0 };
 
     for (let y = 0; y < boardSize; y++) {
       for (let x = 0; x < boardSize; x++) {
@@ -309,19 +662,42 @@ class GoEngine {
           const region = this.getEmptyRegion(board, x, y, boardSize, visited);
           const territoryOwner = this.analyzeTerritory(board, region, boardSize);
           
-          if (territoryOwner === 'black') {
-            blackTerritory += region.length;
-          } else if (territoryOwner === 'white') {
-            whiteTerritory += region.length;
+          if (territoryOwner) {
+            territory[territoryOwner] += region.length;
           }
           // If territoryOwner is null, it's neutral (touches both colors or neither)
+
+          if (region.some(pos => seki.eyes.has(`${pos.x},${pos.y}`))) {
+            sekiEyes.push(...region);
+            sekiEyeCount[territoryOwner] += region.length;
+          } else if (region.some(pos => seki.points.has(`${pos.x},${pos.y}`))) {
+            sekiDame.push(...region);
+          }
         }
       }
     }
 
-    // Calculate scores
-    const scoreBlack = blackStones + blackTerritory;
-    const scoreWhite = whiteStones + whiteTerritory + komi;
+    return {
+      stones,
+      territory,
+      sekiEyes: sekiEyeCount,
+      seki: {
+        stones: [...seki.stones].map(key => this.parsePointKey(key)),
+        dame: sekiDame,
+        eyes: sekiEyes
+      }
+    };
+  }
+
+  /**
+   * Build a score result from both totals
+   * @param {number} scoreBlack - Black's total
+   * @param {number} scoreWhite - White's total (including komi)
+   * @param {number} komi - Komi
+   * @param {Object} details - Rule-specific details merged into the result
+   * @returns {Object} Score result
+   */
+  buildScoreResult(scoreBlack, scoreWhite, komi, details) {
     const scoreDiff = scoreBlack - scoreWhite;
 
     // Determine winner
@@ -337,10 +713,163 @@ class GoEngine {
       white: scoreWhite,
       winner,
       scoreDiff: Math.abs(scoreDiff),
-      komi
+      komi,
+      ...details
     };
   }
 
+  /**
+   * Detect seki in a final position (dead stones already removed)
+   * 
+   * Empty regions touching both colors are filled like dame before counting,
+   * as long as one side can fill a point without self-atari and without
+   * capturing. Points that neither side can fill are seki points: the chains
+   * touching them are in seki, and one-color regions enclosed by those chains
+   * are their eyes.
+   * 
+   * @param {Array<Array<string|null>>} board - Board state
+   * @returns {{ stones: Set<string>, points: Set<string>, eyes: Set<string> }} Sets of "x,y" keys
+   */
+  findSeki(board) {
+    const boardSize = board.length;
+    const filled = board.map(row => [...row]);
+
+    // Fill all dame that one side can safely occupy (one point per region and pass)
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const region of this.getNeutralRegions(filled)) {
+        for (const pos of region) {
+          const color = ['black', 'white'].find(c => this.isSafeFill(filled, pos.x, pos.y, c));
+          if (color) {
+            filled[pos.y][pos.x] = color;
+            changed = true;
+            break;
+          }
+        }
+      }
+    }
+
+    // Remaining neutral points are seki points unless a capture is still possible
+    const stones = new Set();
+    const points = new Set();
+    for (const region of this.getNeutralRegions(filled)) {
+      for (const pos of region) {
+        if (this.wouldCapture(filled, pos.x, pos.y, 'black') || this.wouldCapture(filled, pos.x, pos.y, 'white')) continue;
+
+        points.add(`${pos.x},${pos.y}`);
+        for (const adj of this.getAdjacentPositions(pos.x, pos.y, boardSize)) {
+          const color = filled[adj.y][adj.x];
+          if (color === null) continue;
+          for (const stone of this.getGroup(filled, adj.x, adj.y, color)) {
+            // Only real stones are in seki, not the stones used to fill dame
+            if (board[stone.y][stone.x] !== null) {
+              stones.add(`${stone.x},${stone.y}`);
+            }
+          }
+        }
+      }
+    }
+
+    // Eyes: one-color regions bordered by a chain in seki
+    const eyes = new Set();
+    const visited = Array(boardSize).fill(null).map(() => Array(boardSize).fill(false));
+    for (let y = 0; y < boardSize; y++) {
+      for (let x = 0; x < boardSize; x++) {
+        if (board[y][x] !== null || visited[y][x]) continue;
+
+        const region = this.getEmptyRegion(board, x, y, boardSize, visited);
+        if (this.analyzeTerritory(board, region, boardSize) === null) continue;
+
+        const bordersSeki = region.some(pos =>
+          this.getAdjacentPositions(pos.x, pos.y, boardSize).some(adj => stones.has(`${adj.x},${adj.y}`))
+        );
+        if (bordersSeki) {
+          for (const pos of region) {
+            eyes.add(`${pos.x},${pos.y}`);
+          }
+        }
+      }
+    }
+
+    return { stones, points, eyes };
+  }
+
+  /**
+   * Get all empty regions that touch stones of both colors
+   * @param {Array<Array<string|null>>} board - Board state
+   * @returns {Array<Array<{x, y}>>} Neutral regions
+   */
+  getNeutralRegions(board) {
+    const boardSize = board.length;
+    const visited = Array(boardSize).fill(null).map(() => Array(boardSize).fill(false));
+    const regions = [];
+
+    for (let y = 0; y < boardSize; y++) {
+      for (let x = 0; x < boardSize; x++) {
+        if (board[y][x] !== null || visited[y][x]) continue;
+
+        const region = this.getEmptyRegion(board, x, y, boardSize, visited);
+        const colors = new Set();
+        for (const pos of region) {
+          for (const adj of this.getAdjacentPositions(pos.x, pos.y, boardSize)) {
+            if (board[adj.y][adj.x] !== null) {
+              colors.add(board[adj.y][adj.x]);
+            }
+          }
+        }
+        if (colors.size === 2) {
+          regions.push(region);
+        }
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Check if a color can occupy a point without capturing and without self-atari
+   * @param {Array<Array<string|null>>} board - Board state
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} color - 'black' or 'white'
+   * @returns {boolean}
+   */
+  isSafeFill(board, x, y, color) {
+    if (this.wouldCapture(board, x, y, color)) {
+      return false;
+    }
+
+    const testBoard = board.map(row => [...row]);
+    testBoard[y][x] = color;
+    const group = this.getGroup(testBoard, x, y, color);
+    return this.countLiberties(testBoard, group) >= 2;
+  }
+
+  /**
+   * Check if playing a color at a point would capture opponent stones
+   * @param {Array<Array<string|null>>} board - Board state
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} color - 'black' or 'white'
+   * @returns {boolean}
+   */
+  wouldCapture(board, x, y, color) {
+    const testBoard = board.map(row => [...row]);
+    testBoard[y][x] = color;
+    return this.findCapturedGroups(testBoard, x, y, color).length > 0;
+  }
+
+  /**
+   * Parse an "x,y" point key
+   * @param {string} key - Point key
+   * @returns {{x, y}}
+   */
+  parsePointKey(key) {
+    const [x, y] = key.split(',').map(Number);
+    return { x, y };
+  }
+
   /**
    * Get all empty intersections in a connected region
    * @param {Array<Array<string|null>>} board - Board state
@@ -517,6 +1046,26 @@ class GoEngine {
     return false; // No liberties found
   }
 
+  /**
+   * Count the liberties of a group
+   * @param {Array<Array<string|null>>} board - Board state
+   * @param {Array<{x, y}>} group - Group of stones
+   * @returns {number} Number of distinct empty points next to the group
+   */
+  countLiberties(board, group) {
+    const liberties = new Set();
+
+    for (const pos of group) {
+      for (const adj of this.getAdjacentPositions(pos.x, pos.y, board.length)) {
+        if (board[adj.y][adj.x] === null) {
+          liberties.add(`${adj.x},${adj.y}`);
+        }
+      }
+    }
+
+    return liberties.size;
+  }
+
   /**
    * Get adjacent positions (up, down, left, right)
    * @param {number} x - X coordinate
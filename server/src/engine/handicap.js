@@ -0,0 +1,108 @@
+/**
+ * Handicap - Stone Placement and Komi
+ *
+ * Handicap games give Black 2 to 9 stones before White's first move:
+ * - Fixed placement: stones go on the standard star points
+ * - Free placement: Black places the stones anywhere, one per move
+ *
+ * White moves first once the stones are on the board. Komi drops to
+ * HANDICAP_KOMI; area scoring rule sets additionally compensate White for
+ * the extra stones (see the rule set's handicapCompensation).
+ */
+
+export const MIN_HANDICAP = 2;
+export const MAX_HANDICAP = 9;
+
+export const HANDICAP_PLACEMENTS = ['fixed', 'free'];
+
+// Komi in handicap games before compensation
+export const HANDICAP_KOMI = 0.5;
+
+/**
+ * Validate a handicap setting
+ * @param {Object|null} handicap - { stones, placement } (null or 0 stones = even game)
+ * @returns {{ ok: boolean, handicap?: Object|null, reason?: string }}
+ */
+export function normalizeHandicap(handicap) {
+  if (handicap === null || handicap === undefined || handicap.stones === 0) {
+    return { ok: true, handicap: null };
+  }
+  if (typeof handicap !== 'object') {
+    return { ok: false, reason: 'invalid_handicap' };
+  }
+
+  const stones = Number(handicap.stones);
+  const placement = handicap.placement || 'fixed';
+
+  if (!Number.isInteger(stones) || stones < MIN_HANDICAP || stones > MAX_HANDICAP) {
+    return { ok: false, reason: 'invalid_handicap' };
+  }
+  if (!HANDICAP_PLACEMENTS.includes(placement)) {
+    return { ok: false, reason: 'invalid_handicap_placement' };
+  }
+
+  return { ok: true, handicap: { stones, placement } };
+}
+
+/**
+ * Check whether a board has star points for fixed placement
+ * (odd sizes from 7x7 up; even boards have no center point)
+ * @param {number} boardSize - Board size
+ * @returns {boolean}
+ */
+export function supportsFixedHandicap(boardSize) {
+  return boardSize >= 7 && boardSize % 2 === 1;
+}
+
+/**
+ * Star points for fixed handicap placement
+ * Order follows the usual convention: the first two stones go on opposite
+ * corners, the fifth/seventh/ninth stone on the center point.
+ * @param {number} boardSize - Board size (odd, at least 7)
+ * @param {number} stones - Number of handicap stones (2-9)
+ * @returns {Array<{x, y}>} Points (x = column, y = row from the top)
+ */
+export function getFixedHandicapPoints(boardSize, stones) {
+  const edge = boardSize >= 13 ? 3 : 2;
+  const far = boardSize - 1 - edge;
+  const mid = (boardSize - 1) / 2;
+
+  const corners = [
+    { x: far, y: edge }, // upper right
+    { x: edge, y: far }, // lower left
+    { x: far, y: far }, // lower right
+    { x: edge, y: edge } // upper left
+  ];
+  const sides = [
+    { x: edge, y: mid }, // left
+    { x: far, y: mid }, // right
+    { x: mid, y: edge }, // top
+    { x: mid, y: far } // bottom
+  ];
+  const center = { x: mid, y: mid };
+
+  const points = corners.slice(0, Math.min(stones, 4));
+  if (stones >= 6) {
+    points.push(...sides.slice(0, stones >= 8 ? 4 : 2));
+  }
+  if (stones % 2 === 1 && stones >= 5) {
+    points.push(center);
+  }
+  return points;
+}
+
+/**
+ * Komi for a handicap game
+ * @param {Object} ruleSet - Rule set of the game
+ * @param {number} stones - Number of handicap stones
+ * @returns {number} Komi for White
+ */
+export function getHandicapKomi(ruleSet, stones) {
+  if (ruleSet.handicapCompensation === 'per_stone') {
+    return HANDICAP_KOMI + stones;
+  }
+  if (ruleSet.handicapCompensation === 'per_extra_stone') {
+    return HANDICAP_KOMI + stones - 1;
+  }
+  return HANDICAP_KOMI;
+}
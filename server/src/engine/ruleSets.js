@@ -0,0 +1,106 @@
+/**
+ * Rule Sets - Bundled Go Rule Choices
+ *
+ * A rule set decides everything that differs between the major Go rules:
+ * - koRule: 'positional' superko (no board position may repeat) or
+ *   'situational' superko (no position may repeat with the same player to move)
+ * - suicide: whether multi-stone suicide is legal (single-stone suicide never is,
+ *   it would only repeat the previous position)
+ * - scoring: 'area' (stones + territory) or 'territory' (territory + prisoners)
+ * - komi: Komi for boards larger than 9x9 (smaller boards use SMALL_BOARD_KOMI)
+ * - handicapCompensation: extra komi for White in handicap games, one point
+ *   'per_stone', 'per_extra_stone' (all but the first) or 'none'
+ *
+ * Every game carries the name of its rule set; the engine looks the preset up
+ * with getRuleSet().
+ */
+
+// Komi on 9x9 and smaller boards, independent of the rule set
+export const SMALL_BOARD_KOMI = 0.5;
+
+// Largest custom komi (either side)
+const MAX_KOMI = 100;
+
+export const RULE_SETS = {
+  chinese: {
+    name: 'chinese',
+    koRule: 'positional',
+    suicide: false,
+    scoring: 'area',
+    komi: 6.5,
+    handicapCompensation: 'per_stone'
+  },
+  japanese: {
+    name: 'japanese',
+    koRule: 'situational',
+    suicide: false,
+    scoring: 'territory',
+    komi: 6.5,
+    handicapCompensation: 'none'
+  },
+  aga: {
+    name: 'aga',
+    koRule: 'situational',
+    suicide: false,
+    scoring: 'area',
+    komi: 7.5,
+    handicapCompensation: 'per_extra_stone'
+  },
+  nz: {
+    name: 'nz',
+    koRule: 'situational',
+    suicide: true,
+    scoring: 'area',
+    komi: 7,
+    handicapCompensation: 'none'
+  },
+  'tromp-taylor': {
+    name: 'tromp-taylor',
+    koRule: 'positional',
+    suicide: true,
+    scoring: 'area',
+    komi: 7.5,
+    handicapCompensation: 'none'
+  }
+};
+
+export const RULE_SET_NAMES = Object.keys(RULE_SETS);
+
+export const DEFAULT_RULE_SET = 'chinese';
+
+/**
+ * Look up a rule set preset by name
+ * @param {string} name - Rule set name (see RULE_SET_NAMES)
+ * @returns {Object|null} Rule set, or null if unknown
+ */
+export function getRuleSet(name) {
+  return Object.prototype.hasOwnProperty.call(RULE_SETS, name) ? RULE_SETS[name] : null;
+}
+
+/**
+ * Default komi of a rule set for a board size
+ * @param {Object} ruleSet - Rule set
+ * @param {number} boardSize - Board size
+ * @returns {number} Komi
+ */
+export function getDefaultKomi(ruleSet, boardSize) {
+  return boardSize <= 9 ? SMALL_BOARD_KOMI : ruleSet.komi;
+}
+
+/**
+ * Validate a custom komi sent by a client
+ * Komi must be a multiple of 0.5 (e.g. 7.5, 0 or -3).
+ * @param {number|null} komi - Raw komi (null = default komi of the rule set)
+ * @returns {{ ok: boolean, komi?: number|null, reason?: string }}
+ */
+export function normalizeKomi(komi) {
+  if (komi === null || komi === undefined) {
+    return { ok: true, komi: null };
+  }
+
+  if (typeof komi !== 'number' || !Number.isInteger(komi * 2) || Math.abs(komi) > MAX_KOMI) {
+    return { ok: false, reason: 'invalid_komi' };
+  }
+
+  return { ok: true, komi };
+}
@@ -0,0 +1,572 @@
+/**
+ * SGF - Smart Game Format (FF[4]) Game Records
+ *
+ * Export writes a game as an SGF file that other Go tools can open:
+ * - Root node: board size, komi, rules, players, ranks, result, time control, dates
+ * - Handicap stones as AB setup (fixed stones and free placement moves)
+ * - One node per move, passes as empty B[]/W[]
+ *
+ * Import parses an SGF file into a GoEngine game state. Variations are kept
+ * as a tree and every move, in every variation, is checked with isLegalMove.
+ *
+ * Points are written as two letters (column, row from the top), 'a' = 0.
+ */
+
+import { getFixedHandicapPoints } from './handicap.js';
+import { DEFAULT_RULE_SET, normalizeKomi } from './ruleSets.js';
+import { isValidBoardSize } from './boardSize.js';
+
+// SGF RU[] values of the rule sets (see ruleSets.js)
+export const SGF_RULES = {
+  chinese: 'Chinese',
+  japanese: 'Japanese',
+  aga: 'AGA',
+  nz: 'NZ',
+  'tromp-taylor': 'Tromp-Taylor'
+};
+
+const APPLICATION = 'SekiGo:1.0';
+
+// Properties that set up stones or the player to move (see applySgfNode)
+const SETUP_PROPERTIES = ['AB', 'AW', 'AE', 'PL'];
+
+// Largest SGF file and game tree accepted by importSgf (the review tree
+// nests one level per move, so the node count also limits its depth)
+export const SGF_MAX_LENGTH = 100 * 1024;
+export const SGF_MAX_NODES = 1000;
+
+/**
+ * Escape text for an SGF property value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text (']' and '\' get a backslash)
+ */
+export function escapeSgfText(text) {
+  return String(text).replace(/[\]\\]/g, (char) => `\\${char}`);
+}
+
+/**
+ * SGF point of an intersection
+ * @param {number} x - Column (0-indexed)
+ * @param {number} y - Row from the top (0-indexed)
+ * @returns {string} Two-letter point (e.g. 'dd')
+ */
+export function toSgfPoint(x, y) {
+  return String.fromCharCode(97 + x) + String.fromCharCode(97 + y);
+}
+
+/**
+ * SGF result of a finished game (RE[])
+ * @param {Object} game - Game record
+ * @returns {string|null} Result like 'B+R', 'W+6.5', 'B+T', '0' for a draw (null while the game is running)
+ */
+export function formatSgfResult(game) {
+  if (!game.winner) {
+    if (game.finalScore && game.finalScore.black === game.finalScore.white) {
+      return '0';
+    }
+    return game.endedAt ? '?' : null;
+  }
+
+  const winner = game.winner === 'black' ? 'B' : 'W';
+  switch (game.endReason) {
+    case 'resignation':
+      return `${winner}+R`;
+    case 'time_out':
+      return `${winner}+T`;
+    case 'abandonment':
+      return `${winner}+F`;
+    default:
+      if (game.finalScore) {
+        return `${winner}+${Math.abs(game.finalScore.black - game.finalScore.white)}`;
+      }
+      return winner;
+  }
+}
+
+/**
+ * SGF overtime description (OT[])
+ * @param {Object} timeControl - Normalized time control (see normalizeTimeControl)
+ * @returns {string|null} e.g. '5x30 byo-yomi', '25/300 Canadian', '10 fischer'
+ */
+export function formatSgfOvertime(timeControl) {
+  switch (timeControl.type) {
+    case 'byoyomi':
+      return `${timeControl.periods}x${timeControl.byoYomi} byo-yomi`;
+    case 'canadian':
+      return `${timeControl.stones}/${timeControl.byoYomi} Canadian`;
+    case 'fischer':
+      return `${timeControl.increment} fischer`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * SGF date (DT[]) of a game
+ * @param {Date|string} date - Start of the game
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function formatSgfDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Write a game record as SGF
+ * @param {Object} game - Game record
+ * @param {number} game.boardSize - Board size
+ * @param {number} game.komi - Komi
+ * @param {string} game.rules - Rule set name
+ * @param {Object|null} game.handicap - Handicap ({ stones, placement })
+ * @param {Object|null} game.timeControl - Normalized time control
+ * @param {Array<Object>} game.moves - Moves in order ({ color, x, y, pass })
+ * @param {Object} game.black - Black player ({ name, rank })
+ * @param {Object} game.white - White player ({ name, rank })
+ * @param {string|null} game.winner - 'black', 'white' or null
+ * @param {string|null} game.endReason - End reason (see GAME_END_REASON)
+ * @param {Object|null} game.finalScore - Final score ({ black, white })
+ * @param {Date|string} game.createdAt - Start of the game
+ * @returns {string} SGF text
+ */
+export function gameToSgf(game) {
+  const root = [
+    ['FF', 4],
+    ['GM', 1],
+    ['CA', 'UTF-8'],
+    ['AP', APPLICATION],
+    ['SZ', game.boardSize],
+    ['KM', game.komi],
+    ['RU', SGF_RULES[game.rules] || game.rules],
+    ['PB', game.black?.name],
+    ['BR', game.black?.rank],
+    ['PW', game.white?.name],
+    ['WR', game.white?.rank],
+    ['DT', game.createdAt ? formatSgfDate(game.createdAt) : null],
+    ['RE', formatSgfResult(game)]
+  ];
+
+  if (game.timeControl) {
+    root.push(['TM', Math.round(game.timeControl.minutes * 60)]);
+    root.push(['OT', formatSgfOvertime(game.timeControl)]);
+  }
+
+  // Free handicap stones are Black's first moves; SGF has them as setup stones
+  let moves = game.moves || [];
+  let handicapPoints = [];
+  if (game.handicap) {
+    root.push(['HA', game.handicap.stones]);
+    if (game.handicap.placement === 'free') {
+      handicapPoints = moves.slice(0, game.handicap.stones);
+      moves = moves.slice(game.handicap.stones);
+    } else {
+      handicapPoints = getFixedHandicapPoints(game.boardSize, game.handicap.stones);
+    }
+  }
+
+  let sgf = '(;' + root
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}[${escapeSgfText(value)}]`)
+    .join('');
+
+  if (handicapPoints.length > 0) {
+    sgf += 'AB' + handicapPoints.map(pos => `[${toSgfPoint(pos.x, pos.y)}]`).join('');
+  }
+  sgf += '\n';
+
+  for (const move of moves) {
+    const color = move.color === 'black' ? 'B' : 'W';
+    sgf += `;${color}[${move.pass ? '' : toSgfPoint(move.x, move.y)}]`;
+  }
+
+  return sgf + ')\n';
+}
+
+/**
+ * Parse SGF text into a node tree
+ * Only the first game tree of a collection is read.
+ * @param {string} text - SGF text
+ * @returns {{ properties: Object<string, string[]>, children: Array }} Root node
+ * @throws {Error} If the text is not valid SGF
+ */
+export function parseSgf(text) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid SGF: ${message} at position ${pos}`);
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[pos] !== char) fail(`expected '${char}'`);
+    pos++;
+  };
+
+  const parseValue = () => {
+    expect('[');
+    let value = '';
+    while (pos < text.length && text[pos] !== ']') {
+      if (text[pos] === '\\') {
+        pos++;
+        // Escaped line break is a soft line break and disappears
+        if (text[pos] === '\r' && text[pos + 1] === '\n') {
+          pos += 2;
+          continue;
+        }
+        if (text[pos] === '\n' || text[pos] === '\r') {
+          pos++;
+          continue;
+        }
+      }
+      value += text[pos++] ?? '';
+    }
+    if (pos >= text.length) fail('unterminated property value');
+    pos++;
+    return value;
+  };
+
+  const parseNode = () => {
+    expect(';');
+    const node = { properties: {}, children: [] };
+    skipWhitespace();
+    while (pos < text.length && /[A-Za-z]/.test(text[pos])) {
+      let ident = '';
+      while (pos < text.length && /[A-Za-z]/.test(text[pos])) ident += text[pos++];
+      // FF[3] allowed lowercase letters in identifiers (e.g. "AddBlack" = AB)
+      ident = ident.replace(/[a-z]/g, '');
+      if (!ident) fail('invalid property identifier');
+
+      const values = [];
+      skipWhitespace();
+      while (text[pos] === '[') {
+        values.push(parseValue());
+        skipWhitespace();
+      }
+      if (values.length === 0) fail(`property ${ident} without value`);
+      node.properties[ident] = (node.properties[ident] || []).concat(values);
+    }
+    return node;
+  };
+
+  const parseGameTree = () => {
+    expect('(');
+    skipWhitespace();
+    if (text[pos] !== ';') fail('game tree without nodes');
+
+    const first = parseNode();
+    let last = first;
+    skipWhitespace();
+    while (text[pos] === ';') {
+      const node = parseNode();
+      last.children.push(node);
+      last = node;
+      skipWhitespace();
+    }
+    while (text[pos] === '(') {
+      last.children.push(parseGameTree());
+      skipWhitespace();
+    }
+    expect(')');
+    return first;
+  };
+
+  skipWhitespace();
+  // Some files have text (e.g. mail headers) before the collection
+  const start = text.indexOf('(');
+  if (start === -1) fail('no game tree');
+  pos = start;
+  return parseGameTree();
+}
+
+/**
+ * Intersection of an SGF point
+ * @param {string} value - Two-letter point (a-z = 0-25, A-Z = 26-51)
+ * @returns {{ x: number, y: number }|null} Point, or null if malformed
+ */
+export function fromSgfPoint(value) {
+  if (!/^[a-zA-Z]{2}$/.test(value)) return null;
+  const toIndex = (char) => (char >= 'a' ? char.charCodeAt(0) - 97 : char.charCodeAt(0) - 65 + 26);
+  return { x: toIndex(value[0]), y: toIndex(value[1]) };
+}
+
+/**
+ * Expand a list of SGF points, including compressed rectangles like 'aa:cc'
+ * @param {string[]} values - Property values
+ * @returns {Array<{ x: number, y: number }>} Points (malformed values are skipped)
+ */
+function expandSgfPoints(values = []) {
+  const points = [];
+  for (const value of values) {
+    const [from, to] = value.split(':').map(fromSgfPoint);
+    if (!from) continue;
+    if (!to) {
+      points.push(from);
+      continue;
+    }
+    for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++) {
+      for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++) {
+        points.push({ x, y });
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Rule set name of an SGF RU[] value
+ * @param {string|undefined} value - RU value
+ * @returns {string} Rule set name (default rule set if unknown)
+ */
+function fromSgfRules(value) {
+  const wanted = String(value || '').toLowerCase();
+  const match = Object.entries(SGF_RULES).find(([, sgfName]) => sgfName.toLowerCase() === wanted);
+  return match ? match[0] : DEFAULT_RULE_SET;
+}
+
+/**
+ * Apply one SGF node (setup stones, then the move) to an engine game
+ * @param {GoEngine} engine - Engine holding the game
+ * @param {string} gameId - Game ID
+ * @param {Object} sgfNode - Parsed node
+ * @param {boolean} isRoot - Whether the node is the root node
+ * @returns {{ ok: boolean, node?: Object, reason?: string }} Imported node without children
+ */
+function applySgfNode(engine, gameId, sgfNode, isRoot) {
+  const props = sgfNode.properties;
+  const state = engine.getGameState(gameId);
+
+  const setup = {
+    black: expandSgfPoints(props.AB),
+    white: expandSgfPoints(props.AW),
+    empty: expandSgfPoints(props.AE)
+  };
+  const hasSetup = setup.black.length + setup.white.length + setup.empty.length > 0;
+  let toMove = props.PL ? (props.PL[0].toUpperCase() === 'W' ? 'white' : 'black') : null;
+  // Handicap stones without PL: White moves first
+  if (isRoot && !toMove && setup.black.length > 0 && Number(props.HA?.[0]) > 1) {
+    toMove = 'white';
+  }
+  if (hasSetup || toMove) {
+    try {
+      engine.setupPosition(gameId, setup, toMove);
+    } catch (error) {
+      return { ok: false, reason: 'invalid_setup' };
+    }
+  }
+
+  let move = null;
+  let captures = [];
+  const color = props.B ? 'black' : props.W ? 'white' : null;
+  if (color) {
+    const value = (props.B || props.W)[0];
+    // 'tt' is the FF[3] pass on boards up to 19x19
+    const pass = value === '' || (value === 'tt' && state.boardSize <= 19);
+    const point = pass ? null : fromSgfPoint(value);
+    if (!pass && !point) {
+      return { ok: false, reason: 'invalid_coordinates' };
+    }
+
+    // Records may have several moves of one colour in a row (e.g. after
+    // setup stones), so the turn follows the record
+    state.currentPlayer = color;
+    if (pass) {
+      engine.passMove(gameId, color);
+    } else {
+      const legality = engine.isLegalMove(gameId, point.x, point.y, color);
+      if (!legality.ok) {
+        return { ok: false, reason: legality.reason };
+      }
+      captures = engine.applyMove(gameId, point.x, point.y, color).captures;
+    }
+    move = { color, x: pass ? null : point.x, y: pass ? null : point.y, pass };
+  }
+
+  return {
+    ok: true,
+    node: {
+      move,
+      captures,
+      setup: hasSetup ? setup : null,
+      toMove,
+      comment: props.C ? props.C[0] : null,
+      children: []
+    }
+  };
+}
+
+/**
+ * Number of nodes in a parsed SGF tree
+ * @param {Object} root - Root node (see parseSgf)
+ * @returns {number} Node count
+ */
+function countSgfNodes(root) {
+  let count = 0;
+  const pending = [root];
+  while (pending.length > 0) {
+    count++;
+    pending.push(...pending.pop().children);
+  }
+  return count;
+}
+
+/**
+ * Save the engine state that setup stones and a move change
+ * (setupPosition replaces the superko history and undo stack, so keeping
+ * the old ones is enough)
+ * @param {Object} state - Engine game state
+ * @returns {Object} Saved state for restoreSetupState
+ */
+function saveSetupState(state) {
+  return {
+    board: state.board.map(row => [...row]),
+    currentPlayer: state.currentPlayer,
+    capturedStones: { ...state.capturedStones },
+    consecutivePasses: state.consecutivePasses,
+    moveNumber: state.moveNumber,
+    moveHistoryLength: state.moveHistory.length,
+    lastKoHash: state.lastKoHash,
+    status: state.status,
+    previousHashes: state.previousHashes,
+    undoStack: state.undoStack
+  };
+}
+
+/**
+ * Restore the engine state saved by saveSetupState
+ * @param {Object} state - Engine game state
+ * @param {Object} saved - Saved state
+ */
+function restoreSetupState(state, saved) {
+  const { moveHistoryLength, ...fields } = saved;
+  Object.assign(state, fields);
+  state.moveHistory.length = moveHistoryLength;
+}
+
+/**
+ * Stones on the board and player to move
+ * @param {Object} state - Engine game state
+ * @returns {{ black: Array<{x, y}>, white: Array<{x, y}>, toMove: string }}
+ */
+export function getPosition(state) {
+  const position = { black: [], white: [], toMove: state.currentPlayer };
+  for (let y = 0; y < state.boardSize; y++) {
+    for (let x = 0; x < state.boardSize; x++) {
+      if (state.board[y][x]) {
+        position[state.board[y][x]].push({ x, y });
+      }
+    }
+  }
+  return position;
+}
+
+/**
+ * Import an SGF file into an engine game
+ * Every variation is validated; afterwards the game holds the position at
+ * the end of the main line (first variation at every branch).
+ * Node paths list the child index at every step from the root ([] = root,
+ * [0, 0, 1] = second variation at the third node).
+ * @param {GoEngine} engine - Engine to create the game in
+ * @param {string} gameId - Game ID for the imported game
+ * @param {string} text - SGF text
+ * @returns {Object} { ok, info, tree, position } or { ok: false, reason, path, moveNumber, message }
+ */
+export function importSgf(engine, gameId, text) {
+  if (text.length > SGF_MAX_LENGTH) {
+    return { ok: false, reason: 'sgf_too_large', path: null, moveNumber: null };
+  }
+
+  let root;
+  try {
+    root = parseSgf(text);
+  } catch (error) {
+    return { ok: false, reason: 'invalid_sgf', message: error.message, path: null, moveNumber: null };
+  }
+  if (countSgfNodes(root) > SGF_MAX_NODES) {
+    return { ok: false, reason: 'sgf_too_large', path: null, moveNumber: null };
+  }
+
+  const props = root.properties;
+  const first = (key) => (props[key] ? props[key][0] : null);
+
+  const boardSize = Number(first('SZ') ?? 19);
+  if (!isValidBoardSize(boardSize)) {
+    return { ok: false, reason: 'invalid_board_size', path: [], moveNumber: 0 };
+  }
+  const rules = fromSgfRules(first('RU'));
+  // Unusual komi (e.g. quarter points) falls back to the rule set default
+  const komiResult = normalizeKomi(first('KM') !== null ? Number(first('KM')) : null);
+  const komi = komiResult.ok ? komiResult.komi : null;
+
+  // Replays the nodes from the root into a fresh game
+  const replay = (id, nodes) => {
+    engine.createGameState(id, boardSize, komi, rules);
+    nodes.forEach((node, i) => applySgfNode(engine, id, node, i === 0));
+  };
+
+  // Every node takes its own move back after its variations, so each
+  // variation starts from the position at the branch point. Setup stones
+  // can't be undone; nodes with setup restore the state saved before them.
+  const workId = `${gameId}:variations`;
+  const visit = (sgfNode, path, moveNumber) => {
+    const state = engine.getGameState(workId);
+    const undoDepth = state.undoStack.length;
+    const saved = SETUP_PROPERTIES.some(key => sgfNode.properties[key]) ? saveSetupState(state) : null;
+
+    const result = applySgfNode(engine, workId, sgfNode, path.length === 0);
+    if (!result.ok) {
+      const error = new Error(result.reason);
+      error.path = path;
+      error.moveNumber = moveNumber + 1;
+      throw error;
+    }
+
+    const number = result.node.move ? moveNumber + 1 : moveNumber;
+    sgfNode.children.forEach((child, i) => {
+      result.node.children.push(visit(child, [...path, i], number));
+    });
+
+    if (result.node.setup || result.node.toMove) {
+      restoreSetupState(state, saved);
+    } else {
+      while (state.undoStack.length > undoDepth) {
+        engine.undoMove(workId);
+      }
+    }
+    return result.node;
+  };
+
+  let tree;
+  try {
+    engine.createGameState(workId, boardSize, komi, rules);
+    tree = visit(root, [], 0);
+  } catch (error) {
+    if (!error.path) throw error;
+    return { ok: false, reason: error.message, path: error.path, moveNumber: error.moveNumber };
+  } finally {
+    engine.cleanupGame(workId);
+  }
+
+  const mainLine = [root];
+  while (mainLine[mainLine.length - 1].children.length > 0) {
+    mainLine.push(mainLine[mainLine.length - 1].children[0]);
+  }
+  replay(gameId, mainLine);
+  const state = engine.getGameState(gameId);
+
+  return {
+    ok: true,
+    info: {
+      boardSize,
+      komi: state.komi,
+      rules,
+      handicap: Number(first('HA') ?? 0),
+      black: { name: first('PB'), rank: first('BR') },
+      white: { name: first('PW'), rank: first('WR') },
+      result: first('RE'),
+      date: first('DT'),
+      gameName: first('GN')
+    },
+    tree,
+    position: getPosition(state)
+  };
+}
@@ -11,6 +11,7 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
+import { randomUUID } from 'crypto';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
 import { matchmakingService } from './services/matchmaking.js';
@@ -19,6 +20,11 @@ import { websocketHandler } from './websocket/handler.js';
 import { initDatabase } from './db/connection.js';
 import authRouter from './routes/auth.js';
 import { statsService } from './services/stats.js';
+import { ratingService, DEFAULT_TIME_CATEGORY } from './services/rating.js';
+import { MIN_BOARD_SIZE, MAX_BOARD_SIZE, isValidBoardSize } from './engine/boardSize.js';
+import { gameToSgf } from './engine/sgf.js';
+import { TIME_CONTROL_CATEGORIES } from './engine/gameClock.js';
+import { goEngine } from './services/goEngine.js';
 
 dotenv.config();
 
@@ -82,6 +88,16 @@ app.use('/api/auth', authRouter);
 app.get('/me', (req, res) => res.redirect('/api/auth/me'));
 app.get('/api/me', (req, res) => res.redirect('/api/auth/me'));
 
+// Time control category of a rating pool from the query (fallback if missing, null if invalid)
+function parseTimeCategory(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return TIME_CONTROL_CATEGORIES.includes(value) ? value : null;
+}
+
+const TIME_CATEGORY_ERROR = `timeCategory must be one of ${TIME_CONTROL_CATEGORIES.join(', ')}`;
+
 // Stats endpoint - supports both logged-in users and guests
 async function handleGetStats(req, res) {
   try {
@@ -93,8 +109,14 @@ async function handleGetStats(req, res) {
     }
     
     const boardSize = parseInt(boardSizeParam, 10);
-    if (isNaN(boardSize) || ![9, 13, 19].includes(boardSize)) {
-      return res.status(400).json({ error: 'boardSize must be 9, 13, or 19' });
+    if (!isValidBoardSize(boardSize)) {
+      return res.status(400).json({ error: `boardSize must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}` });
+    }
+
+    // Rating pool (board size + time control category), untimed by default
+    const timeCategory = parseTimeCategory(req.query.timeCategory, DEFAULT_TIME_CATEGORY);
+    if (!timeCategory) {
+      return res.status(400).json({ error: TIME_CATEGORY_ERROR });
     }
     
     // Get identity using canonical resolver
@@ -110,7 +132,9 @@ async function handleGetStats(req, res) {
     console.log(`[API] 📊 Stats request - identity: ${identity.kind}:${identity.id}, boardSize: ${boardSize}${guestKey ? `, guestKey: ${guestKey}` : ''}`);
     
     // Get stats using identity.id
-    const stats = await statsService.getPlayerStats(identity.id, boardSize);
+    const stats = await statsService.getPlayerStats(identity.id, boardSize, timeCategory);
+    const ratingInfo = await ratingService.getRatingInfo(identity.id, boardSize, timeCategory);
+    const casual = await statsService.getCasualStats(identity.id, boardSize);
     
     // Ensure we ALWAYS return the same JSON shape with defaults
     const response = {
@@ -120,8 +144,11 @@ async function handleGetStats(req, res) {
         ...(identity.username && { username: identity.username })
       },
       boardSize: boardSize,
+      timeCategory,
       rating: stats?.currentRating || stats?.rating || 1500,
-      rankDisplay: stats?.currentRank || stats?.rank || '30k',
+      ratingDeviation: ratingInfo.rd,
+      provisional: ratingInfo.provisional,
+      rankDisplay: ratingInfo.display || stats?.currentRank || '30k',
       stats: {
         games: stats?.gamesPlayed || 0,
         wins: stats?.wins || 0,
@@ -129,7 +156,9 @@ async function handleGetStats(req, res) {
         draws: stats?.draws || 0,
         winrate: stats?.winRate || 0,
         highestRating: stats?.highestRating || stats?.currentRating || 1500
-      }
+      },
+      casual,
+      poolStats: ratingInfo.results
     };
     
     console.log(`[API] ✅ Stats response for ${identity.kind}:${identity.id} - games: ${response.stats.games}, rating: ${response.rating}, rank: ${response.rankDisplay}`);
@@ -155,8 +184,12 @@ async function handleGetPlayerInfo(req, res) {
     }
     
     const boardSize = parseInt(req.query.boardSize || '19', 10);
-    if (isNaN(boardSize) || ![9, 13, 19].includes(boardSize)) {
-      return res.status(400).json({ error: 'boardSize must be 9, 13, or 19' });
+    if (!isValidBoardSize(boardSize)) {
+      return res.status(400).json({ error: `boardSize must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}` });
+    }
+    const timeCategory = parseTimeCategory(req.query.timeCategory, DEFAULT_TIME_CATEGORY);
+    if (!timeCategory) {
+      return res.status(400).json({ error: TIME_CATEGORY_ERROR });
     }
     
     // Check if user is a guest
@@ -164,9 +197,9 @@ async function handleGetPlayerInfo(req, res) {
     
     if (isGuest) {
       // For guests, get stats
-      const stats = await statsService.getPlayerStats(userId, boardSize);
-      const rating = await (await import('./services/rating.js')).ratingService.getRating(userId, boardSize);
-      const rank = await (await import('./services/rating.js')).ratingService.getPlayerRank(userId, boardSize);
+      const stats = await statsService.getPlayerStats(userId, boardSize, timeCategory);
+      const rating = await (await import('./services/rating.js')).ratingService.getRating(userId, boardSize, timeCategory);
+      const rank = await (await import('./services/rating.js')).ratingService.getPlayerRank(userId, boardSize, timeCategory);
       
       return res.json({
         userId,
@@ -185,9 +218,9 @@ async function handleGetPlayerInfo(req, res) {
       }
       
       const user = userResult.rows[0];
-      const stats = await statsService.getPlayerStats(userId, boardSize);
-      const rating = await (await import('./services/rating.js')).ratingService.getRating(userId, boardSize);
-      const rank = await (await import('./services/rating.js')).ratingService.getPlayerRank(userId, boardSize);
+      const stats = await statsService.getPlayerStats(userId, boardSize, timeCategory);
+      const rating = await (await import('./services/rating.js')).ratingService.getRating(userId, boardSize, timeCategory);
+      const rank = await (await import('./services/rating.js')).ratingService.getPlayerRank(userId, boardSize, timeCategory);
       
       return res.json({
         userId,
@@ -205,11 +238,49 @@ async function handleGetPlayerInfo(req, res) {
 
 app.get('/api/player-info', handleGetPlayerInfo);
 
-// Leaderboard endpoint - get top 10 players by rating
+// Rating history - rating after each game, oldest first (for rating graphs)
+async function handleGetRatingHistory(req, res) {
+  try {
+    let boardSize = null;
+    if (req.query.boardSize) {
+      boardSize = parseInt(req.query.boardSize, 10);
+      if (!isValidBoardSize(boardSize)) {
+        return res.status(400).json({ error: `boardSize must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}` });
+      }
+    }
+    const timeCategory = parseTimeCategory(req.query.timeCategory, null);
+    if (req.query.timeCategory && !timeCategory) {
+      return res.status(400).json({ error: TIME_CATEGORY_ERROR });
+    }
+
+    const history = await ratingService.getRatingHistory(req.params.id, boardSize, timeCategory);
+    res.json({ playerId: req.params.id, boardSize, timeCategory, history });
+  } catch (error) {
+    console.error('[API] Error fetching rating history:', error);
+    res.status(500).json({ error: 'Failed to fetch rating history' });
+  }
+}
+
+app.get('/api/players/:id/rating-history', handleGetRatingHistory);
+
+// Leaderboard endpoint - get top 10 players by rating, optionally in one rating pool
+// (?boardSize=19&timeCategory=blitz; each filter is optional)
 async function handleGetLeaderboard(req, res) {
   try {
     console.log('[API] Leaderboard request received');
-    const leaderboard = await statsService.getLeaderboard(10);
+    let boardSize = null;
+    if (req.query.boardSize) {
+      boardSize = parseInt(req.query.boardSize, 10);
+      if (!isValidBoardSize(boardSize)) {
+        return res.status(400).json({ error: `boardSize must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}` });
+      }
+    }
+    const timeCategory = parseTimeCategory(req.query.timeCategory, null);
+    if (req.query.timeCategory && !timeCategory) {
+      return res.status(400).json({ error: TIME_CATEGORY_ERROR });
+    }
+
+    const leaderboard = await statsService.getLeaderboard(10, { boardSize, timeCategory });
     console.log('[API] Leaderboard data:', leaderboard);
     
     // Format response
@@ -218,14 +289,17 @@ async function handleGetLeaderboard(req, res) {
       id: player.id,
       username: player.username,
       rating: player.rating || 1500,
+      boardSize: player.board_size || null,
+      timeCategory: player.time_category || null,
       games: player.games_played || 0,
       wins: player.wins || 0,
       losses: player.losses || 0,
-      isGuest: player.isGuest || false
+      isGuest: player.isGuest || false,
+      online: websocketHandler.connections.has(`${player.isGuest ? 'g' : 'a'}:${player.id}`) // can be challenged directly
     }));
     
     console.log('[API] Sending leaderboard response with', players.length, 'players');
-    res.json({ players });
+    res.json({ boardSize, timeCategory, players });
   } catch (error) {
     console.error('[API] Error fetching leaderboard:', error);
     res.status(500).json({ error: 'Failed to fetch leaderboard', details: error.message });
@@ -234,6 +308,59 @@ async function handleGetLeaderboard(req, res) {
 
 app.get('/api/leaderboard', handleGetLeaderboard);
 
+// SGF export - game record of an active or finished game
+async function handleGetGameSgf(req, res) {
+  try {
+    const record = await gameManager.getGameRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.type('application/x-go-sgf');
+    res.attachment(`${record.id}.sgf`);
+    res.send(gameToSgf(record));
+  } catch (error) {
+    console.error('[API] Error exporting SGF:', error);
+    res.status(500).json({ error: 'Failed to export game' });
+  }
+}
+
+app.get('/api/games/:id/sgf', handleGetGameSgf);
+
+// Live games - games that can be watched right now
+async function handleGetLiveGames(req, res) {
+  try {
+    res.json({ games: await gameManager.getLiveGames() });
+  } catch (error) {
+    console.error('[API] Error listing live games:', error);
+    res.status(500).json({ error: 'Failed to list live games' });
+  }
+}
+
+app.get('/api/games/live', handleGetLiveGames);
+
+// SGF import - parse an uploaded SGF file for the review board
+async function handleImportSgf(req, res) {
+  const sgf = req.body?.sgf;
+  if (typeof sgf !== 'string' || sgf.trim() === '') {
+    return res.status(400).json({ error: 'sgf is required' });
+  }
+
+  // The imported game only lives for this request
+  const reviewId = `review-${randomUUID()}`;
+  try {
+    const result = goEngine.importSgf(reviewId, sgf);
+    res.status(result.ok ? 200 : 422).json(result);
+  } catch (error) {
+    console.error('[API] Error importing SGF:', error);
+    res.status(500).json({ error: 'Failed to import SGF' });
+  } finally {
+    goEngine.cleanupGame(reviewId);
+  }
+}
+
+app.post('/api/sgf/import', handleImportSgf);
+
 // Debug endpoint: returns current identity (dev only)
 app.get('/api/debug/identity', async (req, res) => {
   try {
@@ -328,7 +455,7 @@ try {
 
 // Initialize services
 matchmakingService.initialize();
-gameManager.initialize();
+await gameManager.initialize();
 
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
@@ -1,6 +1,7 @@
 import { db } from '../db/connection.js';
 import bcrypt from 'bcryptjs';
 import { signToken, verifyToken } from './jwt.js';
+import { isValidBoardSize } from '../engine/boardSize.js';
 
 async function findUserByUsername(username) {
   try {
@@ -156,7 +157,7 @@ async function migrateGuestProgress(userId, guestId, guestStatsPayload = null) {
     // Migrate each board size
     for (const [boardSizeStr, stats] of Object.entries(guestProgress || {})) {
       const boardSize = parseInt(boardSizeStr, 10);
-      if (![9, 13, 19].includes(boardSize)) continue;
+      if (!isValidBoardSize(boardSize)) continue;
 
       // Check if account already has stats for this board size
       const existingRating = await db.query(
@@ -173,13 +174,14 @@ async function migrateGuestProgress(userId, guestId, guestStatsPayload = null) {
 
       // Migration rule: if guest has games and account doesn't, migrate
       if (guestHasGames && !accountHasGames) {
-        // Insert/update rating
+        // Insert/update rating (guest progress has one rating per board size: the untimed pool)
         await db.query(
-          `INSERT INTO ratings (user_id, board_size, rating, games_played)
-           VALUES ($1, $2, $3, $4)
-           ON CONFLICT (user_id, board_size) DO UPDATE
-           SET rating = EXCLUDED.rating, games_played = EXCLUDED.games_played, updated_at = CURRENT_TIMESTAMP`,
-          [userId, boardSize, stats.rating || 1500, stats.gamesPlayed || 0]
+          `INSERT INTO ratings (user_id, board_size, time_category, rating, games_played, wins, losses, draws)
+           VALUES ($1, $2, 'untimed', $3, $4, $5, $6, $7)
+           ON CONFLICT (user_id, board_size, time_category) DO UPDATE
+           SET rating = EXCLUDED.rating, games_played = EXCLUDED.games_played,
+               wins = EXCLUDED.wins, losses = EXCLUDED.losses, draws = EXCLUDED.draws, updated_at = CURRENT_TIMESTAMP`,
+          [userId, boardSize, stats.rating || 1500, stats.gamesPlayed || 0, stats.wins || 0, stats.losses || 0, stats.draws || 0]
         );
 
         // Insert/update stats
@@ -351,6 +353,11 @@ export async function getUserFromId(id) {
   return mapUser(row);
 }
 
+export async function getUserFromUsername(username) {
+  const row = await findUserByUsername(username);
+  return mapUser(row);
+}
+
 /**
  * Get user from JWT token (from cookie or header)
  */
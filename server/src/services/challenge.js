@@ -0,0 +1,337 @@
+/**
+ * Challenge Service
+ *
+ * Direct challenges between two players, as an alternative to the
+ * anonymous matchmaking queue. The challenger picks the settings (board
+ * size, colour, time control, rules, komi, handicap, rated); the challenged
+ * player accepts or declines. Challenges wait in a pending list per player
+ * until they expire.
+ */
+
+import { websocketHandler } from '../websocket/handler.js';
+import { EventTypes } from '../constants/events.js';
+import { gameManager } from './gameManager.js';
+import { matchmakingService } from './matchmaking.js';
+import { getUserFromId, getUserFromUsername } from './auth.js';
+import { normalizeTimeControl, getTimeControlCategory } from '../engine/gameClock.js';
+import { RULE_SET_NAMES, normalizeKomi } from '../engine/ruleSets.js';
+import { normalizeHandicap, supportsFixedHandicap } from '../engine/handicap.js';
+import { isValidBoardSize } from '../engine/boardSize.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// How long a challenge waits for an answer
+const CHALLENGE_EXPIRY_MS = (Number(process.env.CHALLENGE_EXPIRY_SECONDS) || 300) * 1000;
+
+export const CHALLENGE_COLORS = ['black', 'white', 'nigiri'];
+
+/**
+ * Validate the settings of a challenge
+ * @param {Object} raw - Settings from the client (anything but an object counts as no settings)
+ * @returns {{ ok: boolean, settings?: Object, reason?: string }}
+ */
+export function normalizeChallengeSettings(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const boardSize = data.boardSize ?? 19;
+  if (!isValidBoardSize(boardSize)) {
+    return { ok: false, reason: 'invalid_board_size' };
+  }
+
+  const color = data.color || 'nigiri';
+  if (!CHALLENGE_COLORS.includes(color)) {
+    return { ok: false, reason: 'invalid_color' };
+  }
+
+  const timeControlResult = normalizeTimeControl(data.timeControl);
+  if (!timeControlResult.ok) {
+    return { ok: false, reason: timeControlResult.reason };
+  }
+
+  const rules = data.rules || 'chinese';
+  if (!RULE_SET_NAMES.includes(rules)) {
+    return { ok: false, reason: 'invalid_rules' };
+  }
+
+  const komiResult = normalizeKomi(data.komi ?? null);
+  if (!komiResult.ok) {
+    return { ok: false, reason: komiResult.reason };
+  }
+
+  const handicapResult = normalizeHandicap(data.handicap ?? null);
+  if (!handicapResult.ok) {
+    return { ok: false, reason: handicapResult.reason };
+  }
+  if (handicapResult.handicap && handicapResult.handicap.placement === 'fixed' && !supportsFixedHandicap(boardSize)) {
+    return { ok: false, reason: 'invalid_handicap' };
+  }
+
+  return {
+    ok: true,
+    settings: {
+      boardSize,
+      color,
+      timeControl: timeControlResult.timeControl,
+      rules,
+      komi: komiResult.komi,
+      handicap: handicapResult.handicap,
+      rated: data.rated !== false
+    }
+  };
+}
+
+class ChallengeService {
+  constructor() {
+    // Pending challenges: Map<challengeId, Challenge>
+    this.challenges = new Map();
+  }
+
+  /**
+   * Send a challenge to a player
+   * The target is an account by username, or a player ID from the
+   * leaderboard (account ID or guest ID).
+   * @param {Object} identity - Challenger identity ({ id, identityKey, username })
+   * @param {Object} data - { username?, playerId?, settings }
+   * @returns {Promise<Object|null>} The challenge, or null if it was rejected
+   */
+  async sendChallenge(identity, data) {
+    const connection = websocketHandler.getConnection(identity);
+
+    const target = await this.resolveTarget(data);
+    if (!target) {
+      websocketHandler.sendError(connection, 'Player not found');
+      return null;
+    }
+    if (target.identityKey === identity.identityKey) {
+      websocketHandler.sendError(connection, 'You cannot challenge yourself');
+      return null;
+    }
+
+    const settingsResult = normalizeChallengeSettings(data?.settings);
+    if (!settingsResult.ok) {
+      websocketHandler.sendError(connection, `Invalid challenge: ${settingsResult.reason}`);
+      return null;
+    }
+
+    // A new challenge to the same player replaces the old one
+    for (const pending of this.challenges.values()) {
+      if (pending.from.identityKey === identity.identityKey && pending.to.identityKey === target.identityKey) {
+        this.removeChallenge(pending.id);
+      }
+    }
+
+    const now = Date.now();
+    const challenge = {
+      id: uuidv4(),
+      from: { id: identity.id, identityKey: identity.identityKey, name: identity.username || 'Gast' },
+      to: target,
+      settings: settingsResult.settings,
+      createdAt: now,
+      expiresAt: now + CHALLENGE_EXPIRY_MS
+    };
+    challenge.timer = setTimeout(() => this.expireChallenge(challenge.id), CHALLENGE_EXPIRY_MS);
+    this.challenges.set(challenge.id, challenge);
+
+    console.log(`[Challenge] ⚔️ ${challenge.from.identityKey} challenged ${challenge.to.identityKey} (${challenge.settings.boardSize}x${challenge.settings.boardSize})`);
+
+    websocketHandler.sendToUser(challenge.from.identityKey, {
+      type: EventTypes.CHALLENGE_SENT,
+      data: this.toClientChallenge(challenge)
+    });
+    websocketHandler.sendToUser(challenge.to.identityKey, {
+      type: EventTypes.CHALLENGE_RECEIVED,
+      data: this.toClientChallenge(challenge)
+    });
+    return challenge;
+  }
+
+  /**
+   * Find the challenged player
+   * @param {Object} data - { username } or { playerId }
+   * @returns {Promise<{ id, identityKey, name }|null>}
+   */
+  async resolveTarget(data) {
+    if (typeof data?.username === 'string' && data.username.trim() !== '') {
+      const user = await getUserFromUsername(data.username.trim());
+      return user && !user.isGuest ? { id: user.id, identityKey: `a:${user.id}`, name: user.username } : null;
+    }
+
+    const playerId = data?.playerId;
+    if (typeof playerId !== 'string' || playerId === '') {
+      return null;
+    }
+    if (playerId.startsWith('guest-')) {
+      return { id: playerId, identityKey: `g:${playerId}`, name: 'Gast' };
+    }
+
+    const user = await getUserFromId(playerId);
+    return user ? { id: user.id, identityKey: `a:${user.id}`, name: user.username } : null;
+  }
+
+  /**
+   * Accept a challenge and start the game
+   * @param {Object} identity - Identity of the challenged player
+   * @param {Object} data - { challengeId }
+   * @returns {Promise<Object|null>} The new game, or null if the challenge is gone
+   */
+  async acceptChallenge(identity, data) {
+    const challenge = this.challenges.get(data?.challengeId);
+    if (!challenge || challenge.to.identityKey !== identity.identityKey) {
+      websocketHandler.sendError(websocketHandler.getConnection(identity), 'Challenge is no longer available');
+      return null;
+    }
+    if (!gameManager.checkPlayersFree(identity, [challenge.from, challenge.to])) {
+      return null;
+    }
+    this.removeChallenge(challenge.id);
+
+    const game = await this.startGame(challenge.from, challenge.to, challenge.settings, { challengeId: challenge.id });
+    console.log(`[Challenge] 🎮 Challenge ${challenge.id} accepted: gameId=${game.id}`);
+    return game;
+  }
+
+  /**
+   * Start the game of an accepted challenge or invite
+   * Both players leave the matchmaking queue and get match_found, so clients
+   * open the game the same way as after a queue match. Callers check first
+   * that neither player is in a game (gameManager.checkPlayersFree).
+   * @param {Object} challenger - { id, identityKey } of the player who chose the settings
+   * @param {Object} opponent - { id, identityKey } of the player who accepted
+   * @param {Object} settings - Normalized settings (see normalizeChallengeSettings)
+   * @param {Object} matchData - Extra fields for match_found (e.g. { challengeId })
+   * @returns {Promise<Object>} The new game
+   */
+  async startGame(challenger, opponent, settings, matchData = {}) {
+    const challengerColor = settings.color === 'nigiri'
+      ? (Math.random() < 0.5 ? 'black' : 'white')
+      : settings.color;
+    const black = challengerColor === 'black' ? challenger : opponent;
+    const white = challengerColor === 'black' ? opponent : challenger;
+
+    matchmakingService.leaveQueue(challenger.identityKey);
+    matchmakingService.leaveQueue(opponent.identityKey);
+
+    const game = await gameManager.createGame({
+      blackPlayerId: black.id,
+      whitePlayerId: white.id,
+      blackPlayerIdentityKey: black.identityKey,
+      whitePlayerIdentityKey: white.identityKey,
+      boardSize: settings.boardSize,
+      timeControl: settings.timeControl,
+      rules: settings.rules,
+      handicap: settings.handicap,
+      komi: settings.komi,
+      rated: settings.rated
+    });
+
+    for (const [player, color] of [[black, 'black'], [white, 'white']]) {
+      websocketHandler.sendToUser(player.identityKey, {
+        type: EventTypes.MATCH_FOUND,
+        data: {
+          gameId: game.id,
+          ...matchData,
+          boardSize: game.boardSize,
+          timeControl: game.timeControl,
+          timeCategory: getTimeControlCategory(game.timeControl),
+          rules: game.rules,
+          handicap: game.handicap,
+          komi: game.komi,
+          rated: game.rated,
+          color
+        }
+      });
+    }
+    return game;
+  }
+
+  /**
+   * Decline a challenge (or withdraw it as the challenger)
+   * @param {Object} identity - Identity of either player
+   * @param {Object} data - { challengeId }
+   */
+  declineChallenge(identity, data) {
+    const challenge = this.challenges.get(data?.challengeId);
+    const isParticipant = challenge &&
+      (challenge.to.identityKey === identity.identityKey || challenge.from.identityKey === identity.identityKey);
+    if (!isParticipant) {
+      websocketHandler.sendError(websocketHandler.getConnection(identity), 'Challenge is no longer available');
+      return;
+    }
+    this.removeChallenge(challenge.id);
+
+    const other = challenge.to.identityKey === identity.identityKey ? challenge.from : challenge.to;
+    websocketHandler.sendToUser(other.identityKey, {
+      type: EventTypes.CHALLENGE_DECLINED,
+      data: { challengeId: challenge.id }
+    });
+  }
+
+  /**
+   * Drop a challenge that was not answered in time
+   * @param {string} challengeId - Challenge ID
+   */
+  expireChallenge(challengeId) {
+    const challenge = this.challenges.get(challengeId);
+    if (!challenge) return;
+    this.removeChallenge(challengeId);
+
+    for (const player of [challenge.from, challenge.to]) {
+      websocketHandler.sendToUser(player.identityKey, {
+        type: EventTypes.CHALLENGE_EXPIRED,
+        data: { challengeId }
+      });
+    }
+  }
+
+  /**
+   * Remove a challenge and its expiry timer
+   * @param {string} challengeId - Challenge ID
+   */
+  removeChallenge(challengeId) {
+    const challenge = this.challenges.get(challengeId);
+    if (challenge) {
+      clearTimeout(challenge.timer);
+      this.challenges.delete(challengeId);
+    }
+  }
+
+  /**
+   * Pending challenges of a player
+   * @param {string} identityKey - Identity key
+   * @returns {{ incoming: Array<Object>, outgoing: Array<Object> }} Challenges for clients
+   */
+  getPendingChallenges(identityKey) {
+    const pending = [...this.challenges.values()].filter(challenge => challenge.expiresAt > Date.now());
+    return {
+      incoming: pending.filter(challenge => challenge.to.identityKey === identityKey).map(challenge => this.toClientChallenge(challenge)),
+      outgoing: pending.filter(challenge => challenge.from.identityKey === identityKey).map(challenge => this.toClientChallenge(challenge))
+    };
+  }
+
+  /**
+   * Send a player their pending challenges
+   * @param {Object} identity - Identity object with identityKey
+   */
+  sendPendingChallenges(identity) {
+    websocketHandler.sendToUser(identity.identityKey, {
+      type: EventTypes.CHALLENGE_LIST,
+      data: this.getPendingChallenges(identity.identityKey)
+    });
+  }
+
+  /**
+   * Challenge as sent to clients
+   * Guest IDs double as credentials, so only names go out.
+   * @param {Object} challenge - Challenge
+   * @returns {Object} { id, from: { name }, to: { name }, settings, expiresAt }
+   */
+  toClientChallenge(challenge) {
+    return {
+      id: challenge.id,
+      from: { name: challenge.from.name },
+      to: { name: challenge.to.name },
+      settings: challenge.settings,
+      expiresAt: challenge.expiresAt
+    };
+  }
+}
+
+export const challengeService = new ChallengeService();
@@ -0,0 +1,108 @@
+/**
+ * Chat Service
+ *
+ * Checks in-game chat messages before GameManager delivers them:
+ * - Length limit (CHAT_MAX_LENGTH characters after trimming)
+ * - Rate limit per identity (CHAT_RATE_LIMIT messages per CHAT_RATE_WINDOW_MS)
+ * - Content filters (profanity filter hooks, see addFilter)
+ */
+
+export const CHAT_MAX_LENGTH = 500;
+export const CHAT_CHANNELS = ['players', 'spectators'];
+
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 10 * 1000;
+
+// Comma-separated words masked by the built-in filter
+const CHAT_BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Built-in filter: mask every blocked word with asterisks
+ * @param {string} text - Message text
+ * @returns {string} Filtered text
+ */
+function maskBlockedWords(text) {
+  let filtered = text;
+  for (const word of CHAT_BLOCKED_WORDS) {
+    filtered = filtered.replace(new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi'), match => '*'.repeat(match.length));
+  }
+  return filtered;
+}
+
+class ChatService {
+  constructor() {
+    // Send times of recent messages: Map<identityKey, Array<timestamp>>
+    this.recentMessages = new Map();
+    // Content filters, applied in order
+    this.filters = [maskBlockedWords];
+  }
+
+  /**
+   * Register a content filter (e.g. a profanity filter)
+   * A filter gets the text and the message context ({ gameId, channel,
+   * identityKey }) and returns the (possibly changed) text, or null to
+   * reject the message.
+   * @param {Function} filter - (text, context) => string|null
+   */
+  addFilter(filter) {
+    this.filters.push(filter);
+  }
+
+  /**
+   * Remove a registered content filter
+   * @param {Function} filter - Filter passed to addFilter
+   */
+  removeFilter(filter) {
+    this.filters = this.filters.filter(registered => registered !== filter);
+  }
+
+  /**
+   * Check a message and run it through the filters
+   * Only accepted messages count towards the rate limit.
+   * @param {string} identityKey - Sender identity key
+   * @param {string} text - Message text from the client
+   * @param {Object} context - { gameId, channel }
+   * @param {number} now - Timestamp in ms
+   * @returns {{ ok: boolean, text?: string, reason?: string }}
+   */
+  prepareMessage(identityKey, text, context = {}, now = Date.now()) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return { ok: false, reason: 'empty_message' };
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length > CHAT_MAX_LENGTH) {
+      return { ok: false, reason: 'message_too_long' };
+    }
+
+    const recent = (this.recentMessages.get(identityKey) || []).filter(sentAt => now - sentAt < CHAT_RATE_WINDOW_MS);
+    if (recent.length >= CHAT_RATE_LIMIT) {
+      this.recentMessages.set(identityKey, recent);
+      return { ok: false, reason: 'rate_limited' };
+    }
+
+    let filtered = trimmed;
+    for (const filter of this.filters) {
+      filtered = filter(filtered, { ...context, identityKey });
+      if (filtered === null || filtered === undefined) {
+        return { ok: false, reason: 'message_blocked' };
+      }
+    }
+
+    recent.push(now);
+    this.recentMessages.set(identityKey, recent);
+    return { ok: true, text: filtered };
+  }
+}
+
+export const chatService = new ChatService();
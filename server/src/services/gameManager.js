@@ -8,22 +8,136 @@
 import { websocketHandler } from '../websocket/handler.js';
 import { EventTypes } from '../constants/events.js';
 import { goEngine } from './goEngine.js';
-import { ratingService } from './rating.js';
+import { ratingService, DEFAULT_TIME_CATEGORY } from './rating.js';
 import { statsService } from './stats.js';
-import { db } from '../db/connection.js';
+import { gameStore } from './gameStore.js';
+import { chatService } from './chat.js';
+import GameClock, { getTimeControlCategory, TIME_CONTROL_CATEGORIES } from '../engine/gameClock.js';
+import { getRuleSet, getDefaultKomi } from '../engine/ruleSets.js';
+import { getHandicapKomi } from '../engine/handicap.js';
+import { getUserFromId } from './auth.js';
+import { matchmakingService } from './matchmaking.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// How long a disconnected player may be gone before the game is abandoned
+const DISCONNECT_GRACE_MS = (Number(process.env.DISCONNECT_GRACE_SECONDS) || 60) * 1000;
+// Accepted undos per player in a rated game (unrated games have no limit)
+const UNDO_LIMIT_RATED = Number(process.env.UNDO_LIMIT_RATED ?? 0);
+// How long after the game end the players can agree on a rematch
+const REMATCH_WINDOW_MS = (Number(process.env.REMATCH_WINDOW_SECONDS) || 60) * 1000;
 
 class GameManager {
   constructor() {
     // Active games: Map<gameId, Game>
     this.activeGames = new Map();
+    // Pending flag-fall checks: Map<gameId, Timeout>
+    this.clockTimers = new Map();
+    // Pending abandonment checks: Map<"gameId:color", { timer, expiresAt }>
+    this.disconnectTimers = new Map();
+    // Spectators of live games: Map<gameId, Set<identityKey>>
+    this.spectators = new Map();
+    // Rematch windows of finished games: Map<gameId, { settings, players, offeredBy, timer }>
+    this.rematches = new Map();
   }
 
   /**
    * Initialize game manager
+   * Restores games that were still active when the server stopped.
+   */
+  async initialize() {
+    const storedGames = await gameStore.loadActiveGames();
+    let restored = 0;
+
+    for (const { game: stored, moves, chat } of storedGames) {
+      if (await this.restoreGame(stored, moves, chat)) {
+        restored++;
+      }
+    }
+
+    console.log(`Game manager initialized (${restored}/${storedGames.length} active games restored)`);
+  }
+
+  /**
+   * Rebuild an active game from its persisted row and moves
+   * @param {Object} stored - Game row from gameStore.loadActiveGames()
+   * @param {Array<Object>} moves - Persisted moves in order
+   * @param {Array<Object>} chat - Persisted chat messages in order
+   * @returns {Promise<boolean>} True if the game is playable again
    */
-  initialize() {
-    console.log('Game manager initialized');
-    // TODO: Load active games from database on startup
+  async restoreGame(stored, moves, chat = []) {
+    // Identity keys look like "a:<uuid>" or "g:<guestId>"
+    const blackPlayerIdentityKey = stored.blackPlayerKey;
+    const whitePlayerIdentityKey = stored.whitePlayerKey;
+    if (!blackPlayerIdentityKey || !whitePlayerIdentityKey) {
+      console.error(`[GameManager] Cannot restore game ${stored.id}: missing player keys`);
+      return false;
+    }
+
+    const rules = stored.rules || 'chinese';
+    const handicap = stored.handicap || null;
+    const komi = stored.komi ?? null; // Older games without stored komi use the default
+    const replay = goEngine.restoreGame(stored.id, stored.boardSize, moves, rules, handicap, komi);
+    if (!replay.ok) {
+      console.error(`[GameManager] Cannot restore game ${stored.id}: move ${replay.moveNumber} failed to replay (${replay.reason})`);
+      return false;
+    }
+
+    const state = replay.state;
+    const game = {
+      id: stored.id,
+      blackPlayerId: blackPlayerIdentityKey.substring(2), // Remove 'a:' or 'g:' prefix
+      whitePlayerId: whitePlayerIdentityKey.substring(2),
+      blackPlayerIdentityKey,
+      whitePlayerIdentityKey,
+      boardSize: stored.boardSize,
+      rules,
+      handicap,
+      komi: state.komi,
+      timeControl: stored.timeControl || null,
+      rated: stored.rated !== false,
+      currentTurn: state.currentPlayer,
+      moves,
+      chat,
+      boardState: state.board,
+      capturedStones: { ...state.capturedStones },
+      status: 'active',
+      undoRequest: null,
+      undosUsed: { black: 0, white: 0, ...stored.undosUsed },
+      createdAt: stored.createdAt,
+      lastMoveAt: stored.lastMoveAt || stored.createdAt
+    };
+
+    // Rebuild the clocks from the move timestamps; the downtime itself is not charged.
+    // Free handicap stones are placed before the clocks start.
+    if (game.timeControl) {
+      game.clock = new GameClock(game.timeControl);
+      const placements = handicap && handicap.placement === 'free' ? handicap.stones : 0;
+      if (moves.length >= placements) {
+        const startedAt = placements > 0 ? moves[placements - 1].timestamp : game.createdAt;
+        game.clock.start(handicap ? 'white' : 'black', new Date(startedAt).getTime());
+        for (const move of moves.slice(placements)) {
+          game.clock.punch(move.color, new Date(move.timestamp).getTime());
+        }
+        game.clock.start(game.currentTurn, Date.now());
+      }
+    }
+
+    this.activeGames.set(game.id, game);
+    this.scheduleFlagCheck(game);
+    console.log(`[GameManager] ♻️ Restored game ${game.id} (${game.boardSize}x${game.boardSize}, ${moves.length} moves, ${game.currentTurn} to play)`);
+
+    // The server may have stopped during the scoring phase (dead stones are marked again)
+    if (state.consecutivePasses >= 2) {
+      const gameEndResult = goEngine.checkGameEnd(game.id, { ended: true });
+      if (gameEndResult.scoring) {
+        this.startScoring(game);
+      } else if (gameEndResult.ended) {
+        await this.endGame(game.id, gameEndResult);
+        return false;
+      }
+    }
+
+    return true;
   }
 
   /**
@@ -31,40 +145,65 @@ class GameManager {
    * @param {Object} params - Game parameters
    * @param {string} params.blackPlayerId - Black player user ID
    * @param {string} params.whitePlayerId - White player user ID
-   * @param {number} params.boardSize - Board size (9, 13, or 19)
-   * @param {Object} params.timeControl - Optional time control
+   * @param {number} params.boardSize - Board size (5 to 25)
+   * @param {Object} params.timeControl - Optional normalized time control (see normalizeTimeControl)
+   * @param {string} params.rules - Rule set name (see RULE_SET_NAMES, default 'chinese')
+   * @param {Object} params.handicap - Optional normalized handicap (see normalizeHandicap)
+   * @param {number} params.komi - Optional custom komi (default depends on rules, board size and handicap)
+   * @param {boolean} params.rated - Whether the game counts for ratings (default true)
    * @returns {Object} Created game object
    */
   async createGame(params) {
     const { blackPlayerId, whitePlayerId, boardSize, timeControl, blackPlayerIdentityKey, whitePlayerIdentityKey } = params;
+    const rules = params.rules || 'chinese';
+    const handicap = params.handicap || null;
+    const komi = params.komi ?? null;
 
     // Initialize game state
     const game = {
-      id: `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: uuidv4(), // UUID so the id can be used as games.id in the database
       blackPlayerId,
       whitePlayerId,
       blackPlayerIdentityKey, // Store identityKey for WebSocket communication
       whitePlayerIdentityKey, // Store identityKey for WebSocket communication
       boardSize,
+      rules,
+      handicap,
       timeControl,
+      rated: params.rated !== false,
       currentTurn: 'black',
       moves: [],
+      chat: [], // Chat messages of both channels ({ id, channel, color, name, text, moveNumber, createdAt })
       boardState: goEngine.createEmptyBoard(boardSize),
       capturedStones: { black: 0, white: 0 },
       status: 'active', // active, finished, abandoned
+      undoRequest: null, // Pending takeback ({ color, moves, moveCount })
+      undosUsed: { black: 0, white: 0 },
       createdAt: new Date(),
       lastMoveAt: new Date()
     };
 
     // Initialize Go engine for this game
-    goEngine.initializeGame(game.id, boardSize);
+    const engineState = goEngine.initializeGame(game.id, boardSize, rules, handicap, komi);
+    game.komi = engineState.komi;
+    game.currentTurn = engineState.currentPlayer; // White starts in fixed handicap games
+    game.boardState = engineState.board;
+
+    // Start the first player's clock (games without time control have no clock);
+    // free handicap stones are placed before the clocks start
+    if (timeControl) {
+      game.clock = new GameClock(timeControl);
+      if (engineState.handicapStonesToPlace === 0) {
+        game.clock.start(game.currentTurn, game.createdAt.getTime());
+      }
+    }
 
     // Store game
     this.activeGames.set(game.id, game);
+    this.scheduleFlagCheck(game);
 
-    // Save to database
-    // TODO: Save game to database
-    // await db.saveGame(game);
+    // Save to database (best-effort, game continues without DB)
+    await gameStore.saveGame(game);
 
     // Notify both players that game has started
     this.broadcastToGame(game.id, {
@@ -74,7 +213,13 @@ class GameManager {
         boardSize,
         blackPlayer: blackPlayerId,
         whitePlayer: whitePlayerId,
-        currentTurn: 'black'
+        currentTurn: game.currentTurn,
+        rules,
+        ruleSet: getRuleSet(rules),
+        komi: game.komi,
+        handicap,
+        timeControl: timeControl || null,
+        clock: this.getClockSnapshot(game)
       }
     });
 
@@ -130,6 +275,18 @@ class GameManager {
       return;
     }
 
+    // No moves while dead stones are being marked (resume play first)
+    if (game.status === 'scoring') {
+      websocketHandler.sendToUser(userId, {
+        type: EventTypes.MOVE_REJECTED,
+        data: {
+          gameId,
+          reason: 'scoring_phase'
+        }
+      });
+      return;
+    }
+
     // Check if it's player's turn
     if (game.currentTurn !== playerColor) {
       websocketHandler.sendToUser(userId, {
@@ -142,6 +299,13 @@ class GameManager {
       return;
     }
 
+    // A move arriving after the flag fell loses on time
+    const now = Date.now();
+    if (game.clock && game.clock.hasFlagged(playerColor, now)) {
+      await this.handleFlagFall(gameId);
+      return;
+    }
+
     // Validate move using Go engine
     let moveResult;
     if (pass) {
@@ -168,6 +332,7 @@ class GameManager {
       y: pass ? null : y,
       pass,
       moveNumber: game.moves.length + 1,
+      captures: moveResult.captures ? moveResult.captures.length : 0,
       timestamp: new Date()
     });
 
@@ -180,23 +345,25 @@ class GameManager {
     }
     game.boardState = moveResult.boardState;
     game.capturedStones = moveResult.capturedStones;
-    game.lastMoveAt = new Date();
-
-    // Save move to database
-    // TODO: Save move to database
-    // await db.saveMove(gameId, game.moves[game.moves.length - 1]);
+    game.lastMoveAt = new Date(now);
+    game.undoRequest = null; // A pending takeback no longer matches the position
 
-    // Check for game end conditions (from pass)
-    if (moveResult.ended) {
-      const gameEndResult = goEngine.checkGameEnd(game.id, moveResult);
-      if (gameEndResult.ended) {
-        await this.endGame(game.id, gameEndResult);
-        return;
+    // Stop the mover's clock and start the opponent's
+    // (clocks start with White's first move after free handicap placement)
+    if (game.clock) {
+      if (!moveResult.handicapPlacement) {
+        game.clock.punch(playerColor, now);
+      } else if (game.currentTurn === 'white') {
+        game.clock.start('white', now);
       }
+      this.scheduleFlagCheck(game);
     }
 
-    // Broadcast move to both players
-    this.broadcastToGame(game.id, {
+    // Save move to database
+    await gameStore.saveMove(gameId, game.moves[game.moves.length - 1]);
+
+    // Broadcast move to both players and the spectators
+    const moveAcceptedMessage = {
       type: EventTypes.MOVE_ACCEPTED,
       data: {
         gameId,
@@ -210,9 +377,23 @@ class GameManager {
         boardState: moveResult.boardState,
         capturedStones: moveResult.capturedStones,
         captures: moveResult.captures || [],
-        turn: game.currentTurn
+        turn: game.currentTurn,
+        handicap: this.getHandicapSnapshot(game),
+        clock: this.getClockSnapshot(game)
       }
-    });
+    };
+    this.broadcastToGame(game.id, moveAcceptedMessage);
+    this.sendToSpectators(game.id, moveAcceptedMessage);
+
+    // Check for game end conditions (from pass)
+    if (moveResult.ended) {
+      const gameEndResult = goEngine.checkGameEnd(game.id, moveResult);
+      if (gameEndResult.ended) {
+        await this.endGame(game.id, gameEndResult);
+      } else if (gameEndResult.scoring) {
+        this.startScoring(game);
+      }
+    }
   }
 
   /**
@@ -229,6 +410,11 @@ class GameManager {
       console.error(`[GameManager] Cannot resign: game ${gameId} not found`);
       return;
     }
+    // The game may already be ending (endGame awaits ratings and storage before removing it)
+    if (game.status === 'finished') {
+      console.log(`[GameManager] Cannot resign: game ${gameId} is already finished`);
+      return;
+    }
 
     // Extract userId from identity object
     const userId = identity?.id || identity;
@@ -254,6 +440,315 @@ class GameManager {
     });
   }
 
+  /**
+   * Enter the scoring phase after two consecutive passes
+   * Clocks are paused while the players agree on dead stones.
+   * @param {Object} game - Game object
+   */
+  startScoring(game) {
+    game.status = 'scoring';
+    game.scoring = {
+      deadStones: new Set(), // "x,y" keys
+      accepted: { black: false, white: false }
+    };
+
+    this.clearFlagCheck(game.id);
+    if (game.clock) {
+      game.clock.stop(Date.now());
+    }
+
+    console.log(`[GameManager] 🧮 Scoring phase started for game ${game.id}`);
+
+    this.broadcastToGame(game.id, {
+      type: EventTypes.SCORING_STARTED,
+      data: { gameId: game.id, ...this.getScoringSnapshot(game) }
+    });
+  }
+
+  /**
+   * Get the scoring phase state for clients
+   * @param {Object} game - Game object
+   * @returns {Object|null} { deadStones, score, accepted }, or null outside the scoring phase
+   */
+  getScoringSnapshot(game) {
+    if (!game.scoring) return null;
+
+    const deadStones = [...game.scoring.deadStones].map((key) => {
+      const [x, y] = key.split(',').map(Number);
+      return { x, y };
+    });
+
+    return {
+      deadStones,
+      score: goEngine.previewScore(game.id, deadStones),
+      accepted: { ...game.scoring.accepted }
+    };
+  }
+
+  /**
+   * Find the game and color of a player for a scoring phase request
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {string} gameId - Game ID
+   * @returns {{ game: Object, playerColor: string }|null} Null if the request is not allowed
+   */
+  getScoringPlayer(identity, gameId) {
+    const game = this.activeGames.get(gameId);
+    const userId = identity?.id || identity;
+    const playerColor = !game ? null :
+                       game.blackPlayerId === userId ? 'black' :
+                       game.whitePlayerId === userId ? 'white' : null;
+
+    if (!playerColor || game.status !== 'scoring') {
+      websocketHandler.sendError(
+        websocketHandler.getConnection(identity),
+        'Game is not in the scoring phase'
+      );
+      return null;
+    }
+
+    return { game, playerColor };
+  }
+
+  /**
+   * Toggle a group between dead and alive
+   * Any change withdraws both players' acceptance.
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId, x, y }
+   */
+  handleToggleDeadStones(identity, data) {
+    const context = this.getScoringPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { game } = context;
+
+    const group = goEngine.getGroupAt(game.id, data.x, data.y);
+    if (group.length === 0) return;
+
+    const { deadStones } = game.scoring;
+    const markDead = !deadStones.has(`${group[0].x},${group[0].y}`);
+    for (const pos of group) {
+      if (markDead) {
+        deadStones.add(`${pos.x},${pos.y}`);
+      } else {
+        deadStones.delete(`${pos.x},${pos.y}`);
+      }
+    }
+    game.scoring.accepted = { black: false, white: false };
+
+    this.broadcastToGame(game.id, {
+      type: EventTypes.SCORING_UPDATE,
+      data: { gameId: game.id, ...this.getScoringSnapshot(game) }
+    });
+  }
+
+  /**
+   * Accept the current dead stones; the game is scored once both players accepted
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId }
+   */
+  async handleAcceptScore(identity, data) {
+    const context = this.getScoringPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { game, playerColor } = context;
+
+    game.scoring.accepted[playerColor] = true;
+
+    this.broadcastToGame(game.id, {
+      type: EventTypes.SCORING_UPDATE,
+      data: { gameId: game.id, ...this.getScoringSnapshot(game) }
+    });
+
+    if (game.scoring.accepted.black && game.scoring.accepted.white) {
+      const { deadStones } = this.getScoringSnapshot(game);
+      console.log(`[GameManager] 🧮 Score agreed in game ${game.id} (${deadStones.length} dead stones)`);
+      await this.endGame(game.id, goEngine.scoreGame(game.id, deadStones));
+    }
+  }
+
+  /**
+   * Leave the scoring phase and continue playing
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId }
+   */
+  handleResumePlay(identity, data) {
+    const context = this.getScoringPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { game, playerColor } = context;
+
+    goEngine.resumePlay(game.id);
+    game.status = 'active';
+    game.scoring = null;
+
+    if (game.clock) {
+      game.clock.start(game.currentTurn, Date.now());
+      this.scheduleFlagCheck(game);
+    }
+
+    console.log(`[GameManager] ▶️ ${playerColor} resumed play in game ${game.id}`);
+
+    this.broadcastToGame(game.id, {
+      type: EventTypes.PLAY_RESUMED,
+      data: {
+        gameId: game.id,
+        currentTurn: game.currentTurn,
+        clock: this.getClockSnapshot(game)
+      }
+    });
+  }
+
+  /**
+   * Find the game and color of a player for an undo request or response
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {string} gameId - Game ID
+   * @returns {{ game: Object, playerColor: string }|null} Null if the request is not allowed
+   */
+  getUndoPlayer(identity, gameId) {
+    const game = this.activeGames.get(gameId);
+    const userId = identity?.id || identity;
+    const playerColor = !game ? null :
+                       game.blackPlayerId === userId ? 'black' :
+                       game.whitePlayerId === userId ? 'white' : null;
+
+    if (!playerColor || game.status !== 'active') {
+      websocketHandler.sendError(
+        websocketHandler.getConnection(identity),
+        'Undo is only possible during play'
+      );
+      return null;
+    }
+
+    return { game, playerColor };
+  }
+
+  /**
+   * Number of undos a player may still use in a game
+   * @param {Object} game - Game object
+   * @param {string} color - 'black' or 'white'
+   * @returns {number|null} Remaining undos, null = unlimited (unrated games)
+   */
+  getUndosLeft(game, color) {
+    if (game.rated === false) return null;
+    return Math.max(0, UNDO_LIMIT_RATED - game.undosUsed[color]);
+  }
+
+  /**
+   * Ask the opponent to take back the requester's last move
+   * If the opponent already replied, their reply is taken back too, so the
+   * requester is to move again afterwards. Free handicap stones cannot be
+   * taken back.
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId }
+   */
+  handleUndoRequest(identity, data) {
+    const context = this.getUndoPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { game, playerColor } = context;
+    const connection = websocketHandler.getConnection(identity);
+
+    let lastOwnMove = game.moves.length - 1;
+    while (lastOwnMove >= 0 && game.moves[lastOwnMove].color !== playerColor) {
+      lastOwnMove--;
+    }
+    const handicapMoves = game.handicap && game.handicap.placement === 'free' ? game.handicap.stones : 0;
+    if (lastOwnMove < handicapMoves) {
+      websocketHandler.sendError(connection, 'No move to take back');
+      return;
+    }
+    if (game.undoRequest) {
+      websocketHandler.sendError(connection, 'An undo request is already pending');
+      return;
+    }
+    if (this.getUndosLeft(game, playerColor) === 0) {
+      websocketHandler.sendError(connection, 'No undos left in this game');
+      return;
+    }
+
+    const moves = game.moves.length - lastOwnMove;
+    game.undoRequest = { color: playerColor, moves, moveCount: game.moves.length };
+
+    console.log(`[GameManager] ↩️ ${playerColor} requested an undo of ${moves} move(s) in game ${game.id}`);
+
+    const opponentIdentity = playerColor === 'black'
+      ? game.whitePlayerIdentityKey || game.whitePlayerId
+      : game.blackPlayerIdentityKey || game.blackPlayerId;
+    websocketHandler.sendToUser(opponentIdentity, {
+      type: EventTypes.UNDO_REQUESTED,
+      data: { gameId: game.id, color: playerColor, moves }
+    });
+  }
+
+  /**
+   * Accept or decline the opponent's undo request
+   * On accept the moves are taken back in the engine, the move list and the
+   * database, and the clock of the player to move runs again.
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId, accept }
+   */
+  async handleUndoResponse(identity, data) {
+    const context = this.getUndoPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { game, playerColor } = context;
+    const request = game.undoRequest;
+
+    if (!request || request.color === playerColor) {
+      websocketHandler.sendError(websocketHandler.getConnection(identity), 'No undo request to answer');
+      return;
+    }
+    game.undoRequest = null;
+
+    const requesterIdentity = request.color === 'black'
+      ? game.blackPlayerIdentityKey || game.blackPlayerId
+      : game.whitePlayerIdentityKey || game.whitePlayerId;
+
+    if (!data.accept || request.moveCount !== game.moves.length) {
+      websocketHandler.sendToUser(requesterIdentity, {
+        type: EventTypes.UNDO_DECLINED,
+        data: { gameId: game.id, color: request.color, moves: request.moves }
+      });
+      return;
+    }
+
+    const undoResult = goEngine.undoMoves(game.id, request.moves);
+    if (!undoResult.valid) {
+      console.error(`[GameManager] Undo failed in game ${game.id}: ${undoResult.reason}`);
+      websocketHandler.sendToUser(requesterIdentity, {
+        type: EventTypes.UNDO_DECLINED,
+        data: { gameId: game.id, color: request.color, moves: request.moves }
+      });
+      return;
+    }
+
+    const now = Date.now();
+    game.moves.splice(game.moves.length - request.moves);
+    game.currentTurn = undoResult.currentPlayer;
+    game.boardState = undoResult.boardState;
+    game.capturedStones = undoResult.capturedStones;
+    game.lastMoveAt = new Date(now);
+    game.undosUsed[request.color]++;
+
+    // Time already used is not given back; the clock of the player to move runs again
+    if (game.clock) {
+      game.clock.stop(now);
+      game.clock.start(game.currentTurn, now);
+      this.scheduleFlagCheck(game);
+    }
+
+    await gameStore.deleteMovesAfter(game.id, game.moves.length);
+    await gameStore.updateUndosUsed(game);
+
+    console.log(`[GameManager] ↩️ Undo of ${request.moves} move(s) accepted in game ${game.id}`);
+
+    this.broadcastToGame(game.id, {
+      type: EventTypes.UNDO_ACCEPTED,
+      data: {
+        gameId: game.id,
+        color: request.color,
+        moves: request.moves,
+        undosLeft: this.getUndosLeft(game, request.color)
+      }
+    });
+    this.broadcastGameState(game.id);
+  }
+
   /**
    * End a game and update ratings/stats
    * @param {string} gameId - Game ID
@@ -268,19 +763,39 @@ class GameManager {
     game.winner = endResult.winner;
     game.endReason = endResult.reason;
 
-    // Calculate final score if needed
-    // TODO: Implement scoring logic
+    this.clearFlagCheck(gameId);
+    this.clearDisconnectTimer(gameId, 'black');
+    this.clearDisconnectTimer(gameId, 'white');
+    if (game.clock) {
+      game.clock.stop(game.endedAt.getTime());
+    }
+
+    // Only scored games have a final score (resignation etc. store NULL)
+    game.finalScore = endResult.finalScore || null;
     const finalScore = endResult.finalScore || { black: 0, white: 0 };
 
-    // Update ratings (all games are rated in MVP)
+    // Rated games update ratings and the rated stats; unrated games only
+    // count in the casual stats (the game itself is stored either way)
+    const rated = game.rated !== false;
+    const timeCategory = getTimeControlCategory(game.timeControl || null);
     const winnerId = endResult.winner === 'black' ? game.blackPlayerId : 
                      endResult.winner === 'white' ? game.whitePlayerId : null;
-    const ratingChanges = await ratingService.updateRatings(
-      game.blackPlayerId,
-      game.whitePlayerId,
-      winnerId,
-      game.boardSize
-    );
+    let ratingChanges = { black: null, white: null };
+
+    if (rated) {
+      const ratingResult = await ratingService.updateRatings(
+        game.blackPlayerId,
+        game.whitePlayerId,
+        winnerId,
+        game.boardSize,
+        { gameId, rules: game.rules, handicap: game.handicap || null, komi: game.komi, timeControl: game.timeControl || null }
+      );
+      // updateRatings returns the changes by player ID
+      ratingChanges = {
+        black: ratingResult[game.blackPlayerId],
+        white: ratingResult[game.whitePlayerId]
+      };
+    }
 
     // Update statistics
     // endResult.winner is 'black' or 'white', not userId
@@ -292,28 +807,40 @@ class GameManager {
     const whiteGuestKey = game.whitePlayerId.startsWith('guest-') ? `g:${game.whitePlayerId}` : null;
     
     if (blackGuestKey) {
-      console.log(`[GameManager] 🎮 Game end - updating black player: guestKey=${blackGuestKey}, boardSize=${game.boardSize}, won=${blackWon}, ratingChange=${ratingChanges.black}`);
+      console.log(`[GameManager] 🎮 Game end - updating black player: guestKey=${blackGuestKey}, boardSize=${game.boardSize}, won=${blackWon}, rated=${rated}, ratingChange=${ratingChanges.black}`);
     }
     if (whiteGuestKey) {
-      console.log(`[GameManager] 🎮 Game end - updating white player: guestKey=${whiteGuestKey}, boardSize=${game.boardSize}, won=${whiteWon}, ratingChange=${ratingChanges.white}`);
+      console.log(`[GameManager] 🎮 Game end - updating white player: guestKey=${whiteGuestKey}, boardSize=${game.boardSize}, won=${whiteWon}, rated=${rated}, ratingChange=${ratingChanges.white}`);
     }
     
-    await statsService.recordGameResult(
-      game.blackPlayerId,
-      blackWon,
-      ratingChanges.black,
-      game.boardSize
-    );
-    await statsService.recordGameResult(
-      game.whitePlayerId,
-      whiteWon,
-      ratingChanges.white,
-      game.boardSize
-    );
+    if (rated) {
+      await statsService.recordGameResult(
+        game.blackPlayerId,
+        blackWon,
+        ratingChanges.black,
+        game.boardSize,
+        timeCategory
+      );
+      await statsService.recordGameResult(
+        game.whitePlayerId,
+        whiteWon,
+        ratingChanges.white,
+        game.boardSize,
+        timeCategory
+      );
+    } else {
+      const isDraw = !endResult.winner;
+      await statsService.recordCasualResult(game.blackPlayerId, isDraw ? null : blackWon, game.boardSize);
+      await statsService.recordCasualResult(game.whitePlayerId, isDraw ? null : whiteWon, game.boardSize);
+    }
     
-    // Get updated stats for both players
-    const blackStats = await statsService.getPlayerStats(game.blackPlayerId, game.boardSize);
-    const whiteStats = await statsService.getPlayerStats(game.whitePlayerId, game.boardSize);
+    // Get updated stats for both players (ratings from the game's rating pool)
+    const blackStats = await statsService.getPlayerStats(game.blackPlayerId, game.boardSize, timeCategory);
+    const whiteStats = await statsService.getPlayerStats(game.whitePlayerId, game.boardSize, timeCategory);
+    const blackRating = await ratingService.getRatingInfo(game.blackPlayerId, game.boardSize, timeCategory);
+    const whiteRating = await ratingService.getRatingInfo(game.whitePlayerId, game.boardSize, timeCategory);
+    const blackCasual = await statsService.getCasualStats(game.blackPlayerId, game.boardSize);
+    const whiteCasual = await statsService.getCasualStats(game.whitePlayerId, game.boardSize);
 
     // Get final board state from engine
     const engineState = goEngine.engine ? goEngine.engine.getGameState(gameId) : null;
@@ -330,16 +857,24 @@ class GameManager {
         komi: endResult.komi || 0,
         finalBoard: finalBoard,
         finalScore: endResult.finalScore || finalScore,
+        rules: game.rules,
+        handicap: game.handicap || null,
+        scoreBreakdown: endResult.breakdown || null,
+        deadStones: endResult.deadStones || [],
         scoreDiff: endResult.scoreDiff || 0,
+        clock: this.getClockSnapshot(game),
+        rated,
         ratingChange: {
           black: ratingChanges.black,
           white: ratingChanges.white
-        }
+        },
+        rematchWindowMs: REMATCH_WINDOW_MS
       }
     };
     
     console.log(`[GameManager] 📢 Broadcasting GAME_ENDED to both players for game ${gameId}:`, gameEndedMessage);
     this.broadcastToGame(gameId, gameEndedMessage);
+    this.sendToSpectators(gameId, gameEndedMessage);
     
     // Send stats update to both players (same payload shape as /api/stats)
     const blackPayload = {
@@ -348,8 +883,11 @@ class GameManager {
         id: game.blackPlayerId
       },
       boardSize: game.boardSize,
+      timeCategory,
       rating: blackStats.currentRating || blackStats.rating || 1500,
-      rankDisplay: blackStats.currentRank || blackStats.rank || '30k',
+      ratingDeviation: blackRating.rd,
+      provisional: blackRating.provisional,
+      rankDisplay: blackRating.display || blackStats.currentRank || '30k',
       stats: {
         games: blackStats.gamesPlayed || 0,
         wins: blackStats.wins || 0,
@@ -357,7 +895,9 @@ class GameManager {
         draws: blackStats.draws || 0,
         winrate: blackStats.winRate || 0,
         highestRating: blackStats.highestRating || blackStats.currentRating || 1500
-      }
+      },
+      casual: blackCasual,
+      poolStats: blackRating.results
     };
     
     const whitePayload = {
@@ -366,8 +906,11 @@ class GameManager {
         id: game.whitePlayerId
       },
       boardSize: game.boardSize,
+      timeCategory,
       rating: whiteStats.currentRating || whiteStats.rating || 1500,
-      rankDisplay: whiteStats.currentRank || whiteStats.rank || '30k',
+      ratingDeviation: whiteRating.rd,
+      provisional: whiteRating.provisional,
+      rankDisplay: whiteRating.display || whiteStats.currentRank || '30k',
       stats: {
         games: whiteStats.gamesPlayed || 0,
         wins: whiteStats.wins || 0,
@@ -375,7 +918,9 @@ class GameManager {
         draws: whiteStats.draws || 0,
         winrate: whiteStats.winRate || 0,
         highestRating: whiteStats.highestRating || whiteStats.currentRating || 1500
-      }
+      },
+      casual: whiteCasual,
+      poolStats: whiteRating.results
     };
     
     // Send stats_update to both players (ALWAYS send, even if defaults)
@@ -392,16 +937,185 @@ class GameManager {
     });
 
     // Save final game state to database
-    // TODO: Update game in database
-    // await db.updateGame(gameId, game);
+    await gameStore.updateGame(game);
 
     // Clean up
     this.activeGames.delete(gameId);
+    this.spectators.delete(gameId);
     goEngine.cleanupGame(gameId);
+    this.openRematchWindow(game);
+  }
+
+  /**
+   * Keep what a rematch needs after the game is gone
+   * Handicap games keep their handicap (and the weaker player keeps Black).
+   * @param {Object} game - Finished game object
+   */
+  openRematchWindow(game) {
+    this.closeRematchWindow(game.id);
+
+    const timer = setTimeout(() => {
+      this.rematches.delete(game.id);
+    }, REMATCH_WINDOW_MS);
+
+    this.rematches.set(game.id, {
+      settings: {
+        boardSize: game.boardSize,
+        timeControl: game.timeControl || null,
+        rules: game.rules,
+        handicap: game.handicap ? { stones: game.handicap.stones, placement: game.handicap.placement } : null,
+        komi: game.komi,
+        rated: game.rated !== false
+      },
+      players: {
+        black: { id: game.blackPlayerId, identityKey: game.blackPlayerIdentityKey },
+        white: { id: game.whitePlayerId, identityKey: game.whitePlayerIdentityKey }
+      },
+      offeredBy: null,
+      timer
+    });
+  }
+
+  /**
+   * Close the rematch window of a game
+   * @param {string} gameId - Game ID of the finished game
+   */
+  closeRematchWindow(gameId) {
+    const rematch = this.rematches.get(gameId);
+    if (rematch) {
+      clearTimeout(rematch.timer);
+      this.rematches.delete(gameId);
+    }
+  }
+
+  /**
+   * Find the rematch window and color of a player for a rematch request
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {string} gameId - Game ID of the finished game
+   * @returns {{ rematch: Object, playerColor: string }|null} Null if the request is not allowed
+   */
+  getRematchPlayer(identity, gameId) {
+    const rematch = this.rematches.get(gameId);
+    const userId = identity?.id || identity;
+    const playerColor = !rematch ? null :
+                       rematch.players.black.id === userId ? 'black' :
+                       rematch.players.white.id === userId ? 'white' : null;
+
+    if (!playerColor) {
+      websocketHandler.sendError(
+        websocketHandler.getConnection(identity),
+        'Rematch is no longer available'
+      );
+      return null;
+    }
+
+    return { rematch, playerColor };
+  }
+
+  /**
+   * Offer a rematch to the opponent of a finished game
+   * If the opponent already offered one, the rematch starts right away.
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId } of the finished game
+   */
+  async handleRematchOffer(identity, data) {
+    const context = this.getRematchPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { rematch, playerColor } = context;
+
+    if (rematch.offeredBy && rematch.offeredBy !== playerColor) {
+      if (this.checkPlayersFree(identity, Object.values(rematch.players))) {
+        await this.startRematch(data.gameId);
+      }
+      return;
+    }
+
+    rematch.offeredBy = playerColor;
+    const opponent = rematch.players[playerColor === 'black' ? 'white' : 'black'];
+    websocketHandler.sendToUser(opponent.identityKey || opponent.id, {
+      type: EventTypes.REMATCH_OFFERED,
+      data: { gameId: data.gameId, color: playerColor }
+    });
+  }
+
+  /**
+   * Accept the opponent's rematch offer
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId } of the finished game
+   */
+  async handleRematchAccept(identity, data) {
+    const context = this.getRematchPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { rematch, playerColor } = context;
+
+    if (!rematch.offeredBy || rematch.offeredBy === playerColor) {
+      websocketHandler.sendError(websocketHandler.getConnection(identity), 'No rematch offer to accept');
+      return;
+    }
+    if (!this.checkPlayersFree(identity, Object.values(rematch.players))) {
+      return;
+    }
+
+    await this.startRematch(data.gameId);
+  }
+
+  /**
+   * Decline the opponent's rematch offer (closes the rematch window)
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId } of the finished game
+   */
+  handleRematchDecline(identity, data) {
+    const context = this.getRematchPlayer(identity, data?.gameId);
+    if (!context) return;
+    const { rematch, playerColor } = context;
+
+    this.closeRematchWindow(data.gameId);
+
+    const opponent = rematch.players[playerColor === 'black' ? 'white' : 'black'];
+    websocketHandler.sendToUser(opponent.identityKey || opponent.id, {
+      type: EventTypes.REMATCH_DECLINED,
+      data: { gameId: data.gameId, color: playerColor }
+    });
+  }
+
+  /**
+   * Start the rematch: same settings, colours swapped
+   * (handicap games keep the colours, the handicap stays with the weaker player).
+   * Both players leave the matchmaking queue; callers check first that
+   * neither is in another game (checkPlayersFree).
+   * @param {string} gameId - Game ID of the finished game
+   * @returns {Promise<Object>} The new game
+   */
+  async startRematch(gameId) {
+    const rematch = this.rematches.get(gameId);
+    this.closeRematchWindow(gameId);
+
+    const { black, white } = rematch.settings.handicap ?
+      rematch.players :
+      { black: rematch.players.white, white: rematch.players.black };
+    matchmakingService.leaveQueue(black.identityKey);
+    matchmakingService.leaveQueue(white.identityKey);
+
+    const game = await this.createGame({
+      ...rematch.settings,
+      blackPlayerId: black.id,
+      whitePlayerId: white.id,
+      blackPlayerIdentityKey: black.identityKey,
+      whitePlayerIdentityKey: white.identityKey
+    });
+
+    console.log(`[GameManager] 🔁 Rematch of game ${gameId} started as game ${game.id}`);
+
+    this.broadcastToGame(game.id, {
+      type: EventTypes.REMATCH_STARTED,
+      data: { previousGameId: gameId, gameId: game.id }
+    });
+    return game;
   }
 
   /**
    * Send current game state to requesting player
+   * Anyone else gets the spectator view of the game.
    * @param {string} userId - User ID
    * @param {Object} data - Request data
    * @param {string} data.gameId - Game ID
@@ -419,11 +1133,6 @@ class GameManager {
       return;
     }
 
-    // Get current board state from engine (via internal engine instance)
-    // Note: goEngine is a wrapper, we need to access the internal engine
-    const engineState = goEngine.engine ? goEngine.engine.getGameState(gameId) : null;
-    const currentBoardState = engineState ? engineState.board : game.boardState;
-
     // Determine player color
     const playerColor = game.blackPlayerId === userId ? 'black' : 
                        game.whitePlayerId === userId ? 'white' : null;
@@ -433,83 +1142,510 @@ class GameManager {
     
     websocketHandler.sendToUser(identityKey, {
       type: EventTypes.GAME_STATE,
-      data: {
-        gameId,
-        boardSize: game.boardSize,
-        boardState: currentBoardState,
-        currentTurn: game.currentTurn,
-        moves: game.moves,
-        capturedStones: game.capturedStones,
-        blackPlayer: game.blackPlayerId,
-        whitePlayer: game.whitePlayerId,
-        playerColor: playerColor
-      }
+      data: this.getGameStateData(game, playerColor)
     });
   }
 
   /**
-   * Broadcast game state to both players
+   * Broadcast game state to both players and the spectators
    * @param {string} gameId - Game ID
    */
   broadcastGameState(gameId) {
     const game = this.activeGames.get(gameId);
     if (!game) return;
 
-    // Get current board state
-    const engineState = goEngine.engine ? goEngine.engine.getGameState(gameId) : null;
-    const currentBoardState = engineState ? engineState.board : game.boardState;
-
-    // Send to black player
     const blackIdentity = game.blackPlayerIdentityKey || game.blackPlayerId;
     websocketHandler.sendToUser(blackIdentity, {
       type: EventTypes.GAME_STATE,
-      data: {
-        gameId,
-        boardSize: game.boardSize,
-        boardState: currentBoardState,
-        currentTurn: game.currentTurn,
-        moves: game.moves,
-        capturedStones: game.capturedStones,
-        blackPlayer: game.blackPlayerId,
-        whitePlayer: game.whitePlayerId,
-        playerColor: 'black'
-      }
+      data: this.getGameStateData(game, 'black')
     });
 
-    // Send to white player
     const whiteIdentity = game.whitePlayerIdentityKey || game.whitePlayerId;
     websocketHandler.sendToUser(whiteIdentity, {
       type: EventTypes.GAME_STATE,
-      data: {
-        gameId,
-        boardSize: game.boardSize,
-        boardState: currentBoardState,
-        currentTurn: game.currentTurn,
-        moves: game.moves,
-        capturedStones: game.capturedStones,
-        blackPlayer: game.blackPlayerId,
-        whitePlayer: game.whitePlayerId,
-        playerColor: 'white'
-      }
+      data: this.getGameStateData(game, 'white')
+    });
+
+    this.sendToSpectators(gameId, {
+      type: EventTypes.GAME_STATE,
+      data: this.getGameStateData(game, null)
+    });
+  }
+
+  /**
+   * Build the game_state payload for a player or a spectator
+   * Guest IDs double as credentials, so spectators only see account IDs.
+   * @param {Object} game - Game object
+   * @param {string|null} playerColor - 'black' or 'white', null for spectators
+   * @returns {Object} game_state data
+   */
+  getGameStateData(game, playerColor) {
+    const engineState = goEngine.engine ? goEngine.engine.getGameState(game.id) : null;
+    const publicId = (userId) => playerColor || !userId.startsWith('guest-') ? userId : null;
+
+    return {
+      gameId: game.id,
+      boardSize: game.boardSize,
+      rules: game.rules,
+      komi: game.komi,
+      handicap: this.getHandicapSnapshot(game),
+      rated: game.rated !== false,
+      undosLeft: playerColor ? this.getUndosLeft(game, playerColor) : null,
+      boardState: engineState ? engineState.board : game.boardState,
+      currentTurn: game.currentTurn,
+      moves: game.moves,
+      capturedStones: game.capturedStones,
+      blackPlayer: publicId(game.blackPlayerId),
+      whitePlayer: publicId(game.whitePlayerId),
+      playerColor,
+      spectator: !playerColor,
+      spectators: this.getSpectatorCount(game.id),
+      chat: this.getChatHistory(game, playerColor),
+      clock: this.getClockSnapshot(game),
+      scoring: this.getScoringSnapshot(game)
+    };
+  }
+
+  /**
+   * Start watching a live game
+   * The spectator gets the current game state right away and from then on
+   * every move, game state and the game end.
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId }
+   */
+  handleWatchGame(identity, data) {
+    const game = this.activeGames.get(data?.gameId);
+    const userId = identity?.id || identity;
+    const connection = websocketHandler.getConnection(identity);
+
+    if (!game || !identity?.identityKey) {
+      websocketHandler.sendError(connection, 'Game not found');
+      return;
+    }
+    if (game.blackPlayerId === userId || game.whitePlayerId === userId) {
+      websocketHandler.sendError(connection, 'You are a player in this game');
+      return;
+    }
+
+    if (!this.spectators.has(game.id)) {
+      this.spectators.set(game.id, new Set());
+    }
+    this.spectators.get(game.id).add(identity.identityKey);
+
+    console.log(`[GameManager] 👀 ${identity.identityKey} is watching game ${game.id} (${this.getSpectatorCount(game.id)} spectators)`);
+
+    websocketHandler.sendToUser(identity.identityKey, {
+      type: EventTypes.GAME_STATE,
+      data: this.getGameStateData(game, null)
+    });
+    this.broadcastSpectatorCount(game.id);
+  }
+
+  /**
+   * Stop watching a game
+   * @param {Object} identity - Identity object with id and identityKey
+   * @param {Object} data - { gameId }
+   */
+  handleUnwatchGame(identity, data) {
+    const gameId = data?.gameId;
+    const spectators = this.spectators.get(gameId);
+    if (!spectators || !spectators.delete(identity?.identityKey)) return;
+
+    if (spectators.size === 0) {
+      this.spectators.delete(gameId);
+    }
+    this.broadcastSpectatorCount(gameId);
+  }
+
+  /**
+   * Number of spectators of a game
+   * @param {string} gameId - Game ID
+   * @returns {number}
+   */
+  getSpectatorCount(gameId) {
+    return this.spectators.get(gameId)?.size || 0;
+  }
+
+  /**
+   * Tell players and spectators how many people are watching
+   * @param {string} gameId - Game ID
+   */
+  broadcastSpectatorCount(gameId) {
+    if (!this.activeGames.has(gameId)) return;
+
+    const message = {
+      type: EventTypes.SPECTATOR_COUNT,
+      data: { gameId, spectators: this.getSpectatorCount(gameId) }
+    };
+    this.broadcastToGame(gameId, message);
+    this.sendToSpectators(gameId, message);
+  }
+
+  /**
+   * Send a message to every spectator of a game
+   * @param {string} gameId - Game ID
+   * @param {Object} message - Message object
+   */
+  sendToSpectators(gameId, message) {
+    const spectators = this.spectators.get(gameId);
+    if (!spectators) return;
+
+    for (const identityKey of spectators) {
+      websocketHandler.sendToUser(identityKey, message);
+    }
+  }
+
+  /**
+   * Handle a chat message from a player or spectator
+   * Players write in the players channel, which spectators can read too;
+   * the spectator channel (kibitz) is only shown to spectators.
+   * @param {Object} identity - Identity object with id, identityKey and username
+   * @param {Object} data - { gameId, text }
+   */
+  async handleChatMessage(identity, data) {
+    const game = this.activeGames.get(data?.gameId);
+    const userId = identity?.id || identity;
+
+    const playerColor = !game ? null :
+                       game.blackPlayerId === userId ? 'black' :
+                       game.whitePlayerId === userId ? 'white' : null;
+    const isSpectator = !!game && !playerColor && !!this.spectators.get(game.id)?.has(identity?.identityKey);
+
+    if (!playerColor && !isSpectator) {
+      websocketHandler.sendError(
+        websocketHandler.getConnection(identity),
+        'You are not in this game'
+      );
+      return;
+    }
+
+    const channel = playerColor ? 'players' : 'spectators';
+    const result = chatService.prepareMessage(identity.identityKey, data.text, { gameId: game.id, channel });
+    if (!result.ok) {
+      websocketHandler.sendToUser(identity.identityKey, {
+        type: EventTypes.CHAT_REJECTED,
+        data: { gameId: game.id, reason: result.reason }
+      });
+      return;
+    }
+
+    const message = {
+      id: uuidv4(),
+      channel,
+      color: playerColor,
+      name: identity.username || 'Gast',
+      text: result.text,
+      moveNumber: game.moves.length,
+      createdAt: new Date()
+    };
+    game.chat.push(message);
+
+    const chatMessage = {
+      type: EventTypes.CHAT_MESSAGE,
+      data: { gameId: game.id, message }
+    };
+    if (channel === 'players') {
+      this.broadcastToGame(game.id, chatMessage);
+    }
+    this.sendToSpectators(game.id, chatMessage);
+
+    await gameStore.saveChatMessage(game.id, message, identity.identityKey);
+  }
+
+  /**
+   * Chat messages a player or spectator may read
+   * @param {Object} game - Game object
+   * @param {string|null} playerColor - 'black' or 'white', null for spectators
+   * @returns {Array<Object>} Chat messages in order
+   */
+  getChatHistory(game, playerColor) {
+    return playerColor ? game.chat.filter(message => message.channel === 'players') : game.chat;
+  }
+
+  /**
+   * List the games that can be watched right now
+   * @returns {Promise<Array<Object>>} Live games, most watched first
+   */
+  async getLiveGames() {
+    const games = [...this.activeGames.values()].filter(game => game.status !== 'finished');
+
+    const liveGames = await Promise.all(games.map(async (game) => ({
+      gameId: game.id,
+      boardSize: game.boardSize,
+      rules: game.rules,
+      komi: game.komi,
+      handicap: game.handicap || null,
+      timeControl: game.timeControl || null,
+      status: game.status,
+      moveCount: game.moves.length,
+      spectators: this.getSpectatorCount(game.id),
+      black: await this.getRecordPlayer(game.blackPlayerId, game.boardSize, game.timeControl || null),
+      white: await this.getRecordPlayer(game.whitePlayerId, game.boardSize, game.timeControl || null),
+      createdAt: game.createdAt
+    })));
+
+    return liveGames.sort((a, b) => b.spectators - a.spectators || b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get the clock state of a game for clients
+   * @param {Object} game - Game object
+   * @returns {Object|null} Clock snapshot, or null for untimed games
+   */
+  getClockSnapshot(game) {
+    return game.clock ? game.clock.getSnapshot(Date.now()) : null;
+  }
+
+  /**
+   * Get the handicap of a game for clients
+   * @param {Object} game - Game object
+   * @returns {Object|null} { stones, placement, stonesToPlace }, or null for even games
+   */
+  getHandicapSnapshot(game) {
+    if (!game.handicap) return null;
+    const engineState = goEngine.engine ? goEngine.engine.getGameState(game.id) : null;
+    return {
+      ...game.handicap,
+      stonesToPlace: engineState ? engineState.handicapStonesToPlace : 0
+    };
+  }
+
+  /**
+   * Get the record of a game for SGF export
+   * Active games come from memory, finished games from the database.
+   * Ranks are the players' current ranks on the board size.
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} Game record (see gameToSgf), or null if unknown
+   */
+  async getGameRecord(gameId) {
+    let game = this.activeGames.get(gameId);
+    let moves = game ? game.moves : null;
+    let blackPlayerId = game ? game.blackPlayerId : null;
+    let whitePlayerId = game ? game.whitePlayerId : null;
+
+    if (!game) {
+      const stored = await gameStore.loadGame(gameId);
+      if (!stored) return null;
+      game = stored.game;
+      moves = stored.moves;
+      // Identity keys look like "a:<uuid>" or "g:<guestId>"
+      blackPlayerId = game.blackPlayerKey.substring(2);
+      whitePlayerId = game.whitePlayerKey.substring(2);
+    }
+
+    // Games stored before komi was saved were played with the default komi
+    const rules = game.rules || 'chinese';
+    const ruleSet = getRuleSet(rules);
+    const komi = game.komi ?? (game.handicap
+      ? getHandicapKomi(ruleSet, game.handicap.stones)
+      : getDefaultKomi(ruleSet, game.boardSize));
+
+    return {
+      id: game.id,
+      boardSize: game.boardSize,
+      komi,
+      rules,
+      handicap: game.handicap || null,
+      timeControl: game.timeControl || null,
+      moves,
+      black: await this.getRecordPlayer(blackPlayerId, game.boardSize, game.timeControl || null),
+      white: await this.getRecordPlayer(whitePlayerId, game.boardSize, game.timeControl || null),
+      winner: game.winner || null,
+      endReason: game.endReason || null,
+      finalScore: game.finalScore || null,
+      createdAt: game.createdAt,
+      endedAt: game.endedAt || null
+    };
+  }
+
+  /**
+   * Name and rank of a player for a game record
+   * @param {string} userId - User ID (guest IDs start with "guest-")
+   * @param {number} boardSize - Board size
+   * @param {Object|null} timeControl - Time control of the game (the rank is from its rating pool)
+   * @returns {Promise<{ name: string, rank: string }>}
+   */
+  async getRecordPlayer(userId, boardSize, timeControl = null) {
+    // Guest IDs double as credentials, so they never go into a record
+    const isGuest = userId.startsWith('guest-');
+    const user = isGuest ? null : await getUserFromId(userId);
+    return {
+      name: user ? user.username : 'Gast',
+      rank: await ratingService.getPlayerRank(userId, boardSize, getTimeControlCategory(timeControl))
+    };
+  }
+
+  /**
+   * Schedule a check for when the running player's flag should fall
+   * @param {Object} game - Game object
+   */
+  scheduleFlagCheck(game) {
+    this.clearFlagCheck(game.id);
+    if (!game.clock) return;
+
+    const remaining = game.clock.timeUntilFlag(Date.now());
+    if (remaining === null) return;
+
+    // Small margin so the check runs after the flag has actually fallen
+    const timer = setTimeout(() => {
+      this.clockTimers.delete(game.id);
+      this.handleFlagFall(game.id);
+    }, remaining + 50);
+    this.clockTimers.set(game.id, timer);
+  }
+
+  /**
+   * Cancel a pending flag-fall check
+   * @param {string} gameId - Game ID
+   */
+  clearFlagCheck(gameId) {
+    const timer = this.clockTimers.get(gameId);
+    if (timer) {
+      clearTimeout(timer);
+      this.clockTimers.delete(gameId);
+    }
+  }
+
+  /**
+   * End a game on time if the running player's flag has fallen
+   * @param {string} gameId - Game ID
+   */
+  async handleFlagFall(gameId) {
+    const game = this.activeGames.get(gameId);
+    if (!game || !game.clock || game.status !== 'active') return;
+
+    const flaggedColor = game.clock.running;
+    if (!flaggedColor || !game.clock.hasFlagged(flaggedColor, Date.now())) {
+      // Timer fired early - check again later
+      this.scheduleFlagCheck(game);
+      return;
+    }
+
+    const winner = flaggedColor === 'black' ? 'white' : 'black';
+    console.log(`[GameManager] ⏱️ ${flaggedColor} ran out of time in game ${gameId}. Winner: ${winner}`);
+
+    await this.endGame(gameId, {
+      ended: true,
+      reason: EventTypes.GAME_END_REASON.TIME_OUT,
+      winner
     });
   }
 
   /**
    * Handle player disconnection
-   * @param {string} userId - User ID
+   * Starts the grace window for every game of the player. The clock keeps
+   * running; if the player does not come back in time the game is abandoned.
+   * @param {Object} identity - Identity object { id, identityKey }
    */
   handleDisconnection(identity) {
     const userId = identity?.id || identity; // Support both identity object and legacy userId string
-    // Find all games where this user is playing
+
+    // Spectators watch again when they reconnect
+    for (const gameId of [...this.spectators.keys()]) {
+      this.handleUnwatchGame(identity, { gameId });
+    }
+
     for (const [gameId, game] of this.activeGames.entries()) {
-      if (game.blackPlayerId === userId || game.whitePlayerId === userId) {
-        // TODO: Implement timeout/abandonment logic
-        // For now, just log
-        console.log(`Player ${userId} disconnected from game ${gameId}`);
+      const color = game.blackPlayerId === userId ? 'black' :
+                    game.whitePlayerId === userId ? 'white' : null;
+      if (!color || game.status === 'finished') continue;
+
+      this.clearDisconnectTimer(gameId, color);
+      const expiresAt = Date.now() + DISCONNECT_GRACE_MS;
+      const timer = setTimeout(() => {
+        this.disconnectTimers.delete(`${gameId}:${color}`);
+        this.handleAbandonment(gameId, color);
+      }, DISCONNECT_GRACE_MS);
+      this.disconnectTimers.set(`${gameId}:${color}`, { timer, expiresAt });
+
+      console.log(`[GameManager] 🔌 ${color} (${userId}) disconnected from game ${gameId}, abandoning in ${DISCONNECT_GRACE_MS / 1000}s`);
+
+      const opponentIdentity = color === 'black'
+        ? game.whitePlayerIdentityKey || game.whitePlayerId
+        : game.blackPlayerIdentityKey || game.blackPlayerId;
+      websocketHandler.sendToUser(opponentIdentity, {
+        type: EventTypes.OPPONENT_DISCONNECTED,
+        data: { gameId, color, graceMs: DISCONNECT_GRACE_MS, remainingMs: DISCONNECT_GRACE_MS }
+      });
+    }
+  }
+
+  /**
+   * Handle player reconnection
+   * Cancels pending abandonment and resumes the player's games.
+   * @param {Object} identity - Identity object { id, identityKey }
+   */
+  handleReconnection(identity) {
+    const userId = identity?.id || identity; // Support both identity object and legacy userId string
+
+    for (const [gameId, game] of this.activeGames.entries()) {
+      const color = game.blackPlayerId === userId ? 'black' :
+                    game.whitePlayerId === userId ? 'white' : null;
+      if (!color) continue;
+
+      const opponentColor = color === 'black' ? 'white' : 'black';
+      const opponentIdentity = opponentColor === 'black'
+        ? game.blackPlayerIdentityKey || game.blackPlayerId
+        : game.whitePlayerIdentityKey || game.whitePlayerId;
+
+      if (this.clearDisconnectTimer(gameId, color)) {
+        console.log(`[GameManager] 🔌 ${color} (${userId}) reconnected to game ${gameId}`);
+        websocketHandler.sendToUser(opponentIdentity, {
+          type: EventTypes.OPPONENT_RECONNECTED,
+          data: { gameId, color }
+        });
+      }
+
+      // The opponent may be gone as well - show the running countdown
+      const opponentDisconnect = this.disconnectTimers.get(`${gameId}:${opponentColor}`);
+      if (opponentDisconnect) {
+        websocketHandler.sendToUser(identity, {
+          type: EventTypes.OPPONENT_DISCONNECTED,
+          data: {
+            gameId,
+            color: opponentColor,
+            graceMs: DISCONNECT_GRACE_MS,
+            remainingMs: Math.max(0, opponentDisconnect.expiresAt - Date.now())
+          }
+        });
       }
     }
   }
 
+  /**
+   * Cancel a pending abandonment check
+   * @param {string} gameId - Game ID
+   * @param {string} color - Color of the disconnected player
+   * @returns {boolean} True if a check was pending
+   */
+  clearDisconnectTimer(gameId, color) {
+    const pending = this.disconnectTimers.get(`${gameId}:${color}`);
+    if (!pending) return false;
+
+    clearTimeout(pending.timer);
+    this.disconnectTimers.delete(`${gameId}:${color}`);
+    return true;
+  }
+
+  /**
+   * End a game because a player did not reconnect within the grace window
+   * @param {string} gameId - Game ID
+   * @param {string} color - Color of the player who left
+   */
+  async handleAbandonment(gameId, color) {
+    const game = this.activeGames.get(gameId);
+    if (!game || game.status === 'finished') return;
+
+    const winner = color === 'black' ? 'white' : 'black';
+    console.log(`[GameManager] 🚪 ${color} abandoned game ${gameId}. Winner: ${winner}`);
+
+    await this.endGame(gameId, {
+      ended: true,
+      reason: EventTypes.GAME_END_REASON.ABANDONMENT,
+      winner
+    });
+  }
+
   /**
    * Broadcast message to both players in a game
    * @param {string} gameId - Game ID
@@ -541,17 +1677,50 @@ class GameManager {
     return this.activeGames.get(gameId) || null;
   }
 
+  /**
+   * Get the active game a player is playing in
+   * @param {string} identityKey - Identity key of the player
+   * @returns {Object|null} Game object or null
+   */
+  getActiveGameOf(identityKey) {
+    for (const game of this.activeGames.values()) {
+      if (game.status !== 'finished' &&
+          (game.blackPlayerIdentityKey === identityKey || game.whitePlayerIdentityKey === identityKey)) {
+        return game;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that none of the players of a new game is still playing another one
+   * @param {Object} requester - Identity that gets the error otherwise
+   * @param {Array<Object>} players - Players of the new game ({ identityKey })
+   * @returns {boolean} True if the game may start
+   */
+  checkPlayersFree(requester, players) {
+    if (players.some(player => this.getActiveGameOf(player.identityKey))) {
+      websocketHandler.sendError(websocketHandler.getConnection(requester), 'A player is already in a game');
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Send player statistics to requesting player
    * @param {string} userId - User ID
    * @param {Object} data - Request data
    * @param {number} data.boardSize - Board size
+   * @param {string} data.timeCategory - Time control category of the rating pool (default: untimed)
    */
   async sendPlayerStats(identity, data) {
     const { boardSize = 19 } = data;
+    const timeCategory = TIME_CONTROL_CATEGORIES.includes(data.timeCategory) ? data.timeCategory : DEFAULT_TIME_CATEGORY;
     const userId = identity?.id || identity; // Support both identity object and legacy userId string
     
-    const stats = await statsService.getPlayerStats(userId, boardSize);
+    const stats = await statsService.getPlayerStats(userId, boardSize, timeCategory);
+    const ratingInfo = await ratingService.getRatingInfo(userId, boardSize, timeCategory);
+    const casual = await statsService.getCasualStats(userId, boardSize);
     
     // Determine identity kind
     const identityKind = identity?.kind || (userId.startsWith('guest-') ? 'guest' : 'account');
@@ -563,8 +1732,11 @@ class GameManager {
         ...(identity?.username && { username: identity.username })
       },
       boardSize,
+      timeCategory,
       rating: stats.currentRating || stats.rating || 1500,
-      rankDisplay: stats.currentRank || stats.rank || '30k',
+      ratingDeviation: ratingInfo.rd,
+      provisional: ratingInfo.provisional,
+      rankDisplay: ratingInfo.display || stats.currentRank || '30k',
       stats: {
         games: stats.gamesPlayed || 0,
         wins: stats.wins || 0,
@@ -572,7 +1744,9 @@ class GameManager {
         draws: stats.draws || 0,
         winrate: stats.winRate || 0,
         highestRating: stats.highestRating || stats.currentRating || 1500
-      }
+      },
+      casual,
+      poolStats: ratingInfo.results
     };
     
     console.log(`[GameManager] 📊 Sending stats_update to ${identityKind}:${userId} - games: ${payload.stats.games}, rating: ${payload.rating}`);
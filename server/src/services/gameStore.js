@@ -0,0 +1,384 @@
+/**
+ * Game Store Service
+ *
+ * Persists games, moves and chat messages to the `games`, `moves` and
+ * `chat_messages` tables.
+ *
+ * Persistence is best-effort: the server keeps running without a database,
+ * so every write logs errors instead of throwing into the game flow.
+ */
+
+import { db } from '../db/connection.js';
+
+/**
+ * Check if userId is a guest (starts with "guest-")
+ */
+function isGuest(userId) {
+  return typeof userId === 'string' && userId.startsWith('guest-');
+}
+
+/**
+ * Get the identity key for a player ("a:<uuid>" or "g:<guestId>")
+ */
+function toPlayerKey(userId, identityKey) {
+  if (identityKey) {
+    return identityKey;
+  }
+  return isGuest(userId) ? `g:${userId}` : `a:${userId}`;
+}
+
+/**
+ * Map a games row to the stored game shape used by GameManager
+ */
+function toStoredGame(row) {
+  return {
+    id: row.id,
+    blackPlayerKey: row.black_player_key,
+    whitePlayerKey: row.white_player_key,
+    boardSize: row.board_size,
+    rules: row.rules,
+    handicap: row.handicap > 0 ? { stones: row.handicap, placement: row.handicap_placement } : null,
+    komi: row.komi !== null ? Number(row.komi) : null, // DECIMAL comes back as a string
+    status: row.status,
+    timeControl: row.time_control,
+    rated: row.rated !== false,
+    undosUsed: { black: row.undos_used_black || 0, white: row.undos_used_white || 0 },
+    createdAt: row.created_at,
+    lastMoveAt: row.last_move_at
+  };
+}
+
+/**
+ * Map a moves row to the move shape used by GameManager
+ */
+function toStoredMove(row) {
+  return {
+    color: row.color,
+    x: row.is_pass ? null : row.x,
+    y: row.is_pass ? null : row.y,
+    pass: row.is_pass,
+    moveNumber: row.move_number,
+    captures: row.captured_stones || 0,
+    timestamp: row.timestamp
+  };
+}
+
+/**
+ * Map a chat_messages row to the chat message shape used by GameManager
+ */
+function toStoredChatMessage(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    color: row.color,
+    name: row.sender_name,
+    text: row.message,
+    moveNumber: row.move_number,
+    createdAt: row.created_at
+  };
+}
+
+class GameStore {
+  /**
+   * Insert a newly created game
+   * @param {Object} game - Game object from GameManager
+   * @returns {Promise<boolean>} True if the game was written
+   */
+  async saveGame(game) {
+    try {
+      await db.query(
+        `INSERT INTO games (
+           id, black_player_id, white_player_id, black_player_key, white_player_key,
+           board_size, rules, handicap, handicap_placement, komi, status, time_control, rated,
+           created_at, started_at, last_move_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14, $15)
+         ON CONFLICT (id) DO NOTHING`,
+        [
+          game.id,
+          isGuest(game.blackPlayerId) ? null : game.blackPlayerId,
+          isGuest(game.whitePlayerId) ? null : game.whitePlayerId,
+          toPlayerKey(game.blackPlayerId, game.blackPlayerIdentityKey),
+          toPlayerKey(game.whitePlayerId, game.whitePlayerIdentityKey),
+          game.boardSize,
+          game.rules,
+          game.handicap ? game.handicap.stones : 0,
+          game.handicap ? game.handicap.placement : 'fixed',
+          game.komi,
+          game.status,
+          game.timeControl ? JSON.stringify(game.timeControl) : null,
+          game.rated !== false,
+          game.createdAt,
+          game.lastMoveAt
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[GameStore] Error saving game ${game.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Insert a move and bump the game's last_move_at
+   * @param {string} gameId - Game ID
+   * @param {Object} move - Move entry from game.moves
+   * @returns {Promise<boolean>} True if the move was written
+   */
+  async saveMove(gameId, move) {
+    try {
+      await db.query(
+        `INSERT INTO moves (game_id, move_number, color, x, y, is_pass, captured_stones, timestamp)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (game_id, move_number) DO NOTHING`,
+        [
+          gameId,
+          move.moveNumber,
+          move.color,
+          move.pass ? null : move.x,
+          move.pass ? null : move.y,
+          !!move.pass,
+          move.captures || 0,
+          move.timestamp
+        ]
+      );
+      await db.query(
+        'UPDATE games SET last_move_at = $2 WHERE id = $1',
+        [gameId, move.timestamp]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[GameStore] Error saving move ${move.moveNumber} of game ${gameId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Insert a chat message of a game
+   * @param {string} gameId - Game ID
+   * @param {Object} message - Chat message from GameManager
+   * @param {string} senderKey - Sender identity key
+   * @returns {Promise<boolean>} True if the message was written
+   */
+  async saveChatMessage(gameId, message, senderKey) {
+    try {
+      await db.query(
+        `INSERT INTO chat_messages (id, game_id, channel, sender_key, sender_name, color, move_number, message, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          message.id,
+          gameId,
+          message.channel,
+          senderKey,
+          message.name,
+          message.color,
+          message.moveNumber,
+          message.text,
+          message.createdAt
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[GameStore] Error saving chat message of game ${gameId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the moves after a move number (taken back with an undo)
+   * @param {string} gameId - Game ID
+   * @param {number} moveNumber - Last move number to keep
+   * @returns {Promise<boolean>} True if the moves were deleted
+   */
+  async deleteMovesAfter(gameId, moveNumber) {
+    try {
+      await db.query(
+        'DELETE FROM moves WHERE game_id = $1 AND move_number > $2',
+        [gameId, moveNumber]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[GameStore] Error deleting moves after ${moveNumber} of game ${gameId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Store the undos used by both players of a game
+   * @param {Object} game - Game object from GameManager
+   * @returns {Promise<boolean>} True if the game was updated
+   */
+  async updateUndosUsed(game) {
+    try {
+      await db.query(
+        'UPDATE games SET undos_used_black = $2, undos_used_white = $3 WHERE id = $1',
+        [game.id, game.undosUsed.black, game.undosUsed.white]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[GameStore] Error updating undos of game ${game.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write the final state of a game (status, winner, reason, score)
+   * @param {Object} game - Finished game object from GameManager
+   * @returns {Promise<boolean>} True if the game was updated
+   */
+  async updateGame(game) {
+    try {
+      await db.query(
+        `UPDATE games
+         SET status = $2,
+             winner = $3,
+             end_reason = $4,
+             final_score_black = $5,
+             final_score_white = $6,
+             ended_at = $7,
+             last_move_at = $8
+         WHERE id = $1`,
+        [
+          game.id,
+          game.status,
+          game.winner || null,
+          game.endReason || null,
+          game.finalScore ? game.finalScore.black : null,
+          game.finalScore ? game.finalScore.white : null,
+          game.endedAt || null,
+          game.lastMoveAt
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[GameStore] Error updating game ${game.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load all games that were still being played, with their moves in order
+   * @returns {Promise<Array<{game: Object, moves: Array<Object>, chat: Array<Object>}>>} Active games (empty without DB)
+   */
+  async loadActiveGames() {
+    try {
+      const gamesResult = await db.query(
+        `SELECT id, black_player_key, white_player_key, board_size, rules, handicap, handicap_placement, komi, status, rated,
+                undos_used_black, undos_used_white, time_control, created_at, last_move_at
+         FROM games
+         WHERE status = 'active'
+         ORDER BY created_at`
+      );
+
+      if (gamesResult.rows.length === 0) {
+        return [];
+      }
+
+      const gameIds = gamesResult.rows.map(row => row.id);
+      const movesResult = await db.query(
+        `SELECT game_id, move_number, color, x, y, is_pass, captured_stones, timestamp
+         FROM moves
+         WHERE game_id = ANY($1)
+         ORDER BY game_id, move_number`,
+        [gameIds]
+      );
+
+      const movesByGame = new Map();
+      for (const row of movesResult.rows) {
+        if (!movesByGame.has(row.game_id)) {
+          movesByGame.set(row.game_id, []);
+        }
+        movesByGame.get(row.game_id).push(toStoredMove(row));
+      }
+
+      const chatByGame = new Map();
+      for (const row of await this.loadChatRows(gameIds)) {
+        if (!chatByGame.has(row.game_id)) {
+          chatByGame.set(row.game_id, []);
+        }
+        chatByGame.get(row.game_id).push(toStoredChatMessage(row));
+      }
+
+      return gamesResult.rows.map(row => ({
+        game: toStoredGame(row),
+        moves: movesByGame.get(row.id) || [],
+        chat: chatByGame.get(row.id) || []
+      }));
+    } catch (error) {
+      console.error('[GameStore] Error loading active games:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Load the chat messages of games in order
+   * Chat is optional: without the chat_messages table the games load without chat.
+   * @param {Array<string>} gameIds - Game IDs
+   * @returns {Promise<Array<Object>>} chat_messages rows
+   */
+  async loadChatRows(gameIds) {
+    try {
+      const result = await db.query(
+        `SELECT id, game_id, channel, sender_name, color, move_number, message, created_at
+         FROM chat_messages
+         WHERE game_id = ANY($1)
+         ORDER BY game_id, created_at`,
+        [gameIds]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('[GameStore] Error loading chat messages:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Load a single game (active or finished) with its moves in order
+   * @param {string} gameId - Game ID
+   * @returns {Promise<{game: Object, moves: Array<Object>}|null>} Game, or null if unknown (or no DB)
+   */
+  async loadGame(gameId) {
+    try {
+      const gameResult = await db.query(
+        `SELECT id, black_player_key, white_player_key, board_size, rules, handicap, handicap_placement, komi, status, rated,
+                winner, end_reason, final_score_black, final_score_white,
+                time_control, created_at, ended_at, last_move_at
+         FROM games
+         WHERE id = $1`,
+        [gameId]
+      );
+
+      const row = gameResult.rows[0];
+      if (!row) {
+        return null;
+      }
+
+      const movesResult = await db.query(
+        `SELECT game_id, move_number, color, x, y, is_pass, captured_stones, timestamp
+         FROM moves
+         WHERE game_id = $1
+         ORDER BY move_number`,
+        [gameId]
+      );
+
+      const hasScore = row.final_score_black !== null && row.final_score_white !== null;
+      return {
+        game: {
+          ...toStoredGame(row),
+          winner: row.winner,
+          endReason: row.end_reason,
+          finalScore: hasScore
+            ? { black: Number(row.final_score_black), white: Number(row.final_score_white) }
+            : null,
+          endedAt: row.ended_at
+        },
+        moves: movesResult.rows.map(toStoredMove)
+      };
+    } catch (error) {
+      console.error(`[GameStore] Error loading game ${gameId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+export const gameStore = new GameStore();
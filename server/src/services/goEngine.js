@@ -6,6 +6,7 @@
  */
 
 import GoEngine from '../engine/goEngine.js';
+import { importSgf } from '../engine/sgf.js';
 
 class GoEngineService {
   constructor() {
@@ -16,10 +17,53 @@ class GoEngineService {
   /**
    * Initialize a new game
    * @param {string} gameId - Game ID
-   * @param {number} boardSize - Board size (9, 13, or 19)
+   * @param {number} boardSize - Board size (5 to 25)
+   * @param {string} rules - Rule set name (see RULE_SET_NAMES)
+   * @param {Object|null} handicap - Handicap ({ stones, placement }, null = even game)
+   * @param {number|null} komi - Custom komi (null = default of rule set and board size)
+   * @returns {Object} Engine game state (komi, ruleSet, currentPlayer, ...)
    */
-  initializeGame(gameId, boardSize) {
-    this.engine.createGameState(gameId, boardSize);
+  initializeGame(gameId, boardSize, rules = 'chinese', handicap = null, komi = null) {
+    return this.engine.createGameState(gameId, boardSize, komi, rules, handicap);
+  }
+
+  /**
+   * Rebuild a game by replaying its moves from the start
+   * Restores board, capture counts, superko history and turn exactly as they were.
+   * @param {string} gameId - Game ID
+   * @param {number} boardSize - Board size (5 to 25)
+   * @param {Array<Object>} moves - Moves in order ({ color, x, y, pass })
+   * @param {string} rules - Rule set name (see RULE_SET_NAMES)
+   * @param {Object|null} handicap - Handicap ({ stones, placement }, null = even game)
+   * @param {number|null} komi - Komi the game was started with (null = default)
+   * @returns {Object} Replay result ({ ok, state } or { ok: false, moveNumber, reason })
+   */
+  restoreGame(gameId, boardSize, moves, rules = 'chinese', handicap = null, komi = null) {
+    this.engine.createGameState(gameId, boardSize, komi, rules, handicap);
+
+    for (let i = 0; i < moves.length; i++) {
+      const move = moves[i];
+      const result = move.pass
+        ? this.handlePass(gameId, move.color)
+        : this.playMove(gameId, move.color, move.x, move.y);
+
+      if (!result.valid) {
+        this.engine.cleanupGame(gameId);
+        return { ok: false, moveNumber: i + 1, reason: result.reason };
+      }
+    }
+
+    return { ok: true, state: this.engine.getGameState(gameId) };
+  }
+
+  /**
+   * Import an SGF file (see importSgf)
+   * @param {string} gameId - Game ID for the imported game
+   * @param {string} sgfText - SGF text
+   * @returns {Object} Import result ({ ok, info, tree, position } or { ok: false, reason, path, moveNumber })
+   */
+  importSgf(gameId, sgfText) {
+    return importSgf(this.engine, gameId, sgfText);
   }
 
   /**
@@ -56,7 +100,8 @@ class GoEngineService {
         boardState: state.board,
         capturedStones: { ...state.capturedStones },
         captures: result.captures,
-        newHash: result.newHash
+        newHash: result.newHash,
+        handicapPlacement: !!result.handicapPlacement
       };
     } catch (error) {
       return { valid: false, reason: error.message || 'invalid_move' };
@@ -86,11 +131,41 @@ class GoEngineService {
     }
   }
 
+  /**
+   * Take back the last moves (see GoEngine.undoMove)
+   * @param {string} gameId - Game ID
+   * @param {number} count - Number of moves to take back
+   * @returns {Object} Undo result ({ valid, boardState, capturedStones, currentPlayer } or { valid: false, reason })
+   */
+  undoMoves(gameId, count) {
+    try {
+      let state = this.engine.getGameState(gameId);
+      if (!state || state.undoStack.length < count) {
+        return { valid: false, reason: 'nothing_to_undo' };
+      }
+
+      for (let i = 0; i < count; i++) {
+        state = this.engine.undoMove(gameId);
+      }
+
+      return {
+        valid: true,
+        boardState: state.board,
+        capturedStones: { ...state.capturedStones },
+        currentPlayer: state.currentPlayer
+      };
+    } catch (error) {
+      return { valid: false, reason: error.message || 'invalid_undo' };
+    }
+  }
+
   /**
    * Check if game should end
+   * Two consecutive passes do not end the game directly: the players first
+   * agree on dead stones in the scoring phase (see scoreGame).
    * @param {string} gameId - Game ID
    * @param {Object} lastMoveResult - Result of last move
-   * @returns {Object} Game end check result
+   * @returns {Object} Game end check result ({ ended, scoring })
    */
   checkGameEnd(gameId, lastMoveResult) {
     const state = this.engine.getGameState(gameId);
@@ -100,25 +175,73 @@ class GoEngineService {
 
     // Check if ended flag is set (from pass)
     if (lastMoveResult.ended === true) {
-      // Calculate final score using Chinese scoring
-      const scoreResult = this.engine.scoreChinese(gameId);
-      
-      return {
-        ended: true,
-        reason: 'two_passes',
-        winner: scoreResult.winner,
-        finalScore: {
-          black: scoreResult.black,
-          white: scoreResult.white
-        },
-        scoreDiff: scoreResult.scoreDiff,
-        komi: scoreResult.komi
-      };
+      return { ended: false, scoring: true };
     }
 
     return { ended: false };
   }
 
+  /**
+   * Get the group of stones at a position (for dead stone marking)
+   * @param {string} gameId - Game ID
+   * @param {number} x - X coordinate (0-indexed)
+   * @param {number} y - Y coordinate (0-indexed)
+   * @returns {Array<{x, y}>} Stones of the group, empty if the point is empty
+   */
+  getGroupAt(gameId, x, y) {
+    const state = this.engine.getGameState(gameId);
+    if (!state || x < 0 || x >= state.boardSize || y < 0 || y >= state.boardSize) {
+      return [];
+    }
+
+    const color = state.board[y][x];
+    return color ? this.engine.getGroup(state.board, x, y, color) : [];
+  }
+
+  /**
+   * Score the current position with the given dead stones removed
+   * @param {string} gameId - Game ID
+   * @param {Array<{x, y}>} deadStones - Stones marked dead
+   * @returns {Object} Score ({ black, white, winner, scoreDiff, komi, rules, breakdown })
+   */
+  previewScore(gameId, deadStones) {
+    const { black, white, winner, scoreDiff, komi, rules, breakdown } = this.engine.score(gameId, deadStones);
+    return { black, white, winner, scoreDiff, komi, rules, breakdown };
+  }
+
+  /**
+   * Final scoring once both players accepted the dead stones
+   * @param {string} gameId - Game ID
+   * @param {Array<{x, y}>} deadStones - Agreed dead stones
+   * @returns {Object} Game end result
+   */
+  scoreGame(gameId, deadStones) {
+    const scoreResult = this.engine.score(gameId, deadStones);
+
+    return {
+      ended: true,
+      reason: 'score',
+      winner: scoreResult.winner,
+      finalScore: {
+        black: scoreResult.black,
+        white: scoreResult.white
+      },
+      scoreDiff: scoreResult.scoreDiff,
+      komi: scoreResult.komi,
+      rules: scoreResult.rules,
+      breakdown: scoreResult.breakdown,
+      deadStones
+    };
+  }
+
+  /**
+   * Resume play after the scoring phase was rejected
+   * @param {string} gameId - Game ID
+   */
+  resumePlay(gameId) {
+    this.engine.resumePlay(gameId);
+  }
+
   /**
    * Clean up game state when game ends
    * @param {string} gameId - Game ID
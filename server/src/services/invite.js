@@ -0,0 +1,123 @@
+/**
+ * Invite Service
+ *
+ * Private game invitations: a player picks the settings and gets a secret
+ * token for a link (/invite/<token>) to share, e.g. with a friend who is
+ * not online yet. The game is created when someone else opens the link.
+ * Invites live in memory until they are used, withdrawn or expire.
+ */
+
+import { randomBytes } from 'crypto';
+import { websocketHandler } from '../websocket/handler.js';
+import { EventTypes } from '../constants/events.js';
+import { challengeService, normalizeChallengeSettings } from './challenge.js';
+import { gameManager } from './gameManager.js';
+
+// How long an invite link stays valid
+const INVITE_EXPIRY_MS = (Number(process.env.INVITE_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+
+// Open invites per player (creating another one drops the oldest)
+const MAX_OPEN_INVITES = 5;
+
+class InviteService {
+  constructor() {
+    // Open invites: Map<token, Invite>
+    this.invites = new Map();
+  }
+
+  /**
+   * Create an invite
+   * @param {Object} identity - Creator identity ({ id, identityKey, username })
+   * @param {Object} data - { settings } (see normalizeChallengeSettings)
+   * @returns {Object|null} The invite, or null if the settings are invalid
+   */
+  createInvite(identity, data) {
+    const settingsResult = normalizeChallengeSettings(data?.settings);
+    if (!settingsResult.ok) {
+      websocketHandler.sendError(websocketHandler.getConnection(identity), `Invalid invite: ${settingsResult.reason}`);
+      return null;
+    }
+
+    const open = [...this.invites.values()].filter(invite => invite.from.identityKey === identity.identityKey);
+    for (const invite of open.slice(0, Math.max(0, open.length - MAX_OPEN_INVITES + 1))) {
+      this.removeInvite(invite.token);
+    }
+
+    const now = Date.now();
+    const invite = {
+      token: randomBytes(16).toString('base64url'),
+      from: { id: identity.id, identityKey: identity.identityKey, name: identity.username || 'Gast' },
+      settings: settingsResult.settings,
+      createdAt: now,
+      expiresAt: now + INVITE_EXPIRY_MS
+    };
+    invite.timer = setTimeout(() => this.removeInvite(invite.token), INVITE_EXPIRY_MS);
+    this.invites.set(invite.token, invite);
+
+    console.log(`[Invite] ✉️ ${invite.from.identityKey} created an invite (${invite.settings.boardSize}x${invite.settings.boardSize})`);
+
+    websocketHandler.sendToUser(identity.identityKey, {
+      type: EventTypes.INVITE_CREATED,
+      data: {
+        token: invite.token,
+        settings: invite.settings,
+        expiresAt: invite.expiresAt
+      }
+    });
+    return invite;
+  }
+
+  /**
+   * Accept an invite and start the game
+   * @param {Object} identity - Identity of the player who opened the link
+   * @param {Object} data - { token }
+   * @returns {Promise<Object|null>} The new game, or null if the invite can't be used
+   */
+  async acceptInvite(identity, data) {
+    const connection = websocketHandler.getConnection(identity);
+    const invite = this.invites.get(data?.token);
+    if (!invite) {
+      websocketHandler.sendError(connection, 'Invite is no longer available');
+      return null;
+    }
+    if (invite.from.identityKey === identity.identityKey) {
+      websocketHandler.sendError(connection, 'You cannot accept your own invite');
+      return null;
+    }
+    const opponent = { id: identity.id, identityKey: identity.identityKey };
+    if (!gameManager.checkPlayersFree(identity, [invite.from, opponent])) {
+      return null;
+    }
+    this.removeInvite(invite.token);
+
+    const game = await challengeService.startGame(invite.from, opponent, invite.settings, { invite: true });
+    console.log(`[Invite] 🎮 Invite accepted by ${identity.identityKey}: gameId=${game.id}`);
+    return game;
+  }
+
+  /**
+   * Withdraw an own invite
+   * @param {Object} identity - Creator identity
+   * @param {Object} data - { token }
+   */
+  cancelInvite(identity, data) {
+    const invite = this.invites.get(data?.token);
+    if (invite && invite.from.identityKey === identity.identityKey) {
+      this.removeInvite(invite.token);
+    }
+  }
+
+  /**
+   * Remove an invite and its expiry timer
+   * @param {string} token - Invite token
+   */
+  removeInvite(token) {
+    const invite = this.invites.get(token);
+    if (invite) {
+      clearTimeout(invite.timer);
+      this.invites.delete(token);
+    }
+  }
+}
+
+export const inviteService = new InviteService();
@@ -3,22 +3,75 @@
  * 
  * Handles player queue management and match creation.
  * Matches players based on:
- * - Board size preference
- * - Rating proximity (Elo-based)
- * - Queue time (widen search over time)
+ * - Board size and time control category (one queue per combination, see
+ *   getTimeControlCategory); within a category the longest-waiting
+ *   player's time control is played
+ * - Rating proximity (rating for the queued board size)
+ * - Queue time (the accepted rating gap widens the longer a player waits;
+ *   after MATCH_MAX_WAIT_MS any rating gap is accepted, so nobody starves)
+ * 
+ * The longest-waiting player is always matched first, with the closest
+ * rated compatible opponent.
+ * 
+ * Players who opt into handicap games get a handicap from their rating gap.
  */
 
 import { websocketHandler } from '../websocket/handler.js';
 import { EventTypes } from '../constants/events.js';
 import { gameManager } from './gameManager.js';
+import { ratingService, getRatingPerStone } from './rating.js';
+import { MIN_HANDICAP, MAX_HANDICAP, supportsFixedHandicap } from '../engine/handicap.js';
+import { MIN_BOARD_SIZE, MAX_BOARD_SIZE, isValidBoardSize } from '../engine/boardSize.js';
+import { getTimeControlCategory } from '../engine/gameClock.js';
+
+// Minimum time in queue before a match (gives both clients time to settle)
+const MIN_QUEUE_TIME_MS = 500;
+
+// Accepted rating gap: starts at MATCH_RATING_GAP and grows by
+// MATCH_RATING_GAP_STEP every MATCH_RATING_GAP_STEP_MS in queue
+const MATCH_RATING_GAP = 100;
+const MATCH_RATING_GAP_STEP = 50;
+const MATCH_RATING_GAP_STEP_MS = 5000;
+
+// After this wait any rating gap is accepted
+const MATCH_MAX_WAIT_MS = (Number(process.env.MATCHMAKING_MAX_WAIT_SECONDS) || 60) * 1000;
+
+// Queue entries older than this are dropped (e.g. forgotten browser tabs)
+const QUEUE_ENTRY_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Key of the queue for a board size and time control category
+ * @param {number} boardSize - Board size
+ * @param {string} timeCategory - Time control category (see TIME_CONTROL_CATEGORIES)
+ * @returns {string} e.g. "19x19:rapid"
+ */
+export function getQueueKey(boardSize, timeCategory) {
+  return `${boardSize}x${boardSize}:${timeCategory}`;
+}
+
+/**
+ * Rating gap a player accepts after waiting in the queue
+ * @param {number} waitMs - Time in queue in ms
+ * @returns {number} Accepted rating gap (Infinity after MATCH_MAX_WAIT_MS)
+ */
+export function getAcceptableRatingGap(waitMs) {
+  if (waitMs >= MATCH_MAX_WAIT_MS) {
+    return Infinity;
+  }
+  return MATCH_RATING_GAP + Math.floor(Math.max(0, waitMs) / MATCH_RATING_GAP_STEP_MS) * MATCH_RATING_GAP_STEP;
+}
 
 class MatchmakingService {
   constructor() {
-    // Queue structure: Map<boardSize, Array<{identityKey, socketId, boardSize, joinedAt, rating?}>>
-    // Note: rating is optional and fetched only when needed (not required for matching)
+    // Queue structure: Map<queueKey, Array<{identityKey, socketId, boardSize, timeCategory, joinedAt, rating, preferences}>>
+    // (queueKey from getQueueKey: board size plus time control category)
+    // Entries are in join order, so the longest-waiting player comes first
     this.queues = new Map();
-    // Track queued users: Map<identityKey, {boardSize, joinedAt, socketId}>
+    // Track queued users: Map<identityKey, {boardSize, timeCategory, joinedAt, socketId}>
     this.queuedUsers = new Map();
+    // Joins waiting for the rating lookup: Map<identityKey, token of the latest join>
+    // (a leave or a newer join replaces the token, so the older join is dropped)
+    this.pendingJoins = new Map();
     this.matchmakingInterval = null;
     this.cleanupInterval = null;
   }
@@ -45,8 +98,12 @@ class MatchmakingService {
    * @param {string} identityKey - Identity key in format "a:<uuid>" or "g:<guestId>"
    * @param {WebSocket} ws - WebSocket connection
    * @param {Object} preferences - Matchmaking preferences
-   * @param {number} preferences.boardSize - Board size (9, 13, or 19)
-   * @param {Object} preferences.timeControl - Optional time control settings
+   * @param {number} preferences.boardSize - Board size (5 to 25)
+   * @param {Object} preferences.timeControl - Optional normalized time control (its category picks the queue)
+   * @param {string} preferences.rules - Rule set name (see RULE_SET_NAMES)
+   * @param {string} preferences.handicap - 'even' (default) or 'auto' (handicap from the rating gap)
+   * @param {number|null} preferences.komi - Custom komi (null = default of rules and board size)
+   * @param {boolean} preferences.rated - Whether the game counts for ratings (default true)
    */
   async joinQueue(identityKey, ws, preferences) {
     const { boardSize } = preferences;
@@ -59,29 +116,50 @@ class MatchmakingService {
     }
 
     // Validate boardSize
-    if (![9, 13, 19].includes(boardSize)) {
-      websocketHandler.sendError(ws, 'Invalid board size. Must be 9, 13, or 19.');
+    if (!isValidBoardSize(boardSize)) {
+      websocketHandler.sendError(ws, `Invalid board size. Must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}.`);
       return;
     }
 
-    // NO RATING LOOKUP - matchmaking is independent of DB
+    const timeCategory = getTimeControlCategory(preferences.timeControl || null);
 
-    // Initialize queue for board size if it doesn't exist
-    if (!this.queues.has(boardSize)) {
-      this.queues.set(boardSize, []);
+    // Rating in the pool of the queue (falls back to the initial rating without DB);
+    // looked up before touching the queue so the queue checks below run without await
+    const joinToken = Symbol(identityKey);
+    this.pendingJoins.set(identityKey, joinToken);
+    const rating = await ratingService.getRating(identityKey.substring(2), boardSize, timeCategory);
+
+    // The player may have left, disconnected or joined again during the lookup
+    if (this.pendingJoins.get(identityKey) !== joinToken) {
+      console.log(`[Matchmaking] ${identityKey} left or rejoined during the rating lookup, dropping join`);
+      return;
+    }
+    this.pendingJoins.delete(identityKey);
+    if (!websocketHandler.getConnection(identityKey)) {
+      console.log(`[Matchmaking] ${identityKey} disconnected during the rating lookup, dropping join`);
+      return;
     }
 
-    const queue = this.queues.get(boardSize);
+    const queueKey = getQueueKey(boardSize, timeCategory);
 
-    // Check if user is already in queue for this board size (by identityKey)
+    // Initialize queue for board size and category if it doesn't exist
+    if (!this.queues.has(queueKey)) {
+      this.queues.set(queueKey, []);
+    }
+
+    const queue = this.queues.get(queueKey);
+
+    // Check if user is already in this queue (by identityKey)
     const existingIndex = queue.findIndex(p => p.identityKey === identityKey);
     if (existingIndex !== -1) {
-      // User is already in queue for this board size - return status (idempotent)
-      console.log(`[Matchmaking] ${identityKey} already in queue for ${boardSize}x${boardSize}, returning status`);
+      // User is already in this queue - update the preferences (same category) and return status (idempotent)
+      queue[existingIndex].preferences = preferences;
+      console.log(`[Matchmaking] ${identityKey} already in queue ${queueKey}, returning status`);
       websocketHandler.sendToUser(identityKey, {
         type: EventTypes.QUEUE_JOINED,
         data: { 
           boardSize, 
+          timeCategory,
           queuePosition: queue.length, 
           in_queue: true,
           status: 'already_in_queue'
@@ -90,43 +168,46 @@ class MatchmakingService {
       return;
     }
 
-    // Check if user is in queue for a different board size
-    for (const [otherBoardSize, otherQueue] of this.queues.entries()) {
-      if (otherBoardSize !== boardSize) {
+    // Check if user is in another queue (other board size or category)
+    for (const [otherQueueKey, otherQueue] of this.queues.entries()) {
+      if (otherQueueKey !== queueKey) {
         const otherIndex = otherQueue.findIndex(p => p.identityKey === identityKey);
         if (otherIndex !== -1) {
           // Remove from previous queue
           otherQueue.splice(otherIndex, 1);
-          console.log(`[Matchmaking] ${identityKey} switched from ${otherBoardSize}x${otherBoardSize} to ${boardSize}x${boardSize} queue`);
+          console.log(`[Matchmaking] ${identityKey} switched from ${otherQueueKey} to ${queueKey} queue`);
         }
       }
     }
 
-    // Add to queue with identityKey (NO RATING, NO IDENTITY OBJECT)
+    // Add to queue with identityKey (NO IDENTITY OBJECT)
     queue.push({
       identityKey,
       socketId: ws.identityKey, // Store identityKey as socketId reference
       boardSize,
+      timeCategory,
       joinedAt: Date.now(),
+      rating,
       preferences
     });
 
     // Track in queuedUsers map by identityKey
     this.queuedUsers.set(identityKey, {
       boardSize,
+      timeCategory,
       joinedAt: Date.now(),
       socketId: ws.identityKey
     });
 
     const queueSize = queue.length;
-    console.log(`[Matchmaking] ✅ ${identityKey} joined queue for ${boardSize}x${boardSize} (queue length: ${queueSize})`);
+    console.log(`[Matchmaking] ✅ ${identityKey} joined queue ${queueKey} (rating: ${rating}, queue length: ${queueSize})`);
     
     // Immediately try to process queues (don't wait for interval)
     this.processQueues();
     
     websocketHandler.sendToUser(identityKey, {
       type: EventTypes.QUEUE_JOINED,
-      data: { boardSize, queuePosition: queueSize, in_queue: false }
+      data: { boardSize, timeCategory, queuePosition: queueSize, in_queue: false }
     });
   }
 
@@ -140,12 +221,16 @@ class MatchmakingService {
       return;
     }
 
+    // Cancel a join that is still waiting for the rating lookup
+    this.pendingJoins.delete(identityKey);
+
     let found = false;
-    for (const [boardSize, queue] of this.queues.entries()) {
+    for (const [queueKey, queue] of this.queues.entries()) {
       const index = queue.findIndex(p => p.identityKey === identityKey);
       if (index !== -1) {
+        const { boardSize } = queue[index];
         queue.splice(index, 1);
-        console.log(`[Matchmaking] ✅ ${identityKey} left queue for ${boardSize}x${boardSize}`);
+        console.log(`[Matchmaking] ✅ ${identityKey} left queue ${queueKey}`);
         found = true;
         
         const ws = websocketHandler.getConnection(identityKey);
@@ -181,9 +266,9 @@ class MatchmakingService {
    */
   cleanupStaleEntries() {
     const now = Date.now();
-    const maxAge = 60000; // 60 seconds
+    const maxAge = QUEUE_ENTRY_MAX_AGE_MS;
 
-    for (const [boardSize, queue] of this.queues.entries()) {
+    for (const [queueKey, queue] of this.queues.entries()) {
       const initialLength = queue.length;
       
       // Remove entries where socket doesn't exist or entry is too old
@@ -196,122 +281,241 @@ class MatchmakingService {
           console.log(`[Matchmaking] Removing stale entry: ${entry.identityKey} (socket: ${socket ? 'exists' : 'missing'}, age: ${Math.floor(age/1000)}s)`);
           queue.splice(i, 1);
           this.queuedUsers.delete(entry.identityKey);
+          if (socket) {
+            websocketHandler.sendToUser(entry.identityKey, {
+              type: EventTypes.QUEUE_LEFT,
+              data: { boardSize: entry.boardSize, reason: 'timeout' }
+            });
+          }
         }
       }
       
       if (queue.length !== initialLength) {
-        console.log(`[Matchmaking] Cleaned up ${initialLength - queue.length} stale entries from ${boardSize}x${boardSize} queue`);
+        console.log(`[Matchmaking] Cleaned up ${initialLength - queue.length} stale entries from ${queueKey} queue`);
       }
     }
   }
 
   /**
    * Process all queues and attempt to create matches
+   * @param {number} now - Current time in ms
    */
-  processQueues() {
-    for (const [boardSize, queue] of this.queues.entries()) {
+  processQueues(now = Date.now()) {
+    for (const [queueKey, queue] of this.queues.entries()) {
       if (queue.length < 2) {
-        if (queue.length > 0) {
-          console.log(`[Matchmaking] Queue for ${boardSize}x${boardSize}: ${queue.length} player(s) waiting`);
-        }
         continue;
       }
 
-      console.log(`[Matchmaking] Processing queue for ${boardSize}x${boardSize}: ${queue.length} players`);
-
-      // NO SORTING NEEDED - matchmaking is independent of rating
+      // Match as many pairs as possible, longest-waiting players first
+      let pair;
+      while ((pair = this.findMatch(queue, now))) {
+        const [player1, player2] = pair;
 
-      // Try to match players - find two DIFFERENT users (never match user with themselves by identityKey)
-      if (queue.length >= 2) {
-        // Find two different users (by identityKey)
-        let player1 = null;
-        let player2 = null;
-        
-        for (let i = 0; i < queue.length; i++) {
-          for (let j = i + 1; j < queue.length; j++) {
-            if (queue[i].identityKey !== queue[j].identityKey) {
-              player1 = queue[i];
-              player2 = queue[j];
-              break;
-            }
-          }
-          if (player1 && player2) break;
-        }
-
-        if (!player1 || !player2) {
-          console.warn(`[Matchmaking] Cannot find two different users in queue for ${boardSize}x${boardSize}. Queue:`, queue.map(p => p.identityKey));
-          continue;
-        }
-
-        // Ensure we never match a user with themselves (by identityKey)
-        if (player1.identityKey === player2.identityKey) {
-          console.error(`[Matchmaking] ERROR: Attempted to match ${player1.identityKey} with themselves!`);
-          continue;
-        }
-
-        // Verify both sockets exist (by identityKey)
+        // Verify both sockets exist (by identityKey); drop entries without one and look again
         const socket1 = websocketHandler.getConnection(player1.identityKey);
         const socket2 = websocketHandler.getConnection(player2.identityKey);
-        
         if (!socket1 || !socket2) {
           console.warn(`[Matchmaking] One or both sockets missing: ${player1.identityKey} (${socket1 ? 'ok' : 'missing'}), ${player2.identityKey} (${socket2 ? 'ok' : 'missing'})`);
-          // Remove entries with missing sockets
-          if (!socket1) {
-            const idx1 = queue.findIndex(p => p.identityKey === player1.identityKey);
-            if (idx1 !== -1) queue.splice(idx1, 1);
-            this.queuedUsers.delete(player1.identityKey);
-          }
-          if (!socket2) {
-            const idx2 = queue.findIndex(p => p.identityKey === player2.identityKey);
-            if (idx2 !== -1) queue.splice(idx2, 1);
-            this.queuedUsers.delete(player2.identityKey);
-          }
+          if (!socket1) this.removeEntry(queue, player1);
+          if (!socket2) this.removeEntry(queue, player2);
           continue;
         }
 
-        // Calculate time in queue (NO RATING CHECK - matchmaking is independent of DB)
-        const timeInQueue1 = Date.now() - player1.joinedAt;
-        const timeInQueue2 = Date.now() - player2.joinedAt;
-        const maxTime = Math.max(timeInQueue1, timeInQueue2);
-        
-        // MVP: Match immediately if both have been waiting at least 500ms
-        // This ensures fast matching for testing
-        if (maxTime >= 500) {
-          console.log(`[Matchmaking] 🎮 Match found! ${player1.identityKey} vs ${player2.identityKey}, board: ${boardSize}x${boardSize}, wait: ${Math.floor(maxTime)}ms`);
-          
-          // Create match (extract userId from identityKey for gameManager)
-          this.createMatch(player1, player2, boardSize);
-          
-          // Remove from queue (find indices to remove correct entries)
-          const idx1 = queue.findIndex(p => p.identityKey === player1.identityKey);
-          const idx2 = queue.findIndex(p => p.identityKey === player2.identityKey);
-          if (idx1 !== -1) queue.splice(idx1, 1);
-          if (idx2 !== -1 && idx2 !== idx1) {
-            const adjustedIdx2 = idx2 > idx1 ? idx2 - 1 : idx2;
-            queue.splice(adjustedIdx2, 1);
-          }
-          
-          // Remove from queuedUsers tracking
-          this.queuedUsers.delete(player1.identityKey);
-          this.queuedUsers.delete(player2.identityKey);
-          
-          break;
-        } else {
-          console.log(`[Matchmaking] ⏳ Waiting for minimum queue time (${Math.floor(maxTime)}ms < 500ms)`);
+        console.log(`[Matchmaking] 🎮 Match found! ${player1.identityKey} (${player1.rating}) vs ${player2.identityKey} (${player2.rating}), queue: ${queueKey}, wait: ${Math.floor(now - player1.joinedAt)}ms`);
+
+        this.removeEntry(queue, player1);
+        this.removeEntry(queue, player2);
+        this.createMatch(player1, player2, player1.boardSize);
+      }
+    }
+  }
+
+  /**
+   * Find the next pair in a queue
+   * The longest-waiting player who can be matched gets the closest rated
+   * compatible opponent, preferring opponents with the exact same time
+   * control. A pair is accepted if its rating gap is within the
+   * window of the player who waited longer, so a player's chances only grow
+   * with time in queue and everyone is matched after MATCH_MAX_WAIT_MS if a
+   * compatible opponent is waiting.
+   * @param {Array<Object>} queue - Queue entries in join order
+   * @param {number} now - Current time in ms
+   * @returns {Array<Object>|null} [player1, player2] or null
+   */
+  findMatch(queue, now) {
+    for (const player of queue) {
+      const waitMs = now - player.joinedAt;
+      if (waitMs < MIN_QUEUE_TIME_MS) {
+        continue;
+      }
+
+      let best = null;
+      let bestGap = Infinity;
+      let bestSameTimeControl = false;
+      for (const candidate of queue) {
+        if (candidate.identityKey === player.identityKey || !this.isCompatible(player, candidate)) {
+          continue;
+        }
+        const gap = this.getRatingGap(player, candidate);
+        const accepted = getAcceptableRatingGap(Math.max(waitMs, now - candidate.joinedAt));
+        if (gap > accepted) {
+          continue;
+        }
+        const sameTimeControl = this.hasSameTimeControl(player, candidate);
+        if (sameTimeControl !== bestSameTimeControl ? sameTimeControl : gap < bestGap) {
+          best = candidate;
+          bestGap = gap;
+          bestSameTimeControl = sameTimeControl;
         }
       }
+
+      if (best) {
+        return [player, best];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether two queue entries asked for the exact same time control
+   * @param {Object} entry1 - Queue entry
+   * @param {Object} entry2 - Queue entry
+   * @returns {boolean}
+   */
+  hasSameTimeControl(entry1, entry2) {
+    return JSON.stringify(entry1.preferences?.timeControl || null) === JSON.stringify(entry2.preferences?.timeControl || null);
+  }
+
+  /**
+   * Rating difference of two queue entries
+   * Entries without a rating (lookup failed) fit any opponent.
+   * @param {Object} entry1 - Queue entry
+   * @param {Object} entry2 - Queue entry
+   * @returns {number}
+   */
+  getRatingGap(entry1, entry2) {
+    if (typeof entry1.rating !== 'number' || typeof entry2.rating !== 'number') {
+      return 0;
+    }
+    return Math.abs(entry1.rating - entry2.rating);
+  }
+
+  /**
+   * Remove an entry from a queue and from queuedUsers
+   * @param {Array<Object>} queue - Queue entries
+   * @param {Object} entry - Entry to remove
+   */
+  removeEntry(queue, entry) {
+    const index = queue.indexOf(entry);
+    if (index !== -1) {
+      queue.splice(index, 1);
     }
+    this.queuedUsers.delete(entry.identityKey);
+  }
+
+  /**
+   * Get the rule set a queue entry asked for
+   * @param {Object} entry - Queue entry
+   * @returns {string} Rules ('chinese' if not specified)
+   */
+  rulesOf(entry) {
+    return entry.preferences?.rules || 'chinese';
+  }
+
+  /**
+   * Custom komi a queue entry asked for
+   * @param {Object} entry - Queue entry
+   * @returns {number|null} Komi (null = default)
+   */
+  komiOf(entry) {
+    return entry.preferences?.komi ?? null;
+  }
+
+  /**
+   * Whether a queue entry asked for a rated game
+   * @param {Object} entry - Queue entry
+   * @returns {boolean} True unless the entry asked for an unrated game
+   */
+  ratedOf(entry) {
+    return entry.preferences?.rated !== false;
+  }
+
+  /**
+   * Check whether two queue entries want the same kind of game
+   * @param {Object} entry1 - Queue entry
+   * @param {Object} entry2 - Queue entry
+   * @returns {boolean}
+   */
+  isCompatible(entry1, entry2) {
+    return this.rulesOf(entry1) === this.rulesOf(entry2) &&
+      this.komiOf(entry1) === this.komiOf(entry2) &&
+      this.ratedOf(entry1) === this.ratedOf(entry2) &&
+      (entry1.preferences?.handicap || 'even') === (entry2.preferences?.handicap || 'even');
+  }
+
+  /**
+   * Number of handicap stones for a rating gap.
+   * N stones give Black N - 0.5 free moves (see ratingService.getHandicapOffset),
+   * so the stones whose free moves come closest to the gap are chosen.
+   * @param {number} ratingGap - Rating difference between the players
+   * @param {number} boardSize - Board size (stones are worth more on small boards)
+   * @returns {number} Handicap stones (0 = even game)
+   */
+  getHandicapForRatingGap(ratingGap, boardSize = 19) {
+    const stones = Math.round(Math.abs(ratingGap) / getRatingPerStone(boardSize) + 0.5);
+    return stones < MIN_HANDICAP ? 0 : Math.min(stones, MAX_HANDICAP);
+  }
+
+  /**
+   * Work out the handicap for two players from their ratings
+   * @param {Object} player1 - First player
+   * @param {Object} player2 - Second player
+   * @param {number} boardSize - Board size
+   * @param {string} timeCategory - Time control category (rating pool) of the game
+   * @returns {Promise<{ handicap: Object|null, weaker: Object }>} Handicap and the player who takes Black
+   */
+  async getRatingGapHandicap(player1, player2, boardSize, timeCategory) {
+    const rating1 = await ratingService.getRating(player1.identityKey.substring(2), boardSize, timeCategory);
+    const rating2 = await ratingService.getRating(player2.identityKey.substring(2), boardSize, timeCategory);
+    const stones = this.getHandicapForRatingGap(rating1 - rating2, boardSize);
+    // Boards without star points for every stone get free placement
+    const placement = supportsFixedHandicap(boardSize) ? 'fixed' : 'free';
+
+    return {
+      handicap: stones > 0 ? { stones, placement } : null,
+      weaker: rating1 <= rating2 ? player1 : player2
+    };
   }
 
   /**
    * Create a new game match
+   * Both entries come from the same queue (same time control category);
+   * the time control of player1, the longest-waiting player, is played.
    * @param {Object} player1 - First player
    * @param {Object} player2 - Second player
    * @param {number} boardSize - Board size
+   * @param {Object} options - Optional game settings
+   * @param {Object} options.handicap - Handicap for teaching games ({ stones, placement }, see normalizeHandicap)
+   * @param {Object} options.blackPlayer - Player who takes Black (and the handicap stones)
    */
-  async createMatch(player1, player2, boardSize) {
-    // Randomly assign colors
-    const blackPlayer = Math.random() < 0.5 ? player1 : player2;
+  async createMatch(player1, player2, boardSize, options = {}) {
+    let handicap = options.handicap || null;
+    let blackPlayer = options.blackPlayer || null;
+    const timeControl = player1.preferences?.timeControl || null;
+
+    // Rating-gap handicap if both players asked for it; the weaker player takes Black
+    if (!handicap && player1.preferences?.handicap === 'auto' && player2.preferences?.handicap === 'auto') {
+      const ratingGap = await this.getRatingGapHandicap(player1, player2, boardSize, getTimeControlCategory(timeControl));
+      handicap = ratingGap.handicap;
+      if (handicap) {
+        blackPlayer = ratingGap.weaker;
+      }
+    }
+
+    // Randomly assign colors otherwise
+    if (!blackPlayer) {
+      blackPlayer = Math.random() < 0.5 ? player1 : player2;
+    }
     const whitePlayer = blackPlayer === player1 ? player2 : player1;
 
     // Extract userId from identityKey (remove prefix: 'a:' or 'g:')
@@ -325,7 +529,11 @@ class MatchmakingService {
       blackPlayerIdentityKey: blackPlayer.identityKey, // Store identityKey for WebSocket communication
       whitePlayerIdentityKey: whitePlayer.identityKey, // Store identityKey for WebSocket communication
       boardSize,
-      timeControl: player1.preferences?.timeControl || null
+      timeControl,
+      rules: this.rulesOf(player1),
+      handicap,
+      komi: this.komiOf(player1),
+      rated: this.ratedOf(player1)
     });
 
     // Notify both players (by identityKey)
@@ -337,6 +545,12 @@ class MatchmakingService {
           userId: whiteUserId
         },
         boardSize,
+        timeControl: game.timeControl,
+        timeCategory: getTimeControlCategory(timeControl),
+        rules: game.rules,
+        handicap: game.handicap,
+        komi: game.komi,
+        rated: game.rated,
         color: 'black'
       }
     });
@@ -349,6 +563,12 @@ class MatchmakingService {
           userId: blackUserId
         },
         boardSize,
+        timeControl: game.timeControl,
+        timeCategory: getTimeControlCategory(timeControl),
+        rules: game.rules,
+        handicap: game.handicap,
+        komi: game.komi,
+        rated: game.rated,
         color: 'white'
       }
     });
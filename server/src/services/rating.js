@@ -1,7 +1,13 @@
 /**
  * Rating Service
  * 
- * Manages player ratings using Elo system and converts to Kyu/Dan display.
+ * Manages player ratings using the Glicko-2 system and converts to Kyu/Dan display.
+ * Every rating has a deviation (uncertainty) that shrinks with games played and
+ * grows again over inactivity, and a volatility (how erratic the results are).
+ * Each game is rated as its own rating period.
+ *
+ * Ratings are kept in pools per board size and time control category
+ * (see getTimeControlCategory), so blitz and correspondence strength stay apart.
  * 
  * Supports both:
  * - Database persistence for logged-in accounts (UUID userId)
@@ -9,10 +15,17 @@
  */
 
 import { db } from '../db/connection.js';
+import { DEFAULT_RULE_SET, getRuleSet, getDefaultKomi } from '../engine/ruleSets.js';
+import { getHandicapKomi } from '../engine/handicap.js';
+import { getTimeControlCategory } from '../engine/gameClock.js';
 
 // In-memory storage for guests (cache only, not primary storage)
-const guestRatings = new Map(); // guestId -> Map<boardSize, rating>
-const guestGamesPlayed = new Map(); // guestId -> Map<boardSize, count>
+const guestRatings = new Map(); // guestId -> Map<poolKey, { rating, rd, volatility, lastPlayedAt }>
+const poolResults = new Map(); // userId -> Map<poolKey, { games, wins, losses, draws }> (fallback without DB)
+const ratingHistory = new Map(); // playerKey -> [{ gameId, boardSize, timeCategory, ratingBefore, ratingAfter, ... }]
+
+// Pool of games without a clock (and of callers that do not name a pool)
+export const DEFAULT_TIME_CATEGORY = getTimeControlCategory(null);
 
 /**
  * Check if userId is a guest (starts with "guest-")
@@ -43,10 +56,124 @@ function toGuestKey(userId) {
   return null; // Not a guest
 }
 
-// Elo rating constants
-const K_FACTOR_NEW = 24; // K-factor for players with < 30 games
-const K_FACTOR_ESTABLISHED = 16; // K-factor for players with >= 30 games
+/**
+ * Key of a rating pool in the in-memory maps (e.g. "19x19:rapid")
+ */
+function toPoolKey(boardSize, timeCategory) {
+  return `${boardSize}x${boardSize}:${timeCategory}`;
+}
+
+/**
+ * Identity key of a player ("a:<uuid>" for accounts, "g:<guestId>" for guests)
+ */
+function toPlayerKey(userId) {
+  return toGuestKey(userId) || `a:${userId}`;
+}
+
+// Glicko-2 rating constants
 const INITIAL_RATING = 1500; // Starting rating (approximately 1k-1d)
+const INITIAL_RATING_DEVIATION = 350; // Deviation of a player without games (also the maximum)
+const INITIAL_VOLATILITY = 0.06;
+const SYSTEM_TAU = 0.5; // Constrains how fast the volatility may change
+const GLICKO_SCALE = 173.7178; // 400 / ln(10): converts ratings to the Glicko-2 scale
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000; // Inactivity grows the deviation once per day
+const PROVISIONAL_RATING_DEVIATION = 110; // Ratings with a larger deviation are provisional
+const VOLATILITY_EPSILON = 0.000001;
+
+// Handicap conditions: one stone (a free move for Black) is worth about one rank
+// on 19x19 and about twice the usual komi in points; smaller boards make every
+// stone worth more
+const RATING_PER_STONE = 100;
+const POINTS_PER_STONE = 14;
+const MAX_HISTORY_ENTRIES = 500; // Rating history entries returned (and kept in memory) per player
+
+/**
+ * Rating worth of one handicap stone (one free move for Black) on a board size.
+ * Shared by the rating expectation and the matchmaking handicap, so a game
+ * handicapped from a rating gap is rated as even.
+ * @param {number} boardSize - Board size
+ * @returns {number} Rating points per stone (RATING_PER_STONE on 19x19)
+ */
+export function getRatingPerStone(boardSize = 19) {
+  return RATING_PER_STONE * (19 * 19) / (boardSize * boardSize);
+}
+
+/**
+ * Rating record of a player without games
+ */
+function createInitialRecord() {
+  return {
+    rating: INITIAL_RATING,
+    rd: INITIAL_RATING_DEVIATION,
+    volatility: INITIAL_VOLATILITY,
+    lastPlayedAt: null
+  };
+}
+
+/**
+ * Convert a ratings / guest_ratings row to a rating record
+ */
+function rowToRecord(row) {
+  return {
+    rating: row.rating,
+    rd: row.rating_deviation ?? INITIAL_RATING_DEVIATION,
+    volatility: row.volatility ?? INITIAL_VOLATILITY,
+    lastPlayedAt: row.last_played_at ? new Date(row.last_played_at).getTime() : null
+  };
+}
+
+/**
+ * In-memory fallback record (created on first access)
+ */
+function getMemoryRecord(userId, boardSize, timeCategory) {
+  if (!guestRatings.has(userId)) {
+    guestRatings.set(userId, new Map());
+  }
+  const userRatings = guestRatings.get(userId);
+  const poolKey = toPoolKey(boardSize, timeCategory);
+  if (!userRatings.has(poolKey)) {
+    userRatings.set(poolKey, createInitialRecord());
+  }
+  return userRatings.get(poolKey);
+}
+
+function setMemoryRecord(userId, boardSize, timeCategory, record, results) {
+  if (!guestRatings.has(userId)) {
+    guestRatings.set(userId, new Map());
+  }
+  if (!poolResults.has(userId)) {
+    poolResults.set(userId, new Map());
+  }
+  const poolKey = toPoolKey(boardSize, timeCategory);
+  guestRatings.get(userId).set(poolKey, record);
+  poolResults.get(userId).set(poolKey, results);
+}
+
+/**
+ * Results of a player without games in a pool
+ */
+function createInitialResults() {
+  return { games: 0, wins: 0, losses: 0, draws: 0 };
+}
+
+/**
+ * Add a game (score 1/0.5/0) to the results of a pool
+ */
+function addResult(results, score) {
+  return {
+    games: results.games + 1,
+    wins: results.wins + (score === 1 ? 1 : 0),
+    losses: results.losses + (score === 0 ? 1 : 0),
+    draws: results.draws + (score === 0.5 ? 1 : 0)
+  };
+}
+
+/**
+ * Glicko-2 g function: weight of a result by the opponent's deviation
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
 
 // Rating to rank mapping
 const RANK_THRESHOLDS = [
@@ -70,214 +197,220 @@ const RANK_THRESHOLDS = [
 
 class RatingService {
   /**
-   * Get player's current rating for a specific board size
-   * @param {string} userId - User ID (UUID for accounts, guest-* for guests)
-   * @param {number} boardSize - Board size (9, 13, or 19)
-   * @returns {Promise<number>} Elo rating
-   */
-  /**
-   * Get guest rating from database
+   * Get guest rating record from database
    * @param {string} guestKey - Guest key in format "g:<guestId>"
    * @param {number} boardSize - Board size
-   * @returns {Promise<number>} Rating (default 1500 if missing)
+   * @param {string} timeCategory - Time control category of the pool
+   * @returns {Promise<Object|null>} Stored record or null if missing
    */
-  async getGuestRating(guestKey, boardSize) {
-    try {
-      const result = await db.query(
-        'SELECT rating FROM guest_ratings WHERE guest_key = $1 AND board_size = $2',
-        [guestKey, boardSize]
-      );
-      
-      if (result.rows.length > 0) {
-        return result.rows[0].rating;
-      }
-      
-      // No rating found - return default
-      return INITIAL_RATING;
-    } catch (error) {
-      console.error('[Rating] Error getting guest rating from DB:', error);
-      return INITIAL_RATING;
-    }
+  async getGuestRatingRecord(guestKey, boardSize, timeCategory) {
+    const result = await db.query(
+      'SELECT rating, rating_deviation, volatility, last_played_at FROM guest_ratings WHERE guest_key = $1 AND board_size = $2 AND time_category = $3',
+      [guestKey, boardSize, timeCategory]
+    );
+    return result.rows.length > 0 ? rowToRecord(result.rows[0]) : null;
   }
 
   /**
-   * Upsert guest rating to database
+   * Upsert guest rating record to database
    * @param {string} guestKey - Guest key in format "g:<guestId>"
    * @param {number} boardSize - Board size
-   * @param {number} newRating - New rating value
+   * @param {string} timeCategory - Time control category of the pool
+   * @param {Object} record - { rating, rd, volatility, lastPlayedAt }
+   * @param {Object} results - { games, wins, losses, draws } in the pool
    */
-  async upsertGuestRating(guestKey, boardSize, newRating) {
+  async upsertGuestRating(guestKey, boardSize, timeCategory, record, results) {
     await db.query(
-      `INSERT INTO guest_ratings (guest_key, board_size, rating, updated_at)
-       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-       ON CONFLICT (guest_key, board_size) DO UPDATE
+      `INSERT INTO guest_ratings (guest_key, board_size, time_category, rating, rating_deviation, volatility, last_played_at,
+                                 games_played, wins, losses, draws, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
+       ON CONFLICT (guest_key, board_size, time_category) DO UPDATE
        SET rating = EXCLUDED.rating,
+           rating_deviation = EXCLUDED.rating_deviation,
+           volatility = EXCLUDED.volatility,
+           last_played_at = EXCLUDED.last_played_at,
+           games_played = EXCLUDED.games_played,
+           wins = EXCLUDED.wins,
+           losses = EXCLUDED.losses,
+           draws = EXCLUDED.draws,
            updated_at = CURRENT_TIMESTAMP`,
-      [guestKey, boardSize, newRating]
+      [guestKey, boardSize, timeCategory, record.rating, record.rd, record.volatility, new Date(record.lastPlayedAt),
+        results.games, results.wins, results.losses, results.draws]
     );
   }
 
-  async getRating(userId, boardSize = 19) {
+  /**
+   * Get player's rating record as stored (without inactivity)
+   * @param {string} userId - User ID (UUID for accounts, guest-* for guests)
+   * @param {number} boardSize - Board size (5 to 25)
+   * @param {string} timeCategory - Time control category of the pool
+   * @returns {Promise<Object>} { rating, rd, volatility, lastPlayedAt }
+   */
+  async getStoredRecord(userId, boardSize, timeCategory = DEFAULT_TIME_CATEGORY) {
     if (isGuest(userId)) {
       // Guest: Use guest_ratings table
       const guestKey = toGuestKey(userId);
       if (!guestKey) {
         console.error('[Rating] Invalid guest userId:', userId);
-        return INITIAL_RATING;
+        return createInitialRecord();
       }
 
       try {
-        // Get rating from guest_ratings table
-        const rating = await this.getGuestRating(guestKey, boardSize);
-        
+        const record = await this.getGuestRatingRecord(guestKey, boardSize, timeCategory) || createInitialRecord();
+
         // Update in-memory cache
         if (!guestRatings.has(userId)) {
           guestRatings.set(userId, new Map());
         }
-        guestRatings.get(userId).set(boardSize, rating);
-        
-        return rating;
+        guestRatings.get(userId).set(toPoolKey(boardSize, timeCategory), record);
+
+        return record;
       } catch (error) {
         console.error('[Rating] Error getting guest rating from DB, falling back to in-memory:', error);
-        // Fallback to in-memory
-        if (!guestRatings.has(userId)) {
-          guestRatings.set(userId, new Map());
-        }
-        const userRatings = guestRatings.get(userId);
-        
-        if (!userRatings.has(boardSize)) {
-          userRatings.set(boardSize, INITIAL_RATING);
-        }
-        
-        return userRatings.get(boardSize);
+        return getMemoryRecord(userId, boardSize, timeCategory);
       }
     } else {
       // Account: Use ratings table
       try {
         const result = await db.query(
-          'SELECT rating FROM ratings WHERE user_id = $1 AND board_size = $2',
-          [userId, boardSize]
+          'SELECT rating, rating_deviation, volatility, last_played_at FROM ratings WHERE user_id = $1 AND board_size = $2 AND time_category = $3',
+          [userId, boardSize, timeCategory]
         );
-        
+
         if (result.rows.length > 0) {
-          return result.rows[0].rating;
+          return rowToRecord(result.rows[0]);
         }
-        
+
         // Create default entry
         await db.query(
-          'INSERT INTO ratings (user_id, board_size, rating, games_played) VALUES ($1, $2, $3, 0) ON CONFLICT DO NOTHING',
-          [userId, boardSize, INITIAL_RATING]
+          'INSERT INTO ratings (user_id, board_size, time_category, rating, games_played) VALUES ($1, $2, $3, $4, 0) ON CONFLICT DO NOTHING',
+          [userId, boardSize, timeCategory, INITIAL_RATING]
         );
-        
-        return INITIAL_RATING;
+
+        return createInitialRecord();
       } catch (error) {
         console.error('[Rating] Error getting rating from DB, falling back to in-memory:', error);
-        // Fallback to in-memory
-        if (!guestRatings.has(userId)) {
-          guestRatings.set(userId, new Map());
-        }
-        const userRatings = guestRatings.get(userId);
-        if (!userRatings.has(boardSize)) {
-          userRatings.set(boardSize, INITIAL_RATING);
-        }
-        return userRatings.get(boardSize);
+        return getMemoryRecord(userId, boardSize, timeCategory);
       }
     }
   }
 
   /**
-   * Get number of games played for a board size
+   * Get player's current rating record in a rating pool.
+   * The deviation includes the growth since the last game.
+   * @param {string} userId - User ID (UUID for accounts, guest-* for guests)
+   * @param {number} boardSize - Board size (5 to 25)
+   * @param {string} timeCategory - Time control category of the pool
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} { rating, rd, volatility, lastPlayedAt, provisional }
+   */
+  async getRatingRecord(userId, boardSize = 19, timeCategory = DEFAULT_TIME_CATEGORY, now = Date.now()) {
+    const record = this.applyInactivity(await this.getStoredRecord(userId, boardSize, timeCategory), now);
+    return { ...record, provisional: this.isProvisional(record.rd) };
+  }
+
+  /**
+   * Get player's current rating in a rating pool
+   * @param {string} userId - User ID (UUID for accounts, guest-* for guests)
+   * @param {number} boardSize - Board size (5 to 25)
+   * @param {string} timeCategory - Time control category of the pool
+   * @returns {Promise<number>} Glicko-2 rating
+   */
+  async getRating(userId, boardSize = 19, timeCategory = DEFAULT_TIME_CATEGORY) {
+    const record = await this.getStoredRecord(userId, boardSize, timeCategory);
+    return record.rating;
+  }
+
+  /**
+   * Get the results (games, wins, losses, draws) of a player in a rating pool
    * @param {string} userId - User ID
    * @param {number} boardSize - Board size
-   * @returns {Promise<number>} Number of games played
+   * @param {string} timeCategory - Time control category of the pool
+   * @returns {Promise<Object>} { games, wins, losses, draws }
    */
-  async getGamesPlayed(userId, boardSize) {
-    if (isGuest(userId)) {
-      // Guest: Get from guest_stats table
-      const guestKey = toGuestKey(userId);
-      if (!guestKey) {
-        return 0;
-      }
+  async getPoolResults(userId, boardSize, timeCategory = DEFAULT_TIME_CATEGORY) {
+    const guestKey = toGuestKey(userId);
 
-      try {
-        const result = await db.query(
-          'SELECT games FROM guest_stats WHERE guest_key = $1 AND board_size = $2',
-          [guestKey, boardSize]
-        );
-        
-        if (result.rows.length > 0) {
-          const gamesPlayed = result.rows[0].games || 0;
-          // Update in-memory cache
-          if (!guestGamesPlayed.has(userId)) {
-            guestGamesPlayed.set(userId, new Map());
-          }
-          guestGamesPlayed.get(userId).set(boardSize, gamesPlayed);
-          return gamesPlayed;
-        }
-        
-        return 0;
-      } catch (error) {
-        console.error('[Rating] Error getting guest games played from DB, falling back to in-memory:', error);
-        // Fallback to in-memory
-        if (!guestGamesPlayed.has(userId)) {
-          guestGamesPlayed.set(userId, new Map());
-        }
-        const userGames = guestGamesPlayed.get(userId);
-        return userGames.get(boardSize) || 0;
-      }
-    } else {
-      // Account: Use ratings table
-      try {
-        const result = await db.query(
-          'SELECT games_played FROM ratings WHERE user_id = $1 AND board_size = $2',
-          [userId, boardSize]
+    try {
+      const result = guestKey
+        ? await db.query(
+          'SELECT games_played, wins, losses, draws FROM guest_ratings WHERE guest_key = $1 AND board_size = $2 AND time_category = $3',
+          [guestKey, boardSize, timeCategory]
+        )
+        : await db.query(
+          'SELECT games_played, wins, losses, draws FROM ratings WHERE user_id = $1 AND board_size = $2 AND time_category = $3',
+          [userId, boardSize, timeCategory]
         );
-        return result.rows[0]?.games_played || 0;
-      } catch (error) {
-        console.error('[Rating] Error getting games played from DB:', error);
-        return 0;
-      }
+
+      const row = result.rows[0];
+      return row
+        ? { games: row.games_played || 0, wins: row.wins || 0, losses: row.losses || 0, draws: row.draws || 0 }
+        : createInitialResults();
+    } catch (error) {
+      console.error('[Rating] Error getting pool results from DB, falling back to in-memory:', error.message);
+      return poolResults.get(userId)?.get(toPoolKey(boardSize, timeCategory)) || createInitialResults();
     }
   }
 
   /**
-   * Update ratings after a game
+   * Get number of games played in a rating pool
+   * @param {string} userId - User ID
+   * @param {number} boardSize - Board size
+   * @param {string} timeCategory - Time control category of the pool
+   * @returns {Promise<number>} Number of games played
+   */
+  async getGamesPlayed(userId, boardSize, timeCategory = DEFAULT_TIME_CATEGORY) {
+    const results = await this.getPoolResults(userId, boardSize, timeCategory);
+    return results.games;
+  }
+
+  /**
+   * Update ratings after a game (in the pool of its board size and time control)
    * @param {string} player1Id - First player ID
    * @param {string} player2Id - Second player ID
    * @param {string} winnerId - Winner's user ID (null for draw)
-   * @param {number} boardSize - Board size (9, 13, or 19)
+   * @param {number} boardSize - Board size (5 to 25)
+   * @param {Object} options - Game details (player 1 is Black)
+   * @param {string} options.gameId - Game the ratings change for (stored in the rating history)
+   * @param {string} options.rules - Rule set name (for the expected komi)
+   * @param {Object|null} options.handicap - Handicap { stones, placement } (null = even game)
+   * @param {number} options.komi - Komi of the game (default = komi of the rule set)
+   * @param {Object|null} options.timeControl - Time control of the game (selects the rating pool; null = untimed)
    * @returns {Promise<Object>} Rating changes for both players
    */
-  async updateRatings(player1Id, player2Id, winnerId, boardSize = 19) {
-    const rating1 = await this.getRating(player1Id, boardSize);
-    const rating2 = await this.getRating(player2Id, boardSize);
-    
-    const games1 = await this.getGamesPlayed(player1Id, boardSize);
-    const games2 = await this.getGamesPlayed(player2Id, boardSize);
-
-    // Calculate K-factor based on games played
-    const k1 = games1 < 30 ? K_FACTOR_NEW : K_FACTOR_ESTABLISHED;
-    const k2 = games2 < 30 ? K_FACTOR_NEW : K_FACTOR_ESTABLISHED;
+  async updateRatings(player1Id, player2Id, winnerId, boardSize = 19, options = {}) {
+    const now = Date.now();
+    const timeCategory = getTimeControlCategory(options.timeControl || null);
+    const record1 = await this.getRatingRecord(player1Id, boardSize, timeCategory, now);
+    const record2 = await this.getRatingRecord(player2Id, boardSize, timeCategory, now);
 
-    // Calculate expected scores: E = 1/(1+10^((opp-old)/400))
-    const expected1 = this.calculateExpectedScore(rating1, rating2);
-    const expected2 = this.calculateExpectedScore(rating2, rating1);
+    const results1 = await this.getPoolResults(player1Id, boardSize, timeCategory);
+    const results2 = await this.getPoolResults(player2Id, boardSize, timeCategory);
 
     // Determine actual scores (1 for win, 0.5 for draw, 0 for loss)
     const actual1 = winnerId === null ? 0.5 : (player1Id === winnerId ? 1 : 0);
     const actual2 = winnerId === null ? 0.5 : (player2Id === winnerId ? 1 : 0);
 
-    // Calculate new ratings: R_new = R_old + K*(S - E)
-    const newRating1 = Math.round(rating1 + k1 * (actual1 - expected1));
-    const newRating2 = Math.round(rating2 + k2 * (actual2 - expected2));
+    // Both players are rated against the opponent's rating before the game,
+    // shifted by the advantage the handicap and komi give Black (player 1)
+    const offset = this.getHandicapOffset({ boardSize, rules: options.rules, handicap: options.handicap, komi: options.komi });
+    const updated1 = this.calculateGlicko2(record1, [{ rating: record2.rating - offset, rd: record2.rd, score: actual1 }]);
+    const updated2 = this.calculateGlicko2(record2, [{ rating: record1.rating + offset, rd: record1.rd, score: actual2 }]);
+
+    const newRating1 = Math.round(updated1.rating);
+    const newRating2 = Math.round(updated2.rating);
 
     // Calculate rating changes
-    const change1 = newRating1 - rating1;
-    const change2 = newRating2 - rating2;
+    const change1 = newRating1 - record1.rating;
+    const change2 = newRating2 - record2.rating;
 
-    // Update storage (DB for accounts, in-memory for guests)
-    await this._updateRatingStorage(player1Id, boardSize, newRating1, games1 + 1);
-    await this._updateRatingStorage(player2Id, boardSize, newRating2, games2 + 1);
+    // Update storage (DB with in-memory fallback)
+    await this._updateRatingStorage(player1Id, boardSize, timeCategory, { ...updated1, rating: newRating1, lastPlayedAt: now }, addResult(results1, actual1));
+    await this._updateRatingStorage(player2Id, boardSize, timeCategory, { ...updated2, rating: newRating2, lastPlayedAt: now }, addResult(results2, actual2));
+
+    const gameId = options.gameId || null;
+    await this.recordRatingChange(player1Id, boardSize, timeCategory, gameId, record1.rating, newRating1, updated1.rd);
+    await this.recordRatingChange(player2Id, boardSize, timeCategory, gameId, record2.rating, newRating2, updated2.rd);
 
     return {
       [player1Id]: change1,
@@ -288,7 +421,7 @@ class RatingService {
   /**
    * Internal: Update rating storage (DB or in-memory)
    */
-  async _updateRatingStorage(userId, boardSize, newRating, gamesPlayed) {
+  async _updateRatingStorage(userId, boardSize, timeCategory, record, results) {
     if (isGuest(userId)) {
       // Guest: Use guest_ratings table
       const guestKey = toGuestKey(userId);
@@ -298,89 +431,302 @@ class RatingService {
       }
 
       try {
-        // Update rating in guest_ratings table
-        await this.upsertGuestRating(guestKey, boardSize, newRating);
-        
-        // Update in-memory cache
-        if (!guestRatings.has(userId)) {
-          guestRatings.set(userId, new Map());
-        }
-        if (!guestGamesPlayed.has(userId)) {
-          guestGamesPlayed.set(userId, new Map());
-        }
-        guestRatings.get(userId).set(boardSize, newRating);
-        guestGamesPlayed.get(userId).set(boardSize, gamesPlayed);
-        
-        console.log(`[Rating] ✅ Updated guest rating: guestKey=${guestKey}, boardSize=${boardSize}, rating=${newRating}, gamesPlayed=${gamesPlayed}`);
+        await this.upsertGuestRating(guestKey, boardSize, timeCategory, record, results);
+        setMemoryRecord(userId, boardSize, timeCategory, record, results);
+
+        console.log(`[Rating] ✅ Updated guest rating: guestKey=${guestKey}, boardSize=${boardSize}, timeCategory=${timeCategory}, rating=${record.rating}, rd=${Math.round(record.rd)}, gamesPlayed=${results.games}`);
       } catch (error) {
         console.error('[Rating] Error updating guest rating in DB, falling back to in-memory:', error);
-        // Fallback to in-memory
-        if (!guestRatings.has(userId)) {
-          guestRatings.set(userId, new Map());
-        }
-        if (!guestGamesPlayed.has(userId)) {
-          guestGamesPlayed.set(userId, new Map());
-        }
-        guestRatings.get(userId).set(boardSize, newRating);
-        guestGamesPlayed.get(userId).set(boardSize, gamesPlayed);
+        setMemoryRecord(userId, boardSize, timeCategory, record, results);
       }
     } else {
       // Account: Use ratings table
       try {
         await db.query(
-          `INSERT INTO ratings (user_id, board_size, rating, games_played, updated_at)
-           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-           ON CONFLICT (user_id, board_size) DO UPDATE
-           SET rating = EXCLUDED.rating, games_played = EXCLUDED.games_played, updated_at = CURRENT_TIMESTAMP`,
-          [userId, boardSize, newRating, gamesPlayed]
+          `INSERT INTO ratings (user_id, board_size, time_category, rating, rating_deviation, volatility, games_played,
+                               wins, losses, draws, last_played_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
+           ON CONFLICT (user_id, board_size, time_category) DO UPDATE
+           SET rating = EXCLUDED.rating,
+               rating_deviation = EXCLUDED.rating_deviation,
+               volatility = EXCLUDED.volatility,
+               games_played = EXCLUDED.games_played,
+               wins = EXCLUDED.wins,
+               losses = EXCLUDED.losses,
+               draws = EXCLUDED.draws,
+               last_played_at = EXCLUDED.last_played_at,
+               updated_at = CURRENT_TIMESTAMP`,
+          [userId, boardSize, timeCategory, record.rating, record.rd, record.volatility, results.games,
+            results.wins, results.losses, results.draws, new Date(record.lastPlayedAt)]
         );
       } catch (error) {
         console.error('[Rating] Error updating rating in DB:', error);
-        // Fallback to in-memory
-        if (!guestRatings.has(userId)) {
-          guestRatings.set(userId, new Map());
-        }
-        if (!guestGamesPlayed.has(userId)) {
-          guestGamesPlayed.set(userId, new Map());
-        }
-        guestRatings.get(userId).set(boardSize, newRating);
-        guestGamesPlayed.get(userId).set(boardSize, gamesPlayed);
+        setMemoryRecord(userId, boardSize, timeCategory, record, results);
+      }
+    }
+  }
+
+  /**
+   * Add a rating change to the rating history (DB with in-memory fallback)
+   * @param {string} userId - User ID
+   * @param {number} boardSize - Board size
+   * @param {string} timeCategory - Time control category of the pool
+   * @param {string|null} gameId - Game ID
+   * @param {number} ratingBefore - Rating before the game
+   * @param {number} ratingAfter - Rating after the game
+   * @param {number} rd - Rating deviation after the game
+   */
+  async recordRatingChange(userId, boardSize, timeCategory, gameId, ratingBefore, ratingAfter, rd) {
+    const playerKey = toPlayerKey(userId);
+    const entry = {
+      gameId,
+      boardSize,
+      timeCategory,
+      ratingBefore,
+      ratingAfter,
+      ratingChange: ratingAfter - ratingBefore,
+      ratingDeviation: Math.round(rd),
+      createdAt: new Date()
+    };
+
+    try {
+      await db.query(
+        `INSERT INTO rating_history (user_id, player_key, board_size, time_category, game_id, rating_before, rating_after, rating_change, rating_deviation, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          isGuest(userId) ? null : userId,
+          playerKey,
+          boardSize,
+          timeCategory,
+          gameId,
+          ratingBefore,
+          ratingAfter,
+          entry.ratingChange,
+          rd,
+          entry.createdAt
+        ]
+      );
+    } catch (error) {
+      console.error('[Rating] Error writing rating history to DB, falling back to in-memory:', error);
+      if (!ratingHistory.has(playerKey)) {
+        ratingHistory.set(playerKey, []);
+      }
+      const history = ratingHistory.get(playerKey);
+      history.push(entry);
+      if (history.length > MAX_HISTORY_ENTRIES) {
+        history.shift();
       }
     }
   }
 
   /**
-   * Calculate expected score based on Elo ratings
+   * Get the rating history of a player, oldest change first
+   * @param {string} userId - User ID
+   * @param {number|null} boardSize - Board size (null = all board sizes)
+   * @param {string|null} timeCategory - Time control category (null = all pools)
+   * @returns {Promise<Array>} [{ gameId, boardSize, timeCategory, ratingBefore, ratingAfter, ratingChange, ratingDeviation, createdAt }]
+   */
+  async getRatingHistory(userId, boardSize = null, timeCategory = null) {
+    const playerKey = toPlayerKey(userId);
+
+    try {
+      // Changes from before the rating pools have no time category and count as untimed
+      const result = await db.query(
+        `SELECT game_id, board_size, COALESCE(time_category, $3) AS time_category, rating_before, rating_after, rating_change, rating_deviation, created_at
+         FROM rating_history
+         WHERE player_key = $1 AND ($2::INTEGER IS NULL OR board_size = $2)
+           AND ($4::VARCHAR IS NULL OR COALESCE(time_category, $3) = $4)
+         ORDER BY created_at DESC
+         LIMIT $5`,
+        [playerKey, boardSize, DEFAULT_TIME_CATEGORY, timeCategory, MAX_HISTORY_ENTRIES]
+      );
+
+      return result.rows.reverse().map(row => ({
+        gameId: row.game_id,
+        boardSize: row.board_size,
+        timeCategory: row.time_category,
+        ratingBefore: row.rating_before,
+        ratingAfter: row.rating_after,
+        ratingChange: row.rating_change,
+        ratingDeviation: row.rating_deviation === null ? null : Math.round(row.rating_deviation),
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      console.error('[Rating] Error getting rating history from DB, falling back to in-memory:', error);
+      const history = ratingHistory.get(playerKey) || [];
+      return history.filter(entry => (boardSize === null || entry.boardSize === boardSize)
+        && (timeCategory === null || entry.timeCategory === timeCategory));
+    }
+  }
+
+  /**
+   * Grow the rating deviation for the rating periods without games
+   * @param {Object} record - { rating, rd, volatility, lastPlayedAt }
+   * @param {number} now - Current time in ms
+   * @returns {Object} Record with the grown deviation (capped at the initial deviation)
+   */
+  applyInactivity(record, now = Date.now()) {
+    if (record.lastPlayedAt === null || record.lastPlayedAt === undefined || now <= record.lastPlayedAt) {
+      return record;
+    }
+
+    const periods = (now - record.lastPlayedAt) / RATING_PERIOD_MS;
+    const phi = record.rd / GLICKO_SCALE;
+    const grownPhi = Math.sqrt(phi * phi + record.volatility * record.volatility * periods);
+    return { ...record, rd: Math.min(INITIAL_RATING_DEVIATION, grownPhi * GLICKO_SCALE) };
+  }
+
+  /**
+   * Rate one rating period with the Glicko-2 algorithm
+   * @param {Object} player - { rating, rd, volatility }
+   * @param {Array<Object>} results - [{ rating, rd, score }] of the opponents (score 1/0.5/0)
+   * @returns {Object} New { rating, rd, volatility }
+   */
+  calculateGlicko2(player, results) {
+    const mu = (player.rating - INITIAL_RATING) / GLICKO_SCALE;
+    const phi = player.rd / GLICKO_SCALE;
+    const sigma = player.volatility;
+
+    if (results.length === 0) {
+      // No games: only the deviation grows
+      const grownPhi = Math.sqrt(phi * phi + sigma * sigma);
+      return { rating: player.rating, rd: Math.min(INITIAL_RATING_DEVIATION, grownPhi * GLICKO_SCALE), volatility: sigma };
+    }
+
+    // Estimated variance (v) and improvement (delta) from the game outcomes
+    let vInverse = 0;
+    let deltaSum = 0;
+    for (const result of results) {
+      const muOpponent = (result.rating - INITIAL_RATING) / GLICKO_SCALE;
+      const gOpponent = g(result.rd / GLICKO_SCALE);
+      const expected = 1 / (1 + Math.exp(-gOpponent * (mu - muOpponent)));
+      vInverse += gOpponent * gOpponent * expected * (1 - expected);
+      deltaSum += gOpponent * (result.score - expected);
+    }
+    const v = 1 / vInverse;
+    const delta = v * deltaSum;
+
+    // New volatility (Illinois algorithm)
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      const denominator = phi * phi + v + ex;
+      return ex * (delta * delta - phi * phi - v - ex) / (2 * denominator * denominator) - (x - a) / (SYSTEM_TAU * SYSTEM_TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * SYSTEM_TAU) < 0) {
+        k++;
+      }
+      B = a - k * SYSTEM_TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > VOLATILITY_EPSILON) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    // New deviation and rating
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * deltaSum;
+
+    return {
+      rating: newMu * GLICKO_SCALE + INITIAL_RATING,
+      rd: newPhi * GLICKO_SCALE,
+      volatility: newSigma
+    };
+  }
+
+  /**
+   * Calculate expected score of player A against player B
    * @param {number} ratingA - Player A's rating
    * @param {number} ratingB - Player B's rating
+   * @param {number} rdB - Player B's rating deviation (0 = same as Elo)
+   * @param {number} offset - Rating advantage of player A from the game conditions (see getHandicapOffset)
    * @returns {number} Expected score (0-1)
    */
-  calculateExpectedScore(ratingA, ratingB) {
-    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  calculateExpectedScore(ratingA, ratingB, rdB = 0, offset = 0) {
+    return 1 / (1 + Math.exp(-g(rdB / GLICKO_SCALE) * (ratingA + offset - ratingB) / GLICKO_SCALE));
   }
 
   /**
-   * Convert Elo rating to Kyu/Dan rank string
-   * @param {number} rating - Elo rating
+   * Rating advantage of Black from handicap stones and komi.
+   * N handicap stones with the usual handicap komi give Black N - 0.5 free
+   * moves (the first move of an even game is compensated by komi); komi below
+   * the usual komi of the rules adds to that, komi above it takes away.
+   * @param {Object} conditions - Game conditions
+   * @param {number} conditions.boardSize - Board size
+   * @param {string} conditions.rules - Rule set name (default 'chinese')
+   * @param {Object|null} conditions.handicap - Handicap { stones, placement } (null = even game)
+   * @param {number} conditions.komi - Komi of the game (default = usual komi)
+   * @returns {number} Rating offset for Black (negative = White has the advantage)
+   */
+  getHandicapOffset({ boardSize = 19, rules = DEFAULT_RULE_SET, handicap = null, komi = null } = {}) {
+    const ruleSet = getRuleSet(rules) || getRuleSet(DEFAULT_RULE_SET);
+    const stones = handicap?.stones || 0;
+    const usualKomi = stones > 0 ? getHandicapKomi(ruleSet, stones) : getDefaultKomi(ruleSet, boardSize);
+    const komiDeviation = komi === null || komi === undefined ? 0 : usualKomi - komi;
+
+    const freeMoves = (stones > 0 ? stones - 0.5 : 0) + komiDeviation / POINTS_PER_STONE;
+    return freeMoves * getRatingPerStone(boardSize);
+  }
+
+  /**
+   * Check if a rating is provisional (too uncertain to be trusted yet)
+   * @param {number} rd - Rating deviation
+   * @returns {boolean}
+   */
+  isProvisional(rd) {
+    return rd > PROVISIONAL_RATING_DEVIATION;
+  }
+
+  /**
+   * Convert rating to Kyu/Dan rank string
+   * @param {number} rating - Glicko-2 rating
+   * @param {number|null} rd - Rating deviation; adds the uncertainty (e.g. "1d ±60", "5k? ±240")
    * @returns {string} Rank string (e.g., "5k", "1d", "9d")
    */
-  ratingToRank(rating) {
+  ratingToRank(rating, rd = null) {
+    let rank = '30k'; // Default fallback
     for (const threshold of RANK_THRESHOLDS) {
       if (rating >= threshold.min && rating <= threshold.max) {
-        return threshold.rank;
+        rank = threshold.rank;
+        break;
       }
     }
-    return '30k'; // Default fallback
+
+    if (rd === null || rd === undefined) {
+      return rank;
+    }
+    return `${rank}${this.isProvisional(rd) ? '?' : ''} ±${Math.round(rd)}`;
   }
 
   /**
    * Get player's rank display string
    * @param {string} userId - User ID
    * @param {number} boardSize - Board size
+   * @param {string} timeCategory - Time control category of the pool
    * @returns {Promise<string>} Rank string
    */
-  async getPlayerRank(userId, boardSize = 19) {
-    const rating = await this.getRating(userId, boardSize);
+  async getPlayerRank(userId, boardSize = 19, timeCategory = DEFAULT_TIME_CATEGORY) {
+    const rating = await this.getRating(userId, boardSize, timeCategory);
     return this.ratingToRank(rating);
   }
 
@@ -388,16 +734,22 @@ class RatingService {
    * Get detailed rating information
    * @param {string} userId - User ID
    * @param {number} boardSize - Board size
-   * @returns {Promise<Object>} Rating info with Elo and rank
+   * @param {string} timeCategory - Time control category of the pool
+   * @returns {Promise<Object>} Rating info with rating, deviation, rank and the results in the pool
    */
-  async getRatingInfo(userId, boardSize = 19) {
-    const rating = await this.getRating(userId, boardSize);
-    const rank = this.ratingToRank(rating);
-    
+  async getRatingInfo(userId, boardSize = 19, timeCategory = DEFAULT_TIME_CATEGORY) {
+    const record = await this.getRatingRecord(userId, boardSize, timeCategory);
+    const rank = this.ratingToRank(record.rating);
+
     return {
-      rating,
+      timeCategory,
+      results: await this.getPoolResults(userId, boardSize, timeCategory),
+      rating: record.rating,
+      rd: Math.round(record.rd),
+      volatility: record.volatility,
+      provisional: record.provisional,
       rank,
-      display: rank
+      display: this.ratingToRank(record.rating, record.rd)
     };
   }
 }
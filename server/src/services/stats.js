@@ -12,12 +12,13 @@
  * - In-memory storage for guests (guest-* userId)
  */
 
-import { ratingService } from './rating.js';
+import { ratingService, DEFAULT_TIME_CATEGORY } from './rating.js';
 import { db } from '../db/connection.js';
 import { getIdentityKey } from './identity.js';
 
 // In-memory storage for guests (cache only, not primary storage)
 const guestStats = new Map(); // guestId -> Map<boardSize, stats>
+const casualStats = new Map(); // playerKey -> Map<boardSize, { games, wins, losses, draws }> (fallback without DB)
 
 /**
  * Check if userId is a guest (starts with "guest-")
@@ -128,7 +129,15 @@ class StatsService {
     );
   }
 
-  async recordGameResult(userId, won, ratingChange, boardSize = 19) {
+  /**
+   * Record the result of a rated game (the highest rating is taken from the game's rating pool)
+   * @param {string} userId - User ID
+   * @param {boolean|null} won - Whether the player won (null for draw)
+   * @param {number} ratingChange - Rating change of the game
+   * @param {number} boardSize - Board size
+   * @param {string} timeCategory - Time control category (rating pool) of the game
+   */
+  async recordGameResult(userId, won, ratingChange, boardSize = 19, timeCategory = DEFAULT_TIME_CATEGORY) {
     if (isGuest(userId)) {
       // Guest: Use guest_stats table
       const guestKey = toGuestKey(userId);
@@ -138,7 +147,7 @@ class StatsService {
       }
 
       try {
-        const currentRating = await ratingService.getRating(userId, boardSize);
+        const currentRating = await ratingService.getRating(userId, boardSize, timeCategory);
         
         // Get existing stats from guest_stats table
         const existing = await this.getGuestStats(guestKey, boardSize);
@@ -183,7 +192,7 @@ class StatsService {
         const userStats = guestStats.get(userId);
         
         if (!userStats.has(boardSize)) {
-          const rating = await ratingService.getRating(userId, boardSize);
+          const rating = await ratingService.getRating(userId, boardSize, timeCategory);
           userStats.set(boardSize, {
             gamesPlayed: 0,
             wins: 0,
@@ -209,7 +218,7 @@ class StatsService {
           stat.winRate = (stat.wins / stat.gamesPlayed) * 100;
         }
         
-        const currentRating = await ratingService.getRating(userId, boardSize);
+        const currentRating = await ratingService.getRating(userId, boardSize, timeCategory);
         if (currentRating > stat.highestRating) {
           stat.highestRating = currentRating;
         }
@@ -217,8 +226,8 @@ class StatsService {
     } else {
       // Account: Use unified_player_stats (or player_stats for backward compatibility)
       try {
-        const currentRating = await ratingService.getRating(userId, boardSize);
-        const currentGames = await ratingService.getGamesPlayed(userId, boardSize);
+        const currentRating = await ratingService.getRating(userId, boardSize, timeCategory);
+        const currentGames = await ratingService.getGamesPlayed(userId, boardSize, timeCategory);
         
         // Get existing stats
         const existing = await db.query(
@@ -263,7 +272,7 @@ class StatsService {
         const userStats = guestStats.get(userId);
         
         if (!userStats.has(boardSize)) {
-          const rating = await ratingService.getRating(userId, boardSize);
+          const rating = await ratingService.getRating(userId, boardSize, timeCategory);
           userStats.set(boardSize, {
             gamesPlayed: 0,
             wins: 0,
@@ -289,7 +298,7 @@ class StatsService {
           stat.winRate = (stat.wins / stat.gamesPlayed) * 100;
         }
         
-        const currentRating = await ratingService.getRating(userId, boardSize);
+        const currentRating = await ratingService.getRating(userId, boardSize, timeCategory);
         if (currentRating > stat.highestRating) {
           stat.highestRating = currentRating;
         }
@@ -297,20 +306,83 @@ class StatsService {
     }
   }
 
+  /**
+   * Record the result of an unrated game
+   * Casual games leave the rating and the rated stats alone.
+   * @param {string} userId - User ID
+   * @param {boolean|null} won - Whether player won (null for draw)
+   * @param {number} boardSize - Board size
+   * @returns {Promise<void>}
+   */
+  async recordCasualResult(userId, won, boardSize = 19) {
+    const playerKey = toGuestKey(userId) || `a:${userId}`;
+    const wins = won === true ? 1 : 0;
+    const losses = won === false ? 1 : 0;
+    const draws = won === null ? 1 : 0;
+
+    try {
+      await db.query(
+        `INSERT INTO casual_stats (player_key, board_size, games, wins, losses, draws, updated_at)
+         VALUES ($1, $2, 1, $3, $4, $5, CURRENT_TIMESTAMP)
+         ON CONFLICT (player_key, board_size) DO UPDATE
+         SET games = casual_stats.games + 1,
+             wins = casual_stats.wins + EXCLUDED.wins,
+             losses = casual_stats.losses + EXCLUDED.losses,
+             draws = casual_stats.draws + EXCLUDED.draws,
+             updated_at = CURRENT_TIMESTAMP`,
+        [playerKey, boardSize, wins, losses, draws]
+      );
+    } catch (error) {
+      console.error('[Stats] Error recording casual result in DB, falling back to in-memory:', error.message);
+      if (!casualStats.has(playerKey)) {
+        casualStats.set(playerKey, new Map());
+      }
+      const stats = casualStats.get(playerKey).get(boardSize) || { games: 0, wins: 0, losses: 0, draws: 0 };
+      casualStats.get(playerKey).set(boardSize, {
+        games: stats.games + 1,
+        wins: stats.wins + wins,
+        losses: stats.losses + losses,
+        draws: stats.draws + draws
+      });
+    }
+  }
+
+  /**
+   * Get the stats of a player's unrated games
+   * @param {string} userId - User ID
+   * @param {number} boardSize - Board size
+   * @returns {Promise<Object>} { games, wins, losses, draws }
+   */
+  async getCasualStats(userId, boardSize = 19) {
+    const playerKey = toGuestKey(userId) || `a:${userId}`;
+
+    try {
+      const result = await db.query(
+        'SELECT games, wins, losses, draws FROM casual_stats WHERE player_key = $1 AND board_size = $2',
+        [playerKey, boardSize]
+      );
+      return result.rows[0] || { games: 0, wins: 0, losses: 0, draws: 0 };
+    } catch (error) {
+      console.error('[Stats] Error getting casual stats from DB, falling back to in-memory:', error.message);
+      return casualStats.get(playerKey)?.get(boardSize) || { games: 0, wins: 0, losses: 0, draws: 0 };
+    }
+  }
+
   /**
    * Get player statistics for a specific board size
    * @param {string} userId - User ID
    * @param {number} boardSize - Board size
+   * @param {string} timeCategory - Rating pool of the current rating and rank
    * @returns {Promise<Object>} Player statistics
    */
-  async getPlayerStats(userId, boardSize = 19) {
+  async getPlayerStats(userId, boardSize = 19, timeCategory = DEFAULT_TIME_CATEGORY) {
     if (isGuest(userId)) {
       // Guest: Use guest_stats table
       const guestKey = toGuestKey(userId);
       if (!guestKey) {
         console.error('[Stats] Invalid guest userId:', userId);
-        const rating = await ratingService.getRating(userId, boardSize);
-        const rank = await ratingService.getPlayerRank(userId, boardSize);
+        const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+        const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
         return {
           userId,
           boardSize,
@@ -326,8 +398,8 @@ class StatsService {
       }
 
       try {
-        const rating = await ratingService.getRating(userId, boardSize);
-        const rank = await ratingService.getPlayerRank(userId, boardSize);
+        const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+        const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
         
         // Get stats from guest_stats table
         const dbStats = await this.getGuestStats(guestKey, boardSize);
@@ -369,8 +441,8 @@ class StatsService {
         const userStats = guestStats.get(userId);
         
         if (!userStats.has(boardSize)) {
-          const rating = await ratingService.getRating(userId, boardSize);
-          const rank = await ratingService.getPlayerRank(userId, boardSize);
+          const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+          const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
           
           return {
             userId,
@@ -387,8 +459,8 @@ class StatsService {
         }
         
         const stat = userStats.get(boardSize);
-        const rating = await ratingService.getRating(userId, boardSize);
-        const rank = await ratingService.getPlayerRank(userId, boardSize);
+        const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+        const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
         
         return {
           userId,
@@ -406,8 +478,8 @@ class StatsService {
     } else {
       // Account: Use player_stats table
       try {
-        const rating = await ratingService.getRating(userId, boardSize);
-        const rank = await ratingService.getPlayerRank(userId, boardSize);
+        const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+        const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
         
         const result = await db.query(
           'SELECT games_played, wins, losses, draws, win_rate, highest_rating FROM player_stats WHERE user_id = $1 AND board_size = $2',
@@ -452,8 +524,8 @@ class StatsService {
         const userStats = guestStats.get(userId);
         
         if (!userStats.has(boardSize)) {
-          const rating = await ratingService.getRating(userId, boardSize);
-          const rank = await ratingService.getPlayerRank(userId, boardSize);
+          const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+          const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
           
           return {
             userId,
@@ -470,8 +542,8 @@ class StatsService {
         }
         
         const stat = userStats.get(boardSize);
-        const rating = await ratingService.getRating(userId, boardSize);
-        const rank = await ratingService.getPlayerRank(userId, boardSize);
+        const rating = await ratingService.getRating(userId, boardSize, timeCategory);
+        const rank = await ratingService.getPlayerRank(userId, boardSize, timeCategory);
         
         return {
           userId,
@@ -490,14 +562,18 @@ class StatsService {
   }
 
   /**
-   * Get leaderboard (top players by rating across all board sizes)
-   * Returns the highest rating for each player across all board sizes
+   * Get leaderboard (top players by rating, optionally in one rating pool)
+   * Returns the highest rating for each player across the selected pools,
+   * with the games, wins and losses of that pool
    * @param {number} limit - Number of players to return
+   * @param {Object} pool - Rating pool filter
+   * @param {number|null} pool.boardSize - Board size (null = all board sizes)
+   * @param {string|null} pool.timeCategory - Time control category (null = all categories)
    * @returns {Promise<Array>} Array of player stats
    */
-  async getLeaderboard(limit = 10) {
+  async getLeaderboard(limit = 10, { boardSize = null, timeCategory = null } = {}) {
     try {
-      console.log('[Stats] Fetching leaderboard...');
+      console.log(`[Stats] Fetching leaderboard (boardSize=${boardSize ?? 'all'}, timeCategory=${timeCategory ?? 'all'})...`);
       
       // First, let's check what tables exist and what data is in them
       let ratingsCount = 0;
@@ -539,14 +615,17 @@ class StatsService {
                u.username, 
                r.rating,
                r.board_size,
-               COALESCE(ps.games_played, 0) as games_played,
-               COALESCE(ps.wins, 0) as wins,
-               COALESCE(ps.losses, 0) as losses
+               r.time_category,
+               r.games_played,
+               r.wins,
+               r.losses
              FROM users u
              JOIN ratings r ON r.user_id = u.id
-             LEFT JOIN player_stats ps ON r.user_id = ps.user_id AND r.board_size = ps.board_size
              WHERE u.is_guest = FALSE
-            `
+               AND ($1::INTEGER IS NULL OR r.board_size = $1)
+               AND ($2::VARCHAR IS NULL OR r.time_category = $2)
+            `,
+            [boardSize, timeCategory]
           );
           console.log(`[Stats] Found ${accountResult.rows.length} account ratings (with board_size)`);
         } else {
@@ -568,6 +647,7 @@ class StatsService {
                  u.username, 
                  r.rating,
                  NULL as board_size,
+                 NULL as time_category,
                  COALESCE(ps.games_played, 0) as games_played,
                  COALESCE(ps.wins, 0) as wins,
                  COALESCE(ps.losses, 0) as losses
@@ -586,6 +666,7 @@ class StatsService {
                  u.username, 
                  r.rating,
                  NULL as board_size,
+                 NULL as time_category,
                  COALESCE(ps.games_played, 0) as games_played,
                  COALESCE(ps.wins, 0) as wins,
                  COALESCE(ps.losses, 0) as losses
@@ -621,12 +702,15 @@ class StatsService {
                NULL as username,
                gr.rating,
                gr.board_size,
-               COALESCE(gs.games, 0) as games_played,
-               COALESCE(gs.wins, 0) as wins,
-               COALESCE(gs.losses, 0) as losses
+               gr.time_category,
+               gr.games_played,
+               gr.wins,
+               gr.losses
              FROM guest_ratings gr
-             LEFT JOIN guest_stats gs ON gr.guest_key = gs.guest_key AND gr.board_size = gs.board_size
-            `
+             WHERE ($1::INTEGER IS NULL OR gr.board_size = $1)
+               AND ($2::VARCHAR IS NULL OR gr.time_category = $2)
+            `,
+            [boardSize, timeCategory]
           );
           console.log(`[Stats] Found ${guestResult.rows.length} guest ratings`);
         } else {
@@ -649,6 +733,8 @@ class StatsService {
             id: row.id,
             username: row.username,
             rating: row.rating,
+            board_size: row.board_size,
+            time_category: row.time_category,
             games_played: row.games_played,
             wins: row.wins,
             losses: row.losses,
@@ -665,6 +751,8 @@ class StatsService {
             id: row.id,
             username: null,
             rating: row.rating,
+            board_size: row.board_size,
+            time_category: row.time_category,
             games_played: row.games_played,
             wins: row.wins,
             losses: row.losses,
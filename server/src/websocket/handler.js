@@ -8,8 +8,13 @@
 import { EventTypes } from '../constants/events.js';
 import { matchmakingService } from '../services/matchmaking.js';
 import { gameManager } from '../services/gameManager.js';
+import { challengeService } from '../services/challenge.js';
+import { inviteService } from '../services/invite.js';
 import { getUserFromToken } from '../services/auth.js';
 import { getIdentityFromWs, getIdentityKey } from '../services/identity.js';
+import { normalizeTimeControl } from '../engine/gameClock.js';
+import { RULE_SET_NAMES, normalizeKomi } from '../engine/ruleSets.js';
+import { MIN_BOARD_SIZE, MAX_BOARD_SIZE, isValidBoardSize } from '../engine/boardSize.js';
 import cookie from 'cookie';
 
 class WebSocketHandler {
@@ -63,6 +68,9 @@ class WebSocketHandler {
               identityKey: ws.identityKey
             }
           });
+
+          // Resume games that were waiting for this player
+          gameManager.handleReconnection({ id: user.id, identityKey: ws.identityKey });
           
           // Set up message handlers
           this.setupMessageHandlers(ws);
@@ -177,6 +185,9 @@ class WebSocketHandler {
             identityKey: ws.identityKey
           }
         });
+
+        // Resume games that were waiting for this player
+        gameManager.handleReconnection({ id: guestId, identityKey: ws.identityKey });
       } else {
         console.log(`[WebSocket] identityKey already set (${ws.identityKey}), ignoring ${type} with ${guestId}`);
       }
@@ -196,8 +207,8 @@ class WebSocketHandler {
     switch (type) {
       case EventTypes.JOIN_QUEUE:
         const boardSize = data?.boardSize;
-        if (![9, 13, 19].includes(boardSize)) {
-          this.sendError(ws, 'Invalid board size. Must be 9, 13, or 19.');
+        if (!isValidBoardSize(boardSize)) {
+          this.sendError(ws, `Invalid board size. Must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}.`);
           return;
         }
         
@@ -208,9 +219,42 @@ class WebSocketHandler {
           return;
         }
         
+        // Time control is optional (untimed game if missing)
+        const timeControlResult = normalizeTimeControl(data?.timeControl);
+        if (!timeControlResult.ok) {
+          this.sendError(ws, `Invalid time control: ${timeControlResult.reason}`);
+          return;
+        }
+        
+        const rules = data?.rules || 'chinese';
+        if (!RULE_SET_NAMES.includes(rules)) {
+          this.sendError(ws, `Invalid rules. Must be one of: ${RULE_SET_NAMES.join(', ')}.`);
+          return;
+        }
+        
+        const handicap = data?.handicap || 'even';
+        if (!['even', 'auto'].includes(handicap)) {
+          this.sendError(ws, "Invalid handicap. Must be 'even' or 'auto'.");
+          return;
+        }
+        
+        // Komi is optional (default komi of rules and board size if missing)
+        const komiResult = normalizeKomi(data?.komi);
+        if (!komiResult.ok) {
+          this.sendError(ws, 'Invalid komi. Must be a multiple of 0.5.');
+          return;
+        }
+        
         // Use identityKey directly (no identity object needed)
         console.log(`[WebSocket] ${ws.identityKey} joining queue with boardSize: ${boardSize}`);
-        matchmakingService.joinQueue(ws.identityKey, ws, { boardSize });
+        matchmakingService.joinQueue(ws.identityKey, ws, {
+          boardSize,
+          timeControl: timeControlResult.timeControl,
+          rules,
+          handicap,
+          komi: komiResult.komi,
+          rated: data?.rated !== false
+        });
         break;
 
       case EventTypes.LEAVE_QUEUE:
@@ -229,6 +273,94 @@ class WebSocketHandler {
         gameManager.handleResignation({ id: userIdResign, identityKey: ws.identityKey }, data);
         break;
 
+      case EventTypes.TOGGLE_DEAD_STONES:
+        const userIdToggle = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        gameManager.handleToggleDeadStones({ id: userIdToggle, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.ACCEPT_SCORE:
+        const userIdAccept = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'accept score', () => gameManager.handleAcceptScore({ id: userIdAccept, identityKey: ws.identityKey }, data));
+        break;
+
+      case EventTypes.RESUME_PLAY:
+        const userIdResume = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        gameManager.handleResumePlay({ id: userIdResume, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.UNDO_REQUEST:
+        const userIdUndo = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        gameManager.handleUndoRequest({ id: userIdUndo, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.UNDO_RESPONSE:
+        const userIdUndoResponse = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'answer undo request', () => gameManager.handleUndoResponse({ id: userIdUndoResponse, identityKey: ws.identityKey }, data));
+        break;
+
+      case EventTypes.WATCH_GAME:
+        const userIdWatch = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        gameManager.handleWatchGame({ id: userIdWatch, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.UNWATCH_GAME:
+        const userIdUnwatch = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        gameManager.handleUnwatchGame({ id: userIdUnwatch, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.CHAT_MESSAGE:
+        const userIdChat = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'send chat message', () => gameManager.handleChatMessage({ id: userIdChat, identityKey: ws.identityKey, username: ws.authUser?.username }, data));
+        break;
+
+      case EventTypes.REMATCH_OFFER:
+        const userIdRematchOffer = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'offer rematch', () => gameManager.handleRematchOffer({ id: userIdRematchOffer, identityKey: ws.identityKey }, data));
+        break;
+
+      case EventTypes.REMATCH_ACCEPT:
+        const userIdRematchAccept = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'accept rematch', () => gameManager.handleRematchAccept({ id: userIdRematchAccept, identityKey: ws.identityKey }, data));
+        break;
+
+      case EventTypes.REMATCH_DECLINE:
+        const userIdRematchDecline = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        gameManager.handleRematchDecline({ id: userIdRematchDecline, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.CHALLENGE_SEND:
+        const userIdChallenge = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'send challenge', () => challengeService.sendChallenge({ id: userIdChallenge, identityKey: ws.identityKey, username: ws.authUser?.username }, data));
+        break;
+
+      case EventTypes.CHALLENGE_ACCEPT:
+        const userIdChallengeAccept = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'accept challenge', () => challengeService.acceptChallenge({ id: userIdChallengeAccept, identityKey: ws.identityKey }, data));
+        break;
+
+      case EventTypes.CHALLENGE_DECLINE:
+        const userIdChallengeDecline = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        challengeService.declineChallenge({ id: userIdChallengeDecline, identityKey: ws.identityKey }, data);
+        break;
+
+      case EventTypes.REQUEST_CHALLENGES:
+        challengeService.sendPendingChallenges({ identityKey: ws.identityKey });
+        break;
+
+      case EventTypes.INVITE_CREATE:
+        const userIdInvite = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'create invite', () => inviteService.createInvite({ id: userIdInvite, identityKey: ws.identityKey, username: ws.authUser?.username }, data));
+        break;
+
+      case EventTypes.INVITE_ACCEPT:
+        const userIdInviteAccept = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
+        this.runServiceCall(ws, 'accept invite', () => inviteService.acceptInvite({ id: userIdInviteAccept, identityKey: ws.identityKey }, data));
+        break;
+
+      case EventTypes.INVITE_CANCEL:
+        inviteService.cancelInvite({ identityKey: ws.identityKey }, data);
+        break;
+
       case EventTypes.REQUEST_GAME_STATE:
         const userIdState = ws.identityKey.startsWith('a:') ? ws.authUser.id : ws.guestId;
         gameManager.sendGameState({ id: userIdState, identityKey: ws.identityKey }, data);
@@ -250,7 +382,10 @@ class WebSocketHandler {
    * @param {WebSocket} ws - WebSocket connection
    */
   handleDisconnection(ws, code, reason) {
-    if (ws.identityKey) {
+    if (ws.identityKey && this.connections.get(ws.identityKey) !== ws) {
+      // A newer connection (e.g. page reload) already replaced this socket
+      console.log(`[WebSocket] 🔌 Stale connection for ${ws.identityKey} closed (code: ${code})`);
+    } else if (ws.identityKey) {
       console.log(`[WebSocket] 🔌 ${ws.identityKey} disconnected (code: ${code}, reason: ${reason || 'none'})`);
       
       // Remove from matchmaking queue if present (by identityKey)
@@ -344,6 +479,23 @@ class WebSocketHandler {
     return identityKey ? (this.connections.get(identityKey) || null) : null;
   }
 
+  /**
+   * Run a service call for a client message. Errors (thrown or rejected) go
+   * back to the client as an error message instead of becoming unhandled
+   * rejections that end the process.
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {string} action - What the call does (e.g. 'send challenge')
+   * @param {Function} call - Service call (may return a promise)
+   */
+  async runServiceCall(ws, action, call) {
+    try {
+      await call();
+    } catch (error) {
+      console.error(`[WebSocket] Error trying to ${action}:`, error);
+      this.sendError(ws, `Failed to ${action}`);
+    }
+  }
+
   /**
    * Send error message to client
    * @param {WebSocket} ws - WebSocket connection
@@ -0,0 +1,91 @@
+/**
+ * Board Size and Komi Tests
+ *
+ * Tests for boards beyond 9x9, 13x13 and 19x19 and for custom komi
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import GoEngine from '../src/engine/goEngine.js';
+import { isValidBoardSize } from '../src/engine/boardSize.js';
+import { normalizeKomi } from '../src/engine/ruleSets.js';
+import { getFixedHandicapPoints } from '../src/engine/handicap.js';
+
+describe('Board Sizes and Komi', () => {
+  let engine;
+  const gameId = 'test_game_board_size';
+
+  beforeEach(() => {
+    engine = new GoEngine();
+  });
+
+  describe('Board Sizes', () => {
+    test('should accept every size from 5x5 to 25x25', () => {
+      expect(isValidBoardSize(5)).toBe(true);
+      expect(isValidBoardSize(11)).toBe(true);
+      expect(isValidBoardSize(25)).toBe(true);
+      expect(isValidBoardSize(4)).toBe(false);
+      expect(isValidBoardSize(26)).toBe(false);
+      expect(isValidBoardSize(9.5)).toBe(false);
+      expect(isValidBoardSize('19')).toBe(false);
+      expect(() => engine.createGameState(gameId, 27)).toThrow('Invalid board size');
+    });
+
+    test('should play and capture on a 7x7 board', () => {
+      const state = engine.createGameState(gameId, 7);
+      expect(state.board).toHaveLength(7);
+      expect(state.board[6]).toHaveLength(7);
+
+      engine.applyMove(gameId, 1, 0, 'black');
+      engine.applyMove(gameId, 0, 0, 'white');
+      const result = engine.applyMove(gameId, 0, 1, 'black');
+
+      expect(result.captures).toEqual([{ x: 0, y: 0 }]);
+      expect(engine.isLegalMove(gameId, 7, 0, 'white')).toEqual({ ok: false, reason: 'invalid_coordinates' });
+    });
+
+    test('should score a 21x21 board', () => {
+      engine.createGameState(gameId, 21, 7.5, 'japanese');
+      for (let y = 0; y < 21; y++) {
+        engine.applyMove(gameId, 10, y, 'black');
+        engine.applyMove(gameId, 11, y, 'white');
+      }
+
+      const score = engine.score(gameId);
+      expect(score.black).toBe(10 * 21);
+      expect(score.white).toBe(9 * 21 + 7.5);
+      expect(score.winner).toBe('black');
+    });
+  });
+
+  describe('Komi', () => {
+    test('should use the small board komi up to 9x9', () => {
+      expect(engine.createGameState(gameId, 7).komi).toBe(0.5);
+      expect(engine.createGameState(gameId, 11).komi).toBe(6.5);
+      expect(engine.createGameState(gameId, 21, null, 'aga').komi).toBe(7.5);
+    });
+
+    test('should use a custom komi', () => {
+      expect(engine.createGameState(gameId, 19, 0).komi).toBe(0);
+      expect(engine.createGameState(gameId, 13, 5.5, 'japanese').komi).toBe(5.5);
+      expect(engine.createGameState(gameId, 19, -3).komi).toBe(-3);
+    });
+
+    test('should reject komi that is not a multiple of 0.5', () => {
+      expect(normalizeKomi(null)).toEqual({ ok: true, komi: null });
+      expect(normalizeKomi(7)).toEqual({ ok: true, komi: 7 });
+      expect(normalizeKomi(6.25).ok).toBe(false);
+      expect(normalizeKomi('6.5').ok).toBe(false);
+      expect(normalizeKomi(500).ok).toBe(false);
+      expect(() => engine.createGameState(gameId, 19, NaN)).toThrow('Invalid komi');
+    });
+  });
+
+  describe('Handicap', () => {
+    test('should place fixed handicap stones on odd boards only', () => {
+      expect(getFixedHandicapPoints(11, 5)).toEqual(expect.arrayContaining([{ x: 2, y: 2 }, { x: 5, y: 5 }, { x: 8, y: 8 }]));
+      expect(engine.createGameState(gameId, 21, null, 'chinese', { stones: 9 }).handicapStones).toHaveLength(9);
+      expect(() => engine.createGameState(gameId, 10, null, 'chinese', { stones: 2 })).toThrow('Invalid handicap');
+      expect(engine.createGameState(gameId, 10, null, 'chinese', { stones: 2, placement: 'free' }).handicapStonesToPlace).toBe(2);
+    });
+  });
+});
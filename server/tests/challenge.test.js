@@ -0,0 +1,165 @@
+/**
+ * Challenge Tests
+ *
+ * Tests for direct challenges: settings checks, accepting and declining,
+ * the pending list and expiry
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { challengeService, normalizeChallengeSettings } from '../src/services/challenge.js';
+import { matchmakingService, getQueueKey } from '../src/services/matchmaking.js';
+import { captureMessages, startGame, trackGame, cleanupGames } from './helpers/gameFixtures.js';
+
+const alice = { id: 'guest-challenge-alice', identityKey: 'g:guest-challenge-alice' };
+const bob = { id: 'guest-challenge-bob', identityKey: 'g:guest-challenge-bob' };
+
+describe('Challenge Settings', () => {
+  test('should fill in defaults', () => {
+    expect(normalizeChallengeSettings({})).toEqual({
+      ok: true,
+      settings: { boardSize: 19, color: 'nigiri', timeControl: null, rules: 'chinese', komi: null, handicap: null, rated: true }
+    });
+  });
+
+  test('should treat missing or non-object settings as defaults', () => {
+    const defaults = normalizeChallengeSettings({});
+    expect(normalizeChallengeSettings(null)).toEqual(defaults);
+    expect(normalizeChallengeSettings(undefined)).toEqual(defaults);
+    expect(normalizeChallengeSettings(5)).toEqual(defaults);
+  });
+
+  test('should reject invalid settings', () => {
+    expect(normalizeChallengeSettings({ boardSize: 4 }).reason).toBe('invalid_board_size');
+    expect(normalizeChallengeSettings({ color: 'red' }).reason).toBe('invalid_color');
+    expect(normalizeChallengeSettings({ rules: 'ing' }).reason).toBe('invalid_rules');
+    expect(normalizeChallengeSettings({ komi: 6.3 }).reason).toBe('invalid_komi');
+    expect(normalizeChallengeSettings({ boardSize: 8, handicap: { stones: 2, placement: 'fixed' } }).reason).toBe('invalid_handicap');
+  });
+});
+
+describe('Challenges', () => {
+  let sent;
+  let errors;
+
+  beforeEach(() => {
+    ({ sent, errors } = captureMessages());
+  });
+
+  afterEach(() => {
+    for (const challenge of [...challengeService.challenges.values()]) {
+      challengeService.removeChallenge(challenge.id);
+    }
+    cleanupGames();
+    matchmakingService.queues.clear();
+    matchmakingService.queuedUsers.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const challenge = (settings = {}) => challengeService.sendChallenge(alice, { playerId: bob.id, settings });
+
+  test('should notify both players without exposing guest IDs', async () => {
+    const pending = await challenge({ boardSize: 9, color: 'black' });
+
+    expect(sent.map(message => [message.to, message.type])).toEqual([
+      [alice.identityKey, 'challenge_sent'],
+      [bob.identityKey, 'challenge_received']
+    ]);
+    expect(sent[1].data).toMatchObject({ id: pending.id, from: { name: 'Gast' }, settings: { boardSize: 9, color: 'black' } });
+    expect(JSON.stringify(sent)).not.toContain('"guest-challenge-');
+  });
+
+  test('should accept a challenge without settings objects', async () => {
+    const pending = await challengeService.sendChallenge(alice, { playerId: bob.id, settings: null });
+    expect(pending.settings.boardSize).toBe(19);
+    expect((await challengeService.sendChallenge(alice, { playerId: bob.id, settings: 5 })).settings.color).toBe('nigiri');
+    expect(errors).toEqual([]);
+  });
+
+  test('should list pending challenges per player', async () => {
+    const pending = await challenge();
+    await challenge({ boardSize: 13 });
+
+    expect(challengeService.challenges.has(pending.id)).toBe(false);
+    expect(challengeService.getPendingChallenges(bob.identityKey).incoming.map(c => c.settings.boardSize)).toEqual([13]);
+    expect(challengeService.getPendingChallenges(alice.identityKey).outgoing).toHaveLength(1);
+    expect(challengeService.getPendingChallenges(alice.identityKey).incoming).toHaveLength(0);
+  });
+
+  test('should start the game with the chosen settings when accepted', async () => {
+    const pending = await challenge({ boardSize: 9, color: 'white', komi: 0.5, rated: false, rules: 'japanese' });
+    sent.length = 0;
+
+    const game = trackGame(await challengeService.acceptChallenge(bob, { challengeId: pending.id }));
+
+    expect(game).toMatchObject({ boardSize: 9, komi: 0.5, rules: 'japanese', rated: false });
+    expect(game.whitePlayerIdentityKey).toBe(alice.identityKey);
+    expect(game.blackPlayerIdentityKey).toBe(bob.identityKey);
+    const matchFound = sent.filter(message => message.type === 'match_found');
+    expect(matchFound.map(message => [message.to, message.data.color])).toEqual([
+      [bob.identityKey, 'black'],
+      [alice.identityKey, 'white']
+    ]);
+    expect(challengeService.challenges.size).toBe(0);
+  });
+
+  test('should take both players out of the matchmaking queue', async () => {
+    const queueKey = getQueueKey(19, 'untimed');
+    matchmakingService.queues.set(queueKey, [{ identityKey: alice.identityKey, boardSize: 19, timeCategory: 'untimed', joinedAt: 0, rating: 1500, preferences: {} }]);
+    matchmakingService.queuedUsers.set(alice.identityKey, { boardSize: 19, timeCategory: 'untimed', joinedAt: 0 });
+    const pending = await challenge();
+
+    trackGame(await challengeService.acceptChallenge(bob, { challengeId: pending.id }));
+
+    expect(matchmakingService.queues.get(queueKey)).toHaveLength(0);
+    expect(matchmakingService.queuedUsers.has(alice.identityKey)).toBe(false);
+  });
+
+  test('should not start a second game for a player who is still playing', async () => {
+    await startGame(alice, { id: 'guest-challenge-carol', identityKey: 'g:guest-challenge-carol' });
+    const pending = await challenge();
+
+    expect(await challengeService.acceptChallenge(bob, { challengeId: pending.id })).toBeNull();
+    expect(errors).toEqual(['A player is already in a game']);
+    expect(challengeService.challenges.has(pending.id)).toBe(true);
+  });
+
+  test('should only let the challenged player accept', async () => {
+    const pending = await challenge();
+
+    expect(await challengeService.acceptChallenge(alice, { challengeId: pending.id })).toBeNull();
+    expect(errors).toEqual(['Challenge is no longer available']);
+    expect(challengeService.challenges.has(pending.id)).toBe(true);
+  });
+
+  test('should tell the other player about a decline or withdrawal', async () => {
+    const declined = await challenge();
+    challengeService.declineChallenge(bob, { challengeId: declined.id });
+    const withdrawn = await challenge();
+    sent.length = 0;
+    challengeService.declineChallenge(alice, { challengeId: withdrawn.id });
+
+    expect(sent).toEqual([{ to: bob.identityKey, type: 'challenge_declined', data: { challengeId: withdrawn.id } }]);
+    expect(challengeService.challenges.size).toBe(0);
+  });
+
+  test('should expire unanswered challenges', async () => {
+    jest.useFakeTimers();
+    const pending = await challenge();
+    sent.length = 0;
+
+    jest.advanceTimersByTime(300 * 1000);
+
+    expect(challengeService.challenges.has(pending.id)).toBe(false);
+    expect(sent.map(message => [message.to, message.type])).toEqual([
+      [alice.identityKey, 'challenge_expired'],
+      [bob.identityKey, 'challenge_expired']
+    ]);
+  });
+
+  test('should reject self challenges and unknown players', async () => {
+    expect(await challengeService.sendChallenge(alice, { playerId: alice.id })).toBeNull();
+    expect(await challengeService.sendChallenge(alice, {})).toBeNull();
+    expect(errors).toEqual(['You cannot challenge yourself', 'Player not found']);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Chat Tests
+ *
+ * Tests for in-game chat: message checks and filters, and which channel
+ * reaches players and spectators
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { chatService, CHAT_MAX_LENGTH } from '../src/services/chat.js';
+import { gameManager } from '../src/services/gameManager.js';
+import { captureMessages, startGame, cleanupGames } from './helpers/gameFixtures.js';
+
+describe('Chat Messages', () => {
+  test('should trim messages and reject empty or long ones', () => {
+    expect(chatService.prepareMessage('g:guest-trim', '  hallo  ')).toEqual({ ok: true, text: 'hallo' });
+    expect(chatService.prepareMessage('g:guest-trim', '   ').reason).toBe('empty_message');
+    expect(chatService.prepareMessage('g:guest-trim', 42).reason).toBe('empty_message');
+    expect(chatService.prepareMessage('g:guest-trim', 'x'.repeat(CHAT_MAX_LENGTH + 1)).reason).toBe('message_too_long');
+  });
+
+  test('should rate limit each sender', () => {
+    const now = 1000000;
+    for (let i = 0; i < 5; i++) {
+      expect(chatService.prepareMessage('g:guest-rate', 'gg', {}, now + i).ok).toBe(true);
+    }
+
+    expect(chatService.prepareMessage('g:guest-rate', 'gg', {}, now + 5).reason).toBe('rate_limited');
+    expect(chatService.prepareMessage('g:guest-other', 'gg', {}, now + 5).ok).toBe(true);
+    expect(chatService.prepareMessage('g:guest-rate', 'gg', {}, now + 10000).ok).toBe(true);
+  });
+
+  test('should run registered filters', () => {
+    const mask = (text) => text.replace(/dummkopf/gi, '********');
+    const block = (text, context) => context.channel === 'spectators' && text.includes('spoiler') ? null : text;
+    chatService.addFilter(mask);
+    chatService.addFilter(block);
+
+    expect(chatService.prepareMessage('g:guest-filter', 'du Dummkopf').text).toBe('du ********');
+    expect(chatService.prepareMessage('g:guest-filter', 'spoiler', { channel: 'spectators' }).reason).toBe('message_blocked');
+    expect(chatService.prepareMessage('g:guest-filter', 'spoiler', { channel: 'players' }).ok).toBe(true);
+
+    chatService.removeFilter(mask);
+    chatService.removeFilter(block);
+    expect(chatService.prepareMessage('g:guest-filter', 'Dummkopf').text).toBe('Dummkopf');
+  });
+});
+
+describe('Game Chat', () => {
+  const black = { id: 'guest-chat-black', identityKey: 'g:guest-chat-black' };
+  const white = { id: 'guest-chat-white', identityKey: 'g:guest-chat-white' };
+  const spectator = { id: 'guest-chat-spectator', identityKey: 'g:guest-chat-spectator' };
+  let sent;
+  let game;
+
+  beforeEach(async () => {
+    ({ sent } = captureMessages());
+    game = await startGame(black, white);
+    gameManager.handleWatchGame(spectator, { gameId: game.id });
+    sent.length = 0;
+  });
+
+  afterEach(() => {
+    cleanupGames();
+    jest.restoreAllMocks();
+  });
+
+  const chatReceivers = () => sent.filter(message => message.type === 'chat_message').map(message => message.to);
+
+  test('should send player messages to players and spectators', async () => {
+    await gameManager.handleChatMessage(black, { gameId: game.id, text: 'Viel Glück!' });
+
+    expect(chatReceivers()).toEqual([black.identityKey, white.identityKey, spectator.identityKey]);
+    expect(game.chat[0]).toMatchObject({ channel: 'players', color: 'black', name: 'Gast', text: 'Viel Glück!', moveNumber: 0 });
+  });
+
+  test('should keep the spectator channel away from the players', async () => {
+    await gameManager.handleChatMessage(spectator, { gameId: game.id, text: 'Schwarz steht besser' });
+
+    expect(chatReceivers()).toEqual([spectator.identityKey]);
+    expect(game.chat[0]).toMatchObject({ channel: 'spectators', color: null });
+  });
+
+  test('should replay the chat history with the game state', async () => {
+    await gameManager.handleChatMessage(white, { gameId: game.id, text: 'Hallo' });
+    await gameManager.handleChatMessage(spectator, { gameId: game.id, text: 'Kibitz' });
+    sent.length = 0;
+
+    gameManager.sendGameState(black, { gameId: game.id });
+    gameManager.sendGameState(spectator, { gameId: game.id });
+
+    const [playerState, spectatorState] = sent.filter(message => message.type === 'game_state');
+    expect(playerState.data.chat.map(message => message.text)).toEqual(['Hallo']);
+    expect(spectatorState.data.chat.map(message => message.text)).toEqual(['Hallo', 'Kibitz']);
+  });
+
+  test('should reject messages from people outside the game', async () => {
+    await gameManager.handleChatMessage({ id: 'guest-stranger', identityKey: 'g:guest-stranger' }, { gameId: game.id, text: 'Hi' });
+    await gameManager.handleChatMessage(black, { gameId: game.id, text: '' });
+
+    expect(game.chat).toHaveLength(0);
+    expect(sent.find(message => message.type === 'chat_rejected').data.reason).toBe('empty_message');
+  });
+});
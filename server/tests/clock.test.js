@@ -0,0 +1,152 @@
+/**
+ * Game Clock Tests
+ *
+ * Tests for absolute, byo-yomi, Canadian and Fischer time controls
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import GameClock, { normalizeTimeControl, getTimeControlCategory } from '../src/engine/gameClock.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+function createClock(timeControl) {
+  const result = normalizeTimeControl(timeControl);
+  expect(result.ok).toBe(true);
+  const clock = new GameClock(result.timeControl);
+  clock.start('black', 0);
+  return clock;
+}
+
+describe('Game Clock', () => {
+  describe('Time Control Validation', () => {
+    test('should accept legacy { minutes, byoYomi } as byo-yomi', () => {
+      const result = normalizeTimeControl({ minutes: 10, byoYomi: 30 });
+      expect(result.ok).toBe(true);
+      expect(result.timeControl).toEqual({ type: 'byoyomi', minutes: 10, byoYomi: 30, periods: 5 });
+    });
+
+    test('should treat missing time control as untimed', () => {
+      expect(normalizeTimeControl(undefined)).toEqual({ ok: true, timeControl: null });
+    });
+
+    test('should reject invalid time controls', () => {
+      expect(normalizeTimeControl({ type: 'hourglass', minutes: 5 }).ok).toBe(false);
+      expect(normalizeTimeControl({ type: 'absolute', minutes: 0 }).ok).toBe(false);
+      expect(normalizeTimeControl({ type: 'canadian', minutes: 5, byoYomi: 300 }).ok).toBe(false);
+      expect(normalizeTimeControl({ minutes: -1 }).ok).toBe(false);
+    });
+  });
+
+  describe('Time Control Categories', () => {
+    test('should sort time controls by estimated time per move', () => {
+      expect(getTimeControlCategory({ type: 'fischer', minutes: 5, increment: 3 })).toBe('blitz');
+      expect(getTimeControlCategory({ type: 'absolute', minutes: 10 })).toBe('blitz');
+      expect(getTimeControlCategory({ type: 'byoyomi', minutes: 10, byoYomi: 30, periods: 5 })).toBe('rapid');
+      expect(getTimeControlCategory({ type: 'canadian', minutes: 20, byoYomi: 300, stones: 25 })).toBe('rapid');
+      expect(getTimeControlCategory({ type: 'byoyomi', minutes: 90, byoYomi: 60, periods: 5 })).toBe('classical');
+      expect(getTimeControlCategory({ type: 'fischer', minutes: 3 * 24 * 60, increment: 12 * 60 * 60 })).toBe('correspondence');
+      expect(getTimeControlCategory(null)).toBe('untimed');
+    });
+  });
+
+  describe('Absolute', () => {
+    test('should deduct main time and switch clocks', () => {
+      const clock = createClock({ type: 'absolute', minutes: 1 });
+
+      clock.punch('black', 10 * SECOND);
+
+      const snapshot = clock.getSnapshot(10 * SECOND);
+      expect(snapshot.running).toBe('white');
+      expect(snapshot.black.mainTime).toBe(50 * SECOND);
+      expect(snapshot.white.mainTime).toBe(MINUTE);
+    });
+
+    test('should flag when main time runs out', () => {
+      const clock = createClock({ type: 'absolute', minutes: 1 });
+
+      expect(clock.hasFlagged('black', 59 * SECOND)).toBe(false);
+      expect(clock.hasFlagged('black', MINUTE)).toBe(true);
+      expect(clock.timeUntilFlag(20 * SECOND)).toBe(40 * SECOND);
+    });
+  });
+
+  describe('Byo-yomi', () => {
+    test('should keep the period when moving within it', () => {
+      const clock = createClock({ type: 'byoyomi', minutes: 1, byoYomi: 30, periods: 3 });
+
+      // 1 minute main time + 20s into the first period
+      clock.punch('black', MINUTE + 20 * SECOND);
+
+      const snapshot = clock.getSnapshot(MINUTE + 20 * SECOND);
+      expect(snapshot.black.inOvertime).toBe(true);
+      expect(snapshot.black.periodsLeft).toBe(3);
+      expect(snapshot.black.periodTime).toBe(30 * SECOND);
+    });
+
+    test('should lose a period for every full period used', () => {
+      const clock = createClock({ type: 'byoyomi', minutes: 1, byoYomi: 30, periods: 3 });
+
+      // 1 minute main time + 70s = two periods used up
+      clock.punch('black', MINUTE + 70 * SECOND);
+
+      const snapshot = clock.getSnapshot(MINUTE + 70 * SECOND);
+      expect(snapshot.black.periodsLeft).toBe(1);
+    });
+
+    test('should flag after the last period', () => {
+      const clock = createClock({ type: 'byoyomi', minutes: 1, byoYomi: 30, periods: 3 });
+
+      expect(clock.timeUntilFlag(0)).toBe(MINUTE + 90 * SECOND);
+      expect(clock.hasFlagged('black', MINUTE + 89 * SECOND)).toBe(false);
+      expect(clock.hasFlagged('black', MINUTE + 90 * SECOND)).toBe(true);
+    });
+  });
+
+  describe('Canadian', () => {
+    test('should reset the block after the required stones', () => {
+      const clock = createClock({ type: 'canadian', minutes: 0, byoYomi: 60, stones: 2 });
+
+      clock.punch('black', 20 * SECOND);
+      clock.punch('white', 30 * SECOND);
+      let snapshot = clock.getSnapshot(30 * SECOND);
+      expect(snapshot.black.stonesLeft).toBe(1);
+      expect(snapshot.black.periodTime).toBe(40 * SECOND);
+
+      clock.start('black', 30 * SECOND);
+      clock.punch('black', 60 * SECOND);
+      snapshot = clock.getSnapshot(60 * SECOND);
+      expect(snapshot.black.stonesLeft).toBe(2);
+      expect(snapshot.black.periodTime).toBe(60 * SECOND);
+    });
+
+    test('should flag when the block time runs out', () => {
+      const clock = createClock({ type: 'canadian', minutes: 0, byoYomi: 60, stones: 2 });
+
+      clock.punch('black', 50 * SECOND);
+      clock.punch('white', 50 * SECOND);
+
+      // 10 seconds left for the remaining stone
+      expect(clock.timeUntilFlag(50 * SECOND)).toBe(10 * SECOND);
+      expect(clock.hasFlagged('black', 60 * SECOND)).toBe(true);
+    });
+  });
+
+  describe('Fischer', () => {
+    test('should add the increment after each move', () => {
+      const clock = createClock({ type: 'fischer', minutes: 1, increment: 10 });
+
+      clock.punch('black', 5 * SECOND);
+
+      const snapshot = clock.getSnapshot(5 * SECOND);
+      expect(snapshot.black.mainTime).toBe(MINUTE + 5 * SECOND);
+    });
+
+    test('should flag when main time runs out', () => {
+      const clock = createClock({ type: 'fischer', minutes: 1, increment: 10 });
+
+      const result = clock.punch('black', MINUTE + SECOND);
+      expect(result.flagged).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Handicap Tests
+ *
+ * Tests for fixed and free handicap placement, komi and rating-gap handicaps
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import GoEngine from '../src/engine/goEngine.js';
+import { getFixedHandicapPoints, normalizeHandicap } from '../src/engine/handicap.js';
+import { matchmakingService } from '../src/services/matchmaking.js';
+
+describe('Handicap', () => {
+  let engine;
+  const gameId = 'test_game_handicap';
+
+  beforeEach(() => {
+    engine = new GoEngine();
+  });
+
+  describe('Fixed Placement', () => {
+    test('should use the star points of a 19x19 board', () => {
+      expect(getFixedHandicapPoints(19, 2)).toEqual([{ x: 15, y: 3 }, { x: 3, y: 15 }]);
+      expect(getFixedHandicapPoints(19, 5)).toContainEqual({ x: 9, y: 9 });
+      expect(getFixedHandicapPoints(19, 6)).toEqual(expect.arrayContaining([{ x: 3, y: 9 }, { x: 15, y: 9 }]));
+      expect(getFixedHandicapPoints(19, 6)).not.toContainEqual({ x: 9, y: 9 });
+      expect(getFixedHandicapPoints(19, 9)).toHaveLength(9);
+    });
+
+    test('should use the 3-3 points on 9x9 and the 4-4 points on 13x13', () => {
+      expect(getFixedHandicapPoints(9, 4)).toEqual(expect.arrayContaining([
+        { x: 2, y: 2 }, { x: 6, y: 2 }, { x: 2, y: 6 }, { x: 6, y: 6 }
+      ]));
+      expect(getFixedHandicapPoints(13, 3)).toEqual([{ x: 9, y: 3 }, { x: 3, y: 9 }, { x: 9, y: 9 }]);
+    });
+
+    test('should start with the stones on the board and White to move', () => {
+      const state = engine.createGameState(gameId, 19, null, 'japanese', { stones: 4, placement: 'fixed' });
+
+      expect(state.currentPlayer).toBe('white');
+      expect(state.board[3][3]).toBe('black');
+      expect(state.board[15][15]).toBe('black');
+      expect(state.handicapStones).toHaveLength(4);
+      expect(engine.isLegalMove(gameId, 10, 10, 'black')).toEqual({ ok: false, reason: 'not_your_turn' });
+      expect(engine.isLegalMove(gameId, 10, 10, 'white').ok).toBe(true);
+    });
+  });
+
+  describe('Free Placement', () => {
+    test('should let Black place all stones before White moves', () => {
+      const state = engine.createGameState(gameId, 9, null, 'chinese', { stones: 3, placement: 'free' });
+
+      expect(state.currentPlayer).toBe('black');
+      expect(() => engine.passMove(gameId, 'black')).toThrow('handicap_placement');
+
+      engine.applyMove(gameId, 0, 0, 'black');
+      engine.applyMove(gameId, 1, 0, 'black');
+      expect(state.currentPlayer).toBe('black');
+      expect(state.handicapStonesToPlace).toBe(1);
+
+      const result = engine.applyMove(gameId, 4, 4, 'black');
+      expect(result.handicapPlacement).toBe(true);
+      expect(state.currentPlayer).toBe('white');
+      expect(state.handicapStones).toHaveLength(3);
+      expect(state.moveNumber).toBe(0);
+    });
+
+    test('should not allow placing on an occupied point', () => {
+      engine.createGameState(gameId, 9, null, 'chinese', { stones: 2, placement: 'free' });
+      engine.applyMove(gameId, 4, 4, 'black');
+
+      expect(engine.isLegalMove(gameId, 4, 4, 'black')).toEqual({ ok: false, reason: 'position_occupied' });
+    });
+  });
+
+  describe('Komi', () => {
+    test('should adjust komi to the rule set', () => {
+      const handicap = { stones: 4, placement: 'fixed' };
+      expect(engine.createGameState(gameId, 19, null, 'japanese', handicap).komi).toBe(0.5);
+      expect(engine.createGameState(gameId, 19, null, 'chinese', handicap).komi).toBe(4.5);
+      expect(engine.createGameState(gameId, 19, null, 'aga', handicap).komi).toBe(3.5);
+      expect(engine.createGameState(gameId, 19, 0, 'chinese', handicap).komi).toBe(0);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should accept 2 to 9 stones only', () => {
+      expect(normalizeHandicap(null)).toEqual({ ok: true, handicap: null });
+      expect(normalizeHandicap({ stones: 9 })).toEqual({ ok: true, handicap: { stones: 9, placement: 'fixed' } });
+      expect(normalizeHandicap({ stones: 1 }).ok).toBe(false);
+      expect(normalizeHandicap({ stones: 10 }).ok).toBe(false);
+      expect(normalizeHandicap({ stones: 3, placement: 'random' }).ok).toBe(false);
+      expect(() => engine.createGameState(gameId, 19, null, 'chinese', { stones: 12 })).toThrow();
+    });
+  });
+
+  describe('Rating Gap', () => {
+    test('should give the stones whose free moves match the rating gap', () => {
+      // N stones are worth N - 0.5 ranks on 19x19
+      expect(matchmakingService.getHandicapForRatingGap(50)).toBe(0);
+      expect(matchmakingService.getHandicapForRatingGap(150)).toBe(2);
+      expect(matchmakingService.getHandicapForRatingGap(-250)).toBe(3);
+      expect(matchmakingService.getHandicapForRatingGap(480)).toBe(5);
+      expect(matchmakingService.getHandicapForRatingGap(1500)).toBe(9);
+    });
+
+    test('should make stones worth more rating on small boards', () => {
+      expect(matchmakingService.getHandicapForRatingGap(280, 9)).toBe(0);
+      expect(matchmakingService.getHandicapForRatingGap(280, 13)).toBe(2);
+      expect(matchmakingService.getHandicapForRatingGap(280, 19)).toBe(3);
+    });
+  });
+});
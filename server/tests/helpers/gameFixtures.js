@@ -0,0 +1,73 @@
+/**
+ * Game Test Fixtures
+ *
+ * Shared setup for tests that play games through the game manager: captures
+ * what the WebSocket handler would send, and starts and removes test games
+ */
+
+import { jest } from '@jest/globals';
+import { gameManager } from '../../src/services/gameManager.js';
+import { websocketHandler } from '../../src/websocket/handler.js';
+
+const trackedGames = new Set();
+
+/**
+ * Capture messages and errors instead of sending them.
+ * Call jest.restoreAllMocks() in afterEach to restore the handler.
+ * @returns {{ sent: Array, errors: Array }} Messages with their receiver in `to`, and error texts
+ */
+export function captureMessages() {
+  const sent = [];
+  const errors = [];
+  jest.spyOn(websocketHandler, 'sendToUser').mockImplementation((identityKey, message) => {
+    sent.push({ to: identityKey, ...message });
+  });
+  jest.spyOn(websocketHandler, 'sendError').mockImplementation((ws, error) => {
+    errors.push(error);
+  });
+  return { sent, errors };
+}
+
+/**
+ * Start a game between two test players
+ * @param {Object} black - Player with id and identityKey
+ * @param {Object} white - Player with id and identityKey
+ * @param {Object} settings - Game settings (9x9 unless given)
+ * @returns {Promise<Object>} The new game
+ */
+export async function startGame(black, white, settings = {}) {
+  const game = await gameManager.createGame({
+    blackPlayerId: black.id,
+    whitePlayerId: white.id,
+    blackPlayerIdentityKey: black.identityKey,
+    whitePlayerIdentityKey: white.identityKey,
+    boardSize: 9,
+    ...settings
+  });
+  return trackGame(game);
+}
+
+/**
+ * Remember a game started elsewhere (rematch, challenge, invite) for cleanup
+ * @param {Object|null} game - Game or null
+ * @returns {Object|null} The same game
+ */
+export function trackGame(game) {
+  if (game) {
+    trackedGames.add(game.id);
+  }
+  return game;
+}
+
+/**
+ * Remove all started and tracked games with their timers, rematch windows and spectators
+ */
+export function cleanupGames() {
+  for (const gameId of trackedGames) {
+    gameManager.closeRematchWindow(gameId);
+    gameManager.clearFlagCheck(gameId);
+    gameManager.activeGames.delete(gameId);
+    gameManager.spectators.delete(gameId);
+  }
+  trackedGames.clear();
+}
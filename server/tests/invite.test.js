@@ -0,0 +1,107 @@
+/**
+ * Invite Tests
+ *
+ * Tests for private invite links: the game starts when someone else opens
+ * the link, and each link works only once
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { inviteService } from '../src/services/invite.js';
+import { matchmakingService, getQueueKey } from '../src/services/matchmaking.js';
+import { captureMessages, startGame, trackGame, cleanupGames } from './helpers/gameFixtures.js';
+
+const host = { id: 'guest-invite-host', identityKey: 'g:guest-invite-host' };
+const friend = { id: 'guest-invite-friend', identityKey: 'g:guest-invite-friend' };
+
+describe('Invites', () => {
+  let sent;
+  let errors;
+
+  beforeEach(() => {
+    ({ sent, errors } = captureMessages());
+  });
+
+  afterEach(() => {
+    for (const token of [...inviteService.invites.keys()]) {
+      inviteService.removeInvite(token);
+    }
+    cleanupGames();
+    matchmakingService.queues.clear();
+    matchmakingService.queuedUsers.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('should send the creator a token for the link', () => {
+    const invite = inviteService.createInvite(host, { settings: { boardSize: 13, color: 'black' } });
+
+    expect(invite.token).toMatch(/^[\w-]{22}$/);
+    expect(sent).toEqual([{
+      to: host.identityKey,
+      type: 'invite_created',
+      data: { token: invite.token, settings: invite.settings, expiresAt: invite.expiresAt }
+    }]);
+    expect(inviteService.createInvite(host, { settings: { boardSize: 40 } })).toBeNull();
+    expect(errors).toEqual(['Invalid invite: invalid_board_size']);
+  });
+
+  test('should create an invite with default settings for non-object settings', () => {
+    expect(inviteService.createInvite(host, { settings: null }).settings.boardSize).toBe(19);
+    expect(inviteService.createInvite(host, { settings: 5 }).settings.color).toBe('nigiri');
+    expect(errors).toEqual([]);
+  });
+
+  test('should start the game when the friend opens the link', async () => {
+    const invite = inviteService.createInvite(host, { settings: { boardSize: 13, color: 'black', rated: false } });
+    sent.length = 0;
+
+    const game = trackGame(await inviteService.acceptInvite(friend, { token: invite.token }));
+
+    expect(game).toMatchObject({ boardSize: 13, rated: false, blackPlayerIdentityKey: host.identityKey, whitePlayerIdentityKey: friend.identityKey });
+    expect(sent.filter(message => message.type === 'match_found').map(message => message.to)).toEqual([host.identityKey, friend.identityKey]);
+    expect(await inviteService.acceptInvite(friend, { token: invite.token })).toBeNull();
+    expect(errors).toEqual(['Invite is no longer available']);
+  });
+
+  test('should take the creator out of the matchmaking queue', async () => {
+    const invite = inviteService.createInvite(host, { settings: {} });
+    const queueKey = getQueueKey(19, 'untimed');
+    matchmakingService.queues.set(queueKey, [{ identityKey: host.identityKey, boardSize: 19, timeCategory: 'untimed', joinedAt: 0, rating: 1500, preferences: {} }]);
+    matchmakingService.queuedUsers.set(host.identityKey, { boardSize: 19, timeCategory: 'untimed', joinedAt: 0 });
+
+    trackGame(await inviteService.acceptInvite(friend, { token: invite.token }));
+
+    expect(matchmakingService.queues.get(queueKey)).toHaveLength(0);
+    expect(matchmakingService.queuedUsers.has(host.identityKey)).toBe(false);
+  });
+
+  test('should not start a second game for a player who is still playing', async () => {
+    const invite = inviteService.createInvite(host, { settings: {} });
+    await startGame(host, { id: 'guest-invite-other', identityKey: 'g:guest-invite-other' });
+
+    expect(await inviteService.acceptInvite(friend, { token: invite.token })).toBeNull();
+    expect(errors).toEqual(['A player is already in a game']);
+    expect(inviteService.invites.has(invite.token)).toBe(true);
+  });
+
+  test('should not let the creator accept or others cancel the invite', async () => {
+    const invite = inviteService.createInvite(host, { settings: {} });
+
+    expect(await inviteService.acceptInvite(host, { token: invite.token })).toBeNull();
+    inviteService.cancelInvite(friend, { token: invite.token });
+    expect(inviteService.invites.has(invite.token)).toBe(true);
+
+    inviteService.cancelInvite(host, { token: invite.token });
+    expect(inviteService.invites.has(invite.token)).toBe(false);
+    expect(errors).toEqual(['You cannot accept your own invite']);
+  });
+
+  test('should keep a limited number of open invites per player', () => {
+    const tokens = [];
+    for (let i = 0; i < 6; i++) {
+      tokens.push(inviteService.createInvite(host, { settings: {} }).token);
+    }
+
+    expect(inviteService.invites.has(tokens[0])).toBe(false);
+    expect(inviteService.invites.size).toBe(5);
+  });
+});
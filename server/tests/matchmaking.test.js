@@ -0,0 +1,188 @@
+/**
+ * Matchmaking Tests
+ *
+ * Tests for rating-aware pairing: closest ratings first, a search window
+ * that widens with time in queue, and no starvation with many queued players
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { matchmakingService, getAcceptableRatingGap, getQueueKey } from '../src/services/matchmaking.js';
+import { websocketHandler } from '../src/websocket/handler.js';
+import { ratingService } from '../src/services/rating.js';
+
+describe('Matchmaking', () => {
+  const boardSize = 19;
+  const queueKey = getQueueKey(boardSize, 'rapid');
+  const originalCreateMatch = matchmakingService.createMatch;
+  let matches;
+  let queue;
+
+  beforeEach(() => {
+    matches = [];
+    queue = [];
+    matchmakingService.queues.set(queueKey, queue);
+    matchmakingService.createMatch = (player1, player2) => matches.push([player1.identityKey, player2.identityKey]);
+    jest.spyOn(websocketHandler, 'getConnection').mockReturnValue({});
+  });
+
+  afterEach(() => {
+    matchmakingService.createMatch = originalCreateMatch;
+    matchmakingService.queues.clear();
+    matchmakingService.queuedUsers.clear();
+    matchmakingService.pendingJoins.clear();
+    jest.restoreAllMocks();
+  });
+
+  const enqueue = (name, rating, joinedAt, preferences = {}) => {
+    queue.push({ identityKey: `g:guest-${name}`, boardSize, timeCategory: 'rapid', joinedAt, rating, preferences });
+  };
+
+  const matchedPairs = () => matches.map(pair => pair.map(key => key.substring(8)).sort().join('-')).sort();
+
+  test('should widen the accepted rating gap with time in queue', () => {
+    expect(getAcceptableRatingGap(0)).toBe(100);
+    expect(getAcceptableRatingGap(4999)).toBe(100);
+    expect(getAcceptableRatingGap(5000)).toBe(150);
+    expect(getAcceptableRatingGap(30000)).toBe(400);
+    expect(getAcceptableRatingGap(60000)).toBe(Infinity);
+  });
+
+  test('should pair the closest ratings', () => {
+    enqueue('dan', 2100, 0);
+    enqueue('kyu', 900, 0);
+    enqueue('dan2', 2050, 0);
+    enqueue('kyu2', 950, 0);
+
+    matchmakingService.processQueues(1000);
+
+    expect(matchedPairs()).toEqual(['dan-dan2', 'kyu-kyu2']);
+    expect(queue).toHaveLength(0);
+  });
+
+  test('should wait for the window to cover a large rating gap', () => {
+    enqueue('strong', 2000, 0);
+    enqueue('weak', 1600, 0);
+
+    matchmakingService.processQueues(1000);
+    matchmakingService.processQueues(29999);
+    expect(matches).toHaveLength(0);
+
+    matchmakingService.processQueues(30000);
+    expect(matchedPairs()).toEqual(['strong-weak']);
+  });
+
+  test('should not match before the minimum queue time', () => {
+    enqueue('a', 1500, 0);
+    enqueue('b', 1500, 0);
+
+    matchmakingService.processQueues(100);
+    expect(matches).toHaveLength(0);
+  });
+
+  test('should serve the longest-waiting player first', () => {
+    enqueue('old', 1500, 0);
+    enqueue('new', 1520, 9000);
+    enqueue('closer', 1510, 9500);
+
+    matchmakingService.processQueues(10000);
+
+    expect(matchedPairs()).toEqual(['closer-old']);
+    expect(queue.map(entry => entry.identityKey)).toEqual(['g:guest-new']);
+  });
+
+  test('should only pair players who want the same kind of game', () => {
+    enqueue('chinese', 1500, 0, { rules: 'chinese' });
+    enqueue('japanese', 1500, 0, { rules: 'japanese' });
+
+    matchmakingService.processQueues(120000);
+    expect(matches).toHaveLength(0);
+  });
+
+  test('should not pair rated with unrated players', () => {
+    enqueue('rated', 1500, 0, { rated: true });
+    enqueue('casual', 1500, 0, { rated: false });
+    enqueue('default', 1500, 0);
+
+    matchmakingService.processQueues(1000);
+    expect(matchedPairs()).toEqual(['default-rated']);
+  });
+
+  test('should prefer the same time control within a category', () => {
+    const byoyomi = { type: 'byoyomi', minutes: 10, byoYomi: 30, periods: 5 };
+    const canadian = { type: 'canadian', minutes: 20, byoYomi: 300, stones: 25 };
+    enqueue('a', 1500, 0, { timeControl: byoyomi });
+    enqueue('b', 1500, 0, { timeControl: canadian });
+    enqueue('c', 1550, 0, { timeControl: byoyomi });
+
+    matchmakingService.processQueues(1000);
+    expect(matchedPairs()).toEqual(['a-c']);
+  });
+
+  test('should keep time control categories in separate queues', async () => {
+    jest.spyOn(websocketHandler, 'sendToUser').mockImplementation(() => {});
+    const blitz = { type: 'fischer', minutes: 3, increment: 2 };
+    const classical = { type: 'byoyomi', minutes: 90, byoYomi: 60, periods: 5 };
+
+    await matchmakingService.joinQueue('g:guest-blitz', { identityKey: 'g:guest-blitz' }, { boardSize: 9, timeControl: blitz });
+    await matchmakingService.joinQueue('g:guest-classical', { identityKey: 'g:guest-classical' }, { boardSize: 9, timeControl: classical });
+    matchmakingService.processQueues(Date.now() + 120000);
+
+    expect(matches).toHaveLength(0);
+    expect(matchmakingService.queues.get(getQueueKey(9, 'blitz')).map(entry => entry.identityKey)).toEqual(['g:guest-blitz']);
+    expect(matchmakingService.queues.get(getQueueKey(9, 'classical')).map(entry => entry.identityKey)).toEqual(['g:guest-classical']);
+  });
+
+  test('should drop a join when the player leaves or disconnects during the rating lookup', async () => {
+    const sent = [];
+    jest.spyOn(websocketHandler, 'sendToUser').mockImplementation((identityKey, message) => sent.push(message.type));
+    const lookups = [];
+    jest.spyOn(ratingService, 'getRating').mockImplementation(() => new Promise(resolve => lookups.push(resolve)));
+
+    const leaving = matchmakingService.joinQueue('g:guest-leaving', { identityKey: 'g:guest-leaving' }, { boardSize });
+    matchmakingService.leaveQueue('g:guest-leaving');
+    const disconnecting = matchmakingService.joinQueue('g:guest-gone', { identityKey: 'g:guest-gone' }, { boardSize });
+    websocketHandler.getConnection.mockReturnValue(null);
+    lookups.forEach(resolve => resolve(1500));
+    await Promise.all([leaving, disconnecting]);
+
+    expect(matchmakingService.queues.get(getQueueKey(boardSize, 'untimed')) || []).toHaveLength(0);
+    expect(matchmakingService.queuedUsers.size).toBe(0);
+    expect(sent).not.toContain('queue_joined');
+  });
+
+  test('should match every player in a busy queue without starvation', () => {
+    // Deterministic pseudo-random ratings between 100 and 2600
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+
+    const tickMs = 500;
+    const players = 201; // odd count: one player is left over at the end
+    const joinedAt = new Map();
+    const waits = [];
+    let now = 0;
+    matchmakingService.createMatch = (player1, player2) => {
+      waits.push(now - joinedAt.get(player1.identityKey), now - joinedAt.get(player2.identityKey));
+    };
+
+    // Three players arrive per tick, then the queue drains
+    for (let i = 0; i < players; i++) {
+      enqueue(`p${i}`, Math.round(100 + random() * 2500), now);
+      joinedAt.set(`g:guest-p${i}`, now);
+      if (i % 3 === 2) {
+        now += tickMs;
+        matchmakingService.processQueues(now);
+      }
+    }
+    for (let t = 0; t < 200; t++) {
+      now += tickMs;
+      matchmakingService.processQueues(now);
+    }
+
+    expect(waits).toHaveLength(players - 1);
+    expect(Math.max(...waits)).toBeLessThanOrEqual(60000 + tickMs);
+    expect(queue).toHaveLength(1);
+  });
+});
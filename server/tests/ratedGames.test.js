@@ -0,0 +1,72 @@
+/**
+ * Rated Games Tests
+ *
+ * Tests for rated and unrated games: unrated games leave ratings alone and
+ * count in the casual stats, and only unrated games allow undos
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { gameManager } from '../src/services/gameManager.js';
+import { ratingService } from '../src/services/rating.js';
+import { statsService } from '../src/services/stats.js';
+import { captureMessages, startGame, cleanupGames } from './helpers/gameFixtures.js';
+
+const black = { id: 'guest-rated-black', identityKey: 'g:guest-rated-black' };
+const white = { id: 'guest-rated-white', identityKey: 'g:guest-rated-white' };
+
+describe('Rated and unrated games', () => {
+  let sent;
+  let errors;
+
+  beforeEach(() => {
+    ({ sent, errors } = captureMessages());
+  });
+
+  afterEach(() => {
+    cleanupGames();
+    jest.restoreAllMocks();
+  });
+
+  const gameEnded = () => sent.find(message => message.type === 'game_ended').data;
+
+  test('should leave ratings alone in unrated games', async () => {
+    const game = await startGame(black, white, { boardSize: 11, rated: false });
+    await gameManager.handleResignation(black, { gameId: game.id });
+
+    expect(gameEnded()).toMatchObject({ rated: false, ratingChange: { black: null, white: null } });
+    expect(await ratingService.getRatingHistory(white.id, 11)).toEqual([]);
+    expect(await statsService.getCasualStats(white.id, 11)).toEqual({ games: 1, wins: 1, losses: 0, draws: 0 });
+    expect(await statsService.getCasualStats(black.id, 11)).toEqual({ games: 1, wins: 0, losses: 1, draws: 0 });
+
+    const statsUpdate = sent.find(message => message.type === 'stats_update' && message.to === white.id);
+    expect(statsUpdate.data.casual).toEqual({ games: 1, wins: 1, losses: 0, draws: 0 });
+  });
+
+  test('should update ratings in rated games', async () => {
+    const game = await startGame(black, white, { boardSize: 15, rated: true });
+    await gameManager.handleResignation(black, { gameId: game.id });
+
+    const { rated, ratingChange } = gameEnded();
+    expect(rated).toBe(true);
+    expect(ratingChange.white).toBeGreaterThan(0);
+    expect(ratingChange.black).toBeLessThan(0);
+    expect((await ratingService.getRatingHistory(white.id, 15)).map(entry => entry.gameId)).toEqual([game.id]);
+    expect(await statsService.getCasualStats(white.id, 15)).toEqual({ games: 0, wins: 0, losses: 0, draws: 0 });
+  });
+
+  test('should only allow undos in unrated games', async () => {
+    const ratedGame = await startGame(black, white, { rated: true });
+    await gameManager.handleMove(black, { gameId: ratedGame.id, x: 4, y: 4 });
+    gameManager.handleUndoRequest(black, { gameId: ratedGame.id });
+    expect(errors).toEqual(['No undos left in this game']);
+
+    const unratedGame = await startGame(black, white, { rated: false });
+    await gameManager.handleMove(black, { gameId: unratedGame.id, x: 4, y: 4 });
+    gameManager.handleUndoRequest(black, { gameId: unratedGame.id });
+    expect(sent.filter(message => message.type === 'undo_requested')).toEqual([
+      { to: white.identityKey, type: 'undo_requested', data: { gameId: unratedGame.id, color: 'black', moves: 1 } }
+    ]);
+    expect(gameManager.getGameStateData(unratedGame, 'black')).toMatchObject({ rated: false, undosLeft: null });
+    expect(gameManager.getGameStateData(ratedGame, 'black')).toMatchObject({ rated: true, undosLeft: 0 });
+  });
+});
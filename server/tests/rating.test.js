@@ -1,11 +1,12 @@
 /**
  * Rating Tests
  * 
- * Tests for Elo rating system and Kyu/Dan mapping
+ * Tests for the Glicko-2 rating system and Kyu/Dan mapping
  */
 
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { ratingService } from '../src/services/rating.js';
+import { matchmakingService } from '../src/services/matchmaking.js';
 
 describe('Rating Service', () => {
   beforeEach(() => {
@@ -29,6 +30,11 @@ describe('Rating Service', () => {
       expect(ratingService.ratingToRank(-100)).toBe('30k');
       expect(ratingService.ratingToRank(5000)).toBe('9d');
     });
+
+    test('should show the uncertainty when a deviation is given', () => {
+      expect(ratingService.ratingToRank(1550, 62.4)).toBe('1d ±62');
+      expect(ratingService.ratingToRank(1100, 240)).toBe('5k? ±240');
+    });
   });
 
   describe('Rating Updates', () => {
@@ -123,4 +129,194 @@ describe('Rating Service', () => {
       expect(newRating9).toBe(1500); // Should still be initial
     });
   });
+
+  describe('Rating Pools', () => {
+    const blitz = { type: 'fischer', minutes: 3, increment: 2 };
+
+    test('should rate a game in the pool of its time control', async () => {
+      const player = 'guest-pool';
+      const opponent = 'guest-pool-opponent';
+
+      await ratingService.updateRatings(player, opponent, player, 19, { gameId: 'pool-1', timeControl: blitz });
+
+      expect(await ratingService.getRating(player, 19, 'blitz')).toBeGreaterThan(1500);
+      expect(await ratingService.getRating(player, 19, 'classical')).toBe(1500);
+      expect(await ratingService.getRating(player, 19)).toBe(1500); // untimed pool
+      expect(await ratingService.getRating(player, 9, 'blitz')).toBe(1500);
+      expect((await ratingService.getRatingInfo(player, 19, 'blitz')).timeCategory).toBe('blitz');
+    });
+
+    test('should count games and results per pool', async () => {
+      const player = 'guest-pool-results';
+      const opponent = 'guest-pool-results-opponent';
+
+      await ratingService.updateRatings(player, opponent, player, 19, { timeControl: blitz });
+      await ratingService.updateRatings(player, opponent, null, 19, { timeControl: blitz });
+      await ratingService.updateRatings(opponent, player, opponent, 19);
+
+      expect(await ratingService.getPoolResults(player, 19, 'blitz')).toEqual({ games: 2, wins: 1, losses: 0, draws: 1 });
+      expect(await ratingService.getPoolResults(player, 19, 'untimed')).toEqual({ games: 1, wins: 0, losses: 1, draws: 0 });
+      expect(await ratingService.getGamesPlayed(player, 19, 'classical')).toBe(0);
+      expect((await ratingService.getRatingInfo(opponent, 19, 'blitz')).results).toEqual({ games: 2, wins: 0, losses: 1, draws: 1 });
+    });
+
+    test('should rate games without a clock in the untimed pool', async () => {
+      const player = 'guest-pool-untimed';
+
+      await ratingService.updateRatings(player, 'guest-pool-untimed-opponent', player, 13, { timeControl: null });
+
+      expect(await ratingService.getRating(player, 13, 'untimed')).toBeGreaterThan(1500);
+      expect(await ratingService.getRating(player, 13, 'blitz')).toBe(1500);
+    });
+
+    test('should filter the rating history by pool', async () => {
+      const player = 'guest-pool-history';
+      const opponent = 'guest-pool-history-opponent';
+
+      await ratingService.updateRatings(player, opponent, player, 19, { gameId: 'blitz-1', timeControl: blitz });
+      await ratingService.updateRatings(player, opponent, opponent, 19, { gameId: 'untimed-1' });
+
+      const blitzHistory = await ratingService.getRatingHistory(player, 19, 'blitz');
+      expect(blitzHistory.map(entry => entry.gameId)).toEqual(['blitz-1']);
+      expect(blitzHistory[0]).toMatchObject({ timeCategory: 'blitz', ratingBefore: 1500 });
+      expect((await ratingService.getRatingHistory(player, 19, 'untimed'))[0]).toMatchObject({ gameId: 'untimed-1', ratingBefore: 1500 });
+      expect(await ratingService.getRatingHistory(player, 19)).toHaveLength(2);
+    });
+  });
+
+  describe('Glicko-2', () => {
+    test('should match the example from the Glicko-2 paper', () => {
+      const result = ratingService.calculateGlicko2(
+        { rating: 1500, rd: 200, volatility: 0.06 },
+        [
+          { rating: 1400, rd: 30, score: 1 },
+          { rating: 1550, rd: 100, score: 0 },
+          { rating: 1700, rd: 300, score: 0 }
+        ]
+      );
+
+      expect(result.rating).toBeCloseTo(1464.06, 1);
+      expect(result.rd).toBeCloseTo(151.52, 1);
+      expect(result.volatility).toBeCloseTo(0.059996, 5);
+    });
+
+    test('should start provisional and shrink the deviation with games', async () => {
+      const player = 'player_glicko';
+      const initial = await ratingService.getRatingRecord(player, 19);
+      expect(initial.rd).toBe(350);
+      expect(initial.provisional).toBe(true);
+
+      for (let i = 0; i < 20; i++) {
+        await ratingService.updateRatings(player, 'glicko_opponent', i % 2 === 0 ? player : null, 19);
+      }
+
+      const record = await ratingService.getRatingRecord(player, 19);
+      expect(record.rd).toBeLessThan(110);
+      expect(record.provisional).toBe(false);
+    });
+
+    test('should grow the deviation over inactivity', () => {
+      const day = 24 * 60 * 60 * 1000;
+      const record = { rating: 1700, rd: 60, volatility: 0.06, lastPlayedAt: 0 };
+
+      expect(ratingService.applyInactivity(record, 0).rd).toBe(60);
+      const afterMonth = ratingService.applyInactivity(record, 30 * day).rd;
+      const afterYear = ratingService.applyInactivity(record, 365 * day).rd;
+      expect(afterMonth).toBeGreaterThan(60);
+      expect(afterYear).toBeGreaterThan(afterMonth);
+      expect(ratingService.applyInactivity(record, 10000 * day).rd).toBe(350);
+    });
+
+    test('should move uncertain ratings more than established ones', () => {
+      const opponent = { rating: 1500, rd: 50, score: 1 };
+      const newPlayer = ratingService.calculateGlicko2({ rating: 1500, rd: 350, volatility: 0.06 }, [opponent]);
+      const established = ratingService.calculateGlicko2({ rating: 1500, rd: 50, volatility: 0.06 }, [opponent]);
+
+      expect(newPlayer.rating - 1500).toBeGreaterThan(established.rating - 1500);
+      expect(established.rating).toBeGreaterThan(1500);
+    });
+  });
+
+  describe('Rating History', () => {
+    test('should record every rating change with the game', async () => {
+      const player = 'guest-history';
+      const opponent = 'player_history_opponent';
+
+      await ratingService.updateRatings(player, opponent, player, 13, { gameId: 'game-1' });
+      await ratingService.updateRatings(opponent, player, opponent, 13, { gameId: 'game-2' });
+      await ratingService.updateRatings(player, opponent, null, 9, { gameId: 'game-3' });
+
+      const history = await ratingService.getRatingHistory(player, 13);
+      expect(history.map(entry => entry.gameId)).toEqual(['game-1', 'game-2']);
+      expect(history[0]).toMatchObject({ boardSize: 13, ratingBefore: 1500 });
+      expect(history[0].ratingChange).toBe(history[0].ratingAfter - history[0].ratingBefore);
+      expect(history[1].ratingBefore).toBe(history[0].ratingAfter);
+      expect(history[1].ratingAfter).toBe(await ratingService.getRating(player, 13));
+
+      expect(await ratingService.getRatingHistory(player)).toHaveLength(3);
+      expect(await ratingService.getRatingHistory(opponent, 13)).toHaveLength(2);
+    });
+  });
+
+  describe('Handicap Conditions', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should expect an even result in a properly handicapped game', () => {
+      // 3 stones with the usual handicap komi: 2.5 free moves for Black
+      for (const rules of ['chinese', 'japanese', 'aga']) {
+        const offset = ratingService.getHandicapOffset({ boardSize: 19, rules, handicap: { stones: 3, placement: 'fixed' } });
+        expect(ratingService.calculateExpectedScore(1500, 1750, 0, offset)).toBeCloseTo(0.5, 5);
+      }
+    });
+
+    test('should expect an even result in a matchmaking handicap game on small boards', async () => {
+      for (const [boardSize, strongRating] of [[9, 2614.2], [13, 2034]]) {
+        const ratings = { 'guest-gap-weak': 1500, 'guest-gap-strong': strongRating };
+        jest.spyOn(ratingService, 'getRating').mockImplementation(async (userId) => ratings[userId]);
+
+        const { handicap, weaker } = await matchmakingService.getRatingGapHandicap(
+          { identityKey: 'g:guest-gap-strong' },
+          { identityKey: 'g:guest-gap-weak' },
+          boardSize,
+          'untimed'
+        );
+        const offset = ratingService.getHandicapOffset({ boardSize, rules: 'chinese', handicap });
+
+        expect(weaker.identityKey).toBe('g:guest-gap-weak');
+        expect(handicap.stones).toBe(3);
+        expect(ratingService.calculateExpectedScore(1500, strongRating, 0, offset)).toBeCloseTo(0.5, 2);
+      }
+    });
+
+    test('should give no offset to an even game with the usual komi', () => {
+      expect(ratingService.getHandicapOffset({ boardSize: 19, rules: 'chinese', komi: 6.5 })).toBe(0);
+      expect(ratingService.getHandicapOffset({ boardSize: 9, rules: 'japanese' })).toBe(0);
+    });
+
+    test('should turn komi deviations into a rating offset', () => {
+      const noKomi = ratingService.getHandicapOffset({ boardSize: 19, rules: 'chinese', komi: 0 });
+      const reverseKomi = ratingService.getHandicapOffset({ boardSize: 19, rules: 'chinese', komi: 13.5 });
+
+      expect(noKomi).toBeCloseTo(6.5 / 14 * 100, 5);
+      expect(reverseKomi).toBeLessThan(0);
+      expect(ratingService.getHandicapOffset({ boardSize: 9, rules: 'chinese', komi: -6.5 })).toBeGreaterThan(noKomi);
+    });
+
+    test('should reward a handicapped win less than an even win', async () => {
+      const evenChanges = await ratingService.updateRatings('player_even_weak', 'player_even_strong', 'player_even_weak', 19);
+      const handicapChanges = await ratingService.updateRatings(
+        'player_handicap_weak',
+        'player_handicap_strong',
+        'player_handicap_weak',
+        19,
+        { rules: 'japanese', handicap: { stones: 4, placement: 'fixed' }, komi: 0.5 }
+      );
+
+      expect(handicapChanges.player_handicap_weak).toBeGreaterThan(0);
+      expect(handicapChanges.player_handicap_weak).toBeLessThan(evenChanges.player_even_weak);
+      expect(handicapChanges.player_handicap_strong).toBeGreaterThan(evenChanges.player_even_strong);
+    });
+  });
 });
@@ -0,0 +1,113 @@
+/**
+ * Rematch Tests
+ *
+ * Tests for rematch offers after a game ended: colours swap, settings stay
+ * and the offer expires with the rematch window
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { gameManager } from '../src/services/gameManager.js';
+import { captureMessages, startGame, trackGame, cleanupGames } from './helpers/gameFixtures.js';
+
+const black = { id: 'guest-rematch-black', identityKey: 'g:guest-rematch-black' };
+const white = { id: 'guest-rematch-white', identityKey: 'g:guest-rematch-white' };
+
+describe('Rematch', () => {
+  let sent;
+  let errors;
+  let game;
+
+  beforeEach(async () => {
+    ({ sent, errors } = captureMessages());
+    game = await startGame(black, white, {
+      boardSize: 13,
+      rules: 'japanese',
+      komi: 5.5,
+      timeControl: { type: 'fischer', minutes: 5, increment: 3 }
+    });
+    await gameManager.handleResignation(black, { gameId: game.id });
+    sent.length = 0;
+  });
+
+  afterEach(() => {
+    cleanupGames();
+    jest.restoreAllMocks();
+  });
+
+  const findRematchGame = () => {
+    const started = sent.find(message => message.type === 'rematch_started');
+    return started ? trackGame(gameManager.getGame(started.data.gameId)) : null;
+  };
+
+  test('should offer a rematch to the opponent', async () => {
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+
+    expect(sent).toEqual([{ to: white.identityKey, type: 'rematch_offered', data: { gameId: game.id, color: 'black' } }]);
+  });
+
+  test('should start a game with the same settings and swapped colours', async () => {
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+    await gameManager.handleRematchAccept(white, { gameId: game.id });
+    const rematchGame = findRematchGame();
+
+    expect(rematchGame).toMatchObject({
+      blackPlayerId: white.id,
+      whitePlayerId: black.id,
+      boardSize: 13,
+      rules: 'japanese',
+      komi: 5.5,
+      timeControl: { type: 'fischer', minutes: 5, increment: 3 }
+    });
+    expect(gameManager.rematches.has(game.id)).toBe(false);
+  });
+
+  test('should start the rematch when both players offer', async () => {
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+    await gameManager.handleRematchOffer(white, { gameId: game.id });
+    const rematchGame = findRematchGame();
+
+    expect(rematchGame.blackPlayerId).toBe(white.id);
+  });
+
+  test('should not accept without an offer from the opponent', async () => {
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+    await gameManager.handleRematchAccept(black, { gameId: game.id });
+
+    expect(errors).toEqual(['No rematch offer to accept']);
+    expect(findRematchGame()).toBeNull();
+  });
+
+  test('should not start a rematch while a player is in another game', async () => {
+    await startGame(black, { id: 'guest-rematch-other', identityKey: 'g:guest-rematch-other' });
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+    await gameManager.handleRematchAccept(white, { gameId: game.id });
+
+    expect(errors).toEqual(['A player is already in a game']);
+    expect(findRematchGame()).toBeNull();
+    expect(gameManager.rematches.has(game.id)).toBe(true);
+  });
+
+  test('should close the rematch window on decline', async () => {
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+    gameManager.handleRematchDecline(white, { gameId: game.id });
+    await gameManager.handleRematchOffer(black, { gameId: game.id });
+
+    expect(sent.find(message => message.type === 'rematch_declined').to).toBe(black.identityKey);
+    expect(errors).toEqual(['Rematch is no longer available']);
+  });
+
+  test('should keep the handicap and the colours in a handicap rematch', async () => {
+    const handicapGame = await startGame(black, white, { boardSize: 9, handicap: { stones: 2, placement: 'fixed' } });
+    await gameManager.handleResignation(white, { gameId: handicapGame.id });
+    await gameManager.handleRematchOffer(black, { gameId: handicapGame.id });
+    await gameManager.handleRematchAccept(white, { gameId: handicapGame.id });
+    const rematchGame = findRematchGame();
+
+    expect(rematchGame).toMatchObject({
+      blackPlayerId: black.id,
+      whitePlayerId: white.id,
+      handicap: { stones: 2, placement: 'fixed' },
+      komi: handicapGame.komi
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Rule Set Tests
+ *
+ * Tests for the rule set presets:
+ * - Default komi per rule set
+ * - Legal multi-stone suicide (NZ, Tromp-Taylor)
+ * - Positional vs situational superko
+ * - Scoring method selection
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import GoEngine from '../src/engine/goEngine.js';
+import { RULE_SET_NAMES, getRuleSet } from '../src/engine/ruleSets.js';
+
+/**
+ * Load a position from rows like 'X O . ...' (X = Black, O = White, . = empty)
+ * and make it the only position in the superko history
+ */
+function setPosition(engine, gameId, rows, rules, toMove = 'black') {
+  engine.createGameState(gameId, 9, null, rules);
+  const state = engine.getGameState(gameId);
+  for (let y = 0; y < 9; y++) {
+    const cells = (rows[y] || '. . . . . . . . .').split(' ');
+    for (let x = 0; x < 9; x++) {
+      state.board[y][x] = cells[x] === 'X' ? 'black' : cells[x] === 'O' ? 'white' : null;
+    }
+  }
+  state.currentPlayer = toMove;
+  state.previousHashes = new Set([positionKey(engine, state, toMove)]);
+  return state;
+}
+
+function positionKey(engine, state, toMove) {
+  const hashString = state.hasher.hashToString(state.hasher.hashBoard(state.board));
+  return engine.getPositionKey(state.ruleSet, hashString, toMove);
+}
+
+describe('Rule Sets', () => {
+  let engine;
+  const gameId = 'test_game_rules';
+
+  beforeEach(() => {
+    engine = new GoEngine();
+  });
+
+  describe('Presets', () => {
+    test('should offer the major rule sets', () => {
+      expect(RULE_SET_NAMES).toEqual(['chinese', 'japanese', 'aga', 'nz', 'tromp-taylor']);
+      expect(getRuleSet('nz')).toMatchObject({ koRule: 'situational', suicide: true, scoring: 'area' });
+      expect(getRuleSet('japanese')).toMatchObject({ suicide: false, scoring: 'territory' });
+      expect(getRuleSet('ing')).toBeNull();
+      expect(getRuleSet('toString')).toBeNull();
+    });
+
+    test('should use the komi of the rule set', () => {
+      expect(engine.createGameState(gameId, 19, null, 'chinese').komi).toBe(6.5);
+      expect(engine.createGameState(gameId, 19, null, 'aga').komi).toBe(7.5);
+      expect(engine.createGameState(gameId, 13, null, 'nz').komi).toBe(7);
+      expect(engine.createGameState(gameId, 9, null, 'nz').komi).toBe(0.5);
+      expect(engine.createGameState(gameId, 19, 5.5, 'nz').komi).toBe(5.5);
+    });
+  });
+
+  describe('Suicide', () => {
+    // Black (1,0) would leave the black pair at (0,0)-(1,0) without liberties
+    const rows = [
+      'X . O . . . . . .',
+      'O O . . . . . . .'
+    ];
+
+    test('should reject multi-stone suicide under Chinese rules', () => {
+      setPosition(engine, gameId, rows, 'chinese');
+
+      const result = engine.isLegalMove(gameId, 1, 0, 'black');
+      expect(result).toEqual({ ok: false, reason: 'suicide_move' });
+    });
+
+    test('should allow multi-stone suicide under NZ rules', () => {
+      const state = setPosition(engine, gameId, rows, 'nz');
+
+      expect(engine.isLegalMove(gameId, 1, 0, 'black').ok).toBe(true);
+      const result = engine.applyMove(gameId, 1, 0, 'black');
+
+      expect(result.captures).toEqual(expect.arrayContaining([{ x: 0, y: 0 }, { x: 1, y: 0 }]));
+      expect(state.board[0][0]).toBeNull();
+      expect(state.board[0][1]).toBeNull();
+      expect(state.capturedStones).toEqual({ black: 0, white: 2 });
+      expect(state.currentPlayer).toBe('white');
+    });
+
+    test('should reject single-stone suicide under Tromp-Taylor rules', () => {
+      setPosition(engine, gameId, ['. O', 'O .'], 'tromp-taylor');
+
+      const result = engine.isLegalMove(gameId, 0, 0, 'black');
+      expect(result).toEqual({ ok: false, reason: 'suicide_move' });
+    });
+  });
+
+  describe('Superko', () => {
+    // Black (2,1) captures the white ko stone at (1,1)
+    const koRows = [
+      '. X O . . . . . .',
+      'X O . O . . . . .',
+      '. X O . . . . . .'
+    ];
+
+    test('should forbid retaking a ko immediately under situational superko', () => {
+      setPosition(engine, gameId, koRows, 'aga');
+
+      engine.applyMove(gameId, 2, 1, 'black');
+
+      expect(engine.isLegalMove(gameId, 1, 1, 'white')).toEqual({ ok: false, reason: 'ko_violation' });
+    });
+
+    test('should only forbid a repeated position with the same player to move under situational superko', () => {
+      const state = setPosition(engine, gameId, koRows, 'aga');
+      // The position after the capture was seen before, but with Black to move
+      const captured = state.board.map(row => [...row]);
+      captured[1][2] = 'black';
+      captured[1][1] = null;
+      const hashString = state.hasher.hashToString(state.hasher.hashBoard(captured));
+      state.previousHashes.add(engine.getPositionKey(state.ruleSet, hashString, 'black'));
+
+      expect(engine.isLegalMove(gameId, 2, 1, 'black').ok).toBe(true);
+    });
+
+    test('should forbid any repeated position under positional superko', () => {
+      const state = setPosition(engine, gameId, koRows, 'chinese');
+      const captured = state.board.map(row => [...row]);
+      captured[1][2] = 'black';
+      captured[1][1] = null;
+      const hashString = state.hasher.hashToString(state.hasher.hashBoard(captured));
+      state.previousHashes.add(engine.getPositionKey(state.ruleSet, hashString, 'black'));
+
+      expect(engine.isLegalMove(gameId, 2, 1, 'black')).toEqual({ ok: false, reason: 'ko_violation' });
+    });
+
+    test('should record the position after a pass under situational superko', () => {
+      const state = setPosition(engine, gameId, koRows, 'nz');
+
+      engine.passMove(gameId, 'black');
+
+      expect(state.previousHashes.has(positionKey(engine, state, 'white'))).toBe(true);
+    });
+  });
+
+  describe('Scoring Method', () => {
+    test('should use area scoring for AGA, NZ and Tromp-Taylor rules', () => {
+      for (const rules of ['aga', 'nz', 'tromp-taylor']) {
+        setPosition(engine, gameId, Array(9).fill('. . . O . X . . .'), rules);
+
+        const score = engine.score(gameId);
+
+        expect(score.rules).toBe(rules);
+        expect(score.breakdown.black).toEqual({ stones: 9, territory: 27 });
+      }
+    });
+  });
+});
@@ -1,11 +1,14 @@
 /**
  * Scoring Tests
  * 
- * Tests for Chinese scoring implementation
+ * Tests for Chinese scoring implementation and the end of a game
  */
 
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import GoEngine from '../src/engine/goEngine.js';
+import { gameManager } from '../src/services/gameManager.js';
+import { ratingService } from '../src/services/rating.js';
+import { captureMessages, startGame, cleanupGames } from './helpers/gameFixtures.js';
 
 describe('Chinese Scoring', () => {
   let engine;
@@ -144,4 +147,277 @@ describe('Chinese Scoring', () => {
     expect(score.winner).toBe('white');
     expect(score.komi).toBe(6.5);
   });
+
+  test('should remove dead stones before counting', () => {
+    engine.createGameState(gameId, 9, 0.5);
+    const state = engine.getGameState(gameId);
+
+    // Black wall on column 2, a lone White stone inside Black's area at (0,0)
+    for (let y = 0; y < 9; y++) {
+      state.board[y][2] = 'black';
+    }
+    state.board[0][0] = 'white';
+
+    // Counted as alive, the White stone spoils Black's territory on the left
+    const alive = engine.scoreChinese(gameId);
+    expect(alive.black).toBe(9 + 6 * 9);
+    expect(alive.white).toBe(1.5);
+
+    // Marked dead, the stone is removed and its point becomes Black territory
+    const dead = engine.scoreChinese(gameId, [{ x: 0, y: 0 }]);
+    expect(dead.black).toBe(81);
+    expect(dead.white).toBe(0.5);
+    expect(dead.winner).toBe('black');
+
+    // The real board is not changed by the preview
+    expect(state.board[0][0]).toBe('white');
+  });
+});
+
+/**
+ * Load a position from rows like 'X O . ...' (X = Black, O = White, . = empty)
+ */
+function setPosition(engine, gameId, rows, komi = 0.5, rules = 'chinese') {
+  engine.createGameState(gameId, rows.length, komi, rules);
+  const state = engine.getGameState(gameId);
+  rows.forEach((row, y) => {
+    row.split(' ').forEach((cell, x) => {
+      state.board[y][x] = cell === 'X' ? 'black' : cell === 'O' ? 'white' : null;
+    });
+  });
+}
+
+describe('Seki', () => {
+  let engine;
+  const gameId = 'test_game_seki';
+
+  beforeEach(() => {
+    engine = new GoEngine();
+  });
+
+  test('should treat a seki without eyes as alive with shared liberties as dame', () => {
+    // Inner Black (column 3) and inner White (column 5) share the two
+    // liberties at column 4; neither side can fill them
+    setPosition(engine, gameId, [
+      '. . O X . O X . .',
+      '. . O X X O X . .',
+      '. . O X . O X . .',
+      '. . O X X O X . .',
+      '. . O O O X X . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .'
+    ]);
+
+    const score = engine.scoreChinese(gameId);
+
+    expect(score.seki.stones).toHaveLength(10);
+    expect(score.seki.dame).toEqual(expect.arrayContaining([{ x: 4, y: 0 }, { x: 4, y: 2 }]));
+    expect(score.seki.dame).toHaveLength(2);
+    expect(score.seki.eyes).toHaveLength(0);
+    // Black: 16 stones + 22 territory, White: 15 stones + 26 territory + komi
+    expect(score.black).toBe(38);
+    expect(score.white).toBe(41.5);
+  });
+
+  test('should count eyes of groups in seki as area', () => {
+    // Each inner group has one eye; the shared liberty at (5,0) is dame
+    setPosition(engine, gameId, [
+      '. O X . X . O . O',
+      '. O X X X X O O O',
+      '. O O O O O X X X',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .'
+    ]);
+
+    const score = engine.scoreChinese(gameId);
+
+    expect(score.seki.stones).toHaveLength(11);
+    expect(score.seki.dame).toEqual([{ x: 5, y: 0 }]);
+    expect(score.seki.eyes).toEqual(expect.arrayContaining([{ x: 3, y: 0 }, { x: 7, y: 0 }]));
+    expect(score.territory).toEqual({ black: 13, white: 34 });
+    expect(score.black).toBe(28);
+    expect(score.white).toBe(52.5);
+  });
+
+  test('should detect seki when one of two shared liberties can still be filled', () => {
+    // Either side can fill one of (5,0)/(6,0) safely, but not both
+    setPosition(engine, gameId, [
+      '. O X . X . . O .',
+      '. O X X X X O O O',
+      '. O O O O O X X X',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .'
+    ]);
+
+    const score = engine.scoreChinese(gameId);
+
+    expect(score.seki.stones).toHaveLength(10);
+    expect(score.seki.dame).toHaveLength(2);
+    expect(score.seki.eyes).toEqual(expect.arrayContaining([{ x: 3, y: 0 }, { x: 8, y: 0 }]));
+    expect(score.black).toBe(28);
+    expect(score.white).toBe(51.5);
+  });
+
+  test('should not report seki for ordinary dame between living groups', () => {
+    setPosition(engine, gameId, Array(9).fill('. . . O . X . . .'));
+
+    const score = engine.scoreChinese(gameId);
+
+    expect(score.seki.stones).toHaveLength(0);
+    expect(score.seki.dame).toHaveLength(0);
+    expect(score.black).toBe(36);
+    expect(score.white).toBe(36.5);
+  });
+
+  test('should not report seki for an unsettled capturing race', () => {
+    // White can fill (4,1) from the outside and then capture Black
+    setPosition(engine, gameId, [
+      '. . O X . O X . .',
+      '. . O X . O X . .',
+      '. . O O O X X . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .'
+    ]);
+
+    const score = engine.scoreChinese(gameId);
+
+    expect(score.seki.stones).toHaveLength(0);
+  });
+
+  test('should not treat stones marked dead as seki', () => {
+    // Same seki as above, but the players agreed the inner White group is dead
+    setPosition(engine, gameId, [
+      '. . O X . O X . .',
+      '. . O X X O X . .',
+      '. . O X . O X . .',
+      '. . O X X O X . .',
+      '. . O O O X X . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .',
+      '. . . . O X . . .'
+    ]);
+
+    const deadStones = [0, 1, 2, 3].map(y => ({ x: 5, y }));
+    const score = engine.scoreChinese(gameId, deadStones);
+
+    expect(score.seki.stones).toHaveLength(0);
+    // The dead group and the former shared liberties become Black territory
+    expect(score.territory).toEqual({ black: 22 + 6, white: 26 });
+    expect(score.black).toBe(44);
+    expect(score.white).toBe(37.5);
+  });
+});
+
+describe('Japanese Scoring', () => {
+  let engine;
+  const gameId = 'test_game_japanese';
+
+  beforeEach(() => {
+    engine = new GoEngine();
+  });
+
+  test('should count territory and prisoners but not stones', () => {
+    setPosition(engine, gameId, Array(9).fill('. . . O . X . . .'), 6.5, 'japanese');
+    engine.getGameState(gameId).capturedStones = { black: 3, white: 1 };
+
+    const score = engine.score(gameId);
+
+    expect(score.rules).toBe('japanese');
+    // Black: 27 territory + 3 prisoners, White: 27 territory + 1 prisoner + komi
+    expect(score.breakdown.black).toEqual({ territory: 27, prisoners: 3 });
+    expect(score.breakdown.white).toEqual({ territory: 27, prisoners: 1, komi: 6.5 });
+    expect(score.black).toBe(30);
+    expect(score.white).toBe(34.5);
+    expect(score.winner).toBe('white');
+  });
+
+  test('should count dead stones as prisoners and their points as territory', () => {
+    setPosition(engine, gameId, Array(9).fill('. . . O . X . . .'), 6.5, 'japanese');
+    // A dead White stone inside Black's area
+    engine.getGameState(gameId).board[4][7] = 'white';
+
+    const score = engine.score(gameId, [{ x: 7, y: 4 }]);
+
+    expect(score.breakdown.black).toEqual({ territory: 27, prisoners: 1 });
+    expect(score.black).toBe(28);
+    expect(score.white).toBe(33.5);
+  });
+
+  test('should not count eyes of groups in seki as territory', () => {
+    // Same position as the Chinese seki-with-eyes test
+    setPosition(engine, gameId, [
+      '. O X . X . O . O',
+      '. O X X X X O O O',
+      '. O O O O O X X X',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .',
+      '. . . . . O X . .'
+    ], 0.5, 'japanese');
+
+    const score = engine.score(gameId);
+
+    expect(score.seki.eyes).toEqual(expect.arrayContaining([{ x: 3, y: 0 }, { x: 7, y: 0 }]));
+    expect(score.breakdown.black.territory).toBe(12);
+    expect(score.breakdown.white.territory).toBe(33);
+    expect(score.black).toBe(12);
+    expect(score.white).toBe(33.5);
+  });
+
+  test('should use Chinese scoring unless Japanese rules were chosen', () => {
+    setPosition(engine, gameId, Array(9).fill('. . . O . X . . .'), 6.5);
+
+    const score = engine.score(gameId);
+
+    expect(score.rules).toBe('chinese');
+    expect(score.black).toBe(36);
+    expect(score.white).toBe(42.5);
+  });
+
+  test('should reject unknown rules', () => {
+    expect(() => engine.createGameState(gameId, 9, 6.5, 'ing')).toThrow();
+  });
+});
+
+describe('Game End', () => {
+  const black = { id: 'guest-end-black', identityKey: 'g:guest-end-black' };
+  const white = { id: 'guest-end-white', identityKey: 'g:guest-end-white' };
+  let sent;
+
+  beforeEach(() => {
+    ({ sent } = captureMessages());
+  });
+
+  afterEach(() => {
+    cleanupGames();
+    jest.restoreAllMocks();
+  });
+
+  test('should end a game only once when both players resign at the same time', async () => {
+    const game = await startGame(black, white, { boardSize: 17 });
+    await Promise.all([
+      gameManager.handleResignation(black, { gameId: game.id }),
+      gameManager.handleResignation(white, { gameId: game.id })
+    ]);
+
+    expect(sent.filter(message => message.type === 'game_ended' && message.to === black.identityKey)).toHaveLength(1);
+    expect(await ratingService.getRatingHistory(white.id, 17)).toHaveLength(1);
+  });
 });
@@ -0,0 +1,174 @@
+/**
+ * SGF Tests
+ *
+ * Tests for writing game records as SGF (FF[4]) and importing SGF files
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import GoEngine from '../src/engine/goEngine.js';
+import { gameToSgf, formatSgfResult, escapeSgfText, toSgfPoint, parseSgf, importSgf, SGF_MAX_LENGTH, SGF_MAX_NODES } from '../src/engine/sgf.js';
+
+function record(overrides = {}) {
+  return {
+    boardSize: 19,
+    komi: 6.5,
+    rules: 'japanese',
+    handicap: null,
+    timeControl: null,
+    moves: [
+      { color: 'black', x: 3, y: 3, pass: false },
+      { color: 'white', x: 15, y: 15, pass: false },
+      { color: 'black', x: null, y: null, pass: true }
+    ],
+    black: { name: 'alice', rank: '3k' },
+    white: { name: 'bob', rank: '1d' },
+    winner: 'white',
+    endReason: 'resignation',
+    finalScore: null,
+    createdAt: new Date('2026-03-14T18:30:00Z'),
+    ...overrides
+  };
+}
+
+describe('SGF Export', () => {
+  test('should write the root properties', () => {
+    const sgf = gameToSgf(record({ timeControl: { type: 'byoyomi', minutes: 10, byoYomi: 30, periods: 5 } }));
+
+    expect(sgf.startsWith('(;FF[4]GM[1]CA[UTF-8]')).toBe(true);
+    expect(sgf).toContain('SZ[19]KM[6.5]RU[Japanese]');
+    expect(sgf).toContain('PB[alice]BR[3k]PW[bob]WR[1d]');
+    expect(sgf).toContain('DT[2026-03-14]RE[W+R]');
+    expect(sgf).toContain('TM[600]OT[5x30 byo-yomi]');
+  });
+
+  test('should write moves and passes in order', () => {
+    const sgf = gameToSgf(record());
+    expect(sgf.trim().endsWith(';B[dd];W[pp];B[])')).toBe(true);
+  });
+
+  test('should write handicap stones as setup stones', () => {
+    const fixed = gameToSgf(record({ handicap: { stones: 2, placement: 'fixed' }, moves: [] }));
+    expect(fixed).toContain('HA[2]');
+    expect(fixed).toContain('AB[pd][dp]');
+
+    const free = gameToSgf(record({
+      boardSize: 9,
+      handicap: { stones: 2, placement: 'free' },
+      moves: [
+        { color: 'black', x: 0, y: 0, pass: false },
+        { color: 'black', x: 8, y: 8, pass: false },
+        { color: 'white', x: 4, y: 4, pass: false }
+      ]
+    }));
+    expect(free).toContain('AB[aa][ii]');
+    expect(free.trim().endsWith(';W[ee])')).toBe(true);
+  });
+
+  test('should format results', () => {
+    expect(formatSgfResult({ winner: 'black', endReason: 'score', finalScore: { black: 60, white: 52.5 } })).toBe('B+7.5');
+    expect(formatSgfResult({ winner: 'black', endReason: 'time_out' })).toBe('B+T');
+    expect(formatSgfResult({ winner: 'white', endReason: 'abandonment' })).toBe('W+F');
+    expect(formatSgfResult({ winner: null, endedAt: null })).toBeNull();
+  });
+
+  test('should write a drawn game as RE[0]', () => {
+    const drawn = { winner: null, endReason: 'score', finalScore: { black: 40.5, white: 40.5 }, endedAt: new Date() };
+
+    expect(formatSgfResult(drawn)).toBe('0');
+    expect(gameToSgf(record(drawn))).toContain('RE[0]');
+    expect(formatSgfResult({ winner: null, endReason: null, finalScore: null, endedAt: new Date() })).toBe('?');
+  });
+
+  test('should escape text and convert points', () => {
+    expect(escapeSgfText('a]b\\c')).toBe('a\\]b\\\\c');
+    expect(toSgfPoint(0, 18)).toBe('as');
+    expect(gameToSgf(record({ black: { name: 'x]y', rank: '5k' } }))).toContain('PB[x\\]y]');
+  });
+});
+
+describe('SGF Import', () => {
+  const gameId = 'test_game_sgf';
+
+  test('should parse properties, escapes and variations', () => {
+    const root = parseSgf('(;FF[4]C[a \\] b\\\nc]AB[aa][bb];B[cc](;W[dd])(;W[ee]))');
+
+    expect(root.properties.C).toEqual(['a ] bc']);
+    expect(root.properties.AB).toEqual(['aa', 'bb']);
+    expect(root.children[0].properties.B).toEqual(['cc']);
+    expect(root.children[0].children).toHaveLength(2);
+    expect(() => parseSgf('(;B[aa]')).toThrow('Invalid SGF');
+  });
+
+  test('should import an exported game into the engine', () => {
+    const engine = new GoEngine();
+    const sgf = gameToSgf(record({ handicap: { stones: 2, placement: 'fixed' }, rules: 'aga', komi: 0.5 }));
+    const result = importSgf(engine, gameId, sgf);
+
+    expect(result.ok).toBe(true);
+    expect(result.info).toMatchObject({ boardSize: 19, komi: 0.5, rules: 'aga', handicap: 2, result: 'W+R' });
+    expect(result.info.black).toEqual({ name: 'alice', rank: '3k' });
+
+    const state = engine.getGameState(gameId);
+    expect(state.board[3][15]).toBe('black');
+    expect(state.board[3][3]).toBe('black');
+    expect(state.board[15][15]).toBe('white');
+    expect(state.currentPlayer).toBe('white');
+    expect(result.position.toMove).toBe('white');
+  });
+
+  test('should keep variations and follow the main line', () => {
+    const engine = new GoEngine();
+    const result = importSgf(engine, gameId, '(;SZ[9];B[ee](;W[ce];B[ge])(;W[gc]))');
+
+    expect(result.ok).toBe(true);
+    expect(result.tree.children[0].children).toHaveLength(2);
+    expect(result.tree.children[0].children[1].move).toEqual({ color: 'white', x: 6, y: 2, pass: false });
+    expect(engine.getGameState(gameId).board[4][6]).toBe('black');
+    expect(engine.getGameState(gameId).board[2][6]).toBe(null);
+  });
+
+  test('should reject suicide and record captures for the review board', () => {
+    const engine = new GoEngine();
+    const result = importSgf(engine, gameId, '(;SZ[9]AB[ba][ab];W[aa];B[])');
+
+    expect(result.ok).toBe(false);
+    expect(result.reason).toBe('suicide_move');
+
+    const capture = importSgf(engine, gameId, '(;SZ[9]AW[aa]AB[ba];B[ab])');
+    expect(capture.tree.children[0].captures).toEqual([{ x: 0, y: 0 }]);
+  });
+
+  test('should report the node path of an illegal move in a variation', () => {
+    const engine = new GoEngine();
+    const result = importSgf(engine, gameId, '(;SZ[9];B[ee];W[dd](;B[cc])(;B[dd]))');
+
+    expect(result).toEqual({ ok: false, reason: 'position_occupied', path: [0, 0, 1], moveNumber: 3 });
+    expect(engine.getGameState(gameId)).toBeNull();
+  });
+
+  test('should start every variation from the position at the branch point', () => {
+    const engine = new GoEngine();
+    const result = importSgf(engine, gameId, '(;SZ[9];B[ee](;W[dd]AB[cc];B[dc])(;W[dc];B[dd])(;W[cc]))');
+
+    expect(result.ok).toBe(true);
+    expect(result.tree.children[0].children).toHaveLength(3);
+    expect(result.tree.children[0].children[1].children[0].move).toEqual({ color: 'black', x: 3, y: 3, pass: false });
+    expect(result.tree.children[0].children[2].move).toEqual({ color: 'white', x: 2, y: 2, pass: false });
+  });
+
+  test('should reject unsupported board sizes', () => {
+    const engine = new GoEngine();
+    expect(importSgf(engine, gameId, '(;SZ[37];B[aa])').reason).toBe('invalid_board_size');
+    expect(importSgf(engine, gameId, 'no sgf here').reason).toBe('invalid_sgf');
+  });
+
+  test('should reject files that are too large', () => {
+    const engine = new GoEngine();
+    const tooManyNodes = `(;SZ[9]${';B[]'.repeat(SGF_MAX_NODES)})`;
+    const tooLong = `(;SZ[9]C[${'x'.repeat(SGF_MAX_LENGTH)}])`;
+
+    expect(importSgf(engine, gameId, tooManyNodes).reason).toBe('sgf_too_large');
+    expect(importSgf(engine, gameId, tooLong).reason).toBe('sgf_too_large');
+    expect(importSgf(engine, gameId, `(;SZ[9]${';B[]'.repeat(SGF_MAX_NODES - 1)})`).ok).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Spectator Tests
+ *
+ * Tests for watching live games: who receives moves, game state and the
+ * game end, and what spectators see of the players
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { gameManager } from '../src/services/gameManager.js';
+import { captureMessages, startGame, cleanupGames } from './helpers/gameFixtures.js';
+
+const black = { id: 'guest-black', identityKey: 'g:guest-black' };
+const white = { id: 'guest-white', identityKey: 'g:guest-white' };
+const spectator = { id: 'guest-spectator', identityKey: 'g:guest-spectator' };
+
+describe('Spectators', () => {
+  let sent;
+  let errors;
+  let game;
+
+  beforeEach(async () => {
+    ({ sent, errors } = captureMessages());
+    game = await startGame(black, white);
+    sent.length = 0;
+  });
+
+  afterEach(() => {
+    cleanupGames();
+    jest.restoreAllMocks();
+  });
+
+  const received = (identityKey, type) => sent.filter(message => message.to === identityKey && message.type === type);
+
+  test('should send the game state and moves to spectators', async () => {
+    gameManager.handleWatchGame(spectator, { gameId: game.id });
+    await gameManager.handleMove(black, { gameId: game.id, x: 4, y: 4 });
+
+    const [state] = received(spectator.identityKey, 'game_state');
+    expect(state.data).toMatchObject({ spectator: true, playerColor: null, spectators: 1 });
+    expect(received(spectator.identityKey, 'move_accepted')).toHaveLength(1);
+  });
+
+  test('should not reveal guest IDs to spectators', () => {
+    gameManager.handleWatchGame(spectator, { gameId: game.id });
+
+    const [state] = received(spectator.identityKey, 'game_state');
+    expect(state.data.blackPlayer).toBeNull();
+    expect(state.data.whitePlayer).toBeNull();
+    expect(JSON.stringify(state.data)).not.toContain('guest-black');
+  });
+
+  test('should tell the players how many people are watching', () => {
+    gameManager.handleWatchGame(spectator, { gameId: game.id });
+    expect(received(black.identityKey, 'spectator_count')[0].data.spectators).toBe(1);
+
+    gameManager.handleUnwatchGame(spectator, { gameId: game.id });
+    expect(received(white.identityKey, 'spectator_count')[1].data.spectators).toBe(0);
+    expect(gameManager.getSpectatorCount(game.id)).toBe(0);
+  });
+
+  test('should not let players watch their own game', () => {
+    gameManager.handleWatchGame(black, { gameId: game.id });
+
+    expect(errors).toEqual(['You are a player in this game']);
+    expect(gameManager.getSpectatorCount(game.id)).toBe(0);
+  });
+
+  test('should stop sending to disconnected spectators', async () => {
+    gameManager.handleWatchGame(spectator, { gameId: game.id });
+    gameManager.handleDisconnection(spectator);
+    await gameManager.handleMove(black, { gameId: game.id, x: 4, y: 4 });
+
+    expect(received(spectator.identityKey, 'move_accepted')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Undo Tests
+ *
+ * Tests for taking back moves: board, captures, superko history and turn
+ * must be exactly as before the move
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import GoEngine from '../src/engine/goEngine.js';
+import { gameManager } from '../src/services/gameManager.js';
+import { trackGame, cleanupGames } from './helpers/gameFixtures.js';
+
+describe('Undo', () => {
+  let engine;
+  const gameId = 'test_game_undo';
+
+  beforeEach(() => {
+    engine = new GoEngine();
+  });
+
+  test('should take back a stone and give the turn back', () => {
+    engine.createGameState(gameId, 9);
+    engine.applyMove(gameId, 4, 4, 'black');
+
+    const state = engine.undoMove(gameId);
+    expect(state.board[4][4]).toBe(null);
+    expect(state.currentPlayer).toBe('black');
+    expect(state.moveNumber).toBe(0);
+    expect(state.moveHistory).toHaveLength(0);
+    expect(() => engine.undoMove(gameId)).toThrow('nothing_to_undo');
+  });
+
+  test('should restore captured stones and capture counts', () => {
+    engine.createGameState(gameId, 9);
+    engine.applyMove(gameId, 1, 0, 'black');
+    engine.applyMove(gameId, 0, 0, 'white');
+    engine.applyMove(gameId, 0, 1, 'black');
+    expect(engine.getGameState(gameId).capturedStones.black).toBe(1);
+
+    const state = engine.undoMove(gameId);
+    expect(state.board[0][0]).toBe('white');
+    expect(state.board[1][0]).toBe(null);
+    expect(state.capturedStones).toEqual({ black: 0, white: 0 });
+    expect(state.currentPlayer).toBe('black');
+  });
+
+  test('should restore the superko history', () => {
+    const before = engine.createGameState(gameId, 9, null, 'chinese');
+    engine.applyMove(gameId, 2, 2, 'black');
+    const hashes = [...before.previousHashes];
+    const lastKoHash = before.lastKoHash;
+
+    engine.applyMove(gameId, 6, 6, 'white');
+    engine.passMove(gameId, 'black');
+    engine.undoMove(gameId);
+    const state = engine.undoMove(gameId);
+
+    expect([...state.previousHashes]).toEqual(hashes);
+    expect(state.lastKoHash).toBe(lastKoHash);
+    expect(state.consecutivePasses).toBe(0);
+  });
+
+  test('should allow the same move again after an undo', () => {
+    engine.createGameState(gameId, 9);
+    engine.applyMove(gameId, 3, 3, 'black');
+    engine.undoMove(gameId);
+
+    expect(engine.isLegalMove(gameId, 3, 3, 'black')).toEqual({ ok: true });
+    expect(engine.applyMove(gameId, 3, 3, 'black').state.board[3][3]).toBe('black');
+  });
+
+  test('should reopen the game after undoing the second pass', () => {
+    engine.createGameState(gameId, 9);
+    engine.passMove(gameId, 'black');
+    engine.passMove(gameId, 'white');
+    expect(engine.getGameState(gameId).status).toBe('finished');
+
+    const state = engine.undoMove(gameId);
+    expect(state.status).not.toBe('finished');
+    expect(state.consecutivePasses).toBe(1);
+    expect(state.currentPlayer).toBe('white');
+  });
+
+  test('should undo the last free handicap stone', () => {
+    engine.createGameState(gameId, 9, null, 'chinese', { stones: 2, placement: 'free' });
+    engine.applyMove(gameId, 2, 2, 'black');
+    const hashes = engine.getGameState(gameId).previousHashes;
+    engine.applyMove(gameId, 6, 6, 'black');
+
+    const state = engine.undoMove(gameId);
+    expect(state.handicapStones).toEqual([{ x: 2, y: 2 }]);
+    expect(state.handicapStonesToPlace).toBe(1);
+    expect(state.currentPlayer).toBe('black');
+    expect(state.previousHashes).toBe(hashes);
+  });
+
+  test('should not undo past a setup position', () => {
+    engine.createGameState(gameId, 9);
+    engine.applyMove(gameId, 4, 4, 'black');
+    engine.setupPosition(gameId, { black: [{ x: 0, y: 0 }] }, 'white');
+
+    expect(() => engine.undoMove(gameId)).toThrow('nothing_to_undo');
+  });
+});
+
+describe('Undo Limit', () => {
+  afterEach(() => {
+    cleanupGames();
+  });
+
+  test('should keep the undos used when a game is restored', async () => {
+    const stored = {
+      id: 'test_game_undo_restore',
+      blackPlayerKey: 'g:guest-undo-black',
+      whitePlayerKey: 'g:guest-undo-white',
+      boardSize: 9,
+      rules: 'chinese',
+      rated: true,
+      undosUsed: { black: 1, white: 0 },
+      createdAt: new Date()
+    };
+
+    expect(await gameManager.restoreGame(stored, [])).toBe(true);
+    const game = trackGame(gameManager.getGame(stored.id));
+    expect(game.undosUsed).toEqual({ black: 1, white: 0 });
+  });
+});
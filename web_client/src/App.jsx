@@ -2,6 +2,9 @@ import React, { useState, useEffect, createContext, useContext } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import MatchmakingView from './components/MatchmakingView';
 import GameView from './components/GameView';
+import ReviewView from './components/ReviewView';
+import LiveGamesView from './components/LiveGamesView';
+import InviteView from './components/InviteView';
 import ImpressumView from './components/ImpressumView';
 import AppShell from './components/AppShell';
 import Footer from './components/Footer';
@@ -41,6 +44,10 @@ function App() {
               <Routes>
                 <Route path="/" element={<MatchmakingView />} />
                 <Route path="/game/:gameId" element={<GameView />} />
+                <Route path="/watch/:gameId" element={<GameView spectator />} />
+                <Route path="/invite/:token" element={<InviteView />} />
+                <Route path="/live" element={<LiveGamesView />} />
+                <Route path="/review" element={<ReviewView />} />
                 <Route path="/impressum" element={<ImpressumView />} />
               </Routes>
               <Footer />
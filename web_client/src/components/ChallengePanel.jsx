@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { websocketService } from '../services/websocket';
+import { EventTypes } from '../constants/events';
+import Button from './ui/Button';
+import './ChallengePanel.css';
+
+// Colour of the challenger ('nigiri' = decided at random when accepted)
+const COLOR_OPTIONS = [
+  { id: 'nigiri', label: 'Zufall' },
+  { id: 'black', label: 'Schwarz' },
+  { id: 'white', label: 'Weiß' }
+];
+
+// Handicap stones offered for challenges (0 = even game)
+const HANDICAP_STONES = [0, 2, 3, 4, 5, 6, 7, 8, 9];
+
+/**
+ * Settings of a challenge as sent to the server
+ * @param {Object} settings - Queue settings ({ boardSize, timeControl, rules, komi })
+ * @param {Object} options - { color, handicapStones, rated }
+ * @returns {Object}
+ */
+export function buildChallengeSettings(settings, options = {}) {
+  const handicapStones = options.handicapStones || 0;
+  return {
+    ...settings,
+    color: options.color || 'nigiri',
+    handicap: handicapStones > 0 ? { stones: handicapStones, placement: 'fixed' } : null,
+    rated: options.rated !== false
+  };
+}
+
+/**
+ * Short description of the settings of a challenge
+ */
+function describeSettings(settings) {
+  const parts = [`${settings.boardSize}×${settings.boardSize}`];
+  if (settings.handicap) parts.push(`${settings.handicap.stones} Vorgabe`);
+  if (settings.komi !== null && settings.komi !== undefined) parts.push(`Komi ${settings.komi}`);
+  parts.push(settings.timeControl ? 'mit Uhr' : 'ohne Uhr');
+  parts.push(settings.rated ? 'gewertet' : 'ungewertet');
+  return parts.join(' · ');
+}
+
+/**
+ * Challenge Panel Component
+ *
+ * Challenge a player by name with the selected queue settings, and answer
+ * or withdraw pending challenges. Also creates private invite links with the
+ * same settings. Accepted challenges and invites arrive as match_found.
+ */
+function ChallengePanel({ isConnected, settings }) {
+  const [username, setUsername] = useState('');
+  const [color, setColor] = useState('nigiri');
+  const [handicapStones, setHandicapStones] = useState(0);
+  const [rated, setRated] = useState(true);
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [invite, setInvite] = useState(null); // { token, url, expiresAt }
+
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const removeChallenge = (challengeId) => {
+      setIncoming(prev => prev.filter(challenge => challenge.id !== challengeId));
+      setOutgoing(prev => prev.filter(challenge => challenge.id !== challengeId));
+    };
+
+    const unsubscribeList = websocketService.on(EventTypes.CHALLENGE_LIST, (data) => {
+      setIncoming(data.incoming || []);
+      setOutgoing(data.outgoing || []);
+    });
+    const unsubscribeReceived = websocketService.on(EventTypes.CHALLENGE_RECEIVED, (data) => {
+      setIncoming(prev => [...prev, data]);
+    });
+    const unsubscribeSent = websocketService.on(EventTypes.CHALLENGE_SENT, () => {
+      // A new challenge may replace an older one to the same player
+      websocketService.send(EventTypes.REQUEST_CHALLENGES);
+    });
+    const unsubscribeDeclined = websocketService.on(EventTypes.CHALLENGE_DECLINED, (data) => removeChallenge(data.challengeId));
+    const unsubscribeExpired = websocketService.on(EventTypes.CHALLENGE_EXPIRED, (data) => removeChallenge(data.challengeId));
+    const unsubscribeInviteCreated = websocketService.on(EventTypes.INVITE_CREATED, (data) => {
+      setInvite({ token: data.token, url: `${window.location.origin}/invite/${data.token}`, expiresAt: data.expiresAt });
+    });
+
+    websocketService.send(EventTypes.REQUEST_CHALLENGES);
+
+    return () => {
+      unsubscribeList();
+      unsubscribeReceived();
+      unsubscribeSent();
+      unsubscribeDeclined();
+      unsubscribeExpired();
+      unsubscribeInviteCreated();
+    };
+  }, [isConnected]);
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+
+    websocketService.send(EventTypes.CHALLENGE_SEND, {
+      username: username.trim(),
+      settings: buildChallengeSettings(settings, { color, handicapStones, rated })
+    });
+    setUsername('');
+  };
+
+  const handleCreateInvite = () => {
+    websocketService.send(EventTypes.INVITE_CREATE, {
+      settings: buildChallengeSettings(settings, { color, handicapStones, rated })
+    });
+  };
+
+  const handleCancelInvite = () => {
+    websocketService.send(EventTypes.INVITE_CANCEL, { token: invite.token });
+    setInvite(null);
+  };
+
+  const handleCopyInvite = () => {
+    navigator.clipboard?.writeText(invite.url);
+  };
+
+  const handleAccept = (challengeId) => {
+    websocketService.send(EventTypes.CHALLENGE_ACCEPT, { challengeId });
+  };
+
+  const handleDecline = (challengeId) => {
+    websocketService.send(EventTypes.CHALLENGE_DECLINE, { challengeId });
+    setIncoming(prev => prev.filter(challenge => challenge.id !== challengeId));
+    setOutgoing(prev => prev.filter(challenge => challenge.id !== challengeId));
+  };
+
+  return (
+    <div className="challenge-panel">
+      <div className="challenge-panel__title">Spieler herausfordern</div>
+
+      <form className="challenge-panel__form" onSubmit={handleSend}>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Benutzername"
+          disabled={!isConnected}
+        />
+        <select value={color} onChange={(e) => setColor(e.target.value)} disabled={!isConnected}>
+          {COLOR_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <select value={handicapStones} onChange={(e) => setHandicapStones(Number(e.target.value))} disabled={!isConnected}>
+          {HANDICAP_STONES.map(stones => (
+            <option key={stones} value={stones}>{stones === 0 ? 'Keine Vorgabe' : `${stones} Steine`}</option>
+          ))}
+        </select>
+        <label className="challenge-panel__rated">
+          <input type="checkbox" checked={rated} onChange={(e) => setRated(e.target.checked)} disabled={!isConnected} />
+          Gewertet
+        </label>
+        <Button type="submit" size="sm" disabled={!isConnected || !username.trim()}>
+          Herausfordern
+        </Button>
+      </form>
+
+      {invite ? (
+        <div className="challenge-panel__invite">
+          <input type="text" value={invite.url} readOnly onFocus={(e) => e.target.select()} />
+          <Button size="sm" onClick={handleCopyInvite}>Kopieren</Button>
+          <Button size="sm" variant="secondary" onClick={handleCancelInvite}>Zurückziehen</Button>
+        </div>
+      ) : (
+        <Button size="sm" variant="secondary" onClick={handleCreateInvite} disabled={!isConnected}>
+          Einladungslink erstellen
+        </Button>
+      )}
+
+      {incoming.length > 0 && (
+        <ul className="challenge-panel__list">
+          {incoming.map(challenge => (
+            <li key={challenge.id} className="challenge-panel__item">
+              <span>
+                <strong>{challenge.from.name}</strong> fordert dich heraus
+                <span className="challenge-panel__settings">{describeSettings(challenge.settings)}</span>
+              </span>
+              <span className="challenge-panel__actions">
+                <Button size="sm" onClick={() => handleAccept(challenge.id)}>Annehmen</Button>
+                <Button size="sm" variant="secondary" onClick={() => handleDecline(challenge.id)}>Ablehnen</Button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {outgoing.length > 0 && (
+        <ul className="challenge-panel__list">
+          {outgoing.map(challenge => (
+            <li key={challenge.id} className="challenge-panel__item">
+              <span>
+                Warte auf <strong>{challenge.to.name}</strong>
+                <span className="challenge-panel__settings">{describeSettings(challenge.settings)}</span>
+              </span>
+              <Button size="sm" variant="secondary" onClick={() => handleDecline(challenge.id)}>Zurückziehen</Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ChallengePanel;
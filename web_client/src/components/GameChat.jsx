@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { websocketService } from '../services/websocket';
+import { EventTypes } from '../constants/events';
+import './GameChat.css';
+
+const CHAT_MAX_LENGTH = 500;
+
+// Reasons the server gives for a rejected chat message
+const CHAT_ERRORS = {
+  empty_message: 'Die Nachricht ist leer',
+  message_too_long: `Höchstens ${CHAT_MAX_LENGTH} Zeichen`,
+  rate_limited: 'Zu viele Nachrichten, bitte kurz warten',
+  message_blocked: 'Die Nachricht wurde blockiert'
+};
+
+/**
+ * Game Chat Component
+ *
+ * Chat of a game: players see the players channel, spectators also see
+ * the spectator channel (kibitz) and write in it.
+ */
+function GameChat({ gameId, messages, spectator }) {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const unsubscribeChatRejected = websocketService.on(EventTypes.CHAT_REJECTED, (data) => {
+      if (data.gameId === gameId) {
+        setError(CHAT_ERRORS[data.reason] || data.reason);
+      }
+    });
+    return () => unsubscribeChatRejected();
+  }, [gameId]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!text.trim()) return;
+
+    setError(null);
+    websocketService.send(EventTypes.CHAT_MESSAGE, { gameId, text });
+    setText('');
+  };
+
+  return (
+    <div className="game-chat">
+      <div className="game-chat__title">{spectator ? 'Chat (Spieler und Zuschauer)' : 'Chat'}</div>
+      <div className="game-chat__messages" ref={listRef}>
+        {messages.length === 0 && <p className="game-chat__empty">Noch keine Nachrichten</p>}
+        {messages.map((message) => (
+          <p key={message.id} className={`game-chat__message game-chat__message--${message.channel}`}>
+            <span className="game-chat__author">
+              {message.color === 'black' ? '⚫ ' : message.color === 'white' ? '⚪ ' : '👀 '}
+              {message.name}:
+            </span>{' '}
+            {message.text}
+          </p>
+        ))}
+      </div>
+      <form className="game-chat__form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={text}
+          maxLength={CHAT_MAX_LENGTH}
+          onChange={(event) => setText(event.target.value)}
+          placeholder={spectator ? 'Kommentar an die Zuschauer' : 'Nachricht an den Gegner'}
+        />
+        <button type="submit" className="pass-button" disabled={!text.trim()}>
+          Senden
+        </button>
+      </form>
+      {error && <p className="game-chat__error">{error}</p>}
+    </div>
+  );
+}
+
+export default GameChat;
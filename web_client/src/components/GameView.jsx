@@ -4,15 +4,32 @@ import { websocketService } from '../services/websocket';
 import { EventTypes } from '../constants/events';
 import { useAuth } from '../App';
 import GoBoard from './GoBoard';
+import GameChat from './GameChat';
+import { formatClock } from '../utils/clock';
+import { getRuleSetLabel } from '../constants/ruleSets';
 import './GameView.css';
 
+/**
+ * Describe how a player's score was made up (area vs territory scoring)
+ * @param {Object} breakdown - Score breakdown of one color from the server
+ * @returns {string} e.g. "Gebiet 40 + Gefangene 5"
+ */
+function formatScoreBreakdown(breakdown) {
+  if (!breakdown) return '';
+  const parts = breakdown.prisoners !== undefined
+    ? [`Gebiet ${breakdown.territory}`, `Gefangene ${breakdown.prisoners}`]
+    : [`Steine ${breakdown.stones}`, `Gebiet ${breakdown.territory}`];
+  return parts.join(' + ');
+}
+
 /**
  * Game View Component
  * 
  * Main game interface showing the Go board, game status, and controls.
- * Handles game state updates and move submission.
+ * Handles game state updates and move submission. With `spectator` the
+ * game is watched read-only (route /watch/:gameId).
  */
-function GameView() {
+function GameView({ spectator = false }) {
   const { gameId } = useParams();
   const navigate = useNavigate();
   const { auth } = useAuth();
@@ -29,6 +46,17 @@ function GameView() {
   const [blackPlayerInfo, setBlackPlayerInfo] = useState({ name: 'Schwarz', rating: 1500, rank: '30k' });
   const [whitePlayerInfo, setWhitePlayerInfo] = useState({ name: 'Weiß', rating: 1500, rank: '30k' });
   const [showResignConfirm, setShowResignConfirm] = useState(false);
+  const [clock, setClock] = useState(null); // Last clock snapshot from server (null = untimed)
+  const [clockReceivedAt, setClockReceivedAt] = useState(0);
+  const [, setClockTick] = useState(0);
+  const [opponentDisconnectDeadline, setOpponentDisconnectDeadline] = useState(null); // Local timestamp when the game is abandoned
+  const [scoring, setScoring] = useState(null); // Scoring phase state (dead stones, score preview, acceptance)
+  const [undoRequest, setUndoRequest] = useState(null); // Opponent's pending takeback ({ color, moves })
+  const [undoStatus, setUndoStatus] = useState(null); // Outcome of the own takeback request for display
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [rematch, setRematch] = useState(null); // 'offered', 'received' or 'declined' after the game ended
+  const [rematchDeadline, setRematchDeadline] = useState(null); // Local timestamp when rematch offers expire
 
   useEffect(() => {
     // Connect if not already connected (no auth required in MVP)
@@ -57,6 +85,7 @@ function GameView() {
       if (data.gameId === gameId) {
         setBoardSize(data.boardSize);
         setCurrentTurn(data.currentTurn);
+        updateClock(data.clock);
         // Request game state to get full board
         websocketService.send(EventTypes.REQUEST_GAME_STATE, { gameId });
       }
@@ -68,6 +97,10 @@ function GameView() {
         setBoardSize(data.boardSize);
         setBoardState(data.boardState);
         setCurrentTurn(data.currentTurn);
+        updateClock(data.clock);
+        setScoring(data.scoring || null);
+        setSpectatorCount(data.spectators || 0);
+        setChatMessages(data.chat || []);
         // Set player color if provided
         if (data.playerColor) {
           setPlayerColor(data.playerColor);
@@ -90,6 +123,12 @@ function GameView() {
           // Fetch opponent info immediately
           fetchPlayerInfo(opponentId, data.boardSize, opponentColor);
         }
+
+        // Spectators only get account IDs, guests stay anonymous
+        if (data.spectator) {
+          fetchPlayerInfo(data.blackPlayer, data.boardSize, 'black');
+          fetchPlayerInfo(data.whitePlayer, data.boardSize, 'white');
+        }
       }
     });
 
@@ -97,6 +136,13 @@ function GameView() {
       if (data.gameId === gameId) {
         setBoardState(data.boardState);
         setCurrentTurn(data.turn);
+        updateClock(data.clock);
+        if (data.handicap) {
+          setGameState((prev) => prev ? { ...prev, handicap: data.handicap } : prev);
+        }
+        // A move withdraws any pending takeback
+        setUndoRequest(null);
+        setUndoStatus(null);
         // Track last move for highlighting
         if (data.move && data.move.x !== undefined && data.move.y !== undefined) {
           setLastMove({ x: data.move.x, y: data.move.y });
@@ -119,6 +165,101 @@ function GameView() {
       }
     });
 
+    const handleScoringUpdate = (data) => {
+      if (data.gameId === gameId) {
+        setScoring(data);
+      }
+    };
+    const unsubscribeScoringStarted = websocketService.on(EventTypes.SCORING_STARTED, handleScoringUpdate);
+    const unsubscribeScoringUpdate = websocketService.on(EventTypes.SCORING_UPDATE, handleScoringUpdate);
+
+    const unsubscribePlayResumed = websocketService.on(EventTypes.PLAY_RESUMED, (data) => {
+      if (data.gameId === gameId) {
+        setScoring(null);
+        setCurrentTurn(data.currentTurn);
+        updateClock(data.clock);
+      }
+    });
+
+    const unsubscribeUndoRequested = websocketService.on(EventTypes.UNDO_REQUESTED, (data) => {
+      if (data.gameId === gameId) {
+        setUndoRequest(data);
+      }
+    });
+
+    const unsubscribeUndoAccepted = websocketService.on(EventTypes.UNDO_ACCEPTED, (data) => {
+      if (data.gameId === gameId) {
+        setUndoRequest(null);
+        setUndoStatus(null);
+        // The following game_state brings the shortened move list
+        setLastMove(null);
+        setMoves([]);
+      }
+    });
+
+    const unsubscribeUndoDeclined = websocketService.on(EventTypes.UNDO_DECLINED, (data) => {
+      if (data.gameId === gameId) {
+        setUndoStatus('Der Gegner hat die Zugrücknahme abgelehnt');
+      }
+    });
+
+    const unsubscribeServerError = websocketService.on(EventTypes.ERROR, (data) => {
+      // Errors of a takeback request (e.g. no undos left) replace the waiting hint
+      setUndoStatus((status) => status ? data.error : status);
+    });
+
+    const unsubscribeSpectatorCount = websocketService.on(EventTypes.SPECTATOR_COUNT, (data) => {
+      if (data.gameId === gameId) {
+        setSpectatorCount(data.spectators);
+      }
+    });
+
+    const unsubscribeChatMessage = websocketService.on(EventTypes.CHAT_MESSAGE, (data) => {
+      if (data.gameId === gameId) {
+        setChatMessages((prev) => prev.some((message) => message.id === data.message.id) ? prev : [...prev, data.message]);
+      }
+    });
+
+    const unsubscribeRematchOffered = websocketService.on(EventTypes.REMATCH_OFFERED, (data) => {
+      if (data.gameId === gameId) {
+        setRematch('received');
+      }
+    });
+
+    const unsubscribeRematchDeclined = websocketService.on(EventTypes.REMATCH_DECLINED, (data) => {
+      if (data.gameId === gameId) {
+        setRematch('declined');
+      }
+    });
+
+    const unsubscribeRematchStarted = websocketService.on(EventTypes.REMATCH_STARTED, (data) => {
+      if (data.previousGameId === gameId) {
+        // Same view, new game: start from a clean board
+        setGameEnded(false);
+        setGameResult(null);
+        setRematch(null);
+        setRematchDeadline(null);
+        setBoardState(null);
+        setLastMove(null);
+        setMoves([]);
+        setChatMessages([]);
+        setScoring(null);
+        navigate(`/game/${data.gameId}`);
+      }
+    });
+
+    const unsubscribeOpponentDisconnected = websocketService.on(EventTypes.OPPONENT_DISCONNECTED, (data) => {
+      if (data.gameId === gameId) {
+        setOpponentDisconnectDeadline(Date.now() + data.remainingMs);
+      }
+    });
+
+    const unsubscribeOpponentReconnected = websocketService.on(EventTypes.OPPONENT_RECONNECTED, (data) => {
+      if (data.gameId === gameId) {
+        setOpponentDisconnectDeadline(null);
+      }
+    });
+
     const unsubscribeGameEnded = websocketService.on(EventTypes.GAME_ENDED, (data) => {
       console.log('[GameView] GAME_ENDED event received:', data);
       if (data && data.gameId === gameId) {
@@ -126,6 +267,13 @@ function GameView() {
         console.log('[GameView] Setting gameEnded=true, gameResult=', data);
         setGameEnded(true);
         setGameResult(data);
+        setRematch(null);
+        setRematchDeadline(data.rematchWindowMs ? Date.now() + data.rematchWindowMs : null);
+        updateClock(data.clock);
+        setOpponentDisconnectDeadline(null);
+        setScoring(null);
+        setUndoRequest(null);
+        setUndoStatus(null);
         setShowResignConfirm(false); // Close resign modal if still open
         // Disable board
         setCurrentTurn(null);
@@ -140,9 +288,9 @@ function GameView() {
       }
     });
 
-    // Request current game state
+    // Request current game state (spectators get it when they start watching)
     if (isConnected && gameId) {
-      websocketService.send(EventTypes.REQUEST_GAME_STATE, { gameId });
+      websocketService.send(spectator ? EventTypes.WATCH_GAME : EventTypes.REQUEST_GAME_STATE, { gameId });
     }
 
     return () => {
@@ -152,15 +300,72 @@ function GameView() {
       unsubscribeMoveAccepted();
       unsubscribeMoveRejected();
       unsubscribeResignationAccepted();
+      unsubscribeScoringStarted();
+      unsubscribeScoringUpdate();
+      unsubscribePlayResumed();
+      unsubscribeUndoRequested();
+      unsubscribeUndoAccepted();
+      unsubscribeUndoDeclined();
+      unsubscribeServerError();
+      unsubscribeSpectatorCount();
+      unsubscribeChatMessage();
+      unsubscribeRematchOffered();
+      unsubscribeRematchDeclined();
+      unsubscribeRematchStarted();
+      unsubscribeOpponentDisconnected();
+      unsubscribeOpponentReconnected();
       unsubscribeGameEnded();
+      if (spectator && isConnected && gameId) {
+        websocketService.send(EventTypes.UNWATCH_GAME, { gameId });
+      }
     };
-  }, [gameId, isConnected]);
+  }, [gameId, isConnected, spectator]);
+
+  /**
+   * Store a clock snapshot from the server (counted down locally until the next one)
+   */
+  const updateClock = (snapshot) => {
+    setClock(snapshot || null);
+    setClockReceivedAt(Date.now());
+  };
+
+  // Re-render twice a second while a clock or the reconnect countdown is running
+  useEffect(() => {
+    if ((!clock || !clock.running) && !opponentDisconnectDeadline) return;
+    if (gameEnded) return;
+    const interval = setInterval(() => setClockTick((tick) => tick + 1), 500);
+    return () => clearInterval(interval);
+  }, [clock, opponentDisconnectDeadline, gameEnded]);
+
+  // Hide the rematch offer once the window has closed
+  useEffect(() => {
+    if (!rematchDeadline) return;
+    const timeout = setTimeout(() => setRematchDeadline(null), Math.max(0, rematchDeadline - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [rematchDeadline]);
+
+  /**
+   * Get display string for a player's clock
+   */
+  const getClockDisplay = (color) => {
+    if (!clock) return null;
+    const elapsed = clock.running === color && !gameEnded ? Date.now() - clockReceivedAt : 0;
+    return formatClock(clock[color], clock.timeControl, elapsed);
+  };
 
   /**
    * Fetch player information (name and stats) for a given player ID
    */
   const fetchPlayerInfo = async (playerId, boardSize, color) => {
-    if (!playerId) return;
+    if (!playerId) {
+      const guestInfo = { name: 'Gast', rating: 1500, rank: '30k' };
+      if (color === 'black') {
+        setBlackPlayerInfo(guestInfo);
+      } else {
+        setWhitePlayerInfo(guestInfo);
+      }
+      return;
+    }
     
     try {
       // Use the new player-info API endpoint
@@ -297,6 +502,28 @@ function GameView() {
     });
   };
 
+  const handleToggleDeadStones = (x, y) => {
+    websocketService.send(EventTypes.TOGGLE_DEAD_STONES, { gameId, x, y });
+  };
+
+  const handleAcceptScore = () => {
+    websocketService.send(EventTypes.ACCEPT_SCORE, { gameId });
+  };
+
+  const handleResumePlay = () => {
+    websocketService.send(EventTypes.RESUME_PLAY, { gameId });
+  };
+
+  const handleUndoRequest = () => {
+    setUndoStatus('Zugrücknahme angefragt...');
+    websocketService.send(EventTypes.UNDO_REQUEST, { gameId });
+  };
+
+  const handleUndoResponse = (accept) => {
+    setUndoRequest(null);
+    websocketService.send(EventTypes.UNDO_RESPONSE, { gameId, accept });
+  };
+
   const handleResign = () => {
     setShowResignConfirm(true);
   };
@@ -350,6 +577,19 @@ function GameView() {
     setShowResignConfirm(false);
   };
 
+  const handleRematchOffer = () => {
+    setRematch('offered');
+    websocketService.send(EventTypes.REMATCH_OFFER, { gameId });
+  };
+
+  const handleRematchResponse = (accept) => {
+    websocketService.send(accept ? EventTypes.REMATCH_ACCEPT : EventTypes.REMATCH_DECLINE, { gameId });
+    if (!accept) {
+      setRematch(null);
+      setRematchDeadline(null);
+    }
+  };
+
   const handleBackToHome = () => {
     // Reset all game state
     setGameState(null);
@@ -390,7 +630,12 @@ function GameView() {
   const ownInfo = playerColor === 'black' ? blackPlayerInfo : whitePlayerInfo;
   
   // Get own player name from auth if logged in
-  const ownName = auth.loggedIn && auth.user ? auth.user.username : ownInfo.name;
+  const ownName = !spectator && auth.loggedIn && auth.user ? auth.user.username : ownInfo.name;
+
+  const ownColor = playerColor === 'black' ? 'black' : 'white';
+  const opponentColor = ownColor === 'black' ? 'white' : 'black';
+  const ownClock = getClockDisplay(ownColor);
+  const opponentClock = getClockDisplay(opponentColor);
 
   return (
     <div className="game-view">
@@ -399,22 +644,44 @@ function GameView() {
           <div className="game-header__player game-header__player--opponent">
             <div className="game-header__player-name">{opponentInfo.name}</div>
             <div className="game-header__player-rank">{opponentInfo.rank} ({opponentInfo.rating})</div>
+            {opponentClock && (
+              <div className={`game-header__clock${clock.running === opponentColor && !gameEnded ? ' game-header__clock--running' : ''}`}>
+                {opponentClock}
+              </div>
+            )}
           </div>
           <div className="game-header__center">
             <div className="game-header__board-size">{boardSize}×{boardSize}</div>
             {!gameEnded && currentTurn && (
               <div className="game-header__turn">
-                {currentTurn === 'black' ? '⚫' : '⚪'} {currentTurn === playerColor ? 'Dein Zug' : 'Gegner am Zug'}
+                {currentTurn === 'black' ? '⚫' : '⚪'} {spectator
+                  ? `${currentTurn === 'black' ? 'Schwarz' : 'Weiß'} am Zug`
+                  : currentTurn === playerColor ? 'Dein Zug' : 'Gegner am Zug'}
               </div>
             )}
+            {spectatorCount > 0 && (
+              <div className="game-header__spectators">👀 {spectatorCount} Zuschauer</div>
+            )}
           </div>
           <div className="game-header__player game-header__player--own">
             <div className="game-header__player-name">{ownName}</div>
             <div className="game-header__player-rank">{ownInfo.rank} ({ownInfo.rating})</div>
+            {ownClock && (
+              <div className={`game-header__clock${clock.running === ownColor && !gameEnded ? ' game-header__clock--running' : ''}`}>
+                {ownClock}
+              </div>
+            )}
           </div>
         </div>
       </div>
 
+      {opponentDisconnectDeadline && !gameEnded && (
+        <div className="game-disconnect-banner">
+          Gegner hat die Verbindung verloren. Das Spiel wird in{' '}
+          {Math.max(0, Math.ceil((opponentDisconnectDeadline - Date.now()) / 1000))}s als aufgegeben gewertet.
+        </div>
+      )}
+
       {/* Resign Confirmation Modal */}
       {showResignConfirm && (
         <div className="resign-confirm-modal">
@@ -485,6 +752,11 @@ function GameView() {
                   <span className="score-value" style={{ fontSize: '1.2rem', color: '#2c3e50' }}>
                     {gameResult.finalScore?.black?.toFixed(1) || '0.0'}
                   </span>
+                  {gameResult.scoreBreakdown && (
+                    <span className="score-breakdown">
+                      {formatScoreBreakdown(gameResult.scoreBreakdown.black)}
+                    </span>
+                  )}
                 </div>
                 <div className="score-item" style={{ 
                   marginBottom: '0.75rem', 
@@ -498,7 +770,12 @@ function GameView() {
                   <span className="score-value" style={{ fontSize: '1.2rem', color: '#2c3e50' }}>
                     {gameResult.finalScore?.white?.toFixed(1) || '0.0'}
                   </span>
-                  {gameResult.komi > 0 && (
+                  {gameResult.scoreBreakdown && (
+                    <span className="score-breakdown">
+                      {formatScoreBreakdown(gameResult.scoreBreakdown.white)}
+                    </span>
+                  )}
+                  {!!gameResult.komi && (
                     <span className="komi" style={{ 
                       display: 'block', 
                       marginTop: '0.25rem', 
@@ -525,9 +802,37 @@ function GameView() {
               <p className="end-reason" style={{ color: '#666', fontSize: '0.9rem' }}>
                 {gameResult.reason === 'two_passes' ? 'Zwei aufeinanderfolgende Pässe' : 
                  gameResult.reason === 'resignation' ? 'Aufgabe' : 
+                 gameResult.reason === 'time_out' ? 'Zeitüberschreitung' : 
+                 gameResult.reason === 'abandonment' ? 'Verbindung abgebrochen' : 
+                 gameResult.reason === 'score' ? 'Auszählung' : 
                  gameResult.reason || 'Unbekannt'}
+                {gameResult.reason === 'score' && gameResult.rules && (
+                  ` (Regeln: ${getRuleSetLabel(gameResult.rules)})`
+                )}
               </p>
             </div>
+            {!spectator && rematchDeadline && rematchDeadline > Date.now() && rematch !== 'declined' && (
+              <div className="rematch-panel">
+                {rematch === 'received' ? (
+                  <>
+                    <p>Dein Gegner bietet eine Revanche an ({gameState?.handicap ? 'gleiche Vorgabe' : 'Farben getauscht'}).</p>
+                    <button type="button" className="pass-button" onClick={() => handleRematchResponse(true)}>
+                      Revanche annehmen
+                    </button>
+                    <button type="button" className="pass-button" onClick={() => handleRematchResponse(false)}>
+                      Ablehnen
+                    </button>
+                  </>
+                ) : (
+                  <button type="button" className="pass-button" onClick={handleRematchOffer} disabled={rematch === 'offered'}>
+                    {rematch === 'offered' ? 'Revanche angeboten...' : 'Revanche anbieten'}
+                  </button>
+                )}
+              </div>
+            )}
+            {rematch === 'declined' && (
+              <p className="rematch-panel">Dein Gegner hat die Revanche abgelehnt.</p>
+            )}
             <button 
               type="button" 
               className="back-home-button" 
@@ -546,6 +851,19 @@ function GameView() {
             >
               Zurück zum Start
             </button>
+            <a
+              className="sgf-download-link"
+              href={`/api/games/${gameId}/sgf`}
+              download
+              style={{
+                display: 'block',
+                marginTop: '0.75rem',
+                fontSize: '0.9rem',
+                color: '#3498db'
+              }}
+            >
+              Partie als SGF herunterladen
+            </a>
           </div>
         </div>
       )}
@@ -556,9 +874,11 @@ function GameView() {
             size={boardSize}
             boardState={displayBoardState}
             onMove={handleMove}
-            disabled={gameEnded || !isConnected || (playerColor ? currentTurn !== playerColor : false)}
+            disabled={spectator || gameEnded || !isConnected || (!scoring && (playerColor ? currentTurn !== playerColor : false))}
             lastMove={lastMove}
             currentTurn={currentTurn || 'black'}
+            deadStones={scoring ? scoring.deadStones : []}
+            onStoneClick={scoring ? handleToggleDeadStones : null}
           />
         </div>
 
@@ -569,20 +889,88 @@ function GameView() {
             ) : (
               <>
                 <p>Current Turn: <strong>{currentTurn || 'unknown'}</strong></p>
-                {playerColor ? (
+                {spectator ? (
+                  <p className="opponent-turn">Du schaust zu</p>
+                ) : playerColor ? (
                   <p className={currentTurn === playerColor ? 'your-turn' : 'opponent-turn'}>
                     {currentTurn === playerColor ? 'Your turn' : "Opponent's turn"}
                   </p>
                 ) : (
                   <p className="your-turn">Waiting for game to start...</p>
                 )}
-                <p>Your Color: <strong>{playerColor || 'not set'}</strong></p>
+                {!spectator && <p>Your Color: <strong>{playerColor || 'not set'}</strong></p>}
+                {gameState?.rules && (
+                  <p>Regeln: <strong>{getRuleSetLabel(gameState.rules)}</strong>, Komi {gameState.komi}</p>
+                )}
+                {gameState && (
+                  <p>{gameState.rated === false ? 'Ungewertete Partie' : 'Gewertete Partie'}</p>
+                )}
+                {gameState?.handicap && (
+                  <p>Vorgabe: <strong>{gameState.handicap.stones} Steine</strong></p>
+                )}
+                {gameState?.handicap?.stonesToPlace > 0 && (
+                  <p className="your-turn">
+                    {playerColor === 'black'
+                      ? `Setze deine Vorgabesteine (${gameState.handicap.stonesToPlace} übrig)`
+                      : 'Schwarz setzt die Vorgabesteine'}
+                  </p>
+                )}
                 <p>Connected: {isConnected ? 'Yes' : 'No'}</p>
               </>
             )}
           </div>
 
-          {!gameEnded && (
+          {!spectator && !gameEnded && scoring && (
+            <div className="scoring-panel">
+              <p className="scoring-panel__hint">
+                Beide haben gepasst. Klicke auf tote Gruppen, um sie zu markieren.
+              </p>
+              <p className="scoring-panel__score">
+                Schwarz: <strong>{scoring.score.black}</strong> · Weiß: <strong>{scoring.score.white}</strong>
+                {!!scoring.score.komi && ` (inkl. ${scoring.score.komi} Komi)`}
+              </p>
+              <p className="scoring-panel__accepted">
+                Akzeptiert: Schwarz {scoring.accepted.black ? '✓' : '–'} · Weiß {scoring.accepted.white ? '✓' : '–'}
+              </p>
+              <div className="control-buttons">
+                <button
+                  onClick={handleAcceptScore}
+                  disabled={!playerColor || scoring.accepted[playerColor]}
+                  className="pass-button"
+                >
+                  Ergebnis akzeptieren
+                </button>
+                <button
+                  onClick={handleResumePlay}
+                  className="pass-button"
+                >
+                  Weiterspielen
+                </button>
+              </div>
+            </div>
+          )}
+
+          {!spectator && !gameEnded && !scoring && undoRequest && (
+            <div className="undo-panel">
+              <p>
+                Dein Gegner möchte {undoRequest.moves === 1 ? 'seinen letzten Zug' : `die letzten ${undoRequest.moves} Züge`} zurücknehmen.
+              </p>
+              <div className="control-buttons">
+                <button onClick={() => handleUndoResponse(true)} className="pass-button">
+                  Zulassen
+                </button>
+                <button onClick={() => handleUndoResponse(false)} className="pass-button">
+                  Ablehnen
+                </button>
+              </div>
+            </div>
+          )}
+
+          {!gameEnded && !scoring && undoStatus && (
+            <p className="undo-status">{undoStatus}</p>
+          )}
+
+          {!spectator && !gameEnded && !scoring && (
             <div className="control-buttons">
               <button
                 onClick={handlePass}
@@ -591,6 +979,14 @@ function GameView() {
               >
                 Pass
               </button>
+              <button
+                onClick={handleUndoRequest}
+                disabled={!playerColor || !moves.some((move) => move.color === playerColor) || gameState?.undosLeft === 0}
+                title={gameState?.undosLeft === 0 ? 'In gewerteten Partien gibt es keine Zugrücknahme' : undefined}
+                className="pass-button"
+              >
+                Zug zurücknehmen
+              </button>
               <button
                 onClick={handleResign}
                 className="resign-button"
@@ -599,6 +995,10 @@ function GameView() {
               </button>
             </div>
           )}
+
+          {!gameEnded && (playerColor || spectator) && (
+            <GameChat gameId={gameId} messages={chatMessages} spectator={spectator} />
+          )}
         </div>
       </div>
     </div>
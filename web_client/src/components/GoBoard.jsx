@@ -7,20 +7,22 @@ import './GoBoard.css';
  * Renders the Go board and handles stone placement.
  * 
  * Props:
- * - size: Board size (9, 13, or 19)
+ * - size: Board size (5 to 25)
  * - boardState: 2D array representing current board state (null, 'black', 'white')
  * - onMove: Callback function when a move is made (x, y)
  * - disabled: Whether the board is disabled for input
  * - lastMove: {x, y} coordinates of the last move to highlight
  * - currentTurn: 'black' or 'white' - determines hover stone color
+ * - deadStones: Array of {x, y} stones marked dead in the scoring phase
+ * - onStoneClick: If set, clicks on stones call it (x, y) instead of placing stones (dead stone marking)
  */
-function GoBoard({ size = 19, boardState, onMove, disabled = false, lastMove = null, currentTurn = 'black' }) {
+function GoBoard({ size = 19, boardState, onMove, disabled = false, lastMove = null, currentTurn = 'black', deadStones = [], onStoneClick = null }) {
   const [hoveredIntersection, setHoveredIntersection] = useState(null);
   const boardRef = useRef(null);
   const [boardRect, setBoardRect] = useState(null);
 
   // Calculate board dimensions with padding
-  const baseCellSize = size === 9 ? 50 : size === 13 ? 40 : 30;
+  const baseCellSize = size <= 9 ? 50 : size <= 13 ? 40 : size <= 19 ? 30 : 26;
   const stoneRadius = baseCellSize * 0.4;
   // Ensure padding is at least stoneRadius to prevent edge clipping
   const padding = Math.max(stoneRadius + 8, stoneRadius * 1.5);
@@ -117,7 +119,12 @@ function GoBoard({ size = 19, boardState, onMove, disabled = false, lastMove = n
       const { x, y } = intersection;
       
       // Check if intersection is already occupied
-      if (boardState && boardState[y] && boardState[y][x] !== null) {
+      const occupied = boardState && boardState[y] && boardState[y][x] !== null;
+      if (onStoneClick) {
+        if (occupied) onStoneClick(x, y);
+        return;
+      }
+      if (occupied) {
         return;
       }
 
@@ -130,7 +137,7 @@ function GoBoard({ size = 19, boardState, onMove, disabled = false, lastMove = n
    * @param {MouseEvent} e - Mouse event
    */
   const handleMouseMove = (e) => {
-    if (disabled) {
+    if (disabled || onStoneClick) {
       setHoveredIntersection(null);
       return;
     }
@@ -187,11 +194,30 @@ function GoBoard({ size = 19, boardState, onMove, disabled = false, lastMove = n
         { x: 6, y: 2 },   // Bottom-left corner
         { x: 6, y: 6 }    // Bottom-right corner
       ];
+    } else if (size >= 7) {
+      // Other sizes: corners, plus center (and sides from 19x19 up) on odd boards
+      const edge = size >= 13 ? 3 : 2;
+      const far = size - 1 - edge;
+      const points = [
+        { x: edge, y: edge },
+        { x: edge, y: far },
+        { x: far, y: edge },
+        { x: far, y: far }
+      ];
+      if (size % 2 === 1) {
+        const mid = (size - 1) / 2;
+        points.push({ x: mid, y: mid });
+        if (size >= 19) {
+          points.push({ x: edge, y: mid }, { x: far, y: mid }, { x: mid, y: edge }, { x: mid, y: far });
+        }
+      }
+      return points;
     }
     return [];
   };
 
   const starPoints = getStarPoints();
+  const deadStoneKeys = new Set(deadStones.map((pos) => `${pos.x},${pos.y}`));
 
   // Calculate intersection position (with padding)
   const getIntersectionPos = (x, y) => {
@@ -274,16 +300,28 @@ function GoBoard({ size = 19, boardState, onMove, disabled = false, lastMove = n
           row.map((cell, x) => {
             if (cell === null) return null;
             const pos = getIntersectionPos(x, y);
+            const isDead = deadStoneKeys.has(`${x},${y}`);
+            const markSize = stoneRadius * 0.4;
             return (
-              <circle
-                key={`${x}-${y}`}
-                cx={pos.x}
-                cy={pos.y}
-                r={stoneRadius}
-                fill={cell === 'black' ? '#000' : '#fff'}
-                stroke="#000"
-                strokeWidth="1"
-              />
+              <React.Fragment key={`${x}-${y}`}>
+                <circle
+                  cx={pos.x}
+                  cy={pos.y}
+                  r={stoneRadius}
+                  fill={cell === 'black' ? '#000' : '#fff'}
+                  stroke="#000"
+                  strokeWidth="1"
+                  opacity={isDead ? 0.4 : 1}
+                />
+                {/* Dead stone marker */}
+                {isDead && (
+                  <path
+                    d={`M ${pos.x - markSize} ${pos.y - markSize} L ${pos.x + markSize} ${pos.y + markSize} M ${pos.x + markSize} ${pos.y - markSize} L ${pos.x - markSize} ${pos.y + markSize}`}
+                    stroke="#e74c3c"
+                    strokeWidth="2"
+                  />
+                )}
+              </React.Fragment>
             );
           })
         )}
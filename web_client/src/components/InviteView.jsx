@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { websocketService } from '../services/websocket';
+import { EventTypes } from '../constants/events';
+import Card from './ui/Card';
+import Button from './ui/Button';
+import './InviteView.css';
+
+// Errors the server gives for an invite that can't be used
+const INVITE_ERRORS = {
+  'Invite is no longer available': 'Diese Einladung ist abgelaufen oder wurde schon angenommen.',
+  'You cannot accept your own invite': 'Das ist deine eigene Einladung. Schicke den Link an deinen Mitspieler.'
+};
+
+/**
+ * Invite View Component
+ *
+ * Opens a private invite link (/invite/:token): accepts the invite as
+ * guest or account and moves on to the game once it is created.
+ */
+function InviteView() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const acceptedRef = useRef(false);
+
+  useEffect(() => {
+    const accept = () => {
+      if (acceptedRef.current) return;
+      acceptedRef.current = true;
+      websocketService.send(EventTypes.INVITE_ACCEPT, { token });
+    };
+
+    const unsubscribeConnected = websocketService.on('connected', accept);
+    const unsubscribeMatchFound = websocketService.on(EventTypes.MATCH_FOUND, (data) => {
+      navigate(`/game/${data.gameId}`);
+    });
+    const unsubscribeError = websocketService.on(EventTypes.ERROR, (data) => {
+      setError(INVITE_ERRORS[data.error] || data.error);
+    });
+
+    websocketService.connect().then(() => {
+      if (websocketService.isConnected()) {
+        accept();
+      }
+    }).catch(() => {
+      setError('Keine Verbindung zum Server.');
+    });
+
+    return () => {
+      unsubscribeConnected();
+      unsubscribeMatchFound();
+      unsubscribeError();
+    };
+  }, [token, navigate]);
+
+  return (
+    <div className="invite-view">
+      <Card>
+        <h2 className="invite-view__title">Einladung zu einer Partie</h2>
+        {error ? (
+          <>
+            <p className="invite-view__error">{error}</p>
+            <Button variant="secondary" onClick={() => navigate('/')}>
+              Zur Startseite
+            </Button>
+          </>
+        ) : (
+          <p>Partie wird gestartet...</p>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default InviteView;
@@ -1,29 +1,52 @@
 import React, { useState, useEffect } from 'react';
 import Card from './ui/Card';
 import Chip from './ui/Chip';
+import Button from './ui/Button';
+import SegmentedControl from './ui/SegmentedControl';
+import { TIME_CATEGORY_OPTIONS, getTimeCategoryLabel } from '../constants/timeCategories';
 import './LeaderboardView.css';
 
+// Rating pool filters ('all' = no filter)
+const BOARD_SIZE_FILTERS = [
+  { value: 'all', label: 'Alle' },
+  ...[7, 9, 11, 13, 19, 21].map(size => ({ value: String(size), label: `${size}×${size}` }))
+];
+const TIME_CATEGORY_FILTERS = [
+  { value: 'all', label: 'Alle' },
+  ...TIME_CATEGORY_OPTIONS.map(option => ({ value: option.id, label: option.label }))
+];
+
 /**
  * Leaderboard View Component
  * 
- * Displays top 10 players ranked by rating
+ * Displays top 10 players ranked by rating, optionally in one rating pool
+ * (board size and time control category); online players can be
+ * challenged directly (onChallenge)
  */
-function LeaderboardView() {
+function LeaderboardView({ onChallenge = null, ownId = null }) {
   const [leaderboard, setLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [boardSizeFilter, setBoardSizeFilter] = useState('all');
+  const [timeCategoryFilter, setTimeCategoryFilter] = useState('all');
 
   useEffect(() => {
     fetchLeaderboard();
-  }, []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [boardSizeFilter, timeCategoryFilter]);
 
   const fetchLeaderboard = async () => {
     setLoading(true);
     setError(null);
     
     try {
-      console.log('[LeaderboardView] Fetching leaderboard...');
-      const response = await fetch('/api/leaderboard', {
+      const params = new URLSearchParams();
+      if (boardSizeFilter !== 'all') params.set('boardSize', boardSizeFilter);
+      if (timeCategoryFilter !== 'all') params.set('timeCategory', timeCategoryFilter);
+      const query = params.toString();
+
+      console.log('[LeaderboardView] Fetching leaderboard...', query);
+      const response = await fetch(`/api/leaderboard${query ? `?${query}` : ''}`, {
         credentials: 'include',
         headers: {
           'Content-Type': 'application/json'
@@ -87,82 +110,114 @@ function LeaderboardView() {
     return '30k'; // Default fallback
   };
 
-  if (loading) {
-    return (
-      <div className="leaderboard-view">
-        <Card>
-          <div style={{ textAlign: 'center', padding: '2rem' }}>
-            <p>Lade Rangliste...</p>
-          </div>
-        </Card>
-      </div>
-    );
-  }
+  const poolLabel = [
+    boardSizeFilter !== 'all' ? `${boardSizeFilter}×${boardSizeFilter}` : null,
+    timeCategoryFilter !== 'all' ? getTimeCategoryLabel(timeCategoryFilter) : null
+  ].filter(Boolean).join(', ');
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div style={{ textAlign: 'center', padding: '2rem' }}>
+          <p>Lade Rangliste...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div style={{ textAlign: 'center', padding: '2rem' }}>
+          <p style={{ color: 'var(--color-error)' }}>Fehler: {error}</p>
+          <button
+            onClick={fetchLeaderboard}
+            style={{
+              marginTop: '1rem',
+              padding: '0.5rem 1rem',
+              backgroundColor: 'var(--color-primary)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Erneut versuchen
+          </button>
+        </div>
+      );
+    }
+
+    if (leaderboard.length === 0) {
+      return (
+        <div style={{ textAlign: 'center', padding: '2rem' }}>
+          <p>Noch keine Spieler in der Rangliste.</p>
+        </div>
+      );
+    }
 
-  if (error) {
     return (
-      <div className="leaderboard-view">
-        <Card>
-          <div style={{ textAlign: 'center', padding: '2rem' }}>
-            <p style={{ color: 'var(--color-error)' }}>Fehler: {error}</p>
-            <button
-              onClick={fetchLeaderboard}
-              style={{
-                marginTop: '1rem',
-                padding: '0.5rem 1rem',
-                backgroundColor: 'var(--color-primary)',
-                color: 'white',
-                border: 'none',
-                borderRadius: '6px',
-                cursor: 'pointer'
-              }}
-            >
-              Erneut versuchen
-            </button>
+      <div className="leaderboard-list">
+        {leaderboard.map((player, index) => (
+          <div key={player.id || index} className="leaderboard-item">
+            <div className="leaderboard-rank">
+              {getRankDisplay(index + 1)}
+            </div>
+            <div className="leaderboard-player">
+              <div className="leaderboard-username">
+                {player.username || (player.isGuest ? 'Gast' : 'Unbekannt')}
+              </div>
+              {player.isGuest && (
+                <Chip variant="default" size="sm">Gast</Chip>
+              )}
+              {player.online && (
+                <Chip variant="success" size="sm">Online</Chip>
+              )}
+            </div>
+            {onChallenge && player.online && player.id !== ownId && (
+              <Button size="sm" variant="secondary" onClick={() => onChallenge(player)}>
+                Herausfordern
+              </Button>
+            )}
+            <div className="leaderboard-stats">
+              <div className="leaderboard-rating">
+                <span className="leaderboard-rating-value">{Math.round(player.rating)}</span>
+                <span className="leaderboard-rank-display">{formatRank(player.rating)}</span>
+              </div>
+              <div className="leaderboard-games">
+                {player.games || 0} Spiele
+              </div>
+            </div>
           </div>
-        </Card>
+        ))}
       </div>
     );
-  }
+  };
 
   return (
     <div className="leaderboard-view">
       <Card>
         <h2 className="leaderboard-title">Rangliste</h2>
-        <p className="leaderboard-subtitle">Top 10 Spieler nach Rating</p>
-        
-        {leaderboard.length === 0 ? (
-          <div style={{ textAlign: 'center', padding: '2rem' }}>
-            <p>Noch keine Spieler in der Rangliste.</p>
-          </div>
-        ) : (
-          <div className="leaderboard-list">
-            {leaderboard.map((player, index) => (
-              <div key={player.id || index} className="leaderboard-item">
-                <div className="leaderboard-rank">
-                  {getRankDisplay(index + 1)}
-                </div>
-                <div className="leaderboard-player">
-                  <div className="leaderboard-username">
-                    {player.username || (player.isGuest ? 'Gast' : 'Unbekannt')}
-                  </div>
-                  {player.isGuest && (
-                    <Chip variant="default" size="sm">Gast</Chip>
-                  )}
-                </div>
-                <div className="leaderboard-stats">
-                  <div className="leaderboard-rating">
-                    <span className="leaderboard-rating-value">{Math.round(player.rating)}</span>
-                    <span className="leaderboard-rank-display">{formatRank(player.rating)}</span>
-                  </div>
-                  <div className="leaderboard-games">
-                    {player.games || 0} Spiele
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
+        <p className="leaderboard-subtitle">
+          Top 10 Spieler nach Rating{poolLabel ? ` (${poolLabel})` : ''}
+        </p>
+
+        <div className="leaderboard-filters">
+          <SegmentedControl
+            options={BOARD_SIZE_FILTERS}
+            value={boardSizeFilter}
+            onChange={setBoardSizeFilter}
+            className="leaderboard-filter"
+            aria-label="Brettgröße"
+          />
+          <SegmentedControl
+            options={TIME_CATEGORY_FILTERS}
+            value={timeCategoryFilter}
+            onChange={setTimeCategoryFilter}
+            className="leaderboard-filter"
+            aria-label="Bedenkzeit"
+          />
+        </div>
+
+        {renderContent()}
       </Card>
     </div>
   );
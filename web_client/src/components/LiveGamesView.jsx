@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Card from './ui/Card';
+import Button from './ui/Button';
+import { getRuleSetLabel } from '../constants/ruleSets';
+import './LiveGamesView.css';
+
+/**
+ * Live Games View Component
+ *
+ * Lists the games that are being played right now; any of them can be
+ * watched as a spectator.
+ */
+function LiveGamesView() {
+  const navigate = useNavigate();
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchLiveGames();
+  }, []);
+
+  const fetchLiveGames = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/games/live', {
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch live games: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setGames(data.games || []);
+    } catch (err) {
+      console.error('[LiveGamesView] Error fetching live games:', err);
+      setError('Laufende Partien konnten nicht geladen werden');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="live-games-view">
+      <Card>
+        <div className="live-games-view__header">
+          <h2 className="live-games-view__title">Laufende Partien</h2>
+          <Button size="sm" variant="secondary" onClick={fetchLiveGames} disabled={loading}>
+            Aktualisieren
+          </Button>
+        </div>
+
+        {loading && <p>Lade Partien...</p>}
+        {error && <p className="live-games-view__error">{error}</p>}
+        {!loading && !error && games.length === 0 && (
+          <p>Gerade läuft keine Partie.</p>
+        )}
+
+        <div className="live-games-view__list">
+          {games.map((game) => (
+            <div key={game.gameId} className="live-games-view__item">
+              <div className="live-games-view__players">
+                <strong>⚫ {game.black.name}</strong> ({game.black.rank})
+                {' – '}
+                <strong>⚪ {game.white.name}</strong> ({game.white.rank})
+              </div>
+              <div className="live-games-view__meta">
+                {game.boardSize}×{game.boardSize}, {getRuleSetLabel(game.rules)}, Komi {game.komi}
+                {game.handicap && `, Vorgabe: ${game.handicap.stones} Steine`}
+                {` · Zug ${game.moveCount}`}
+                {game.status === 'scoring' && ' · Auszählung'}
+                {game.spectators > 0 && ` · 👀 ${game.spectators}`}
+              </div>
+              <Button size="sm" onClick={() => navigate(`/watch/${game.gameId}`)}>
+                Zuschauen
+              </Button>
+            </div>
+          ))}
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+export default LiveGamesView;
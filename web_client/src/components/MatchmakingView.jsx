@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { websocketService } from '../services/websocket';
 import { EventTypes } from '../constants/events';
+import { RULE_SET_OPTIONS } from '../constants/ruleSets';
+import { TIME_CATEGORY_OPTIONS, getTimeCategoryLabel } from '../constants/timeCategories';
 import { getGuestUserId } from '../utils/guestId';
 import { useAuth } from '../App';
 import { logout } from '../services/auth';
@@ -14,8 +16,40 @@ import { useToast } from './ui/ToastContainer';
 import { useTab } from './AppShell';
 import SettingsView from './SettingsView';
 import LeaderboardView from './LeaderboardView';
+import ChallengePanel, { buildChallengeSettings } from './ChallengePanel';
+import RatingHistoryChart from './RatingHistoryChart';
 import './MatchmakingView.css';
 
+// Board sizes offered in the queue and stats (the server allows 5x5 to 25x25)
+const BOARD_SIZES = [7, 9, 11, 13, 19, 21];
+
+// Time control presets offered in the queue (null = no clock)
+const TIME_CONTROL_PRESETS = [
+  { id: 'none', label: 'Ohne Uhr', timeControl: null },
+  { id: 'byoyomi-5', label: '5 Min + 3×30s', timeControl: { type: 'byoyomi', minutes: 5, byoYomi: 30, periods: 3 } },
+  { id: 'byoyomi-10', label: '10 Min + 5×30s', timeControl: { type: 'byoyomi', minutes: 10, byoYomi: 30, periods: 5 } },
+  { id: 'fischer-10', label: '10 Min + 10s', timeControl: { type: 'fischer', minutes: 10, increment: 10 } },
+  { id: 'canadian-20', label: '20 Min + 5 Min/25', timeControl: { type: 'canadian', minutes: 20, byoYomi: 300, stones: 25 } }
+];
+
+// Handicap modes offered in the queue ('auto' = stones from the rating gap)
+const HANDICAP_OPTIONS = [
+  { id: 'even', label: 'Gleiches Spiel' },
+  { id: 'auto', label: 'Nach Rating' }
+];
+
+// Rated games change the rating; unrated games allow undos and count as casual games
+const RATED_OPTIONS = [
+  { id: 'rated', label: 'Gewertet' },
+  { id: 'unrated', label: 'Ungewertet' }
+];
+
+// Komi modes offered in the queue ('default' = komi of rules and board size)
+const KOMI_OPTIONS = [
+  { id: 'default', label: 'Standard' },
+  { id: 'custom', label: 'Eigenes' }
+];
+
 /**
  * Matchmaking View Component
  * 
@@ -25,24 +59,37 @@ function MatchmakingView({ onMatchFound }) {
   const { auth, refreshAuth } = useAuth();
   const { activeTab } = useTab(); // Get activeTab from AppShell context (tabs are in header)
   const [boardSize, setBoardSize] = useState(19);
+  const [statsCategory, setStatsCategory] = useState('untimed'); // rating pool shown in the stats
+  const [timeControlPreset, setTimeControlPreset] = useState('none');
+  const [rules, setRules] = useState('chinese');
+  const [handicapMode, setHandicapMode] = useState('even');
+  const [ratedMode, setRatedMode] = useState('rated');
+  const [komiMode, setKomiMode] = useState('default'); // 'default' or 'custom'
+  const [customKomi, setCustomKomi] = useState('6.5');
   const [isInQueue, setIsInQueue] = useState(false);
   const [isJoining, setIsJoining] = useState(false); // Flag to prevent duplicate join_queue
   const [isConnected, setIsConnected] = useState(false);
   const [queuePosition, setQueuePosition] = useState(null);
+  const [queueCategory, setQueueCategory] = useState(null);
   const [connectionError, setConnectionError] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [authModalOpen, setAuthModalOpen] = useState(false);
+  const { showToast } = useToast();
   
   // Initialize with safe defaults to prevent crashes
   const defaultStats = {
     rating: 1500,
+    ratingDeviation: 350,
+    provisional: true,
     rankDisplay: '30k',
     games: 0,
     wins: 0,
     losses: 0,
     draws: 0,
     winrate: 0,
-    highestRating: 1500
+    highestRating: 1500,
+    casual: { games: 0, wins: 0, losses: 0, draws: 0 },
+    poolStats: { games: 0, wins: 0, losses: 0, draws: 0 }
   };
   
   const [playerStats, setPlayerStats] = useState(defaultStats);
@@ -51,15 +98,15 @@ function MatchmakingView({ onMatchFound }) {
   const navigate = useNavigate();
   
   // Fetch stats from REST API
-  const fetchStats = async (boardSizeToFetch) => {
+  const fetchStats = async (boardSizeToFetch, categoryToFetch = statsCategory) => {
     setStatsLoading(true);
     setStatsError(null);
     
     try {
-      // Build URL: always include boardSize
+      // Build URL: always include boardSize and the rating pool's time category
       // For accounts: backend reads from session cookie (do NOT pass guestId)
       // For guests: pass guestId in X-Guest-Id header (preferred) or query param
-      let url = `/api/stats?boardSize=${boardSizeToFetch}`;
+      let url = `/api/stats?boardSize=${boardSizeToFetch}&timeCategory=${categoryToFetch}`;
       const guestId = getGuestUserId();
       
       const identityType = auth.loggedIn && auth.user ? 'account' : 'guest';
@@ -122,13 +169,17 @@ function MatchmakingView({ onMatchFound }) {
       // Safely extract stats with defaults
       setPlayerStats({
         rating: data.rating ?? defaultStats.rating,
+        ratingDeviation: data.ratingDeviation ?? defaultStats.ratingDeviation,
+        provisional: data.provisional ?? defaultStats.provisional,
         rankDisplay: data.rankDisplay ?? defaultStats.rankDisplay,
         games: data.stats.games ?? defaultStats.games,
         wins: data.stats.wins ?? defaultStats.wins,
         losses: data.stats.losses ?? defaultStats.losses,
         draws: data.stats.draws ?? defaultStats.draws,
         winrate: data.stats.winrate ?? defaultStats.winrate,
-        highestRating: data.stats.highestRating ?? defaultStats.highestRating
+        highestRating: data.stats.highestRating ?? defaultStats.highestRating,
+        casual: data.casual ?? defaultStats.casual,
+        poolStats: data.poolStats ?? defaultStats.poolStats
       });
     } catch (error) {
       console.error('[MatchmakingView] Error fetching stats:', error);
@@ -139,13 +190,13 @@ function MatchmakingView({ onMatchFound }) {
     }
   };
 
-  // Fetch stats on mount, when boardSize changes, or when auth state changes
+  // Fetch stats on mount, when boardSize or the rating pool changes, or when auth state changes
   useEffect(() => {
     if (!auth.loading) {
       fetchStats(boardSize);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [boardSize, auth.loggedIn, auth.user?.id, auth.loading]);
+  }, [boardSize, statsCategory, auth.loggedIn, auth.user?.id, auth.loading]);
 
   useEffect(() => {
     // Connect to WebSocket
@@ -206,6 +257,7 @@ function MatchmakingView({ onMatchFound }) {
       
       // Always clear joining flag when we get a response
       setIsJoining(false);
+      setQueueCategory(data.timeCategory || null);
       
       // Set queue status based on server response
       if (data.in_queue) {
@@ -241,6 +293,11 @@ function MatchmakingView({ onMatchFound }) {
       navigate(`/game/${data.gameId}`);
     });
 
+    // Incoming challenges also show up outside the play tab
+    const unsubscribeChallengeReceived = websocketService.on(EventTypes.CHALLENGE_RECEIVED, (data) => {
+      showToast(`${data.from.name} fordert dich heraus (${data.settings.boardSize}×${data.settings.boardSize})`, 'info');
+    });
+
     // Listen for server errors
     const unsubscribeServerError = websocketService.on(EventTypes.ERROR, (data) => {
       console.error('[MatchmakingView] Server error:', data.error);
@@ -265,23 +322,27 @@ function MatchmakingView({ onMatchFound }) {
         return;
       }
       
-      // Update stats if boardSize matches current view
-      if (data.boardSize === boardSize) {
+      // Update stats if board size and rating pool match the current view
+      if (data.boardSize === boardSize && (data.timeCategory || 'untimed') === statsCategory) {
         console.log(`[MatchmakingView] ✅ Updating stats from WS - identity: ${data.identity?.type || 'unknown'}:${data.identity?.id || 'unknown'}, games: ${data.stats.games}, rating: ${data.rating}`);
         
         // Safely update stats with validation
         setPlayerStats({
           rating: data.rating ?? defaultStats.rating,
+          ratingDeviation: data.ratingDeviation ?? defaultStats.ratingDeviation,
+          provisional: data.provisional ?? defaultStats.provisional,
           rankDisplay: data.rankDisplay ?? defaultStats.rankDisplay,
           games: data.stats.games ?? defaultStats.games,
           wins: data.stats.wins ?? defaultStats.wins,
           losses: data.stats.losses ?? defaultStats.losses,
           draws: data.stats.draws ?? defaultStats.draws,
           winrate: data.stats.winrate ?? defaultStats.winrate,
-          highestRating: data.stats.highestRating ?? defaultStats.highestRating
+          highestRating: data.stats.highestRating ?? defaultStats.highestRating,
+          casual: data.casual ?? defaultStats.casual,
+          poolStats: data.poolStats ?? defaultStats.poolStats
         });
       } else {
-        console.log(`[MatchmakingView] Stats update for boardSize ${data.boardSize}, current view is ${boardSize} - ignoring`);
+        console.log(`[MatchmakingView] Stats update for ${data.boardSize} ${data.timeCategory}, current view is ${boardSize} ${statsCategory} - ignoring`);
       }
     });
     
@@ -321,6 +382,7 @@ function MatchmakingView({ onMatchFound }) {
       unsubscribeQueueJoined();
       unsubscribeQueueLeft();
       unsubscribeMatchFound();
+      unsubscribeChallengeReceived();
       unsubscribeServerError();
       unsubscribeStatsUpdate();
       unsubscribeGameEnded();
@@ -342,7 +404,7 @@ function MatchmakingView({ onMatchFound }) {
       window.removeEventListener('pagehide', cleanup);
       cleanupOnUnmount();
     };
-  }, [navigate, onMatchFound, boardSize, isInQueue]);
+  }, [navigate, onMatchFound, boardSize, statsCategory, isInQueue, showToast]);
 
   const handleRetry = () => {
     console.log('[MatchmakingView] Retrying connection...');
@@ -359,6 +421,15 @@ function MatchmakingView({ onMatchFound }) {
     });
   };
 
+  // Game settings selected for the queue (challenges start with the same settings)
+  const preset = TIME_CONTROL_PRESETS.find(p => p.id === timeControlPreset);
+  const gameSettings = {
+    boardSize,
+    timeControl: preset ? preset.timeControl : null,
+    rules,
+    komi: komiMode === 'custom' ? Number(customKomi) : null
+  };
+
   const handleJoinQueue = () => {
     if (!isConnected) {
       alert('Nicht mit Server verbunden. Bitte warten...');
@@ -380,6 +451,11 @@ function MatchmakingView({ onMatchFound }) {
     
     websocketService.send(EventTypes.JOIN_QUEUE, {
       boardSize,
+      timeControl: preset ? preset.timeControl : null,
+      rules,
+      handicap: handicapMode,
+      komi: komiMode === 'custom' ? Number(customKomi) : null,
+      rated: ratedMode === 'rated',
       guestId // Include for safety
     });
     
@@ -394,6 +470,15 @@ function MatchmakingView({ onMatchFound }) {
     setQueuePosition(null);
   };
 
+  // Challenge a player from the leaderboard (random colours, rated)
+  const handleChallengePlayer = (player) => {
+    websocketService.send(EventTypes.CHALLENGE_SEND, {
+      playerId: player.id,
+      settings: buildChallengeSettings(gameSettings)
+    });
+    showToast(`Herausforderung an ${player.username || 'Gast'} gesendet`, 'success');
+  };
+
   const handleLogout = async () => {
     await logout();
     await refreshAuth();
@@ -423,8 +508,8 @@ function MatchmakingView({ onMatchFound }) {
               <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
                 Brettgröße:
               </label>
-              <div style={{ display: 'flex', gap: '0.5rem' }}>
-                {[9, 13, 19].map(size => (
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {BOARD_SIZES.map(size => (
                   <button
                     key={size}
                     onClick={() => setBoardSize(size)}
@@ -449,6 +534,188 @@ function MatchmakingView({ onMatchFound }) {
                 ))}
               </div>
             </div>
+
+            {/* Time Control Selector */}
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
+                Bedenkzeit:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {TIME_CONTROL_PRESETS.map(preset => (
+                  <button
+                    key={preset.id}
+                    onClick={() => setTimeControlPreset(preset.id)}
+                    disabled={isInQueue || isJoining}
+                    style={{
+                      flex: 1,
+                      padding: '0.5rem 0.75rem',
+                      fontSize: '0.9rem',
+                      border: '2px solid',
+                      borderColor: timeControlPreset === preset.id ? '#3498db' : '#e0e0e0',
+                      borderRadius: '8px',
+                      backgroundColor: timeControlPreset === preset.id ? '#e3f2fd' : 'white',
+                      color: timeControlPreset === preset.id ? '#3498db' : '#666',
+                      cursor: isInQueue ? 'not-allowed' : 'pointer',
+                      fontWeight: timeControlPreset === preset.id ? '600' : '400',
+                      whiteSpace: 'nowrap',
+                      transition: 'all 0.2s',
+                      opacity: isInQueue ? 0.6 : 1
+                    }}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Rules Selector */}
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
+                Regeln:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {RULE_SET_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setRules(option.id)}
+                    disabled={isInQueue || isJoining}
+                    title={option.description}
+                    style={{
+                      flex: 1,
+                      padding: '0.5rem 0.75rem',
+                      fontSize: '0.9rem',
+                      border: '2px solid',
+                      borderColor: rules === option.id ? '#3498db' : '#e0e0e0',
+                      borderRadius: '8px',
+                      backgroundColor: rules === option.id ? '#e3f2fd' : 'white',
+                      color: rules === option.id ? '#3498db' : '#666',
+                      cursor: isInQueue ? 'not-allowed' : 'pointer',
+                      fontWeight: rules === option.id ? '600' : '400',
+                      whiteSpace: 'nowrap',
+                      transition: 'all 0.2s',
+                      opacity: isInQueue ? 0.6 : 1
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Handicap Selector */}
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
+                Vorgabe:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {HANDICAP_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setHandicapMode(option.id)}
+                    disabled={isInQueue || isJoining}
+                    style={{
+                      flex: 1,
+                      padding: '0.5rem 0.75rem',
+                      fontSize: '0.9rem',
+                      border: '2px solid',
+                      borderColor: handicapMode === option.id ? '#3498db' : '#e0e0e0',
+                      borderRadius: '8px',
+                      backgroundColor: handicapMode === option.id ? '#e3f2fd' : 'white',
+                      color: handicapMode === option.id ? '#3498db' : '#666',
+                      cursor: isInQueue ? 'not-allowed' : 'pointer',
+                      fontWeight: handicapMode === option.id ? '600' : '400',
+                      whiteSpace: 'nowrap',
+                      transition: 'all 0.2s',
+                      opacity: isInQueue ? 0.6 : 1
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Rated Selector */}
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
+                Wertung:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {RATED_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setRatedMode(option.id)}
+                    disabled={isInQueue || isJoining}
+                    style={{
+                      flex: 1,
+                      padding: '0.5rem 0.75rem',
+                      fontSize: '0.9rem',
+                      border: '2px solid',
+                      borderColor: ratedMode === option.id ? '#3498db' : '#e0e0e0',
+                      borderRadius: '8px',
+                      backgroundColor: ratedMode === option.id ? '#e3f2fd' : 'white',
+                      color: ratedMode === option.id ? '#3498db' : '#666',
+                      cursor: isInQueue ? 'not-allowed' : 'pointer',
+                      fontWeight: ratedMode === option.id ? '600' : '400',
+                      whiteSpace: 'nowrap',
+                      transition: 'all 0.2s',
+                      opacity: isInQueue ? 0.6 : 1
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Komi Selector */}
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
+                Komi:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {KOMI_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setKomiMode(option.id)}
+                    disabled={isInQueue || isJoining}
+                    style={{
+                      flex: 1,
+                      padding: '0.5rem 0.75rem',
+                      fontSize: '0.9rem',
+                      border: '2px solid',
+                      borderColor: komiMode === option.id ? '#3498db' : '#e0e0e0',
+                      borderRadius: '8px',
+                      backgroundColor: komiMode === option.id ? '#e3f2fd' : 'white',
+                      color: komiMode === option.id ? '#3498db' : '#666',
+                      cursor: isInQueue ? 'not-allowed' : 'pointer',
+                      fontWeight: komiMode === option.id ? '600' : '400',
+                      whiteSpace: 'nowrap',
+                      transition: 'all 0.2s',
+                      opacity: isInQueue ? 0.6 : 1
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+                {komiMode === 'custom' && (
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={customKomi}
+                    onChange={(e) => setCustomKomi(e.target.value)}
+                    disabled={isInQueue || isJoining}
+                    style={{
+                      width: '5rem',
+                      padding: '0.5rem',
+                      fontSize: '0.9rem',
+                      border: '2px solid #e0e0e0',
+                      borderRadius: '8px'
+                    }}
+                  />
+                )}
+              </div>
+            </div>
             
             {(!isConnected || isConnecting || connectionError) ? (
               <div className="connection-status">
@@ -520,6 +787,7 @@ function MatchmakingView({ onMatchFound }) {
                     {queuePosition && (
                       <p className="queue-position" style={{ fontSize: '0.9rem', color: '#666', marginTop: '0.5rem' }}>
                         Position in Warteschlange: {queuePosition}
+                        {queueCategory && ` · ${boardSize}×${boardSize} ${getTimeCategoryLabel(queueCategory)}`}
                       </p>
                     )}
                     <button 
@@ -547,6 +815,8 @@ function MatchmakingView({ onMatchFound }) {
             )}
           </div>
           
+          <ChallengePanel isConnected={isConnected} settings={gameSettings} />
+
           {/* Login Hinweis für Gäste */}
           {!auth.loggedIn && !auth.loading && (
             <div className="login-hint" style={{
@@ -567,12 +837,46 @@ function MatchmakingView({ onMatchFound }) {
               </span>
             </div>
           )}
+
+          {/* SGF review board and live games */}
+          <div style={{ marginTop: '1rem', textAlign: 'center', fontSize: 'var(--font-size-sm)' }}>
+            <button
+              type="button"
+              onClick={() => navigate('/review')}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#3498db',
+                cursor: 'pointer',
+                fontSize: 'inherit'
+              }}
+            >
+              SGF-Datei ansehen
+            </button>
+            {' · '}
+            <button
+              type="button"
+              onClick={() => navigate('/live')}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#3498db',
+                cursor: 'pointer',
+                fontSize: 'inherit'
+              }}
+            >
+              Laufende Partien ansehen
+            </button>
+          </div>
         </div>
       )}
 
       {/* Einstellungen Tab Content */}
       {activeTab === 'rangliste' && (
-        <LeaderboardView />
+        <LeaderboardView
+          onChallenge={isConnected ? handleChallengePlayer : null}
+          ownId={auth.loggedIn && auth.user ? auth.user.id : getGuestUserId()}
+        />
       )}
 
       {activeTab === 'einstellungen' && (
@@ -677,8 +981,8 @@ function MatchmakingView({ onMatchFound }) {
               <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
                 Brettgröße:
               </label>
-              <div style={{ display: 'flex', gap: '0.5rem' }}>
-                {[9, 13, 19].map(size => (
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {BOARD_SIZES.map(size => (
                   <button
                     key={size}
                     onClick={() => setBoardSize(size)}
@@ -702,6 +1006,36 @@ function MatchmakingView({ onMatchFound }) {
               </div>
             </div>
 
+            {/* Rating Pool Selector (ratings are kept per board size and time control category) */}
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#666', fontWeight: '500' }}>
+                Bedenkzeit:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {TIME_CATEGORY_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setStatsCategory(option.id)}
+                    style={{
+                      flex: 1,
+                      padding: '0.75rem',
+                      fontSize: '1rem',
+                      border: '2px solid',
+                      borderColor: statsCategory === option.id ? '#3498db' : '#e0e0e0',
+                      borderRadius: '8px',
+                      backgroundColor: statsCategory === option.id ? '#e3f2fd' : 'white',
+                      color: statsCategory === option.id ? '#3498db' : '#666',
+                      cursor: 'pointer',
+                      fontWeight: statsCategory === option.id ? '600' : '400',
+                      transition: 'all 0.2s'
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
             {/* Stats Display */}
             {statsLoading ? (
               <div style={{ textAlign: 'center', padding: '2rem', color: '#666' }}>
@@ -732,12 +1066,18 @@ function MatchmakingView({ onMatchFound }) {
                   <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#2c3e50' }}>
                     {playerStats?.rankDisplay || '30k'}
                   </div>
+                  {playerStats?.provisional && (
+                    <div style={{ fontSize: '0.75rem', color: '#666' }}>vorläufig</div>
+                  )}
                 </div>
                 <div style={{ padding: '0.75rem', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
                   <div style={{ fontSize: '0.85rem', color: '#666', marginBottom: '0.25rem' }}>Rating</div>
                   <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#2c3e50' }}>
                     {playerStats?.rating ?? 1500}
                   </div>
+                  <div style={{ fontSize: '0.75rem', color: '#666' }}>
+                    {getTimeCategoryLabel(statsCategory)}: {playerStats?.poolStats?.wins ?? 0} Siege / {playerStats?.poolStats?.losses ?? 0} Niederlagen
+                  </div>
                 </div>
                 <div style={{ padding: '0.75rem', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
                   <div style={{ fontSize: '0.85rem', color: '#666', marginBottom: '0.25rem' }}>Spiele</div>
@@ -756,6 +1096,19 @@ function MatchmakingView({ onMatchFound }) {
                   <div style={{ fontSize: '1.1rem', fontWeight: '600', color: '#2c3e50' }}>
                     {playerStats?.wins ?? 0} Siege / {playerStats?.losses ?? 0} Niederlagen / {playerStats?.draws ?? 0} Unentschieden
                   </div>
+                  {playerStats?.casual?.games > 0 && (
+                    <div style={{ fontSize: '0.85rem', color: '#666', marginTop: '0.25rem' }}>
+                      Ungewertet: {playerStats.casual.wins} Siege / {playerStats.casual.losses} Niederlagen / {playerStats.casual.draws} Unentschieden
+                    </div>
+                  )}
+                </div>
+                <div style={{ gridColumn: '1 / -1' }}>
+                  <RatingHistoryChart
+                    playerId={auth.loggedIn && auth.user ? auth.user.id : getGuestUserId()}
+                    boardSize={boardSize}
+                    timeCategory={statsCategory}
+                    refreshKey={playerStats?.poolStats?.games}
+                  />
                 </div>
               </div>
             )}
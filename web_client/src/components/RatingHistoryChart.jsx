@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { getTimeCategoryLabel } from '../constants/timeCategories';
+import './RatingHistoryChart.css';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+
+/**
+ * Rating History Chart Component
+ *
+ * Draws the rating after each game in one rating pool (board size and
+ * time control category) as a line, with the rating deviation as a band
+ * around it. refreshKey reloads the history (e.g. the number of games played).
+ */
+function RatingHistoryChart({ playerId, boardSize, timeCategory = 'untimed', refreshKey = null }) {
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!playerId) return;
+
+    let cancelled = false;
+    const fetchHistory = async () => {
+      try {
+        const response = await fetch(`/api/players/${encodeURIComponent(playerId)}/rating-history?boardSize=${boardSize}&timeCategory=${timeCategory}`, {
+          credentials: 'include',
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to fetch rating history: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!cancelled) {
+          setHistory(data.history || []);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('[RatingHistoryChart] Error fetching rating history:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [playerId, boardSize, timeCategory, refreshKey]);
+
+  if (error) {
+    return <div className="rating-chart__empty">Verlauf konnte nicht geladen werden</div>;
+  }
+  if (history.length === 0) {
+    return <div className="rating-chart__empty">Noch keine gewerteten Spiele auf {boardSize}×{boardSize} ({getTimeCategoryLabel(timeCategory)})</div>;
+  }
+
+  // First point is the rating before the first game
+  const points = [
+    { rating: history[0].ratingBefore, deviation: null },
+    ...history.map(entry => ({ rating: entry.ratingAfter, deviation: entry.ratingDeviation }))
+  ];
+  const values = points.flatMap(point => point.deviation === null
+    ? [point.rating]
+    : [point.rating - point.deviation, point.rating + point.deviation]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = Math.max(max - min, 1);
+
+  const x = (index) => CHART_PADDING + index * (CHART_WIDTH - 2 * CHART_PADDING) / (points.length - 1);
+  const y = (rating) => CHART_HEIGHT - CHART_PADDING - (rating - min) * (CHART_HEIGHT - 2 * CHART_PADDING) / range;
+
+  const line = points.map((point, index) => `${x(index)},${y(point.rating)}`).join(' ');
+  const upper = points.map((point, index) => `${x(index)},${y(point.rating + (point.deviation || 0))}`);
+  const lower = points.map((point, index) => `${x(index)},${y(point.rating - (point.deviation || 0))}`).reverse();
+  const latest = points[points.length - 1].rating;
+
+  return (
+    <div className="rating-chart">
+      <div className="rating-chart__header">
+        <span>Rating-Verlauf ({history.length} {history.length === 1 ? 'Spiel' : 'Spiele'})</span>
+        <span>{Math.round(min)} – {Math.round(max)}</span>
+      </div>
+      <svg
+        className="rating-chart__svg"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`Rating-Verlauf, aktuell ${latest}`}
+      >
+        <polygon className="rating-chart__band" points={[...upper, ...lower].join(' ')} />
+        <polyline className="rating-chart__line" points={line} />
+      </svg>
+    </div>
+  );
+}
+
+export default RatingHistoryChart;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import GoBoard from './GoBoard';
+import Card from './ui/Card';
+import Button from './ui/Button';
+import { getRuleSetLabel } from '../constants/ruleSets';
+import './ReviewView.css';
+
+// Reasons the server gives for an illegal move in an SGF file
+const IMPORT_ERRORS = {
+  invalid_sgf: 'Die Datei ist keine gültige SGF-Datei',
+  invalid_board_size: 'Die Brettgröße wird nicht unterstützt (5×5 bis 25×25)',
+  invalid_setup: 'Ungültige Aufstellung',
+  invalid_coordinates: 'Zug außerhalb des Bretts',
+  position_occupied: 'Feld ist bereits besetzt',
+  suicide_move: 'Selbstmord ist nicht erlaubt',
+  ko_violation: 'Ko-Regel verletzt',
+  sgf_too_large: 'Die Datei ist zu groß (höchstens 1000 Knoten)'
+};
+
+/**
+ * Board at a node of an imported SGF tree
+ * Nodes carry their setup stones, move and captured stones, so the board is
+ * rebuilt without a Go engine.
+ * @param {Object} tree - Root node
+ * @param {number} size - Board size
+ * @param {Array<number>} path - Child index at every step from the root
+ * @returns {{ board: Array, node: Object, lastMove: Object|null, moveNumber: number }}
+ */
+function getBoardAt(tree, size, path) {
+  const board = Array(size).fill(null).map(() => Array(size).fill(null));
+  let node = tree;
+  let lastMove = null;
+  let moveNumber = 0;
+
+  const apply = (current) => {
+    if (current.setup) {
+      current.setup.black.forEach(({ x, y }) => { board[y][x] = 'black'; });
+      current.setup.white.forEach(({ x, y }) => { board[y][x] = 'white'; });
+      current.setup.empty.forEach(({ x, y }) => { board[y][x] = null; });
+    }
+    if (current.move) {
+      moveNumber++;
+      lastMove = current.move.pass ? null : { x: current.move.x, y: current.move.y };
+      if (!current.move.pass) {
+        board[current.move.y][current.move.x] = current.move.color;
+      }
+      current.captures.forEach(({ x, y }) => { board[y][x] = null; });
+    }
+  };
+
+  apply(node);
+  for (const index of path) {
+    node = node.children[index];
+    apply(node);
+  }
+  return { board, node, lastMove, moveNumber };
+}
+
+/**
+ * Review View Component
+ *
+ * Opens an SGF file as a review board: step through the moves and switch
+ * between variations.
+ */
+function ReviewView() {
+  const [review, setReview] = useState(null);
+  const [path, setPath] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFile = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    setLoading(true);
+    setError(null);
+    setReview(null);
+    setPath([]);
+
+    try {
+      const sgf = await file.text();
+      const response = await fetch('/api/sgf/import', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ sgf })
+      });
+      const data = await response.json();
+
+      if (data.ok) {
+        setReview(data);
+      } else if (data.reason) {
+        const message = IMPORT_ERRORS[data.reason] || data.reason;
+        setError(data.moveNumber
+          ? `Ungültiger Zug ${data.moveNumber} (Knoten ${data.path.join('-')}): ${message}`
+          : message);
+      } else {
+        setError(data.error || 'Import fehlgeschlagen');
+      }
+    } catch (err) {
+      console.error('[ReviewView] Error importing SGF:', err);
+      setError('Import fehlgeschlagen');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const current = review ? getBoardAt(review.tree, review.info.boardSize, path) : null;
+  const variations = current ? current.node.children : [];
+
+  const goForward = () => {
+    if (variations.length > 0) setPath([...path, 0]);
+  };
+  const goBack = () => setPath(path.slice(0, -1));
+  const goToEnd = () => {
+    const next = [...path];
+    let node = current.node;
+    while (node.children.length > 0) {
+      next.push(0);
+      node = node.children[0];
+    }
+    setPath(next);
+  };
+
+  return (
+    <div className="review-view">
+      <Card>
+        <h2 className="review-view__title">Partie ansehen</h2>
+        <label className="review-view__upload">
+          SGF-Datei öffnen:
+          <input type="file" accept=".sgf,application/x-go-sgf" onChange={handleFile} disabled={loading} />
+        </label>
+        {loading && <p>Lade Partie...</p>}
+        {error && <p className="review-view__error">{error}</p>}
+      </Card>
+
+      {review && current && (
+        <div className="review-view__content">
+          <GoBoard
+            size={review.info.boardSize}
+            boardState={current.board}
+            onMove={() => {}}
+            disabled
+            lastMove={current.lastMove}
+          />
+
+          <Card className="review-view__panel">
+            <p>
+              <strong>{review.info.black.name || 'Schwarz'}</strong>
+              {review.info.black.rank && ` (${review.info.black.rank})`}
+              {' – '}
+              <strong>{review.info.white.name || 'Weiß'}</strong>
+              {review.info.white.rank && ` (${review.info.white.rank})`}
+            </p>
+            <p className="review-view__meta">
+              {review.info.boardSize}×{review.info.boardSize}, Regeln: {getRuleSetLabel(review.info.rules)}, Komi {review.info.komi}
+              {review.info.handicap > 1 && `, Vorgabe: ${review.info.handicap} Steine`}
+              {review.info.result && `, Ergebnis: ${review.info.result}`}
+            </p>
+
+            <p>Zug {current.moveNumber}{current.node.move?.pass && ' (Passen)'}</p>
+            <div className="review-view__controls">
+              <Button size="sm" variant="secondary" onClick={() => setPath([])} disabled={path.length === 0}>⏮</Button>
+              <Button size="sm" variant="secondary" onClick={goBack} disabled={path.length === 0}>◀</Button>
+              <Button size="sm" variant="secondary" onClick={goForward} disabled={variations.length === 0}>▶</Button>
+              <Button size="sm" variant="secondary" onClick={goToEnd} disabled={variations.length === 0}>⏭</Button>
+            </div>
+
+            {variations.length > 1 && (
+              <div className="review-view__variations">
+                <span>Varianten:</span>
+                {variations.map((child, index) => (
+                  <Button key={index} size="sm" variant={index === 0 ? 'primary' : 'secondary'} onClick={() => setPath([...path, index])}>
+                    {index === 0 ? 'Hauptvariante' : `Variante ${index + 1}`}
+                  </Button>
+                ))}
+              </div>
+            )}
+
+            {current.node.comment && (
+              <p className="review-view__comment">{current.node.comment}</p>
+            )}
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReviewView;
@@ -28,6 +28,57 @@ export const EventTypes = {
   GAME_ENDED: 'game_ended',
   RESIGN: 'resign',
   RESIGNATION_ACCEPTED: 'resignation_accepted',
+  OPPONENT_DISCONNECTED: 'opponent_disconnected',
+  OPPONENT_RECONNECTED: 'opponent_reconnected',
+
+  // Scoring phase (after two consecutive passes)
+  SCORING_STARTED: 'scoring_started',
+  SCORING_UPDATE: 'scoring_update',
+  TOGGLE_DEAD_STONES: 'toggle_dead_stones',
+  ACCEPT_SCORE: 'accept_score',
+  RESUME_PLAY: 'resume_play',
+  PLAY_RESUMED: 'play_resumed',
+
+  // Undo (takeback) requests between the players
+  UNDO_REQUEST: 'undo_request',
+  UNDO_RESPONSE: 'undo_response',
+  UNDO_REQUESTED: 'undo_requested',
+  UNDO_ACCEPTED: 'undo_accepted',
+  UNDO_DECLINED: 'undo_declined',
+
+  // Spectators
+  WATCH_GAME: 'watch_game',
+  UNWATCH_GAME: 'unwatch_game',
+  SPECTATOR_COUNT: 'spectator_count',
+
+  // In-game chat (players channel and spectator kibitz)
+  CHAT_MESSAGE: 'chat_message',
+  CHAT_REJECTED: 'chat_rejected',
+
+  // Rematch after game_ended (colours swapped, same settings)
+  REMATCH_OFFER: 'rematch_offer',
+  REMATCH_ACCEPT: 'rematch_accept',
+  REMATCH_DECLINE: 'rematch_decline',
+  REMATCH_OFFERED: 'rematch_offered',
+  REMATCH_DECLINED: 'rematch_declined',
+  REMATCH_STARTED: 'rematch_started',
+
+  // Direct challenges to a chosen player (accepting sends match_found)
+  CHALLENGE_SEND: 'challenge_send',
+  CHALLENGE_ACCEPT: 'challenge_accept',
+  CHALLENGE_DECLINE: 'challenge_decline',
+  REQUEST_CHALLENGES: 'request_challenges',
+  CHALLENGE_SENT: 'challenge_sent',
+  CHALLENGE_RECEIVED: 'challenge_received',
+  CHALLENGE_DECLINED: 'challenge_declined',
+  CHALLENGE_EXPIRED: 'challenge_expired',
+  CHALLENGE_LIST: 'challenge_list',
+
+  // Private invite links (/invite/<token>, accepting sends match_found)
+  INVITE_CREATE: 'invite_create',
+  INVITE_CREATED: 'invite_created',
+  INVITE_ACCEPT: 'invite_accept',
+  INVITE_CANCEL: 'invite_cancel',
 
   // Turn management
   TURN_CHANGED: 'turn_changed',
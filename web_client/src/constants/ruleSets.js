@@ -0,0 +1,23 @@
+/**
+ * Rule Set Constants
+ * 
+ * Must match the rule set presets of the server (server/src/engine/ruleSets.js).
+ */
+
+export const RULE_SET_OPTIONS = [
+  { id: 'chinese', label: 'Chinesisch', description: 'Flächenzählung, Superko' },
+  { id: 'japanese', label: 'Japanisch', description: 'Gebietszählung mit Gefangenen' },
+  { id: 'aga', label: 'AGA', description: 'Flächenzählung, situativer Superko' },
+  { id: 'nz', label: 'Neuseeland', description: 'Flächenzählung, Selbstmord erlaubt' },
+  { id: 'tromp-taylor', label: 'Tromp-Taylor', description: 'Flächenzählung, Selbstmord erlaubt' }
+];
+
+/**
+ * Display name of a rule set
+ * @param {string} id - Rule set name from the server
+ * @returns {string}
+ */
+export function getRuleSetLabel(id) {
+  const option = RULE_SET_OPTIONS.find(o => o.id === id);
+  return option ? option.label : id;
+}
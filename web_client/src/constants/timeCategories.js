@@ -0,0 +1,25 @@
+/**
+ * Time Control Category Constants
+ * 
+ * Must match the categories of the server (TIME_CONTROL_CATEGORIES in
+ * server/src/engine/gameClock.js). Each board size and category has its own
+ * matchmaking queue and rating pool.
+ */
+
+export const TIME_CATEGORY_OPTIONS = [
+  { id: 'blitz', label: 'Blitz' },
+  { id: 'rapid', label: 'Schnellpartie' },
+  { id: 'classical', label: 'Klassisch' },
+  { id: 'correspondence', label: 'Fernpartie' },
+  { id: 'untimed', label: 'Ohne Uhr' }
+];
+
+/**
+ * Display name of a time control category
+ * @param {string} id - Category name from the server
+ * @returns {string}
+ */
+export function getTimeCategoryLabel(id) {
+  const option = TIME_CATEGORY_OPTIONS.find(o => o.id === id);
+  return option ? option.label : id;
+}
@@ -0,0 +1,52 @@
+/**
+ * Game Clock Display Helpers
+ *
+ * The server is authoritative for clocks. These helpers only count down the
+ * last snapshot locally so the display keeps moving between server updates.
+ */
+
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format a player's clock for display
+ * @param {Object} playerClock - Player clock from the server snapshot
+ * @param {Object} timeControl - Time control of the game
+ * @param {number} elapsed - Ms elapsed since the snapshot (0 if not running)
+ * @returns {string} e.g. "9:58", "0:25 (3)" or "4:10 / 12"
+ */
+export function formatClock(playerClock, timeControl, elapsed = 0) {
+  if (!playerClock || !timeControl) return '';
+
+  let overtimeElapsed = elapsed;
+  if (!playerClock.inOvertime) {
+    const main = playerClock.mainTime - elapsed;
+    if (main > 0 || timeControl.type === 'absolute' || timeControl.type === 'fischer') {
+      return formatTime(main);
+    }
+    overtimeElapsed = -main;
+  }
+
+  const period = timeControl.byoYomi * 1000;
+  if (timeControl.type === 'byoyomi') {
+    const startTime = playerClock.inOvertime ? playerClock.periodTime : period;
+    const periodsUsed = overtimeElapsed < startTime ? 0 : 1 + Math.floor((overtimeElapsed - startTime) / period);
+    const periodsLeft = Math.max(0, playerClock.periodsLeft - periodsUsed);
+    const rest = periodsUsed === 0 ? startTime - overtimeElapsed : period - ((overtimeElapsed - startTime) % period);
+    return `${formatTime(periodsLeft > 0 ? rest : 0)} (${periodsLeft})`;
+  }
+
+  // Canadian: time left for the remaining stones of the block
+  const startTime = playerClock.inOvertime ? playerClock.periodTime : period;
+  const stonesLeft = playerClock.inOvertime ? playerClock.stonesLeft : timeControl.stones;
+  return `${formatTime(startTime - overtimeElapsed)} / ${stonesLeft}`;
+}